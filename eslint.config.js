@@ -60,6 +60,24 @@ module.exports = [
       StorageErrors: "readonly",
       StorageLogger: "readonly",
       SaveStatusIndicator: "readonly",
+      SettingsMigrator: "readonly",
+      SettingsMigrationError: "readonly",
+      SettingsProfiles: "readonly",
+      SettingsProfileError: "readonly",
+      SiteOverrides: "readonly",
+      SiteOverrideError: "readonly",
+      SettingsHistory: "readonly",
+      SettingsSnapshots: "readonly",
+      SettingsSnapshotError: "readonly",
+      SettingsCrypto: "readonly",
+      SettingsCryptoError: "readonly",
+      SettingsRules: "readonly",
+      JsonSchemaValidator: "readonly",
+      ValueFormats: "readonly",
+      SettingsValidator: "readonly",
+      I18n: "readonly",
+      SettingsSearch: "readonly",
+      ValueDiff: "readonly",
       importScripts: "readonly",
       ServiceWorkerGlobalScope: "readonly",
     },
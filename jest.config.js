@@ -18,6 +18,20 @@ module.exports = {
     "<rootDir>/test/settings-manager.test.js",
     "<rootDir>/test/race-condition.test.js",
     "<rootDir>/test/browser-api-compliance.test.js",
+    "<rootDir>/test/settings-migrations.test.js",
+    "<rootDir>/test/json-schema.test.js",
+    "<rootDir>/test/settings-profiles.test.js",
+    "<rootDir>/test/site-overrides.test.js",
+    "<rootDir>/test/settings-history.test.js",
+    "<rootDir>/test/settings-snapshots.test.js",
+    "<rootDir>/test/settings-crypto.test.js",
+    "<rootDir>/test/value-formats.test.js",
+    "<rootDir>/test/settings-rules.test.js",
+    "<rootDir>/test/settings-validator.test.js",
+    "<rootDir>/test/i18n.test.js",
+    "<rootDir>/test/settings-search.test.js",
+    "<rootDir>/test/value-diff.test.js",
+    "<rootDir>/test/background.test.js",
     // Other pure function tests would go here
     // storage.test.js moved to E2E (browser integration)
     // storage-operation-manager, storage-errors, storage-logger, save-status-indicator
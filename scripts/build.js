@@ -24,6 +24,7 @@ const dirsToRecursiveCopy = [
   { src: "src/ui/components", dest: "components" },
   { src: "src/config", dest: "config" },
   { src: "src/assets/icons", dest: "icons" },
+  { src: "src/_locales", dest: "_locales" },
 ];
 
 // Clean and create dist directory
@@ -56,8 +56,15 @@ if (browserAPI.action && browserAPI.action.onClicked) {
 
 // Keep-alive alarm to prevent service worker termination
 browserAPI.alarms.create("keep-alive", { periodInMinutes: 0.42 }); // 25 seconds
+
+// Hourly check for the daily restore point; recreating the alarm on every
+// service worker start only delays a check, never the daily cadence
+browserAPI.alarms.create("settings-snapshot", { periodInMinutes: 60 });
+
 browserAPI.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === "keep-alive") {
+  if (alarm.name === "settings-snapshot") {
+    takeDailySnapshot();
+  } else if (alarm.name === "keep-alive") {
     // Simple operation to keep service worker alive
     try {
       // Use a simple storage check to keep service worker alive
@@ -71,18 +78,49 @@ browserAPI.alarms.onAlarm.addListener((alarm) => {
 
 // Import remaining dependencies
 importScripts(
+  "lib/i18n.js",
   "lib/storage-errors.js",
   "lib/storage-logger.js",
   "lib/storage-operation-manager.js",
   "lib/error-handler.js",
+  "lib/json-schema.js",
+  "lib/value-formats.js",
+  "lib/settings-validator.js",
   "lib/config-loader.js",
+  "lib/settings-migrations.js",
+  "lib/settings-profiles.js",
+  "lib/site-overrides.js",
+  "lib/settings-history.js",
+  "lib/settings-snapshots.js",
+  "lib/settings-crypto.js",
+  "lib/settings-rules.js",
   "lib/settings-manager.js",
 );
 
 let settingsManager;
+// Initialization in progress or done, shared by every caller so stored
+// settings are never migrated by two settings managers at once
+let settingsReady = null;
 
 // Initialize immediately (no lazy loading)
-initializeSettingsOnStartup();
+whenSettingsReady();
+
+/**
+ * Start initializing the settings manager, or join the initialization
+ * that is already running
+ * @returns {Promise<void>} Resolves once initialization has finished
+ */
+function whenSettingsReady() {
+  if (!settingsReady) {
+    settingsReady = initializeSettingsOnStartup().then(() => {
+      // A failed initialization is retried by the next caller
+      if (!settingsManager) {
+        settingsReady = null;
+      }
+    });
+  }
+  return settingsReady;
+}
 
 /**
  * Initialize settings manager on service worker startup
@@ -159,17 +197,7 @@ async function ensureSettingsSeeded() {
  * @returns {Promise<void>}
  */
 async function initializeSettings() {
-  try {
-    settingsManager = new SettingsManager();
-    await settingsManager.initialize();
-    console.log("Settings manager initialized successfully");
-  } catch (error) {
-    console.error("Failed to initialize settings manager:", error);
-    // Create a fallback settings manager
-    settingsManager = new SettingsManager();
-    // Use the same initialize method but ConfigurationLoader will handle fallback
-    await settingsManager.initialize();
-  }
+  await whenSettingsReady();
 }
 
 /**
@@ -200,7 +228,7 @@ function handleMessage(message, sender, sendResponse) {
     );
 
     // Handle re-initialization asynchronously with timeout protection
-    const initPromise = initializeSettingsOnStartup();
+    const initPromise = whenSettingsReady();
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => reject(new Error("Initialization timeout")), 10000);
     });
@@ -256,15 +284,15 @@ async function processAsyncMessage(message, sender, sendResponse) {
 
     switch (message.type) {
       case "GET_SETTING":
-        await handleGetSetting(message, sendResponse);
+        await handleGetSetting(message, sendResponse, sender);
         break;
 
       case "GET_SETTINGS":
-        await handleGetSettings(message, sendResponse);
+        await handleGetSettings(message, sendResponse, sender);
         break;
 
       case "GET_ALL_SETTINGS":
-        await handleGetAllSettings(message, sendResponse);
+        await handleGetAllSettings(message, sendResponse, sender);
         break;
 
       case "UPDATE_SETTING":
@@ -275,8 +303,20 @@ async function processAsyncMessage(message, sender, sendResponse) {
         await handleUpdateSettings(message, sendResponse, sender);
         break;
 
+      case "UNDO":
+        await handleUndo(message, sendResponse, sender);
+        break;
+
+      case "REDO":
+        await handleRedo(message, sendResponse, sender);
+        break;
+
+      case "GET_HISTORY":
+        await handleGetHistory(message, sendResponse);
+        break;
+
       case "EXPORT_SETTINGS":
-        await handleExportSettings(message, sendResponse);
+        await handleExportSettings(message, sendResponse, sender);
         break;
 
       case "IMPORT_SETTINGS":
@@ -287,6 +327,14 @@ async function processAsyncMessage(message, sender, sendResponse) {
         await handleResetSettings(message, sendResponse, sender);
         break;
 
+      case "RESET_SETTING":
+        await handleResetSetting(message, sendResponse, sender);
+        break;
+
+      case "RESET_CATEGORY":
+        await handleResetCategory(message, sendResponse, sender);
+        break;
+
       case "GET_STORAGE_STATS":
         await handleGetStorageStats(message, sendResponse);
         break;
@@ -299,6 +347,62 @@ async function processAsyncMessage(message, sender, sendResponse) {
         await handleGetCurrentTabId(message, sendResponse, sender);
         break;
 
+      case "GET_SITE_OVERRIDES":
+        await handleGetSiteOverrides(message, sendResponse);
+        break;
+
+      case "SET_SITE_OVERRIDE":
+        await handleSetSiteOverride(message, sendResponse, sender);
+        break;
+
+      case "CLEAR_SITE_OVERRIDE":
+        await handleClearSiteOverride(message, sendResponse, sender);
+        break;
+
+      case "LIST_SNAPSHOTS":
+        await handleListSnapshots(message, sendResponse);
+        break;
+
+      case "CREATE_SNAPSHOT":
+        await handleCreateSnapshot(message, sendResponse, sender);
+        break;
+
+      case "PREVIEW_SNAPSHOT":
+        await handlePreviewSnapshot(message, sendResponse, sender);
+        break;
+
+      case "RESTORE_SNAPSHOT":
+        await handleRestoreSnapshot(message, sendResponse, sender);
+        break;
+
+      case "LIST_PROFILES":
+        await handleListProfiles(message, sendResponse);
+        break;
+
+      case "CREATE_PROFILE":
+        await handleCreateProfile(message, sendResponse, sender);
+        break;
+
+      case "CLONE_PROFILE":
+        await handleCloneProfile(message, sendResponse, sender);
+        break;
+
+      case "RENAME_PROFILE":
+        await handleRenameProfile(message, sendResponse, sender);
+        break;
+
+      case "DELETE_PROFILE":
+        await handleDeleteProfile(message, sendResponse, sender);
+        break;
+
+      case "SWITCH_PROFILE":
+        await handleSwitchProfile(message, sendResponse, sender);
+        break;
+
+      case "OPEN_OPTIONS":
+        await handleOpenOptions(message, sendResponse);
+        break;
+
       default:
         sendResponse({ error: `Unknown message type: ${message.type}` });
     }
@@ -324,37 +428,148 @@ async function processAsyncMessage(message, sender, sendResponse) {
     } else {
       console.error("❌ Error processing async message:", error);
     }
-    sendResponse({ error: error.message });
+    // Errors with a code (e.g. a wrong import passphrase) let the UI react;
+    // rejected updates list every violation so each field can show its own
+    sendResponse({
+      error: error.message,
+      code: error.code,
+      violations: error.violations,
+    });
+  }
+}
+
+/**
+ * Get the URL of the page a content script message came from
+ * @param {Object} sender - Message sender
+ * @returns {string|null} Page URL, or null for extension pages
+ */
+function getSenderPageUrl(sender) {
+  if (getSenderContext(sender) !== "content") {
+    return null;
+  }
+  return sender.url || sender.tab.url || null;
+}
+
+/**
+ * Check whether a message came from one of the extension's own pages.
+ * Pages opened in a tab (the options page, a popup opened as a page) carry
+ * `sender.tab` too, so only the URL tells them apart from content scripts
+ * @param {Object} sender - Message sender
+ * @returns {boolean}
+ */
+function isExtensionPageSender(sender) {
+  if (sender?.id && sender.id !== self.browserAPI.runtime.id) {
+    return false;
+  }
+  const url = sender?.url || "";
+  return url.startsWith(self.browserAPI.runtime.getURL(""));
+}
+
+/**
+ * Describe where a message came from, for the undo journal and the
+ * content script restrictions
+ * @param {Object} sender - Message sender
+ * @returns {string} "content", "popup", "options" or "extension"
+ */
+function getSenderContext(sender) {
+  if (isExtensionPageSender(sender)) {
+    const url = sender.url;
+    if (url.includes("/popup/")) {
+      return "popup";
+    }
+    if (url.includes("/options/")) {
+      return "options";
+    }
+    return "extension";
+  }
+
+  if (sender && sender.tab) {
+    return "content";
+  }
+  return "extension";
+}
+
+/**
+ * Reject updates of secret settings coming from content scripts
+ * @param {Array<string>} keys - Keys to update
+ * @param {Object} sender - Message sender
+ */
+function assertNoSecretsFromContent(keys, sender) {
+  if (getSenderContext(sender) !== "content") {
+    return;
+  }
+  for (const key of keys) {
+    if (settingsManager.isSecretSetting(key)) {
+      throw new Error(`Setting '${key}' cannot be changed by content scripts`);
+    }
+  }
+}
+
+/**
+ * Reject messages that only the extension's own pages may send, such as
+ * restoring a restore point, which can replace every value at once
+ * @param {Object} message - Message object
+ * @param {Object} sender - Message sender
+ */
+function assertFromExtensionPage(message, sender) {
+  if (getSenderContext(sender) === "content") {
+    throw new Error(`${message.type} is not available to content scripts`);
   }
 }
 
 /**
  * Handle GET_SETTING message
+ * Content scripts receive the value in effect for their page, and never
+ * secret settings
  */
-async function handleGetSetting(message, sendResponse) {
-  const setting = await settingsManager.getSetting(message.key);
+async function handleGetSetting(message, sendResponse, sender) {
+  const setting =
+    getSenderContext(sender) === "content"
+      ? await settingsManager.getEffectiveSetting(
+          message.key,
+          getSenderPageUrl(sender),
+        )
+      : await settingsManager.getSetting(message.key);
   sendResponse({ value: setting });
 }
 
 /**
  * Handle GET_SETTINGS message
  */
-async function handleGetSettings(message, sendResponse) {
-  const settings = await settingsManager.getSettings(message.keys);
+async function handleGetSettings(message, sendResponse, sender) {
+  let settings;
+
+  if (getSenderContext(sender) === "content") {
+    const effective = await settingsManager.getEffectiveSettings(
+      getSenderPageUrl(sender),
+    );
+    settings = {};
+    for (const key of message.keys) {
+      if (effective[key]) {
+        settings[key] = effective[key];
+      }
+    }
+  } else {
+    settings = await settingsManager.getSettings(message.keys);
+  }
+
   sendResponse({ values: settings });
 }
 
 /**
  * Handle GET_ALL_SETTINGS message
  */
-async function handleGetAllSettings(message, sendResponse) {
+async function handleGetAllSettings(message, sendResponse, sender) {
   console.log("🔍 Getting all settings...");
   try {
     let allSettings;
 
     // Try to get settings from settings manager first
     if (settingsManager) {
-      allSettings = await settingsManager.getAllSettings();
+      allSettings =
+        getSenderContext(sender) === "content"
+          ? await settingsManager.getEffectiveSettings(getSenderPageUrl(sender))
+          : await settingsManager.getAllSettings();
     } else {
       // Fallback: try to get directly from storage
       console.log(
@@ -389,7 +604,12 @@ async function handleGetAllSettings(message, sendResponse) {
  * Handle UPDATE_SETTING message
  */
 async function handleUpdateSetting(message, sendResponse, sender) {
-  await settingsManager.updateSetting(message.key, message.value);
+  assertNoSecretsFromContent([message.key], sender);
+  await settingsManager.updateSetting(
+    message.key,
+    message.value,
+    getSenderContext(sender),
+  );
   sendResponse({ success: true });
 
   // Notify all content scripts of change
@@ -400,18 +620,79 @@ async function handleUpdateSetting(message, sendResponse, sender) {
  * Handle UPDATE_SETTINGS message
  */
 async function handleUpdateSettings(message, sendResponse, sender) {
-  await settingsManager.updateSettings(message.updates);
+  assertNoSecretsFromContent(Object.keys(message.updates), sender);
+  await settingsManager.updateSettings(
+    message.updates,
+    getSenderContext(sender),
+  );
   sendResponse({ success: true });
 
   // Notify all content scripts of changes
   await broadcastSettingsChange(message.updates, sender);
 }
 
+/**
+ * Handle UNDO message
+ */
+async function handleUndo(message, sendResponse, sender) {
+  assertFromExtensionPage(message, sender);
+  const result = await settingsManager.undo();
+  await respondWithHistoryResult(result, sendResponse, sender);
+}
+
+/**
+ * Handle REDO message
+ */
+async function handleRedo(message, sendResponse, sender) {
+  assertFromExtensionPage(message, sender);
+  const result = await settingsManager.redo();
+  await respondWithHistoryResult(result, sendResponse, sender);
+}
+
+/**
+ * Send the outcome of an undo/redo and broadcast the values it changed
+ * @param {Object|null} result - Result of SettingsManager.undo()/redo()
+ * @param {Function} sendResponse - Response function
+ * @param {Object} sender - Original sender to exclude
+ */
+async function respondWithHistoryResult(result, sendResponse, sender) {
+  const history = await settingsManager.getHistory();
+  sendResponse({
+    success: true,
+    entry: result ? result.entry : null,
+    changes: result ? result.changes : {},
+    skipped: result ? result.skipped : [],
+    canUndo: history.canUndo,
+    canRedo: history.canRedo,
+  });
+
+  if (result && Object.keys(result.changes).length > 0) {
+    await broadcastSettingsChange(result.changes, sender);
+  }
+}
+
+/**
+ * Handle GET_HISTORY message
+ */
+async function handleGetHistory(message, sendResponse) {
+  const history = await settingsManager.getHistory();
+  sendResponse(history);
+}
+
 /**
  * Handle EXPORT_SETTINGS message
  */
-async function handleExportSettings(message, sendResponse) {
-  const exportData = await settingsManager.exportSettings();
+async function handleExportSettings(message, sendResponse, sender) {
+  const exportData = await settingsManager.exportSettings({
+    categories: Array.isArray(message.categories) ? message.categories : null,
+    keys: Array.isArray(message.keys) ? message.keys : null,
+    format: message.format,
+    onlyModified: Boolean(message.onlyModified),
+    sensitive: message.sensitive,
+    passphrase: message.passphrase || null,
+    // Secrets only leave the extension through its own pages
+    includeSecrets: getSenderContext(sender) !== "content",
+  });
   sendResponse({ data: exportData });
 }
 
@@ -419,17 +700,57 @@ async function handleExportSettings(message, sendResponse) {
  * Handle IMPORT_SETTINGS message
  */
 async function handleImportSettings(message, sendResponse, sender) {
-  await settingsManager.importSettings(message.data);
-  sendResponse({ success: true });
+  const options = {
+    dryRun: Boolean(message.dryRun),
+    strategy: message.strategy,
+    keys: Array.isArray(message.keys) ? message.keys : null,
+    passphrase: message.passphrase || null,
+  };
+
+  // Both passes read the decrypted file, so the key is derived once
+  const data = await settingsManager.decryptImportData(
+    message.data,
+    options.passphrase,
+  );
+
+  // The preview tells whether the file is readable (valid settings),
+  // whether it would change something worth a restore point and whether
+  // it would overwrite a secret
+  const preview = await settingsManager.importSettings(data, {
+    ...options,
+    dryRun: true,
+  });
+  assertNoSecretsFromContent(
+    preview.entries
+      .filter((entry) => entry.status === "added" || entry.status === "changed")
+      .map((entry) => entry.key),
+    sender,
+  );
+  if (options.dryRun) {
+    sendResponse({ success: true, report: preview });
+    return;
+  }
+  if (preview.summary.added + preview.summary.changed > 0) {
+    await takeSnapshot("import");
+  }
+
+  const report = await settingsManager.importSettings(data, options);
+  sendResponse({ success: true, report });
 
   // Notify all content scripts of import
-  await broadcastSettingsImport(sender);
+  if (report.applied.length > 0) {
+    await broadcastSettingsImport(sender);
+  }
 }
 
 /**
  * Handle RESET_SETTINGS message
  */
 async function handleResetSettings(message, sendResponse, sender) {
+  // Content scripts may reset everything but a secret they could not set
+  assertNoSecretsFromContent(settingsManager.getModifiedKeys(), sender);
+
+  await takeSnapshot("reset");
   await settingsManager.resetToDefaults();
   sendResponse({ success: true });
 
@@ -437,6 +758,41 @@ async function handleResetSettings(message, sendResponse, sender) {
   await broadcastSettingsReset(sender);
 }
 
+/**
+ * Handle RESET_SETTING message
+ */
+async function handleResetSetting(message, sendResponse, sender) {
+  assertNoSecretsFromContent([message.key], sender);
+  const changes = await settingsManager.resetSetting(
+    message.key,
+    getSenderContext(sender),
+  );
+  sendResponse({ success: true, changes });
+
+  if (Object.keys(changes).length > 0) {
+    await broadcastSettingsChange(changes, sender);
+  }
+}
+
+/**
+ * Handle RESET_CATEGORY message
+ */
+async function handleResetCategory(message, sendResponse, sender) {
+  assertNoSecretsFromContent(
+    settingsManager.getCategoryKeys(message.category),
+    sender,
+  );
+  const changes = await settingsManager.resetCategory(
+    message.category,
+    getSenderContext(sender),
+  );
+  sendResponse({ success: true, changes });
+
+  if (Object.keys(changes).length > 0) {
+    await broadcastSettingsChange(changes, sender);
+  }
+}
+
 /**
  * Handle GET_STORAGE_STATS message
  */
@@ -453,6 +809,236 @@ async function handleCheckStorageQuota(message, sendResponse) {
   sendResponse({ quota });
 }
 
+/**
+ * Handle GET_SITE_OVERRIDES message
+ * Returns the overrides applying to a page and the resulting values
+ */
+async function handleGetSiteOverrides(message, sendResponse) {
+  const registry = settingsManager.getSiteOverrideRegistry();
+  const settings = await settingsManager.getEffectiveSettings(message.url);
+
+  const allOverrides = registry.toJSON();
+  const overrides = {};
+  for (const pattern of registry.getMatchingPatterns(message.url)) {
+    overrides[pattern] = allOverrides[pattern];
+  }
+
+  sendResponse({
+    origin: registry.getOrigin(message.url),
+    overrides,
+    settings,
+  });
+}
+
+/**
+ * Handle SET_SITE_OVERRIDE message
+ */
+async function handleSetSiteOverride(message, sendResponse, sender) {
+  assertFromExtensionPage(message, sender);
+  const pattern = await settingsManager.setSiteOverride(
+    message.pattern,
+    message.key,
+    message.value,
+  );
+  sendResponse({ success: true, pattern });
+
+  // Tabs resolve the value in effect for their own page
+  const setting = await settingsManager.getSetting(message.key);
+  await broadcastSettingsChange({ [message.key]: setting.value }, sender);
+}
+
+/**
+ * Handle CLEAR_SITE_OVERRIDE message
+ */
+async function handleClearSiteOverride(message, sendResponse, sender) {
+  assertFromExtensionPage(message, sender);
+  const cleared = await settingsManager.clearSiteOverride(
+    message.pattern,
+    message.key ?? null,
+  );
+  sendResponse({ success: true, cleared });
+
+  if (cleared.length > 0) {
+    const settings = await settingsManager.getSettings(cleared);
+    const changes = {};
+    for (const [key, setting] of Object.entries(settings)) {
+      changes[key] = setting.value;
+    }
+    await broadcastSettingsChange(changes, sender);
+  }
+}
+
+/**
+ * Handle LIST_PROFILES message
+ */
+async function handleListProfiles(message, sendResponse) {
+  const result = await settingsManager.listProfiles();
+  sendResponse(result);
+}
+
+/**
+ * Handle CREATE_PROFILE message
+ */
+async function handleCreateProfile(message, sendResponse, sender) {
+  assertFromExtensionPage(message, sender);
+  const profile = await settingsManager.createProfile(message.name);
+  sendResponse({ success: true, profile });
+}
+
+/**
+ * Handle CLONE_PROFILE message
+ */
+async function handleCloneProfile(message, sendResponse, sender) {
+  assertFromExtensionPage(message, sender);
+  const profile = await settingsManager.cloneProfile(
+    message.profileId,
+    message.name,
+  );
+  sendResponse({ success: true, profile });
+}
+
+/**
+ * Handle RENAME_PROFILE message
+ */
+async function handleRenameProfile(message, sendResponse, sender) {
+  assertFromExtensionPage(message, sender);
+  const profile = await settingsManager.renameProfile(
+    message.profileId,
+    message.name,
+  );
+  sendResponse({ success: true, profile });
+}
+
+/**
+ * Handle DELETE_PROFILE message
+ */
+async function handleDeleteProfile(message, sendResponse, sender) {
+  assertFromExtensionPage(message, sender);
+  await settingsManager.deleteProfile(message.profileId);
+  sendResponse({ success: true });
+}
+
+/**
+ * Handle SWITCH_PROFILE message
+ */
+async function handleSwitchProfile(message, sendResponse, sender) {
+  assertFromExtensionPage(message, sender);
+  await takeSnapshot("profile-switch");
+  const result = await settingsManager.switchProfile(message.profileId);
+  sendResponse({ success: true, ...result });
+
+  // Content scripts receive the whole switch as one change event
+  if (Object.keys(result.changes).length > 0) {
+    await broadcastSettingsChange(result.changes, sender, {
+      profile: {
+        id: result.profileId,
+        previousId: result.previousProfileId,
+      },
+    });
+  }
+}
+
+/**
+ * Take a restore point before an operation that overwrites values.
+ * A failed snapshot is logged but does not block the operation.
+ * @param {string} reason - Operation about to run
+ */
+async function takeSnapshot(reason) {
+  try {
+    await settingsManager.createSnapshot(reason);
+  } catch (error) {
+    console.warn(`Failed to take restore point before ${reason}:`, error);
+  }
+}
+
+/**
+ * Take the daily restore point if one is due
+ */
+async function takeDailySnapshot() {
+  if (!settingsManager) {
+    return;
+  }
+
+  try {
+    const snapshot = await settingsManager.createDailySnapshot();
+    if (snapshot) {
+      console.log("Daily restore point created:", snapshot.id);
+    }
+  } catch (error) {
+    console.warn("Failed to take daily restore point:", error);
+  }
+}
+
+/**
+ * Handle LIST_SNAPSHOTS message
+ */
+async function handleListSnapshots(message, sendResponse) {
+  const snapshots = await settingsManager.listSnapshots();
+  sendResponse({ snapshots });
+}
+
+/**
+ * Handle CREATE_SNAPSHOT message
+ */
+async function handleCreateSnapshot(message, sendResponse, sender) {
+  assertFromExtensionPage(message, sender);
+  const snapshot = await settingsManager.createSnapshot("manual");
+  sendResponse({ success: true, snapshot });
+}
+
+/**
+ * Handle PREVIEW_SNAPSHOT message
+ */
+async function handlePreviewSnapshot(message, sendResponse, sender) {
+  assertFromExtensionPage(message, sender);
+  const preview = await settingsManager.previewSnapshot(message.snapshotId);
+  sendResponse(preview);
+}
+
+/**
+ * Handle RESTORE_SNAPSHOT message
+ */
+async function handleRestoreSnapshot(message, sendResponse, sender) {
+  assertFromExtensionPage(message, sender);
+  const result = await settingsManager.restoreSnapshot(message.snapshotId);
+  sendResponse({ success: true, ...result });
+
+  if (Object.keys(result.changes).length > 0) {
+    await broadcastSettingsChange(result.changes, sender);
+  }
+}
+
+/**
+ * Handle OPEN_OPTIONS message
+ * Opens the options page at the setting named by `message.key`, reusing an
+ * options tab that is already open; the page resolves "#key" to the tab
+ * holding the setting
+ */
+async function handleOpenOptions(message, sendResponse) {
+  if (message.key !== undefined) {
+    // Rejects unknown keys
+    await settingsManager.getSetting(message.key);
+  }
+
+  const pageUrl = self.browserAPI.runtime.getURL("options/options.html");
+  const url = message.key
+    ? `${pageUrl}#${encodeURIComponent(message.key)}`
+    : pageUrl;
+
+  // URL patterns ignore the hash, so this finds the page on any setting
+  const [existing] = await self.browserAPI.tabs.query({ url: pageUrl });
+  const tab = existing
+    ? await self.browserAPI.tabs.update(existing.id, { url, active: true })
+    : await self.browserAPI.tabs.create({ url });
+
+  // Activating a tab does not raise its window above the current one
+  if (existing && self.browserAPI.windows) {
+    await self.browserAPI.windows.update(existing.windowId, { focused: true });
+  }
+
+  sendResponse({ success: true, tabId: tab?.id ?? existing?.id });
+}
+
 async function handleGetCurrentTabId(message, sendResponse, sender) {
   try {
     // If the sender is from a tab, return the tab ID
@@ -482,8 +1068,9 @@ async function handleGetCurrentTabId(message, sendResponse, sender) {
  * Broadcast settings changes to all content scripts
  * @param {Object} changes - Changed settings
  * @param {Object} sender - Original sender to exclude
+ * @param {Object} details - Optional extra message fields (e.g. profile)
  */
-async function broadcastSettingsChange(changes, sender) {
+async function broadcastSettingsChange(changes, sender, details = {}) {
   try {
     const tabs = await self.browserAPI.tabs.query({ status: "complete" });
 
@@ -506,9 +1093,24 @@ async function broadcastSettingsChange(changes, sender) {
 
     const broadcastPromises = validTabs.map(async (tab) => {
       try {
+        // Apply the tab's site overrides to the changed values; secrets
+        // are never sent to content scripts
+        const effective = await settingsManager.getEffectiveSettings(tab.url);
+        const tabChanges = {};
+        for (const [key, value] of Object.entries(changes)) {
+          if (settingsManager.isSecretSetting(key)) {
+            continue;
+          }
+          tabChanges[key] = effective[key] ? effective[key].value : value;
+        }
+        if (Object.keys(tabChanges).length === 0) {
+          return;
+        }
+
         await self.browserAPI.tabs.sendMessage(tab.id, {
           type: "SETTINGS_CHANGED",
-          changes: changes,
+          changes: tabChanges,
+          ...details,
         });
       } catch (error) {
         // Tab might not have content script injected or might be closed
@@ -536,8 +1138,6 @@ async function broadcastSettingsChange(changes, sender) {
  */
 async function broadcastSettingsImport(sender) {
   try {
-    const allSettings = await settingsManager.getAllSettings();
-
     const tabs = await self.browserAPI.tabs.query({ status: "complete" });
 
     // Filter to only active tabs with valid URLs
@@ -561,7 +1161,7 @@ async function broadcastSettingsImport(sender) {
       try {
         await self.browserAPI.tabs.sendMessage(tab.id, {
           type: "SETTINGS_IMPORTED",
-          settings: allSettings,
+          settings: await settingsManager.getEffectiveSettings(tab.url),
         });
       } catch (error) {
         // Tab might not have content script injected or might be closed
@@ -589,8 +1189,6 @@ async function broadcastSettingsImport(sender) {
  */
 async function broadcastSettingsReset(sender) {
   try {
-    const allSettings = await settingsManager.getAllSettings();
-
     const tabs = await self.browserAPI.tabs.query({ status: "complete" });
 
     // Filter to only active tabs with valid URLs
@@ -614,7 +1212,7 @@ async function broadcastSettingsReset(sender) {
       try {
         await self.browserAPI.tabs.sendMessage(tab.id, {
           type: "SETTINGS_RESET",
-          settings: allSettings,
+          settings: await settingsManager.getEffectiveSettings(tab.url),
         });
       } catch (error) {
         // Tab might not have content script injected or might be closed
@@ -646,17 +1244,31 @@ function handleActionClick(tab) {
 
 /**
  * Handle extension installation
+ * @param {Object} details - Install details
+ * @returns {Promise<void>|undefined} Settles once settings are initialized
+ *   after an install or update
  */
 function handleInstalled(details) {
   console.log("Extension installed:", details.reason);
 
   if (details.reason === "install") {
     // Initialize settings on first install
-    initializeSettings();
+    return whenSettingsReady();
   } else if (details.reason === "update") {
-    // Handle extension update
+    // Handle extension update - the startup initialization migrates
+    // stored values to the schema version bundled with the new release
     console.log("Extension updated from version:", details.previousVersion);
-    initializeSettings();
+    return whenSettingsReady().then(() => {
+      const migration = settingsManager?.lastMigration;
+      if (migration?.error) {
+        console.error(
+          "Settings migration failed after update, stored data kept:",
+          migration.error,
+        );
+      } else if (migration?.applied.length > 0) {
+        console.log("Settings migrated after update:", migration);
+      }
+    });
   }
 }
 
@@ -665,7 +1277,7 @@ function handleInstalled(details) {
  */
 function handleStartup() {
   console.log("Extension starting up");
-  initializeSettings();
+  whenSettingsReady();
 }
 
 /**
@@ -683,6 +1295,8 @@ function handleStorageChange(changes, areaName) {
 
     handleStorageChange.timeout = setTimeout(async () => {
       try {
+        // Never reload while the first initialization is still migrating
+        await whenSettingsReady();
         if (settingsManager) {
           await settingsManager.initialize();
           console.log("Settings reloaded due to storage change");
@@ -52,10 +52,13 @@ if (!browserAPI_exists) {
   const hasRuntime =
     (isChrome && chrome.runtime) || (isFirefox && browser.runtime);
   const hasTabs = (isChrome && chrome.tabs) || (isFirefox && browser.tabs);
+  const hasWindows =
+    (isChrome && chrome.windows) || (isFirefox && browser.windows);
   const hasAction =
     (isChrome && chrome.action) || (isFirefox && browser.action);
   const hasAlarms =
     (isChrome && chrome.alarms) || (isFirefox && browser.alarms);
+  const hasI18n = (isChrome && chrome.i18n) || (isFirefox && browser.i18n);
 
   // Unified browser API object
   const browserAPI = {
@@ -214,6 +217,10 @@ if (!browserAPI_exists) {
             ? promisify(chrome.tabs.create, chrome.tabs)
             : browser.tabs.create?.bind(browser.tabs) ||
               (() => Promise.resolve()),
+          update: isChrome
+            ? promisify(chrome.tabs.update, chrome.tabs)
+            : browser.tabs.update?.bind(browser.tabs) ||
+              (() => Promise.resolve()),
           onUpdated: {
             addListener: isChrome
               ? chrome.tabs.onUpdated?.addListener?.bind(
@@ -233,6 +240,16 @@ if (!browserAPI_exists) {
         }
       : null,
 
+    // Windows API
+    windows: hasWindows
+      ? {
+          update: isChrome
+            ? promisify(chrome.windows.update, chrome.windows)
+            : browser.windows.update?.bind(browser.windows) ||
+              (() => Promise.resolve()),
+        }
+      : null,
+
     // Action API (browser action)
     action: hasAction
       ? {
@@ -315,6 +332,18 @@ if (!browserAPI_exists) {
         }
       : null,
 
+    // i18n API (synchronous in every browser)
+    i18n: hasI18n
+      ? {
+          getMessage: isChrome
+            ? chrome.i18n.getMessage.bind(chrome.i18n)
+            : browser.i18n.getMessage.bind(browser.i18n),
+          getUILanguage: isChrome
+            ? chrome.i18n.getUILanguage?.bind(chrome.i18n) || (() => "en")
+            : browser.i18n.getUILanguage?.bind(browser.i18n) || (() => "en"),
+        }
+      : null,
+
     // Browser environment detection
     environment: {
       isChrome,
@@ -326,6 +355,7 @@ if (!browserAPI_exists) {
       hasTabs,
       hasAction,
       hasAlarms,
+      hasI18n,
     },
 
     // Browser information
@@ -1,13 +1,44 @@
 // lib/config-loader.js
 // Centralized configuration loader for settings management
 // Provides single source of truth for all setting definitions
+// Assumes i18n.js, json-schema.js, value-formats.js and settings-validator.js
+// are loaded before this script
 
 class ConfigurationLoader {
   constructor() {
     this.config = null;
     this.configCache = null;
+    this.metadata = {};
     this.cacheTimestamp = null;
     this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes cache
+
+    // Top-level keys with this prefix describe the configuration itself
+    // (e.g. "$schemaVersion") and are never treated as settings
+    this.METADATA_PREFIX = "$";
+
+    // Setting fields holding conditions on other settings' values
+    this.CONDITION_FIELDS = ["dependsOn", "visibleWhen", "enabledWhen"];
+
+    // Cross-field rule types accepted in "$rules"
+    this.RULE_TYPES = [
+      "required-if",
+      "less-than",
+      "mutually-exclusive",
+      "expression",
+    ];
+
+    // Setting fields shown to users, which may reference _locales messages
+    this.LOCALIZED_FIELDS = [
+      "displayName",
+      "description",
+      "helpText",
+      "placeholder",
+      "unit",
+      "popupGroup",
+    ];
+
+    // Layouts a setting can use in the popup
+    this.POPUP_WIDGETS = ["full", "compact"];
   }
 
   /**
@@ -60,18 +91,28 @@ class ConfigurationLoader {
         );
       }
 
-      const config = await response.json();
+      const rawConfig = await response.json();
+
+      // Separate configuration metadata from setting definitions
+      const { settings: config, metadata } = this.splitConfiguration(rawConfig);
 
       // Validate schema
+      this.validateMetadata(metadata);
       this.validateConfiguration(config);
+      this.validateRules(metadata.rules, config);
+      this.validateCategories(metadata.categories);
+
+      // Replace message references with text in the UI language
+      const localized = this.localizeConfiguration(config);
 
       // Cache for performance
-      this.configCache = config;
-      this.config = config;
+      this.configCache = localized;
+      this.config = localized;
+      this.metadata = this.localizeMetadata(metadata);
       this.cacheTimestamp = Date.now();
 
       console.log("Configuration loaded successfully:", Object.keys(config));
-      return config;
+      return localized;
     } catch (error) {
       console.error("Configuration loading failed:", error);
 
@@ -95,15 +136,23 @@ class ConfigurationLoader {
         displayName: "Enable Main Feature",
         category: "general",
         order: 1,
+        popup: true,
+        popupGroup: "Quick Settings",
+        popupOrder: 1,
+        popupWidget: "compact",
       },
       api_key: {
-        type: "text",
+        type: "secret",
         value: "",
         description: "API key for external service",
         displayName: "API Key",
         category: "general",
+        sensitive: true,
         maxLength: 100,
         order: 2,
+        popup: true,
+        popupGroup: "Configuration",
+        popupOrder: 3,
       },
       refresh_interval: {
         type: "enum",
@@ -119,6 +168,9 @@ class ConfigurationLoader {
           1800: "30 minutes",
         },
         order: 3,
+        popup: true,
+        popupGroup: "Quick Settings",
+        popupOrder: 2,
       },
       custom_css: {
         type: "longtext",
@@ -127,7 +179,11 @@ class ConfigurationLoader {
         displayName: "Custom CSS",
         category: "appearance",
         maxLength: 50000,
+        validators: ["css"],
         order: 1,
+        popup: true,
+        popupGroup: "Appearance",
+        popupOrder: 5,
       },
       advanced_config: {
         type: "json",
@@ -136,15 +192,28 @@ class ConfigurationLoader {
           timeout: 5000,
           retries: 3,
         },
+        schema: {
+          type: "object",
+          properties: {
+            endpoint: { type: "string", pattern: "^https?://" },
+            timeout: { type: "number", minimum: 0 },
+            retries: { type: "integer", minimum: 0, maximum: 10 },
+          },
+          required: ["endpoint"],
+        },
         description: "Advanced configuration object",
         displayName: "Advanced Configuration",
         category: "advanced",
         order: 1,
+        popup: true,
+        popupGroup: "Configuration",
+        popupOrder: 4,
       },
     };
 
     this.configCache = fallbackConfig;
     this.config = fallbackConfig;
+    this.metadata = {};
     this.cacheTimestamp = Date.now();
 
     return fallbackConfig;
@@ -162,6 +231,62 @@ class ConfigurationLoader {
     );
   }
 
+  /**
+   * Split a raw configuration into setting definitions and metadata
+   * @param {Object} rawConfig - Configuration as loaded from defaults.json
+   * @returns {{settings: Object, metadata: Object}} Settings and metadata (prefix stripped)
+   */
+  splitConfiguration(rawConfig) {
+    const settings = {};
+    const metadata = {};
+
+    if (!rawConfig || typeof rawConfig !== "object") {
+      return { settings: rawConfig, metadata };
+    }
+
+    for (const [key, entry] of Object.entries(rawConfig)) {
+      if (key.startsWith(this.METADATA_PREFIX)) {
+        metadata[key.slice(this.METADATA_PREFIX.length)] = entry;
+      } else {
+        settings[key] = entry;
+      }
+    }
+
+    return { settings, metadata };
+  }
+
+  /**
+   * Validate configuration metadata
+   * @param {Object} metadata - Metadata extracted by splitConfiguration()
+   * @throws {Error} If metadata is invalid
+   */
+  validateMetadata(metadata) {
+    if (
+      metadata.schemaVersion !== undefined &&
+      (!Number.isInteger(metadata.schemaVersion) || metadata.schemaVersion < 1)
+    ) {
+      throw new Error(
+        "Invalid configuration metadata: '$schemaVersion' must be a positive integer",
+      );
+    }
+  }
+
+  /**
+   * Get the schema version declared by the configuration
+   * @returns {number} Schema version (1 when not declared)
+   */
+  getSchemaVersion() {
+    return this.metadata?.schemaVersion || 1;
+  }
+
+  /**
+   * Get the cross-field rules declared by the configuration
+   * @returns {Array<Object>} Rules from "$rules" (empty when not declared)
+   */
+  getRules() {
+    return this.metadata?.rules || [];
+  }
+
   /**
    * Validate configuration object structure
    * @param {Object} config - Configuration to validate
@@ -198,6 +323,14 @@ class ConfigurationLoader {
         );
       }
 
+      for (const flag of ["siteOverride", "sensitive"]) {
+        if (setting[flag] !== undefined && typeof setting[flag] !== "boolean") {
+          throw new Error(
+            `Invalid setting configuration for '${key}': '${flag}' must be a boolean`,
+          );
+        }
+      }
+
       // Validate setting type
       const validTypes = [
         "boolean",
@@ -206,6 +339,8 @@ class ConfigurationLoader {
         "number",
         "json",
         "enum",
+        "secret",
+        ...ValueFormats.TYPES,
       ];
       if (!validTypes.includes(setting.type)) {
         throw new Error(
@@ -213,6 +348,24 @@ class ConfigurationLoader {
         );
       }
 
+      if (
+        setting.validation !== undefined &&
+        setting.validation !== "required"
+      ) {
+        throw new Error(
+          `Invalid setting configuration for '${key}': 'validation' must be "required"`,
+        );
+      }
+
+      this.validateValidatorReferences(key, setting.validators);
+      this.validateLocalization(key, setting.i18n);
+      this.validatePopupPlacement(key, setting);
+
+      // Site overrides are read by content scripts, which never see secrets
+      if (setting.type === "secret" && setting.siteOverride) {
+        throw new Error(`Secret setting '${key}' cannot allow site overrides`);
+      }
+
       // Validate enum options
       if (setting.type === "enum") {
         if (!setting.options || typeof setting.options !== "object") {
@@ -254,6 +407,122 @@ class ConfigurationLoader {
         }
       }
 
+      // Validate embedded JSON Schema and the default value against it
+      if (setting.type === "json" && setting.schema !== undefined) {
+        try {
+          JsonSchemaValidator.assertValidSchema(
+            setting.schema,
+            `${key}.schema`,
+          );
+        } catch (error) {
+          throw new Error(
+            `Invalid setting configuration for '${key}': ${error.message}`,
+          );
+        }
+
+        const schemaErrors = JsonSchemaValidator.validate(
+          setting.value,
+          setting.schema,
+          key,
+        );
+        if (schemaErrors.length > 0) {
+          throw new Error(
+            `Default value for '${key}' does not match its schema: ${schemaErrors[0].message}`,
+          );
+        }
+      }
+
+      // Validate url schemes and the default value of formatted types
+      if (setting.type === "url" && setting.schemes !== undefined) {
+        if (
+          !Array.isArray(setting.schemes) ||
+          setting.schemes.length === 0 ||
+          setting.schemes.some(
+            (scheme) =>
+              typeof scheme !== "string" || !/^[a-z][a-z0-9+.-]*$/.test(scheme),
+          )
+        ) {
+          throw new Error(
+            `Invalid setting configuration for '${key}': 'schemes' must be a non-empty array of lowercase URL schemes`,
+          );
+        }
+      }
+
+      // Validate list definitions
+      if (setting.type === "array") {
+        if (
+          !setting.items ||
+          typeof setting.items !== "object" ||
+          !ValueFormats.ITEM_TYPES.includes(setting.items.type)
+        ) {
+          throw new Error(
+            `Array setting '${key}' must have 'items' with a type of: ${ValueFormats.ITEM_TYPES.join(", ")}`,
+          );
+        }
+      }
+
+      if (setting.type === "multiselect") {
+        if (
+          !setting.options ||
+          typeof setting.options !== "object" ||
+          Object.keys(setting.options).length === 0 ||
+          Object.values(setting.options).some(
+            (label) => typeof label !== "string",
+          )
+        ) {
+          throw new Error(
+            `Multiselect setting '${key}' must have an 'options' object of string labels`,
+          );
+        }
+      }
+
+      if (setting.type === "records") {
+        const fields =
+          setting.fields && typeof setting.fields === "object"
+            ? Object.entries(setting.fields)
+            : [];
+        if (
+          fields.length === 0 ||
+          fields.some(
+            ([, field]) =>
+              !field || !ValueFormats.FIELD_TYPES.includes(field.type),
+          )
+        ) {
+          throw new Error(
+            `Records setting '${key}' must have 'fields' with types of: ${ValueFormats.FIELD_TYPES.join(", ")}`,
+          );
+        }
+      }
+
+      if (
+        setting.type === "array" ||
+        setting.type === "multiselect" ||
+        setting.type === "records"
+      ) {
+        for (const bound of ["minItems", "maxItems"]) {
+          if (
+            setting[bound] !== undefined &&
+            (!Number.isInteger(setting[bound]) || setting[bound] < 0)
+          ) {
+            throw new Error(
+              `Invalid setting configuration for '${key}': '${bound}' must be a non-negative integer`,
+            );
+          }
+        }
+        if (setting.minItems > setting.maxItems) {
+          throw new Error(
+            `Invalid setting configuration for '${key}': 'minItems' exceeds 'maxItems'`,
+          );
+        }
+      }
+
+      if (ValueFormats.TYPES.includes(setting.type)) {
+        const problem = ValueFormats.check(setting, setting.value);
+        if (problem) {
+          throw new Error(`Default value for '${key}' ${problem}`);
+        }
+      }
+
       // Validate number constraints
       if (setting.type === "number") {
         if (typeof setting.value !== "number") {
@@ -273,10 +542,714 @@ class ConfigurationLoader {
             `Default value for '${key}' is above maximum constraint`,
           );
         }
+
+        this.validateNumberDisplay(key, setting);
+      }
+    }
+
+    // Validate conditional visibility/enablement rules between settings
+    this.validateConditions(config);
+  }
+
+  /**
+   * Validate the named validators listed by a setting
+   * @param {string} key - Setting key
+   * @param {Array|undefined} validators - Names or { name, params, message }
+   * @throws {Error} If a reference is malformed or names no registered validator
+   */
+  validateValidatorReferences(key, validators) {
+    if (validators === undefined) {
+      return;
+    }
+
+    const invalid = (message) =>
+      new Error(`Invalid setting configuration for '${key}': ${message}`);
+    if (!Array.isArray(validators)) {
+      throw invalid("'validators' must be an array");
+    }
+
+    for (const reference of validators) {
+      const { name, params, message } =
+        typeof reference === "string" ? { name: reference } : reference || {};
+      if (typeof name !== "string") {
+        throw invalid(
+          "'validators' entries must be a name or an object with a 'name'",
+        );
+      }
+      if (
+        params !== undefined &&
+        (!params || typeof params !== "object" || Array.isArray(params))
+      ) {
+        throw invalid(`'params' of validator '${name}' must be an object`);
+      }
+      if (message !== undefined && typeof message !== "string") {
+        throw invalid(`'message' of validator '${name}' must be a string`);
+      }
+      if (!SettingsValidator.has(name)) {
+        throw invalid(`unknown validator '${name}'`);
+      }
+    }
+  }
+
+  /**
+   * Validate the "i18n" block of a setting, mapping user-facing fields (and
+   * enum/multiselect option keys under "options") to message names
+   * @param {string} key - Setting key
+   * @param {Object|undefined} i18n - { field: messageName, options: {...} }
+   * @throws {Error} If the block is malformed
+   */
+  validateLocalization(key, i18n) {
+    if (i18n === undefined) {
+      return;
+    }
+
+    const invalid = (message) =>
+      new Error(`Invalid setting configuration for '${key}': ${message}`);
+    if (!i18n || typeof i18n !== "object" || Array.isArray(i18n)) {
+      throw invalid("'i18n' must be an object");
+    }
+
+    for (const [field, name] of Object.entries(i18n)) {
+      if (field === "options") {
+        if (!name || typeof name !== "object" || Array.isArray(name)) {
+          throw invalid("'i18n.options' must be an object");
+        }
+        for (const [option, optionName] of Object.entries(name)) {
+          if (!this.isMessageName(optionName)) {
+            throw invalid(
+              `'i18n.options.${option}' must be a message name (letters, digits and _)`,
+            );
+          }
+        }
+      } else if (!this.LOCALIZED_FIELDS.includes(field)) {
+        throw invalid(
+          `'i18n.${field}' is not localizable. Must be one of: ${[...this.LOCALIZED_FIELDS, "options"].join(", ")}`,
+        );
+      } else if (!this.isMessageName(name)) {
+        throw invalid(
+          `'i18n.${field}' must be a message name (letters, digits and _)`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Validate where a setting appears in the popup: "popup" shows it there,
+   * "popupGroup" names the group it is listed under, "popupOrder" sorts it
+   * and "popupWidget" picks the full or compact layout
+   * @param {string} key - Setting key
+   * @param {Object} setting - Setting definition
+   * @throws {Error} If a placement property is invalid
+   */
+  validatePopupPlacement(key, setting) {
+    const invalid = (message) =>
+      new Error(`Invalid setting configuration for '${key}': ${message}`);
+
+    if (setting.popup !== undefined && typeof setting.popup !== "boolean") {
+      throw invalid("'popup' must be a boolean");
+    }
+    if (
+      setting.popupGroup !== undefined &&
+      (typeof setting.popupGroup !== "string" || !setting.popupGroup.trim())
+    ) {
+      throw invalid("'popupGroup' must be a non-empty string");
+    }
+    if (
+      setting.popupOrder !== undefined &&
+      !Number.isFinite(setting.popupOrder)
+    ) {
+      throw invalid("'popupOrder' must be a number");
+    }
+    if (
+      setting.popupWidget !== undefined &&
+      !this.POPUP_WIDGETS.includes(setting.popupWidget)
+    ) {
+      throw invalid(
+        `'popupWidget' must be one of: ${this.POPUP_WIDGETS.join(", ")}`,
+      );
+    }
+  }
+
+  /**
+   * Whether a value can name a message in messages.json
+   * @param {*} name - Value to test
+   * @returns {boolean}
+   */
+  isMessageName(name) {
+    return typeof name === "string" && /^[A-Za-z0-9_@]+$/.test(name);
+  }
+
+  /**
+   * Resolve the user-facing text of setting definitions in the UI language.
+   * A field is taken from the message named in the setting's "i18n" block,
+   * keeping the literal field as fallback, or from "__MSG_name__"
+   * references inside the field itself. Option labels, record field labels
+   * and validator messages accept references too
+   * @param {Object} config - Validated setting definitions
+   * @returns {Object} Localized copy of the definitions
+   */
+  localizeConfiguration(config) {
+    const localized = {};
+
+    for (const [key, setting] of Object.entries(config)) {
+      const i18n = setting.i18n || {};
+      const copy = { ...setting };
+
+      for (const field of this.LOCALIZED_FIELDS) {
+        if (i18n[field]) {
+          copy[field] = I18n.getMessage(i18n[field], [], setting[field] ?? "");
+        } else if (typeof setting[field] === "string") {
+          copy[field] = I18n.resolve(setting[field]);
+        }
+      }
+
+      if (setting.options && typeof setting.options === "object") {
+        copy.options = Object.fromEntries(
+          Object.entries(setting.options).map(([option, label]) => [
+            option,
+            i18n.options?.[option]
+              ? I18n.getMessage(i18n.options[option], [], label)
+              : I18n.resolve(label),
+          ]),
+        );
+      }
+
+      if (setting.fields && typeof setting.fields === "object") {
+        copy.fields = Object.fromEntries(
+          Object.entries(setting.fields).map(([name, field]) => [
+            name,
+            typeof field?.label === "string"
+              ? { ...field, label: I18n.resolve(field.label) }
+              : field,
+          ]),
+        );
+      }
+
+      if (Array.isArray(setting.validators)) {
+        copy.validators = setting.validators.map((reference) =>
+          typeof reference?.message === "string"
+            ? { ...reference, message: I18n.resolve(reference.message) }
+            : reference,
+        );
+      }
+
+      localized[key] = copy;
+    }
+
+    return localized;
+  }
+
+  /**
+   * Resolve the messages of "$rules" and the names and descriptions of
+   * "$categories", which localize the same way as setting fields
+   * @param {Object} metadata - Validated metadata
+   * @returns {Object} Localized copy of the metadata
+   */
+  localizeMetadata(metadata) {
+    const localized = { ...metadata };
+
+    if (Array.isArray(metadata.rules)) {
+      localized.rules = metadata.rules.map((rule) =>
+        typeof rule.message === "string"
+          ? { ...rule, message: I18n.resolve(rule.message) }
+          : rule,
+      );
+    }
+
+    if (metadata.categories) {
+      localized.categories = Object.fromEntries(
+        Object.entries(metadata.categories).map(([key, category]) => {
+          const i18n = category.i18n || {};
+          const copy = { ...category };
+          for (const field of ["displayName", "description"]) {
+            copy[field] = i18n[field]
+              ? I18n.getMessage(i18n[field], [], category[field] ?? "")
+              : I18n.resolve(category[field]);
+          }
+          return [key, copy];
+        }),
+      );
+    }
+
+    return localized;
+  }
+
+  /**
+   * Validate step, unit, format and widget of a number setting
+   * @param {string} key - Setting key
+   * @param {Object} setting - Number setting definition
+   * @throws {Error} If a display property is invalid or the default is off-step
+   */
+  validateNumberDisplay(key, setting) {
+    const invalid = (message) =>
+      new Error(`Invalid setting configuration for '${key}': ${message}`);
+
+    if (setting.step !== undefined) {
+      if (typeof setting.step !== "number" || !(setting.step > 0)) {
+        throw invalid("'step' must be a positive number");
+      }
+      if (
+        !ValueFormats.isAlignedToStep(setting.value, setting.step, setting.min)
+      ) {
+        throw new Error(
+          `Default value for '${key}' is not a multiple of step ${setting.step}`,
+        );
+      }
+    }
+
+    if (setting.unit !== undefined && typeof setting.unit !== "string") {
+      throw invalid("'unit' must be a string");
+    }
+
+    if (
+      setting.format !== undefined &&
+      !ValueFormats.NUMBER_FORMATS.includes(setting.format)
+    ) {
+      throw invalid(
+        `'format' must be one of: ${ValueFormats.NUMBER_FORMATS.join(", ")}`,
+      );
+    }
+
+    if (setting.widget !== undefined) {
+      if (setting.widget !== "slider") {
+        throw invalid("'widget' must be \"slider\"");
+      }
+      if (setting.min === undefined || setting.max === undefined) {
+        throw invalid("a slider needs both 'min' and 'max'");
       }
     }
   }
 
+  /**
+   * Validate dependsOn/visibleWhen/enabledWhen rules and reject cycles
+   * @param {Object} config - Configuration to validate
+   * @throws {Error} If a rule is malformed, references an unknown setting or forms a cycle
+   */
+  validateConditions(config) {
+    const graph = new Map();
+
+    for (const [key, setting] of Object.entries(config)) {
+      const references = new Set();
+
+      for (const field of this.CONDITION_FIELDS) {
+        if (setting[field] === undefined) {
+          continue;
+        }
+
+        const condition =
+          field === "dependsOn"
+            ? this.dependsOnToCondition(setting.dependsOn, key)
+            : setting[field];
+
+        for (const reference of this.getConditionReferences(
+          condition,
+          `${key}.${field}`,
+        )) {
+          if (reference === key) {
+            throw new Error(
+              `Invalid condition '${key}.${field}': setting cannot depend on itself`,
+            );
+          }
+          if (!Object.prototype.hasOwnProperty.call(config, reference)) {
+            throw new Error(
+              `Invalid condition '${key}.${field}': unknown setting '${reference}'`,
+            );
+          }
+          references.add(reference);
+        }
+      }
+
+      graph.set(key, references);
+    }
+
+    const cycle = this.findDependencyCycle(graph);
+    if (cycle) {
+      throw new Error(`Circular setting dependency: ${cycle.join(" -> ")}`);
+    }
+  }
+
+  /**
+   * Validate the "$rules" list of cross-field rules
+   * @param {Array<Object>|undefined} rules - Rules from the metadata
+   * @param {Object} config - Setting definitions the rules refer to
+   * @throws {Error} If a rule is malformed or references an unknown setting
+   */
+  validateRules(rules, config) {
+    if (rules === undefined) {
+      return;
+    }
+    if (!Array.isArray(rules)) {
+      throw new Error(
+        "Invalid configuration metadata: '$rules' must be an array",
+      );
+    }
+
+    rules.forEach((rule, index) => {
+      const path = `$rules[${index}]`;
+      const invalid = (message) =>
+        new Error(`Invalid rule '${path}': ${message}`);
+      const checkKey = (key, field) => {
+        if (typeof key !== "string") {
+          throw invalid(`'${field}' must be a setting key`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(config, key)) {
+          throw invalid(`unknown setting '${key}'`);
+        }
+      };
+      const checkCondition = (condition, field) => {
+        for (const reference of this.getConditionReferences(
+          condition,
+          `${path}.${field}`,
+        )) {
+          checkKey(reference, field);
+        }
+      };
+
+      if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+        throw invalid("must be an object");
+      }
+      if (!this.RULE_TYPES.includes(rule.type)) {
+        throw invalid(`'type' must be one of: ${this.RULE_TYPES.join(", ")}`);
+      }
+      if (rule.message !== undefined && typeof rule.message !== "string") {
+        throw invalid("'message' must be a string");
+      }
+      if (rule.when !== undefined) {
+        checkCondition(rule.when, "when");
+      }
+
+      switch (rule.type) {
+        case "required-if":
+          checkKey(rule.setting, "setting");
+          if (rule.when === undefined) {
+            throw invalid("'required-if' needs a 'when' condition");
+          }
+          break;
+
+        case "less-than":
+          checkKey(rule.setting, "setting");
+          if (typeof rule.than === "string") {
+            checkKey(rule.than.split(".")[0], "than");
+          } else if (typeof rule.than !== "number") {
+            throw invalid(
+              "'than' must be a number or a setting key (optionally with a .path)",
+            );
+          }
+          if (rule.orEqual !== undefined && typeof rule.orEqual !== "boolean") {
+            throw invalid("'orEqual' must be a boolean");
+          }
+          break;
+
+        case "mutually-exclusive":
+          if (!Array.isArray(rule.settings) || rule.settings.length < 2) {
+            throw invalid("'settings' must list at least two setting keys");
+          }
+          rule.settings.forEach((key) => checkKey(key, "settings"));
+          break;
+
+        case "expression":
+          if (rule.assert === undefined) {
+            throw invalid("'expression' needs an 'assert' condition");
+          }
+          checkCondition(rule.assert, "assert");
+          if (!rule.message) {
+            throw invalid("'expression' needs a 'message'");
+          }
+          if (rule.settings !== undefined) {
+            if (!Array.isArray(rule.settings)) {
+              throw invalid("'settings' must be an array of setting keys");
+            }
+            rule.settings.forEach((key) => checkKey(key, "settings"));
+          }
+          break;
+      }
+    });
+  }
+
+  /**
+   * Validate the "$categories" metadata. Each entry is keyed by the name
+   * settings use in their "category" field and may carry a displayName,
+   * description, icon, order and the parent category it is nested in
+   * @param {Object|undefined} categories - Category definitions by key
+   * @throws {Error} If a definition is malformed or parents form a cycle
+   */
+  validateCategories(categories) {
+    if (categories === undefined) {
+      return;
+    }
+    if (
+      !categories ||
+      typeof categories !== "object" ||
+      Array.isArray(categories)
+    ) {
+      throw new Error(
+        "Invalid configuration metadata: '$categories' must be an object",
+      );
+    }
+
+    for (const [key, category] of Object.entries(categories)) {
+      const invalid = (message) =>
+        new Error(`Invalid category '$categories.${key}': ${message}`);
+
+      if (
+        !category ||
+        typeof category !== "object" ||
+        Array.isArray(category)
+      ) {
+        throw invalid("must be an object");
+      }
+
+      for (const field of ["displayName", "description", "icon"]) {
+        if (
+          category[field] !== undefined &&
+          typeof category[field] !== "string"
+        ) {
+          throw invalid(`'${field}' must be a string`);
+        }
+      }
+
+      if (category.order !== undefined && !Number.isFinite(category.order)) {
+        throw invalid("'order' must be a number");
+      }
+
+      if (category.parent !== undefined) {
+        if (
+          !Object.prototype.hasOwnProperty.call(categories, category.parent)
+        ) {
+          throw invalid(`unknown parent category '${category.parent}'`);
+        }
+
+        const chain = [key];
+        for (let parent = category.parent; parent !== undefined; ) {
+          if (chain.includes(parent)) {
+            throw invalid(
+              `circular parent chain: ${[...chain, parent].join(" -> ")}`,
+            );
+          }
+          chain.push(parent);
+          parent = categories[parent].parent;
+        }
+      }
+
+      if (category.i18n !== undefined) {
+        if (
+          !category.i18n ||
+          typeof category.i18n !== "object" ||
+          Array.isArray(category.i18n)
+        ) {
+          throw invalid("'i18n' must be an object");
+        }
+        for (const [field, name] of Object.entries(category.i18n)) {
+          if (!["displayName", "description"].includes(field)) {
+            throw invalid(
+              `'i18n.${field}' is not localizable. Must be one of: displayName, description`,
+            );
+          }
+          if (!this.isMessageName(name)) {
+            throw invalid(
+              `'i18n.${field}' must be a message name (letters, digits and _)`,
+            );
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Convert a dependsOn shorthand into a condition expression
+   * @param {string|Array<string>} dependsOn - Key or keys that must be truthy
+   * @param {string} key - Setting key (for error messages)
+   * @returns {Object} Equivalent condition
+   */
+  dependsOnToCondition(dependsOn, key = "setting") {
+    const keys = Array.isArray(dependsOn) ? dependsOn : [dependsOn];
+
+    if (
+      keys.length === 0 ||
+      keys.some((dependency) => typeof dependency !== "string")
+    ) {
+      throw new Error(
+        `Invalid condition '${key}.dependsOn': must be a setting key or array of keys`,
+      );
+    }
+
+    return { all: keys.map((dependency) => ({ setting: dependency })) };
+  }
+
+  /**
+   * Collect setting keys referenced by a condition, validating its shape
+   * @param {string|Object} condition - Condition expression
+   * @param {string} path - Location of the condition (for error messages)
+   * @returns {Array<string>} Referenced setting keys
+   * @throws {Error} If the condition is malformed
+   */
+  getConditionReferences(condition, path = "condition") {
+    if (typeof condition === "string") {
+      return [condition];
+    }
+
+    if (
+      !condition ||
+      typeof condition !== "object" ||
+      Array.isArray(condition)
+    ) {
+      throw new Error(
+        `Invalid condition '${path}': must be a setting key or object`,
+      );
+    }
+
+    if (condition.all !== undefined || condition.any !== undefined) {
+      const operator = condition.all !== undefined ? "all" : "any";
+      const operands = condition[operator];
+      if (!Array.isArray(operands) || operands.length === 0) {
+        throw new Error(
+          `Invalid condition '${path}': '${operator}' must be a non-empty array`,
+        );
+      }
+      return operands.flatMap((operand, index) =>
+        this.getConditionReferences(operand, `${path}.${operator}[${index}]`),
+      );
+    }
+
+    if (condition.not !== undefined) {
+      return this.getConditionReferences(condition.not, `${path}.not`);
+    }
+
+    if (typeof condition.setting !== "string") {
+      throw new Error(
+        `Invalid condition '${path}': missing 'setting', 'all', 'any' or 'not'`,
+      );
+    }
+
+    if (condition.in !== undefined && !Array.isArray(condition.in)) {
+      throw new Error(`Invalid condition '${path}': 'in' must be an array`);
+    }
+
+    return [condition.setting];
+  }
+
+  /**
+   * Find a cycle in a setting dependency graph
+   * @param {Map<string, Set<string>>} graph - Setting key to referenced keys
+   * @returns {Array<string>|null} Keys forming the cycle, or null
+   */
+  findDependencyCycle(graph) {
+    const visiting = new Set();
+    const visited = new Set();
+    const path = [];
+
+    const visit = (key) => {
+      if (visiting.has(key)) {
+        return [...path.slice(path.indexOf(key)), key];
+      }
+      if (visited.has(key)) {
+        return null;
+      }
+
+      visiting.add(key);
+      path.push(key);
+
+      for (const dependency of graph.get(key) || []) {
+        const cycle = visit(dependency);
+        if (cycle) {
+          return cycle;
+        }
+      }
+
+      path.pop();
+      visiting.delete(key);
+      visited.add(key);
+      return null;
+    };
+
+    for (const key of graph.keys()) {
+      const cycle = visit(key);
+      if (cycle) {
+        return cycle;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Evaluate a condition against current setting values
+   * @param {string|Object} condition - Condition expression
+   * @param {Object} values - Object with key-value pairs of current values
+   * @returns {boolean} Whether the condition holds
+   */
+  evaluateCondition(condition, values) {
+    if (typeof condition === "string") {
+      return Boolean(values[condition]);
+    }
+
+    if (condition.all !== undefined) {
+      return condition.all.every((operand) =>
+        this.evaluateCondition(operand, values),
+      );
+    }
+
+    if (condition.any !== undefined) {
+      return condition.any.some((operand) =>
+        this.evaluateCondition(operand, values),
+      );
+    }
+
+    if (condition.not !== undefined) {
+      return !this.evaluateCondition(condition.not, values);
+    }
+
+    const value = values[condition.setting];
+
+    if (Object.prototype.hasOwnProperty.call(condition, "equals")) {
+      return value === condition.equals;
+    }
+    if (Object.prototype.hasOwnProperty.call(condition, "notEquals")) {
+      return value !== condition.notEquals;
+    }
+    if (condition.in !== undefined) {
+      return condition.in.includes(value);
+    }
+    if (condition.truthy === false) {
+      return !value;
+    }
+
+    return Boolean(value);
+  }
+
+  /**
+   * Resolve whether a setting is visible and enabled for the given values
+   * @param {Object} setting - Setting definition
+   * @param {Object} values - Object with key-value pairs of current values
+   * @returns {{visible: boolean, enabled: boolean}} Setting state
+   */
+  getSettingState(setting, values) {
+    const state = { visible: true, enabled: true };
+
+    if (!setting) {
+      return state;
+    }
+
+    if (setting.visibleWhen !== undefined) {
+      state.visible = this.evaluateCondition(setting.visibleWhen, values);
+    }
+
+    if (setting.enabledWhen !== undefined) {
+      state.enabled = this.evaluateCondition(setting.enabledWhen, values);
+    }
+
+    if (setting.dependsOn !== undefined) {
+      state.enabled =
+        state.enabled &&
+        this.evaluateCondition(
+          this.dependsOnToCondition(setting.dependsOn),
+          values,
+        );
+    }
+
+    return state;
+  }
+
   /**
    * Get display name for a setting
    * @param {string} key - Setting key
@@ -318,7 +1291,8 @@ class ConfigurationLoader {
   }
 
   /**
-   * Get all available categories
+   * Get all available categories: those declared in "$categories" and
+   * those used by settings, parents before their children
    * @returns {Array<string>} Array of category names
    */
   getCategories() {
@@ -326,25 +1300,74 @@ class ConfigurationLoader {
       return [];
     }
 
-    const categories = new Set();
+    const categories = [];
+    const visit = (parent) => {
+      for (const category of this.getChildCategories(parent)) {
+        categories.push(category);
+        visit(category);
+      }
+    };
+    visit(null);
+
+    return categories;
+  }
+
+  /**
+   * Get the categories nested directly in a category, sorted by their
+   * declared order and then by key. Categories not declared in
+   * "$categories" are top-level and come after the declared ones
+   * @param {string|null} parent - Parent category, null for top-level ones
+   * @returns {Array<string>} Category names
+   */
+  getChildCategories(parent = null) {
+    if (!this.config) {
+      return [];
+    }
+
+    const declared = this.metadata?.categories || {};
+    const categories = new Set(Object.keys(declared));
     for (const setting of Object.values(this.config)) {
       if (setting.category) {
         categories.add(setting.category);
       }
     }
 
-    return Array.from(categories).sort();
+    const order = (category) => declared[category]?.order ?? Infinity;
+    return Array.from(categories)
+      .filter((category) => (declared[category]?.parent ?? null) === parent)
+      .sort((a, b) => order(a) - order(b) || (a < b ? -1 : a > b ? 1 : 0));
+  }
+
+  /**
+   * Get the description of a category, with defaults for categories not
+   * declared in "$categories"
+   * @param {string} category - Category key
+   * @returns {Object} { key, displayName, description, icon, order, parent }
+   */
+  getCategory(category) {
+    const declared = this.metadata?.categories?.[category] || {};
+
+    return {
+      key: category,
+      displayName: this.getCategoryDisplayName(category),
+      description: declared.description || "",
+      icon: declared.icon || null,
+      order: declared.order ?? null,
+      parent: declared.parent ?? null,
+    };
   }
 
   /**
    * Get category display name
    * @param {string} category - Category key
-   * @returns {string} Formatted category name
+   * @returns {string} Declared display name, or a "category_<key>"
+   *   message, or the formatted key
    */
   getCategoryDisplayName(category) {
-    // For now, just format the category key
-    // Could be extended to support category metadata in the future
-    return this.formatKey(category);
+    return (
+      this.metadata?.categories?.[category]?.displayName ||
+      I18n.getMessage(`category_${category}`, [], this.formatKey(category))
+    );
   }
 
   /**
@@ -379,6 +1402,7 @@ class ConfigurationLoader {
   clearCache() {
     this.configCache = null;
     this.config = null;
+    this.metadata = {};
     this.cacheTimestamp = null;
   }
 
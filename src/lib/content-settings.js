@@ -25,7 +25,9 @@ class ContentScriptSettings {
   }
 
   /**
-   * Request single setting from background
+   * Request single setting from background. The background applies
+   * per-site overrides for the page this script runs in, so the value is
+   * the one in effect here rather than the global value.
    * @param {string} key - Setting key
    * @returns {Promise<Object>}
    */
@@ -283,9 +285,11 @@ class ContentScriptSettings {
 
   /**
    * Export settings
+   * @param {Object} options - EXPORT_SETTINGS filters ({ categories, keys,
+   *   format, onlyModified, sensitive })
    * @returns {Promise<string>}
    */
-  async exportSettings() {
+  async exportSettings(options = {}) {
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
         reject(new Error("Timeout exporting settings"));
@@ -293,6 +297,7 @@ class ContentScriptSettings {
 
       try {
         const messagePromise = browserAPI.runtime.sendMessage({
+          ...options,
           type: "EXPORT_SETTINGS",
         });
 
@@ -405,6 +410,46 @@ class ContentScriptSettings {
     });
   }
 
+  /**
+   * Open the options page, scrolled to a setting when a key is given
+   * @param {string} [key] - Setting key
+   * @returns {Promise<boolean>}
+   */
+  async openOptions(key) {
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        reject(new Error("Timeout opening options page"));
+      }, this.messageTimeout);
+
+      try {
+        const messagePromise = browserAPI.runtime.sendMessage({
+          type: "OPEN_OPTIONS",
+          key,
+        });
+
+        Promise.resolve(messagePromise)
+          .then((response) => {
+            clearTimeout(timeout);
+
+            if (response && response.error) {
+              reject(new Error(response.error));
+            } else if (response && response.success) {
+              resolve(true);
+            } else {
+              reject(new Error("Invalid response for open options"));
+            }
+          })
+          .catch((error) => {
+            clearTimeout(timeout);
+            reject(error);
+          });
+      } catch (error) {
+        clearTimeout(timeout);
+        reject(error);
+      }
+    });
+  }
+
   /**
    * Get storage statistics
    * @returns {Promise<Object>}
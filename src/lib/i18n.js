@@ -0,0 +1,180 @@
+// lib/i18n.js
+// Localized text from _locales/<locale>/messages.json through the browser
+// i18n API, falling back to the English text given by the caller
+
+// Languages written right to left, used when the browser does not report
+// the direction itself
+const RTL_LANGUAGES = ["ar", "dv", "fa", "he", "ku", "ps", "ur", "yi"];
+
+/**
+ * Looks up localized messages.
+ *
+ * Every lookup carries its English text as a fallback, so messages read the
+ * same outside the extension (tests, Node.js) and while a locale is still
+ * missing a key. Substitutions replace $1..$9 in both the message and the
+ * fallback; translators can reorder them freely.
+ *
+ * Configuration strings may embed message references as "__MSG_key__", the
+ * syntax the browser uses for manifest.json.
+ */
+class I18n {
+  /**
+   * Get a localized message
+   * @param {string} key - Message name in messages.json
+   * @param {Array<*>|*} substitutions - Values for $1..$9
+   * @param {string} fallback - English text used when the message is missing
+   * @returns {string} Message
+   */
+  static getMessage(key, substitutions = [], fallback = "") {
+    const values = (
+      Array.isArray(substitutions) ? substitutions : [substitutions]
+    ).map((value) => String(value));
+
+    const api = I18n.getAPI();
+    if (api && typeof api.getMessage === "function") {
+      try {
+        const message = api.getMessage(key, values);
+        if (message) {
+          return message;
+        }
+      } catch {
+        // Invalid message names throw in some browsers; use the fallback
+      }
+    }
+
+    return I18n.format(fallback, values);
+  }
+
+  /**
+   * Replace $1..$9 in a template; "$$" stands for a literal "$"
+   * @param {string} template - Text with positional placeholders
+   * @param {Array<string>} values - Substitutions
+   * @returns {string} Formatted text
+   */
+  static format(template, values = []) {
+    return String(template).replace(/\$(\$|[1-9])/g, (match, index) =>
+      index === "$" ? "$" : (values[Number(index) - 1] ?? ""),
+    );
+  }
+
+  /**
+   * Whether a string contains a "__MSG_key__" reference
+   * @param {*} text - Value to test
+   * @returns {boolean}
+   */
+  static hasReference(text) {
+    return typeof text === "string" && /__MSG_\w+__/.test(text);
+  }
+
+  /**
+   * Replace every "__MSG_key__" reference in a string with its message
+   * @param {string} text - Text with references
+   * @param {string} [fallback] - Text for missing messages; defaults to
+   *   the message name
+   * @returns {string} Resolved text
+   */
+  static resolve(text, fallback) {
+    if (!I18n.hasReference(text)) {
+      return text;
+    }
+    return text.replace(/__MSG_(\w+)__/g, (match, key) =>
+      I18n.getMessage(key, [], fallback ?? key),
+    );
+  }
+
+  /**
+   * Language of the browser UI, e.g. "en-US"
+   * @returns {string} BCP 47 language tag
+   */
+  static getUILanguage() {
+    const api = I18n.getAPI();
+    if (api && typeof api.getUILanguage === "function") {
+      return api.getUILanguage();
+    }
+    if (typeof navigator !== "undefined" && navigator.language) {
+      return navigator.language;
+    }
+    return "en";
+  }
+
+  /**
+   * Writing direction of the UI language
+   * @returns {string} "rtl" or "ltr"
+   */
+  static getDirection() {
+    const direction = I18n.getMessage("@@bidi_dir");
+    if (direction === "rtl" || direction === "ltr") {
+      return direction;
+    }
+
+    const language = I18n.getUILanguage().toLowerCase().split(/[-_]/)[0];
+    return RTL_LANGUAGES.includes(language) ? "rtl" : "ltr";
+  }
+
+  /**
+   * Localize a page: set the language and direction of the document, and
+   * replace the text of elements marked with data-i18n (text content),
+   * data-i18n-title, data-i18n-placeholder and data-i18n-aria-label. The
+   * markup's English text is the fallback
+   * @param {Document|Element} root - Document or subtree to localize
+   */
+  static localizeDocument(root = document) {
+    const documentElement = root.documentElement;
+    if (documentElement) {
+      documentElement.lang = I18n.getUILanguage();
+      documentElement.dir = I18n.getDirection();
+    }
+
+    for (const element of root.querySelectorAll("[data-i18n]")) {
+      element.textContent = I18n.getMessage(
+        element.dataset.i18n,
+        [],
+        element.textContent.trim(),
+      );
+    }
+
+    for (const [dataAttribute, attribute] of [
+      ["data-i18n-title", "title"],
+      ["data-i18n-placeholder", "placeholder"],
+      ["data-i18n-aria-label", "aria-label"],
+    ]) {
+      for (const element of root.querySelectorAll(`[${dataAttribute}]`)) {
+        element.setAttribute(
+          attribute,
+          I18n.getMessage(
+            element.getAttribute(dataAttribute),
+            [],
+            element.getAttribute(attribute) || "",
+          ),
+        );
+      }
+    }
+  }
+
+  /**
+   * Browser i18n API, or null outside the extension
+   * @returns {Object|null} i18n namespace
+   * @private
+   */
+  static getAPI() {
+    const scope = typeof globalThis !== "undefined" ? globalThis : {};
+    return (
+      scope.browserAPI?.i18n ||
+      scope.browser?.i18n ||
+      scope.chrome?.i18n ||
+      null
+    );
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== "undefined" && module.exports) {
+  // CommonJS (Node.js)
+  module.exports = I18n;
+} else if (typeof window !== "undefined") {
+  // Browser environment
+  window.I18n = I18n;
+} else {
+  // Service worker context
+  self.I18n = I18n;
+}
@@ -0,0 +1,405 @@
+// lib/json-schema.js
+// Minimal JSON Schema (draft-07 subset) validator for "json" type settings
+// Assumes i18n.js is loaded before this script
+
+/**
+ * Validates values against an embedded JSON Schema.
+ *
+ * Supported keywords: type, properties, required, additionalProperties,
+ * items, enum, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ * minLength, maxLength, pattern, minItems, maxItems.
+ * Unknown keywords are ignored, as in the full specification.
+ */
+class JsonSchemaValidator {
+  /**
+   * Value types understood by this validator
+   * @returns {Array<string>}
+   */
+  static get SUPPORTED_TYPES() {
+    return [
+      "object",
+      "array",
+      "string",
+      "number",
+      "integer",
+      "boolean",
+      "null",
+    ];
+  }
+
+  /**
+   * Validate a value against a schema
+   * @param {*} value - Value to validate
+   * @param {Object} schema - JSON Schema
+   * @param {string} path - Path of the value, used as prefix in messages
+   * @returns {Array<{path: string, message: string}>} Errors, empty when valid
+   */
+  static validate(value, schema, path = "value") {
+    const errors = [];
+    JsonSchemaValidator.validateNode(value, schema, path, errors);
+    return errors;
+  }
+
+  /**
+   * Get the JSON Schema type name of a value
+   * @param {*} value - Value to inspect
+   * @returns {string} Type name
+   */
+  static getType(value) {
+    if (value === null) {
+      return "null";
+    }
+    if (Array.isArray(value)) {
+      return "array";
+    }
+    if (typeof value === "number" && Number.isInteger(value)) {
+      return "integer";
+    }
+    return typeof value;
+  }
+
+  /**
+   * Check a value against a single schema type
+   * @param {*} value - Value to check
+   * @param {string} type - Schema type
+   * @returns {boolean} True if the value matches the type
+   */
+  static matchesType(value, type) {
+    const actual = JsonSchemaValidator.getType(value);
+    if (type === "number") {
+      return (
+        (actual === "number" || actual === "integer") && Number.isFinite(value)
+      );
+    }
+    return actual === type;
+  }
+
+  /**
+   * Describe an expected type for error messages
+   * @param {string} type - Schema type
+   * @returns {string} Type with article, e.g. "an object"
+   */
+  static describeType(type) {
+    const fallback = /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+    return I18n.getMessage(`schema_type_${type}`, [], fallback);
+  }
+
+  /**
+   * Validate one node of the value tree, collecting errors
+   * @private
+   */
+  static validateNode(value, schema, path, errors) {
+    if (!schema || typeof schema !== "object") {
+      return;
+    }
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some((type) => JsonSchemaValidator.matchesType(value, type))) {
+        errors.push({
+          path,
+          message: I18n.getMessage(
+            "schema_type",
+            [
+              path,
+              types
+                .map((type) => JsonSchemaValidator.describeType(type))
+                .reduce((list, type) =>
+                  I18n.getMessage(
+                    "schema_type_alternative",
+                    [list, type],
+                    "$1 or $2",
+                  ),
+                ),
+            ],
+            "$1 must be $2",
+          ),
+        });
+        // Further keywords would only repeat the type mismatch
+        return;
+      }
+    }
+
+    if (Array.isArray(schema.enum)) {
+      const serialized = JSON.stringify(value);
+      if (
+        !schema.enum.some((option) => JSON.stringify(option) === serialized)
+      ) {
+        errors.push({
+          path,
+          message: I18n.getMessage(
+            "schema_enum",
+            [
+              path,
+              schema.enum.map((option) => JSON.stringify(option)).join(", "),
+            ],
+            "$1 must be one of: $2",
+          ),
+        });
+      }
+    }
+
+    if (typeof value === "number") {
+      JsonSchemaValidator.validateNumber(value, schema, path, errors);
+    } else if (typeof value === "string") {
+      JsonSchemaValidator.validateString(value, schema, path, errors);
+    } else if (Array.isArray(value)) {
+      JsonSchemaValidator.validateArray(value, schema, path, errors);
+    } else if (value && typeof value === "object") {
+      JsonSchemaValidator.validateObject(value, schema, path, errors);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static validateNumber(value, schema, path, errors) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({
+        path,
+        message: I18n.getMessage(
+          "schema_minimum",
+          [path, schema.minimum],
+          "$1 must be at least $2",
+        ),
+      });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({
+        path,
+        message: I18n.getMessage(
+          "schema_maximum",
+          [path, schema.maximum],
+          "$1 must be at most $2",
+        ),
+      });
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      errors.push({
+        path,
+        message: I18n.getMessage(
+          "schema_exclusive_minimum",
+          [path, schema.exclusiveMinimum],
+          "$1 must be greater than $2",
+        ),
+      });
+    }
+    if (
+      schema.exclusiveMaximum !== undefined &&
+      value >= schema.exclusiveMaximum
+    ) {
+      errors.push({
+        path,
+        message: I18n.getMessage(
+          "schema_exclusive_maximum",
+          [path, schema.exclusiveMaximum],
+          "$1 must be less than $2",
+        ),
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  static validateString(value, schema, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        path,
+        message: I18n.getMessage(
+          "schema_min_length",
+          [path, schema.minLength],
+          "$1 must be at least $2 characters",
+        ),
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({
+        path,
+        message: I18n.getMessage(
+          "schema_max_length",
+          [path, schema.maxLength],
+          "$1 must be at most $2 characters",
+        ),
+      });
+    }
+    if (
+      schema.pattern !== undefined &&
+      !new RegExp(schema.pattern).test(value)
+    ) {
+      errors.push({
+        path,
+        message: I18n.getMessage(
+          "schema_pattern",
+          [path, schema.pattern],
+          "$1 must match pattern $2",
+        ),
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  static validateArray(value, schema, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({
+        path,
+        message: I18n.getMessage(
+          "schema_min_items",
+          [path, schema.minItems],
+          "$1 must have at least $2 items",
+        ),
+      });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({
+        path,
+        message: I18n.getMessage(
+          "schema_max_items",
+          [path, schema.maxItems],
+          "$1 must have at most $2 items",
+        ),
+      });
+    }
+    if (schema.items && typeof schema.items === "object") {
+      value.forEach((item, index) => {
+        JsonSchemaValidator.validateNode(
+          item,
+          schema.items,
+          `${path}[${index}]`,
+          errors,
+        );
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  static validateObject(value, schema, path, errors) {
+    const properties = schema.properties || {};
+
+    if (Array.isArray(schema.required)) {
+      for (const property of schema.required) {
+        if (!Object.prototype.hasOwnProperty.call(value, property)) {
+          errors.push({
+            path: `${path}.${property}`,
+            message: I18n.getMessage(
+              "schema_required",
+              [`${path}.${property}`],
+              "$1 is required",
+            ),
+          });
+        }
+      }
+    }
+
+    for (const [property, propertyValue] of Object.entries(value)) {
+      const propertyPath = `${path}.${property}`;
+
+      if (Object.prototype.hasOwnProperty.call(properties, property)) {
+        JsonSchemaValidator.validateNode(
+          propertyValue,
+          properties[property],
+          propertyPath,
+          errors,
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          path: propertyPath,
+          message: I18n.getMessage(
+            "schema_additional_property",
+            [propertyPath],
+            "$1 is not an allowed property",
+          ),
+        });
+      } else if (
+        schema.additionalProperties &&
+        typeof schema.additionalProperties === "object"
+      ) {
+        JsonSchemaValidator.validateNode(
+          propertyValue,
+          schema.additionalProperties,
+          propertyPath,
+          errors,
+        );
+      }
+    }
+  }
+
+  /**
+   * Check that a schema only uses supported, well-formed keywords
+   * @param {Object} schema - Schema to check
+   * @param {string} path - Location of the schema (for error messages)
+   * @throws {Error} If the schema is malformed
+   */
+  static assertValidSchema(schema, path = "schema") {
+    if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+      throw new Error(`${path} must be an object`);
+    }
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      for (const type of types) {
+        if (!JsonSchemaValidator.SUPPORTED_TYPES.includes(type)) {
+          throw new Error(`${path}.type '${type}' is not supported`);
+        }
+      }
+    }
+
+    if (schema.pattern !== undefined) {
+      try {
+        new RegExp(schema.pattern);
+      } catch {
+        throw new Error(`${path}.pattern is not a valid regular expression`);
+      }
+    }
+
+    if (schema.required !== undefined && !Array.isArray(schema.required)) {
+      throw new Error(`${path}.required must be an array`);
+    }
+
+    if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+      throw new Error(`${path}.enum must be an array`);
+    }
+
+    for (const [property, propertySchema] of Object.entries(
+      schema.properties || {},
+    )) {
+      JsonSchemaValidator.assertValidSchema(
+        propertySchema,
+        `${path}.properties.${property}`,
+      );
+    }
+
+    if (schema.items !== undefined) {
+      JsonSchemaValidator.assertValidSchema(schema.items, `${path}.items`);
+    }
+
+    if (
+      schema.additionalProperties !== undefined &&
+      typeof schema.additionalProperties !== "boolean"
+    ) {
+      JsonSchemaValidator.assertValidSchema(
+        schema.additionalProperties,
+        `${path}.additionalProperties`,
+      );
+    }
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== "undefined" && module.exports) {
+  // CommonJS (Node.js)
+  module.exports = JsonSchemaValidator;
+} else if (typeof window !== "undefined") {
+  // Browser environment
+  window.JsonSchemaValidator = JsonSchemaValidator;
+} else {
+  // Service worker context
+  self.JsonSchemaValidator = JsonSchemaValidator;
+}
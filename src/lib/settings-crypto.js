@@ -0,0 +1,354 @@
+// lib/settings-crypto.js
+// Passphrase-protected settings bundles and secret values encrypted at rest
+// (PBKDF2/HKDF + AES-GCM via WebCrypto)
+
+/**
+ * Error raised when a bundle cannot be decrypted. `code` tells the cases
+ * apart: "passphrase-required", "wrong-passphrase" or "corrupted".
+ */
+class SettingsCryptoError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "SettingsCryptoError";
+    this.code = code;
+  }
+}
+
+/**
+ * Encrypts and decrypts settings files with a passphrase, and single
+ * values with a per-install key.
+ *
+ * PBKDF2 derives 48 bytes from the passphrase: the first 32 are the AES-GCM
+ * key and the last 16 are stored as a check value. A mismatching check value
+ * means a wrong passphrase; a matching one with a failed decryption means the
+ * file was damaged. Bundles are plain JSON objects tagged with FORMAT.
+ *
+ * The install key is derived with HKDF from a random seed that
+ * SettingsManager keeps in local storage; sealed values are small objects
+ * tagged with SEALED_MARKER.
+ */
+class SettingsCrypto {
+  constructor(cryptoImpl = null) {
+    // Marker of encrypted bundles, checked by isEncryptedBundle()
+    this.FORMAT = "settings-extension-encrypted";
+    this.VERSION = 1;
+
+    this.PBKDF2_ITERATIONS = 310000;
+    // Bundles asking for more than this many times PBKDF2_ITERATIONS are
+    // refused rather than tying up the page deriving the key
+    this.MAX_ITERATIONS_FACTOR = 10;
+    this.SALT_BYTES = 16;
+    this.IV_BYTES = 12;
+    this.KEY_BYTES = 32;
+    this.CHECK_BYTES = 16;
+
+    // Marker property of values sealed with the install key
+    this.SEALED_MARKER = "$sealed";
+    this.INSTALL_KEY_INFO = "settings-extension secret values";
+
+    this.crypto = cryptoImpl || globalThis.crypto;
+  }
+
+  /**
+   * Whether WebCrypto is usable in this context
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(this.crypto?.subtle && this.crypto.getRandomValues);
+  }
+
+  /**
+   * Whether parsed JSON is an encrypted bundle
+   * @param {*} data - Parsed file contents
+   * @returns {boolean}
+   */
+  isEncryptedBundle(data) {
+    return Boolean(
+      data && typeof data === "object" && data.format === this.FORMAT,
+    );
+  }
+
+  /**
+   * Encrypt text with a passphrase
+   * @param {string} plaintext - Text to protect
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<Object>} Encrypted bundle
+   */
+  async encrypt(plaintext, passphrase) {
+    this.requireWebCrypto();
+    if (typeof passphrase !== "string" || passphrase.length === 0) {
+      throw new Error("A passphrase is required to encrypt settings");
+    }
+
+    const salt = this.crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+    const iv = this.crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+    const { key, check } = await this.deriveKey(
+      passphrase,
+      salt,
+      this.PBKDF2_ITERATIONS,
+    );
+
+    const ciphertext = await this.crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(plaintext),
+    );
+
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      kdf: {
+        name: "PBKDF2",
+        hash: "SHA-256",
+        iterations: this.PBKDF2_ITERATIONS,
+        salt: this.toBase64(salt),
+        check: this.toBase64(check),
+      },
+      cipher: { name: "AES-GCM", iv: this.toBase64(iv) },
+      data: this.toBase64(new Uint8Array(ciphertext)),
+    };
+  }
+
+  /**
+   * Decrypt a bundle
+   * @param {Object} bundle - Encrypted bundle
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<string>} Decrypted text
+   * @throws {SettingsCryptoError} If the passphrase is missing or wrong, or
+   *   the bundle is damaged
+   */
+  async decrypt(bundle, passphrase) {
+    this.requireWebCrypto();
+    if (typeof passphrase !== "string" || passphrase.length === 0) {
+      throw new SettingsCryptoError(
+        "This settings file is encrypted - a passphrase is required",
+        "passphrase-required",
+      );
+    }
+
+    let salt, check, iv, data;
+    try {
+      if (
+        bundle.version !== this.VERSION ||
+        bundle.kdf?.name !== "PBKDF2" ||
+        bundle.cipher?.name !== "AES-GCM" ||
+        !Number.isInteger(bundle.kdf.iterations) ||
+        bundle.kdf.iterations < 1 ||
+        bundle.kdf.iterations >
+          this.PBKDF2_ITERATIONS * this.MAX_ITERATIONS_FACTOR
+      ) {
+        throw new Error("Unsupported bundle");
+      }
+      salt = this.fromBase64(bundle.kdf.salt);
+      check = this.fromBase64(bundle.kdf.check);
+      iv = this.fromBase64(bundle.cipher.iv);
+      data = this.fromBase64(bundle.data);
+    } catch {
+      throw new SettingsCryptoError(
+        "Encrypted settings file is corrupted",
+        "corrupted",
+      );
+    }
+
+    const derived = await this.deriveKey(
+      passphrase,
+      salt,
+      bundle.kdf.iterations,
+    );
+    if (this.toBase64(derived.check) !== this.toBase64(check)) {
+      throw new SettingsCryptoError("Wrong passphrase", "wrong-passphrase");
+    }
+
+    try {
+      const plaintext = await this.crypto.subtle.decrypt(
+        { name: "AES-GCM", iv },
+        derived.key,
+        data,
+      );
+      return new TextDecoder().decode(plaintext);
+    } catch {
+      throw new SettingsCryptoError(
+        "Encrypted settings file is corrupted",
+        "corrupted",
+      );
+    }
+  }
+
+  /**
+   * Create a random seed for the per-install key
+   * @returns {string} Base64 seed to keep in local storage
+   */
+  createInstallSeed() {
+    this.requireWebCrypto();
+    return this.toBase64(
+      this.crypto.getRandomValues(new Uint8Array(this.KEY_BYTES)),
+    );
+  }
+
+  /**
+   * Derive the per-install AES-GCM key from its seed
+   * @param {string} seed - Seed from createInstallSeed()
+   * @param {string} salt - Install-specific salt (e.g. the extension id)
+   * @returns {Promise<CryptoKey>} Non-extractable key
+   */
+  async importInstallKey(seed, salt = "") {
+    this.requireWebCrypto();
+    const material = await this.crypto.subtle.importKey(
+      "raw",
+      this.fromBase64(seed),
+      "HKDF",
+      false,
+      ["deriveKey"],
+    );
+    return this.crypto.subtle.deriveKey(
+      {
+        name: "HKDF",
+        hash: "SHA-256",
+        salt: new TextEncoder().encode(salt),
+        info: new TextEncoder().encode(this.INSTALL_KEY_INFO),
+      },
+      material,
+      { name: "AES-GCM", length: this.KEY_BYTES * 8 },
+      false,
+      ["encrypt", "decrypt"],
+    );
+  }
+
+  /**
+   * Whether a stored value was sealed with sealValue()
+   * @param {*} value - Stored value
+   * @returns {boolean}
+   */
+  isSealedValue(value) {
+    return Boolean(
+      value &&
+        typeof value === "object" &&
+        value[this.SEALED_MARKER] === this.VERSION,
+    );
+  }
+
+  /**
+   * Encrypt a string with the install key
+   * @param {string} plaintext - Value to protect
+   * @param {CryptoKey} key - Key from importInstallKey()
+   * @returns {Promise<Object>} Sealed value { $sealed, iv, data }
+   */
+  async sealValue(plaintext, key) {
+    this.requireWebCrypto();
+    const iv = this.crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+    const ciphertext = await this.crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(plaintext),
+    );
+
+    return {
+      [this.SEALED_MARKER]: this.VERSION,
+      iv: this.toBase64(iv),
+      data: this.toBase64(new Uint8Array(ciphertext)),
+    };
+  }
+
+  /**
+   * Decrypt a sealed value
+   * @param {Object} sealed - Value from sealValue()
+   * @param {CryptoKey} key - Key from importInstallKey()
+   * @returns {Promise<string>} Plaintext
+   * @throws {SettingsCryptoError} With code "corrupted" if the value cannot
+   *   be decrypted with this key
+   */
+  async openValue(sealed, key) {
+    this.requireWebCrypto();
+    try {
+      const plaintext = await this.crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: this.fromBase64(sealed.iv) },
+        key,
+        this.fromBase64(sealed.data),
+      );
+      return new TextDecoder().decode(plaintext);
+    } catch {
+      throw new SettingsCryptoError(
+        "Encrypted setting value cannot be decrypted",
+        "corrupted",
+      );
+    }
+  }
+
+  /**
+   * Throw if WebCrypto is missing
+   * @private
+   */
+  requireWebCrypto() {
+    if (!this.isAvailable()) {
+      throw new Error("Encryption is not available in this context");
+    }
+  }
+
+  /**
+   * Derive the AES key and check value from a passphrase
+   * @private
+   */
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await this.crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveBits"],
+    );
+    const bits = new Uint8Array(
+      await this.crypto.subtle.deriveBits(
+        { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+        material,
+        (this.KEY_BYTES + this.CHECK_BYTES) * 8,
+      ),
+    );
+
+    const key = await this.crypto.subtle.importKey(
+      "raw",
+      bits.slice(0, this.KEY_BYTES),
+      "AES-GCM",
+      false,
+      ["encrypt", "decrypt"],
+    );
+
+    return { key, check: bits.slice(this.KEY_BYTES) };
+  }
+
+  /**
+   * Encode bytes as base64
+   * @private
+   */
+  toBase64(bytes) {
+    let binary = "";
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 text to bytes
+   * @private
+   */
+  fromBase64(text) {
+    if (typeof text !== "string") {
+      throw new Error("Expected base64 text");
+    }
+    return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== "undefined" && module.exports) {
+  // CommonJS (Node.js)
+  module.exports = { SettingsCrypto, SettingsCryptoError };
+} else if (typeof window !== "undefined") {
+  // Browser environment
+  window.SettingsCrypto = SettingsCrypto;
+  window.SettingsCryptoError = SettingsCryptoError;
+} else {
+  // Service worker context
+  self.SettingsCrypto = SettingsCrypto;
+  self.SettingsCryptoError = SettingsCryptoError;
+}
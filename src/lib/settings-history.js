@@ -0,0 +1,251 @@
+// lib/settings-history.js
+// Bounded undo/redo journal of setting changes
+
+/**
+ * Journal of setting changes.
+ *
+ * Each entry records one user action: the changed keys with their old and
+ * new values, the context that made the change (popup, options...) and a
+ * timestamp. Entries before `position` are applied and can be undone;
+ * entries after it were undone and can be redone until a new change
+ * discards them. Like SettingsProfiles, this class never touches storage;
+ * SettingsManager persists toJSON() under STORAGE_KEY.
+ */
+class SettingsHistory {
+  constructor(state = null) {
+    // Storage key holding { entries, position }
+    this.STORAGE_KEY = "__history__";
+
+    // Oldest entries are dropped beyond this size
+    this.MAX_ENTRIES = 50;
+
+    // Consecutive edits of one key from one context within this window
+    // (e.g. typing in a text field) are merged into a single entry
+    this.COALESCE_WINDOW = 2000;
+
+    this.load(state);
+  }
+
+  /**
+   * Replace the journal with stored data, dropping malformed entries
+   * @param {Object|null} state - Stored journal
+   * @returns {SettingsHistory} This instance
+   */
+  load(state) {
+    const entries = Array.isArray(state?.entries)
+      ? state.entries.filter(
+          (entry) =>
+            entry &&
+            typeof entry.id === "number" &&
+            entry.changes &&
+            typeof entry.changes === "object" &&
+            Object.keys(entry.changes).length > 0,
+        )
+      : [];
+
+    this.entries = JSON.parse(JSON.stringify(entries)).slice(-this.MAX_ENTRIES);
+
+    const position = Number.isInteger(state?.position)
+      ? state.position
+      : this.entries.length;
+    this.position = Math.max(0, Math.min(position, this.entries.length));
+
+    return this;
+  }
+
+  /**
+   * Record a change, discarding any undone entries
+   * @param {Object} changes - { key: { oldValue, newValue } }
+   * @param {string|null} source - Context that made the change
+   * @returns {Object|null} Copy of the recorded entry, or null if nothing changed
+   */
+  record(changes, source = null) {
+    const effective = {};
+    for (const [key, { oldValue, newValue }] of Object.entries(changes)) {
+      if (!this.valuesEqual(oldValue, newValue)) {
+        effective[key] = { oldValue, newValue };
+      }
+    }
+
+    const keys = Object.keys(effective);
+    if (keys.length === 0) {
+      return null;
+    }
+
+    this.entries = this.entries.slice(0, this.position);
+    const now = Date.now();
+    const last = this.entries[this.entries.length - 1];
+
+    if (
+      last &&
+      keys.length === 1 &&
+      Object.keys(last.changes).length === 1 &&
+      last.changes[keys[0]] &&
+      last.source === source &&
+      now - last.timestamp <= this.COALESCE_WINDOW
+    ) {
+      const change = last.changes[keys[0]];
+      change.newValue = JSON.parse(JSON.stringify(effective[keys[0]].newValue));
+      last.timestamp = now;
+
+      // Typing back to the original value leaves nothing to undo
+      if (this.valuesEqual(change.oldValue, change.newValue)) {
+        this.entries.pop();
+        this.position = this.entries.length;
+        return null;
+      }
+
+      this.position = this.entries.length;
+      return JSON.parse(JSON.stringify(last));
+    }
+
+    const entry = {
+      id: last ? last.id + 1 : 1,
+      timestamp: now,
+      source,
+      changes: JSON.parse(JSON.stringify(effective)),
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.MAX_ENTRIES) {
+      this.entries.shift();
+    }
+    this.position = this.entries.length;
+
+    return JSON.parse(JSON.stringify(entry));
+  }
+
+  /**
+   * Whether an applied entry can be undone
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.position > 0;
+  }
+
+  /**
+   * Whether an undone entry can be redone
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.position < this.entries.length;
+  }
+
+  /**
+   * Entry the next undo would revert
+   * @returns {Object|null} Copy of the entry
+   */
+  peekUndo() {
+    return this.canUndo()
+      ? JSON.parse(JSON.stringify(this.entries[this.position - 1]))
+      : null;
+  }
+
+  /**
+   * Entry the next redo would reapply
+   * @returns {Object|null} Copy of the entry
+   */
+  peekRedo() {
+    return this.canRedo()
+      ? JSON.parse(JSON.stringify(this.entries[this.position]))
+      : null;
+  }
+
+  /**
+   * Move back past the last applied entry
+   * @returns {Object|null} The undone entry
+   */
+  undo() {
+    const entry = this.peekUndo();
+    if (entry) {
+      this.position--;
+    }
+    return entry;
+  }
+
+  /**
+   * Move forward past the next undone entry
+   * @returns {Object|null} The redone entry
+   */
+  redo() {
+    const entry = this.peekRedo();
+    if (entry) {
+      this.position++;
+    }
+    return entry;
+  }
+
+  /**
+   * Journal summary, oldest entry first
+   * @returns {Object} { entries, position, canUndo, canRedo }
+   */
+  list() {
+    return {
+      entries: JSON.parse(JSON.stringify(this.entries)),
+      position: this.position,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+    };
+  }
+
+  /**
+   * Remove keys from every entry, e.g. settings that became secret after
+   * the change was recorded. Entries left without changes are dropped.
+   * @param {Array<string>} keys - Setting keys
+   * @returns {boolean} Whether any entry held one of the keys
+   */
+  omitKeys(keys) {
+    let changed = false;
+    const entries = [];
+    let position = this.position;
+
+    this.entries.forEach((entry, index) => {
+      for (const key of keys) {
+        if (Object.prototype.hasOwnProperty.call(entry.changes, key)) {
+          delete entry.changes[key];
+          changed = true;
+        }
+      }
+      if (Object.keys(entry.changes).length > 0) {
+        entries.push(entry);
+      } else if (index < this.position) {
+        position--;
+      }
+    });
+
+    this.entries = entries;
+    this.position = position;
+    return changed;
+  }
+
+  /**
+   * Serializable copy of the journal
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      entries: JSON.parse(JSON.stringify(this.entries)),
+      position: this.position,
+    };
+  }
+
+  /**
+   * Structural equality for JSON-compatible values
+   * @private
+   */
+  valuesEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== "undefined" && module.exports) {
+  // CommonJS (Node.js)
+  module.exports = SettingsHistory;
+} else if (typeof window !== "undefined") {
+  // Browser environment
+  window.SettingsHistory = SettingsHistory;
+} else {
+  // Service worker context
+  self.SettingsHistory = SettingsHistory;
+}
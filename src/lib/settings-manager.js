@@ -5,6 +5,16 @@
 // This assumes browser-compat.js is loaded before this script in all contexts
 // This also assumes config-loader.js is loaded before this script
 // This also assumes storage-operation-manager.js, storage-errors.js, and storage-logger.js are loaded
+// This also assumes json-schema.js is loaded for "json" settings that declare a schema
+// and value-formats.js for the color/url/email/date/datetime/duration/array/
+// multiselect/records types
+// settings-migrations.js is optional; without it stored values are loaded as-is
+// settings-profiles.js is optional; without it profile operations are unavailable
+// site-overrides.js is optional; without it global values apply to every site
+// settings-history.js is optional; without it changes are not journaled for undo
+// settings-snapshots.js is optional; without it no restore points are kept
+// settings-crypto.js is optional; without it passphrase-protected files are
+// unavailable and "secret" settings cannot be saved
 
 class SettingsManager {
   constructor() {
@@ -29,6 +39,50 @@ class SettingsManager {
       lastError: null,
       pendingCount: 0,
     };
+
+    // Result of the most recent schema migration check
+    this.lastMigration = null;
+
+    // Named profile registry (SettingsProfiles), loaded from storage
+    this.profiles = null;
+
+    // Per-site override registry (SiteOverrides), loaded from storage
+    this.siteOverrides = null;
+
+    // Undo/redo journal (SettingsHistory), written with the next save
+    this.history = null;
+    this.historyDirty = false;
+
+    // Restore points (SettingsSnapshots), loaded from storage
+    this.snapshots = null;
+
+    // Cross-field rules (SettingsRules) from the configuration
+    this.rules = null;
+
+    // Asynchronous validations in flight by key; a newer update to the
+    // same key cancels the older one
+    this.pendingValidations = new Map();
+
+    // Passphrase encryption for exports (SettingsCrypto), created on demand
+    this.crypto = null;
+
+    // Seed of the per-install key sealing "secret" values. Always kept in
+    // local storage so it never syncs alongside the values it protects
+    this.SECRET_KEY_STORAGE_KEY = "__secret_key__";
+    this.secretKey = null;
+
+    // Formats produced by exportSettings() and accepted by importSettings()
+    this.EXPORT_FORMATS = ["full", "values"];
+
+    // Placeholder exported instead of the value of a sensitive setting
+    this.MASKED_VALUE = "********";
+
+    // Merge strategies accepted by importSettings()
+    this.IMPORT_STRATEGIES = [
+      "overwrite",
+      "only-missing",
+      "only-changed-from-default",
+    ];
   }
 
   /**
@@ -77,8 +131,53 @@ class SettingsManager {
       const configLoader = new ConfigurationLoader();
       const defaults = await configLoader.loadConfiguration();
 
-      // Get stored settings using queued operation
-      const stored = await this.getStoredSettings();
+      // Definitions are needed to recognise secret values while loading
+      this.defaultsCache = defaults;
+
+      // Get stored settings using queued operation, upgraded to the
+      // schema version declared by the configuration
+      const { stored: opened, unsealed } = await this.openStoredSecrets(
+        await this.getStoredSettings(),
+        defaults,
+      );
+      const stored = await this.migrateStoredSettings(
+        opened,
+        defaults,
+        configLoader.getSchemaVersion(),
+      );
+      this.profiles = null;
+      if (typeof SettingsProfiles !== "undefined") {
+        this.profiles = new SettingsProfiles();
+        this.profiles.load(stored[this.profiles.STORAGE_KEY]);
+      }
+
+      this.siteOverrides = null;
+      if (typeof SiteOverrides !== "undefined") {
+        this.siteOverrides = new SiteOverrides();
+        this.siteOverrides.load(stored[this.siteOverrides.STORAGE_KEY]);
+      }
+
+      this.history = null;
+      this.historyDirty = false;
+      if (typeof SettingsHistory !== "undefined") {
+        this.history = new SettingsHistory();
+        this.history.load(stored[this.history.STORAGE_KEY]);
+      }
+
+      this.rules = null;
+      if (typeof SettingsRules !== "undefined") {
+        this.rules = new SettingsRules(
+          configLoader.getRules(),
+          defaults,
+          configLoader,
+        );
+      }
+
+      this.snapshots = null;
+      if (typeof SettingsSnapshots !== "undefined") {
+        this.snapshots = new SettingsSnapshots();
+        this.snapshots.load(stored[this.snapshots.STORAGE_KEY]);
+      }
 
       // Merge defaults with stored settings
       this.settings = new Map();
@@ -105,6 +204,24 @@ class SettingsManager {
 
       this.initialized = true;
       this.saveStatus.state = "saved";
+
+      // Secrets saved before they were encrypted (e.g. a text setting that
+      // became "secret") are sealed now, and copies of them in restore
+      // points, profile overlays and the journal are dropped
+      const data = this.omitStoredSecretCopies();
+      for (const key of unsealed) {
+        if (this.settings.has(key)) {
+          data[key] = this.settings.get(key);
+        }
+      }
+      if (Object.keys(data).length > 0) {
+        try {
+          await this.runStorageOperation({ type: "set", data });
+        } catch (error) {
+          console.warn("Failed to encrypt stored secret settings:", error);
+        }
+      }
+
       this.notifyListeners("initialized", {
         settings: this.getAllSettingsSync(),
       });
@@ -142,6 +259,229 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Run a storage operation through the storage operation manager
+   * @param {Object} operation - Operation ({ type, data, keys })
+   * @param {number} priority - Optional queue priority
+   * @returns {Promise<Object>} Operation result
+   */
+  async runStorageOperation(operation, priority) {
+    const storageArea = operation.storageArea || this.storageArea;
+    if (operation.type === "set") {
+      operation = {
+        ...operation,
+        data: await this.sealSecrets(operation.data),
+      };
+    }
+
+    if (this.storageManager) {
+      return this.storageManager.queueOperation(
+        { ...operation, storageArea },
+        priority,
+      );
+    }
+
+    // Fallback to direct storage access if storageManager not available
+    const storage = this.getBrowserAPI().storage[storageArea];
+    if (!storage) {
+      throw new Error(`Storage area '${storageArea}' not available`);
+    }
+
+    switch (operation.type) {
+      case "get":
+        return {
+          success: true,
+          data: (await storage.get(operation.keys)) || {},
+        };
+      case "set":
+        await storage.set(operation.data);
+        return { success: true, keys: Object.keys(operation.data) };
+      case "remove":
+        await storage.remove(operation.keys);
+        return { success: true, removedKeys: operation.keys };
+      default:
+        throw new Error(`Unsupported storage operation: ${operation.type}`);
+    }
+  }
+
+  /**
+   * Run the migration steps over each stored profile overlay and site
+   * override entry, so they keep applying to renamed keys with converted
+   * values. These values are not validated here; switchProfile() and
+   * site resolution fall back to the global value for any the schema does
+   * not accept.
+   * @param {Object} stored - Raw storage contents
+   * @param {SettingsMigrator} migrator - Migrator applying the steps
+   * @param {number} fromVersion - Stored schema version
+   * @param {number} targetVersion - Schema version to migrate to
+   * @returns {Object} Storage entries to write (empty when none are stored)
+   * @throws {SettingsMigrationError} If a step fails for any overlay
+   * @private
+   */
+  migrateStoredOverlays(stored, migrator, fromVersion, targetVersion) {
+    const update = {};
+    const migrate = (values) =>
+      migrator.migrate(values, fromVersion, targetVersion).values;
+
+    if (typeof SettingsProfiles !== "undefined") {
+      const profiles = new SettingsProfiles();
+      if (stored[profiles.STORAGE_KEY]) {
+        profiles.load(stored[profiles.STORAGE_KEY]);
+        for (const { id } of profiles.list()) {
+          const { values } = profiles.getProfile(id);
+          const migrated = migrate(values);
+          if (!this.valuesEqual(values, migrated)) {
+            profiles.setValues(id, migrated);
+          }
+        }
+        update[profiles.STORAGE_KEY] = profiles.toJSON();
+      }
+    }
+
+    if (typeof SiteOverrides !== "undefined") {
+      const siteOverrides = new SiteOverrides();
+      if (stored[siteOverrides.STORAGE_KEY]) {
+        const entries = siteOverrides
+          .load(stored[siteOverrides.STORAGE_KEY])
+          .toJSON();
+        for (const [pattern, values] of Object.entries(entries)) {
+          entries[pattern] = migrate(values);
+        }
+        // Entries left without values are dropped
+        update[siteOverrides.STORAGE_KEY] = siteOverrides
+          .load(entries)
+          .toJSON();
+      }
+    }
+
+    return update;
+  }
+
+  /**
+   * Migrate stored settings to the configuration's schema version.
+   * The migrated values and the new version are written in a single set
+   * operation; if any step fails nothing is written and the original
+   * stored data is returned unchanged.
+   * @param {Object} stored - Raw storage contents
+   * @param {Object} defaults - Setting definitions from the configuration
+   * @param {number} targetVersion - Schema version declared by the configuration
+   * @returns {Promise<Object>} Storage contents to load settings from
+   */
+  async migrateStoredSettings(stored, defaults, targetVersion) {
+    if (typeof SettingsMigrator === "undefined") {
+      return stored;
+    }
+
+    const migrator = new SettingsMigrator();
+    const storedValues = migrator.extractValues(stored);
+    const recordedVersion = migrator.getStoredVersion(stored);
+
+    // Unversioned data predates migrations; empty storage is a fresh install
+    let fromVersion = recordedVersion;
+    if (fromVersion === null) {
+      fromVersion =
+        Object.keys(storedValues).length > 0
+          ? migrator.BASE_VERSION
+          : targetVersion;
+    }
+
+    if (recordedVersion === targetVersion) {
+      return stored;
+    }
+
+    if (fromVersion > targetVersion) {
+      console.warn(
+        `Stored settings are at schema version ${fromVersion}, newer than ${targetVersion}; skipping migration`,
+      );
+      return stored;
+    }
+
+    try {
+      const { values, applied } = migrator.migrate(
+        storedValues,
+        fromVersion,
+        targetVersion,
+      );
+
+      // Reject migrated values the current schema would not accept
+      for (const [key, value] of Object.entries(values)) {
+        if (defaults[key]) {
+          try {
+            this.validateSetting(defaults[key], value, key);
+          } catch (error) {
+            throw new SettingsMigrationError(
+              `Migrated value for '${key}' is invalid: ${error.message}`,
+              targetVersion,
+              error,
+            );
+          }
+        }
+      }
+
+      const update = migrator.buildStorageUpdate(
+        stored,
+        values,
+        defaults,
+        targetVersion,
+      );
+      Object.assign(
+        update.set,
+        this.migrateStoredOverlays(
+          stored,
+          migrator,
+          fromVersion,
+          targetVersion,
+        ),
+      );
+
+      await this.runStorageOperation(
+        { type: "set", data: update.set },
+        this.storageManager?.PRIORITY?.HIGH,
+      );
+
+      if (update.remove.length > 0) {
+        try {
+          await this.runStorageOperation({
+            type: "remove",
+            keys: update.remove,
+          });
+        } catch (error) {
+          // Leftover keys are unknown to defaults and ignored when loading
+          console.warn("Failed to remove migrated setting keys:", error);
+        }
+      }
+
+      this.lastMigration = {
+        fromVersion,
+        toVersion: targetVersion,
+        applied,
+        error: null,
+      };
+
+      if (applied.length > 0) {
+        console.log(
+          `Settings migrated from schema version ${fromVersion} to ${targetVersion}`,
+        );
+        this.notifyListeners("migrated", { ...this.lastMigration });
+      }
+
+      const migrated = { ...stored, ...update.set };
+      for (const key of update.remove) {
+        delete migrated[key];
+      }
+      return migrated;
+    } catch (error) {
+      console.error("Settings migration failed, keeping stored data:", error);
+      this.lastMigration = {
+        fromVersion,
+        toVersion: targetVersion,
+        applied: [],
+        error: error.message,
+      };
+      return stored;
+    }
+  }
+
   /**
    * Get single setting by key
    * @param {string} key - Setting key
@@ -157,343 +497,1729 @@ class SettingsManager {
       throw new Error(`Setting '${key}' not found`);
     }
 
-    return { ...setting };
+    return { ...setting };
+  }
+
+  /**
+   * Get multiple settings by keys
+   * @param {Array<string>} keys - Array of setting keys
+   * @returns {Promise<Object>}
+   */
+  async getSettings(keys) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const result = {};
+    for (const key of keys) {
+      const setting = this.settings.get(key);
+      if (setting) {
+        result[key] = { ...setting };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get all settings
+   * @returns {Promise<Object>}
+   */
+  async getAllSettings() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.getAllSettingsSync();
+  }
+
+  /**
+   * Get all settings synchronously (for internal use)
+   * @returns {Object}
+   */
+  getAllSettingsSync() {
+    const result = {};
+    for (const [key, setting] of this.settings) {
+      result[key] = { ...setting };
+    }
+    return result;
+  }
+
+  /**
+   * Get all settings with per-site overrides applied for a page.
+   * Overridden settings carry the winning pattern in `overriddenBy`.
+   * This is the view handed to content scripts, so secret settings are
+   * left out.
+   * @param {string} url - Page URL
+   * @returns {Promise<Object>}
+   */
+  async getEffectiveSettings(url) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const settings = this.getAllSettingsSync();
+    for (const key of Object.keys(settings)) {
+      if (this.isSecretSetting(key)) {
+        delete settings[key];
+      }
+    }
+
+    if (!this.siteOverrides || !url) {
+      return settings;
+    }
+
+    const { values, sources } = this.siteOverrides.resolve(url);
+    for (const [key, value] of Object.entries(values)) {
+      const setting = settings[key];
+      if (!setting || !setting.siteOverride) {
+        continue;
+      }
+
+      // Overrides saved before a schema change may no longer be valid
+      try {
+        this.validateSetting(setting, value, key);
+        settings[key] = { ...setting, value, overriddenBy: sources[key] };
+      } catch (error) {
+        console.warn(
+          `Ignoring invalid site override for '${key}' from '${sources[key]}':`,
+          error.message,
+        );
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Get a single setting with per-site overrides applied for a page
+   * @param {string} key - Setting key
+   * @param {string} url - Page URL
+   * @returns {Promise<Object>}
+   */
+  async getEffectiveSetting(key, url) {
+    if (this.isSecretSetting(key)) {
+      throw new Error(`Setting '${key}' is not available to content scripts`);
+    }
+
+    const setting = (await this.getEffectiveSettings(url))[key];
+    if (!setting) {
+      throw new Error(`Setting '${key}' not found`);
+    }
+    return setting;
+  }
+
+  /**
+   * Get every stored site override
+   * @returns {Promise<Object>} { [pattern]: { [key]: value } }
+   */
+  async getSiteOverrides() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.getSiteOverrideRegistry().toJSON();
+  }
+
+  /**
+   * Get the site override registry
+   * @returns {SiteOverrides}
+   * @throws {Error} If site-overrides.js is not loaded
+   * @private
+   */
+  getSiteOverrideRegistry() {
+    if (!this.siteOverrides) {
+      throw new Error("Site overrides are not available");
+    }
+    return this.siteOverrides;
+  }
+
+  /**
+   * Persist a site override change, restoring the previous registry if
+   * the write fails
+   * @param {Function} change - Mutates the registry, returns the result
+   * @returns {Promise<*>} Result of change()
+   * @private
+   */
+  async updateSiteOverrides(change) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const overrides = this.getSiteOverrideRegistry();
+    const previousState = overrides.toJSON();
+
+    try {
+      const result = change(overrides);
+      await this.runStorageOperation(
+        { type: "set", data: { [overrides.STORAGE_KEY]: overrides.toJSON() } },
+        this.storageManager?.PRIORITY?.HIGH,
+      );
+      return result;
+    } catch (error) {
+      overrides.load(previousState);
+      throw error;
+    }
+  }
+
+  /**
+   * Override a setting for pages matching an origin or match pattern
+   * @param {string} pattern - Origin (https://example.com) or match pattern (*://*.example.com/*)
+   * @param {string} key - Setting key; the setting must declare "siteOverride": true
+   * @param {*} value - Value to use on matching pages
+   * @returns {Promise<string>} Normalized pattern
+   */
+  async setSiteOverride(pattern, key, value) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const setting = this.settings.get(key);
+    if (!setting) {
+      throw new Error(`Setting '${key}' not found`);
+    }
+    if (!setting.siteOverride) {
+      throw new Error(`Setting '${key}' cannot be overridden per site`);
+    }
+    this.validateSetting(setting, value, key);
+
+    const normalized = await this.updateSiteOverrides((overrides) =>
+      overrides.set(pattern, key, value),
+    );
+    this.notifyListeners("site-override-changed", {
+      pattern: normalized,
+      keys: [key],
+    });
+    return normalized;
+  }
+
+  /**
+   * Remove a site override, or every override of a pattern
+   * @param {string} pattern - Origin or match pattern
+   * @param {string|null} key - Setting key, or null for all
+   * @returns {Promise<Array<string>>} Keys that were cleared
+   */
+  async clearSiteOverride(pattern, key = null) {
+    const cleared = await this.updateSiteOverrides((overrides) =>
+      overrides.clear(pattern, key),
+    );
+    if (cleared.length > 0) {
+      this.notifyListeners("site-override-changed", {
+        pattern: this.siteOverrides.normalizePattern(pattern),
+        keys: cleared,
+      });
+    }
+    return cleared;
+  }
+
+  /**
+   * Update single setting with auto-save debouncing
+   * @param {string} key - Setting key
+   * @param {*} value - New value
+   * @param {string|null} source - Context making the change, kept in the undo journal
+   * @returns {Promise<void>}
+   */
+  async updateSetting(key, value, source = null) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    // Validate value based on type and the cross-field rules
+    await this.validateUpdates({ [key]: value });
+    const setting = this.settings.get(key);
+
+    // Update in memory
+    const updatedSetting = { ...setting, value };
+    this.settings.set(key, updatedSetting);
+    this.recordHistory(
+      { [key]: { oldValue: setting.value, newValue: value } },
+      source,
+    );
+
+    // Add to pending changes for auto-save
+    this.pendingChanges.set(key, updatedSetting);
+    this.scheduleAutoSave();
+
+    // Update save status
+    this.updateSaveStatus("pending", null, this.pendingChanges.size);
+
+    // Notify listeners immediately for UI responsiveness
+    this.notifyListeners("updated", { key, value, setting: updatedSetting });
+  }
+
+  /**
+   * Update multiple settings with auto-save debouncing
+   * @param {Object} updates - Object with key-value pairs
+   * @param {string|null} source - Context making the change, kept in the undo journal
+   * @returns {Promise<void>}
+   */
+  async updateSettings(updates, source = null) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const validatedUpdates = {};
+    const updatedSettings = {};
+
+    // Validate all updates first; any problem rejects the whole batch
+    await this.validateUpdates(updates);
+    for (const [key, value] of Object.entries(updates)) {
+      validatedUpdates[key] = { ...this.settings.get(key), value };
+      updatedSettings[key] = value;
+    }
+
+    // Update in memory, journaling the batch as one undoable entry
+    const historyChanges = {};
+    for (const [key, setting] of Object.entries(validatedUpdates)) {
+      historyChanges[key] = {
+        oldValue: this.settings.get(key).value,
+        newValue: setting.value,
+      };
+      this.settings.set(key, setting);
+    }
+    this.recordHistory(historyChanges, source);
+
+    // Add all to pending changes for auto-save
+    for (const [key, setting] of Object.entries(validatedUpdates)) {
+      this.pendingChanges.set(key, setting);
+    }
+    this.scheduleAutoSave();
+
+    // Update save status
+    this.updateSaveStatus("pending", null, this.pendingChanges.size);
+
+    // Notify listeners immediately for UI responsiveness
+    this.notifyListeners("updated", {
+      updates: updatedSettings,
+      settings: validatedUpdates,
+    });
+  }
+
+  /**
+   * Validate a batch of updates against each setting's definition and the
+   * cross-field rules, collecting every problem before failing.
+   * Asynchronous validators only run once everything else passes
+   * @param {Object} updates - Object with key-value pairs
+   * @returns {Promise<void>}
+   * @throws {Error} If a setting does not exist, with `code`
+   *   "invalid-settings" and `violations` ({ type, keys, message }) if any
+   *   value or rule fails, or with `code` "validation-cancelled" if a newer
+   *   update to one of the keys superseded this one
+   * @private
+   */
+  async validateUpdates(updates) {
+    const violations = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+      const setting = this.settings.get(key);
+      if (!setting) {
+        throw new Error(`Setting '${key}' not found`);
+      }
+
+      try {
+        this.validateSetting(setting, value, key);
+      } catch (error) {
+        violations.push({ type: "value", keys: [key], message: error.message });
+      }
+    }
+
+    if (this.rules) {
+      violations.push(
+        ...this.rules.check(
+          { ...this.getCurrentValues(), ...updates },
+          Object.keys(updates),
+        ),
+      );
+    }
+
+    if (violations.length === 0) {
+      violations.push(...(await this.runAsyncValidations(updates)));
+    }
+
+    if (violations.length > 0) {
+      const error = new Error(
+        violations.map((violation) => violation.message).join("; "),
+      );
+      error.code = "invalid-settings";
+      error.violations = violations;
+      throw error;
+    }
+  }
+
+  /**
+   * Run the asynchronous validators of the updated settings, cancelling
+   * checks still running for the same keys
+   * @param {Object} updates - Object with key-value pairs
+   * @returns {Promise<Array<Object>>} Value violations { type, keys, message }
+   * @throws {Error} With `code` "validation-cancelled" if a newer update to
+   *   one of the keys started meanwhile
+   * @private
+   */
+  async runAsyncValidations(updates) {
+    const checks = Object.entries(updates).filter(([key]) =>
+      SettingsValidator.hasAsyncValidators(this.settings.get(key)),
+    );
+    if (checks.length === 0) {
+      return [];
+    }
+
+    const controller = new AbortController();
+    for (const [key] of checks) {
+      this.pendingValidations.get(key)?.abort();
+      this.pendingValidations.set(key, controller);
+    }
+
+    try {
+      const results = await Promise.all(
+        checks.map(([key, value]) => {
+          const setting = this.settings.get(key);
+          return SettingsValidator.validateAsync(setting, value, {
+            key,
+            label: setting.description,
+            signal: controller.signal,
+          });
+        }),
+      );
+
+      return results.flatMap((errors, index) =>
+        errors.length > 0
+          ? [
+              {
+                type: "value",
+                keys: [checks[index][0]],
+                message: errors.map((error) => error.message).join("; "),
+              },
+            ]
+          : [],
+      );
+    } finally {
+      for (const [key] of checks) {
+        if (this.pendingValidations.get(key) === controller) {
+          this.pendingValidations.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Journal a change for undo; the journal is saved with the change
+   * @param {Object} changes - { key: { oldValue, newValue } }
+   * @param {string|null} source - Context making the change
+   * @private
+   */
+  recordHistory(changes, source) {
+    // Secret values must not leave their encrypted keys
+    if (
+      this.history &&
+      this.history.record(this.omitSecrets(changes), source)
+    ) {
+      this.historyDirty = true;
+    }
+  }
+
+  /**
+   * Get the undo journal
+   * @returns {SettingsHistory}
+   * @throws {Error} If settings-history.js is not loaded
+   * @private
+   */
+  getHistoryRegistry() {
+    if (!this.history) {
+      throw new Error("Settings history is not available");
+    }
+    return this.history;
+  }
+
+  /**
+   * Get the undo journal
+   * @returns {Promise<Object>} { entries, position, canUndo, canRedo }
+   */
+  async getHistory() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.getHistoryRegistry().list();
+  }
+
+  /**
+   * Revert the most recent journaled change
+   * @returns {Promise<Object|null>} { entry, changes, skipped }, or null if
+   *   there is nothing to undo
+   */
+  async undo() {
+    return this.applyHistoryEntry("undo");
+  }
+
+  /**
+   * Reapply the most recently undone change
+   * @returns {Promise<Object|null>} { entry, changes, skipped }, or null if
+   *   there is nothing to redo
+   */
+  async redo() {
+    return this.applyHistoryEntry("redo");
+  }
+
+  /**
+   * Move through the journal and write the resulting values, together with
+   * any unsaved edits, in a single storage operation. Keys changed since the
+   * entry was recorded (by an import, a profile switch or another context)
+   * or no longer valid are left alone and reported in `skipped`.
+   * @param {string} direction - "undo" or "redo"
+   * @returns {Promise<Object|null>}
+   * @throws {Error} With `code` "invalid-settings" if the resulting values
+   *   break a cross-field rule or an asynchronous validator
+   * @private
+   */
+  async applyHistoryEntry(direction) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const history = this.getHistoryRegistry();
+    const previousState = history.toJSON();
+    const previousSettings = new Map(this.settings);
+
+    const entry = direction === "undo" ? history.undo() : history.redo();
+    if (!entry) {
+      return null;
+    }
+
+    const changes = {};
+    const skipped = [];
+    const data = Object.fromEntries(this.pendingChanges);
+
+    for (const [key, { oldValue, newValue }] of Object.entries(entry.changes)) {
+      const [fromValue, toValue] =
+        direction === "undo" ? [newValue, oldValue] : [oldValue, newValue];
+      const setting = this.settings.get(key);
+
+      if (!setting || !history.valuesEqual(setting.value, fromValue)) {
+        skipped.push(key);
+        continue;
+      }
+
+      try {
+        this.validateSetting(setting, toValue, key);
+      } catch (error) {
+        console.warn(`Cannot ${direction} '${key}':`, error.message);
+        skipped.push(key);
+        continue;
+      }
+      changes[key] = toValue;
+    }
+
+    // The values left are checked together like any other update
+    try {
+      await this.validateUpdates(changes);
+    } catch (error) {
+      history.load(previousState);
+      throw error;
+    }
+
+    for (const [key, value] of Object.entries(changes)) {
+      const updatedSetting = { ...this.settings.get(key), value };
+      this.settings.set(key, updatedSetting);
+      data[key] = updatedSetting;
+    }
+
+    try {
+      await this.runStorageOperation(
+        {
+          type: "set",
+          data: { ...data, [history.STORAGE_KEY]: history.toJSON() },
+        },
+        this.storageManager?.PRIORITY?.HIGH,
+      );
+    } catch (error) {
+      history.load(previousState);
+      this.settings = previousSettings;
+      throw error;
+    }
+
+    if (this.autoSaveTimer) {
+      clearTimeout(this.autoSaveTimer);
+      this.autoSaveTimer = null;
+    }
+    this.pendingChanges.clear();
+    this.historyDirty = false;
+    this.lastSaveTime = Date.now();
+    this.updateSaveStatus("saved", null, 0);
+
+    const result = { entry, changes, skipped };
+    this.notifyListeners(direction === "undo" ? "undone" : "redone", result);
+    return result;
+  }
+
+  /**
+   * Export settings to JSON
+   *
+   * Without options every setting is exported with its full definition,
+   * except settings flagged `sensitive`, which are left out.
+   *
+   * @param {Object} options - Export filters
+   * @param {Array<string>} [options.categories] - Export settings of these
+   *   categories...
+   * @param {Array<string>} [options.keys] - ...and/or these settings
+   * @param {string} [options.format="full"] - "full" (definitions) or
+   *   "values" ({ key: value })
+   * @param {boolean} [options.onlyModified=false] - Skip values equal to
+   *   their default
+   * @param {string} [options.sensitive] - "exclude", "mask" or "include"
+   *   settings flagged `sensitive`; "include" when a passphrase is given,
+   *   "exclude" otherwise
+   * @param {string} [options.passphrase] - Encrypt the file with this
+   *   passphrase
+   * @param {boolean} [options.includeSecrets=true] - Include "secret"
+   *   settings in encrypted files; plain files never contain them
+   * @returns {Promise<string>}
+   */
+  async exportSettings(options = {}) {
+    const {
+      categories = null,
+      keys = null,
+      format = "full",
+      onlyModified = false,
+      passphrase = null,
+      sensitive = passphrase ? "include" : "exclude",
+      includeSecrets = true,
+    } = options;
+
+    if (!this.EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown export format '${format}'`);
+    }
+    if (!["exclude", "mask", "include"].includes(sensitive)) {
+      throw new Error(`Unknown sensitive setting handling '${sensitive}'`);
+    }
+
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const defaults = this.getDefaultValues();
+    const settings = {};
+    const masked = [];
+
+    for (const [key, setting] of Object.entries(this.getAllSettingsSync())) {
+      if (
+        (categories || keys) &&
+        !categories?.includes(setting.category) &&
+        !keys?.includes(key)
+      ) {
+        continue;
+      }
+
+      if (
+        onlyModified &&
+        Object.prototype.hasOwnProperty.call(defaults, key) &&
+        this.valuesEqual(setting.value, defaults[key])
+      ) {
+        continue;
+      }
+
+      if (
+        setting.type === "secret" &&
+        (!passphrase || !includeSecrets || sensitive === "exclude")
+      ) {
+        continue;
+      }
+
+      let value = setting.value;
+      if (
+        (setting.sensitive || setting.type === "secret") &&
+        sensitive !== "include"
+      ) {
+        if (sensitive === "exclude") {
+          continue;
+        }
+        value = this.MASKED_VALUE;
+        masked.push(key);
+      }
+
+      settings[key] = format === "values" ? value : { ...setting, value };
+    }
+
+    const exportData = {
+      version: "1.0",
+      timestamp: new Date().toISOString(),
+      format,
+      settings,
+    };
+
+    // Masked values are placeholders; importSettings() skips them
+    if (masked.length > 0) {
+      exportData.masked = masked;
+    }
+
+    if (passphrase) {
+      const bundle = await this.getCrypto().encrypt(
+        JSON.stringify(exportData),
+        passphrase,
+      );
+      return JSON.stringify(bundle, null, 2);
+    }
+
+    return JSON.stringify(exportData, null, 2);
+  }
+
+  /**
+   * Decrypt a passphrase-protected settings file; other files are returned
+   * unchanged. Callers running several passes over one file, such as a
+   * preview and then the import, decrypt it once and pass the result on,
+   * so the key is derived only once.
+   * @param {string} jsonData - JSON string with settings
+   * @param {string|null} passphrase - Passphrase for encrypted files
+   * @returns {Promise<string>} JSON string of the plain file
+   * @throws {SettingsCryptoError} If the passphrase is missing or wrong, or
+   *   the file is damaged
+   */
+  async decryptImportData(jsonData, passphrase = null) {
+    let importData;
+    try {
+      importData = JSON.parse(jsonData);
+    } catch {
+      throw new Error("Invalid JSON format");
+    }
+
+    if (
+      typeof SettingsCrypto !== "undefined" &&
+      this.getCrypto().isEncryptedBundle(importData)
+    ) {
+      return this.getCrypto().decrypt(importData, passphrase);
+    }
+    return jsonData;
+  }
+
+  /**
+   * Import settings from JSON with auto-save
+   *
+   * Every key in the import is classified against the current values:
+   * "added" (current value is the default), "changed" (current value was
+   * customized), "unchanged" or "skipped" with a reason. With dryRun nothing
+   * is written, so the report can be shown as a preview first.
+   *
+   * Merge strategies:
+   * - "overwrite": apply every valid imported value
+   * - "only-missing": only fill settings still at their default
+   * - "only-changed-from-default": only apply imported values that differ
+   *   from the default
+   *
+   * Passphrase-protected files are recognised automatically and need
+   * options.passphrase; a SettingsCryptoError with code
+   * "passphrase-required", "wrong-passphrase" or "corrupted" is thrown
+   * otherwise.
+   *
+   * @param {string} jsonData - JSON string with settings
+   * @param {Object} options - { dryRun, strategy, keys, passphrase } where
+   *   keys limits the import to the listed settings
+   * @returns {Promise<Object>} Report { dryRun, strategy, entries, summary,
+   *   applied } with entries [{ key, status, oldValue, newValue, reason }]
+   * @throws {Error} With `code` "invalid-settings" if the imported values
+   *   break a cross-field rule or an asynchronous validator (not checked
+   *   by dryRun)
+   */
+  async importSettings(jsonData, options = {}) {
+    const {
+      dryRun = false,
+      strategy = "overwrite",
+      keys = null,
+      passphrase = null,
+    } = options;
+
+    if (!this.IMPORT_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown import strategy '${strategy}'`);
+    }
+
+    let importData;
+    const plainData = await this.decryptImportData(jsonData, passphrase);
+
+    try {
+      importData = JSON.parse(plainData);
+    } catch {
+      throw new Error("Invalid JSON format");
+    }
+
+    if (!importData.settings) {
+      throw new Error("Invalid settings format - missing settings object");
+    }
+
+    // Values-only exports carry no definitions; take the type from ours
+    let importedSettings = importData.settings;
+    if (importData.format === "values") {
+      importedSettings = {};
+      for (const [key, value] of Object.entries(importData.settings)) {
+        importedSettings[key] = {
+          type: this.settings.get(key)?.type,
+          value,
+        };
+      }
+    }
+    const masked = Array.isArray(importData.masked) ? importData.masked : [];
+
+    const defaults = this.getDefaultValues();
+    const report = {
+      dryRun,
+      strategy,
+      entries: [],
+      summary: { added: 0, changed: 0, unchanged: 0, skipped: 0 },
+      applied: [],
+    };
+    const skip = (key, reason, newValue) => {
+      report.entries.push({
+        key,
+        status: "skipped",
+        oldValue: this.settings.get(key)?.value,
+        newValue,
+        reason,
+      });
+    };
+
+    // Validate and merge settings
+    const validSettings = {};
+    let validCount = 0;
+
+    for (const [key, setting] of Object.entries(importedSettings)) {
+      if (!this.settings.has(key)) {
+        skip(key, "Unknown setting", setting?.value);
+        continue;
+      }
+
+      if (masked.includes(key)) {
+        skip(key, "Value was masked on export");
+        continue;
+      }
+
+      // Validate the setting structure and value
+      if (
+        !setting ||
+        !setting.type ||
+        !Object.prototype.hasOwnProperty.call(setting, "value")
+      ) {
+        skip(key, "Missing type or value");
+        continue;
+      }
+
+      try {
+        // Validate against our own definition so constraints such as
+        // embedded schemas cannot be bypassed by the imported metadata
+        this.validateSetting(this.settings.get(key), setting.value, key);
+      } catch (error) {
+        skip(key, error.message, setting.value);
+        continue;
+      }
+      validCount++;
+
+      const oldValue = this.settings.get(key).value;
+      const newValue = setting.value;
+      const atDefault =
+        !Object.prototype.hasOwnProperty.call(defaults, key) ||
+        this.valuesEqual(oldValue, defaults[key]);
+
+      if (this.valuesEqual(oldValue, newValue)) {
+        report.entries.push({ key, status: "unchanged", oldValue, newValue });
+        continue;
+      }
+
+      if (strategy === "only-missing" && !atDefault) {
+        skip(key, "Already customized", newValue);
+        continue;
+      }
+
+      if (
+        strategy === "only-changed-from-default" &&
+        this.valuesEqual(newValue, defaults[key])
+      ) {
+        skip(key, "Imported value is the default", newValue);
+        continue;
+      }
+
+      if (keys && !keys.includes(key)) {
+        skip(key, "Not selected", newValue);
+        continue;
+      }
+
+      report.entries.push({
+        key,
+        status: atDefault ? "added" : "changed",
+        oldValue,
+        newValue,
+      });
+      validSettings[key] = {
+        ...this.settings.get(key),
+        value: newValue,
+      };
+    }
+
+    if (validCount === 0) {
+      throw new Error("No valid settings found in import data");
+    }
+
+    for (const entry of report.entries) {
+      report.summary[entry.status]++;
+
+      // The report is shown in previews; secret values stay hidden
+      if (this.isSecretSetting(entry.key)) {
+        for (const field of ["oldValue", "newValue"]) {
+          if (entry[field]) {
+            entry[field] = this.MASKED_VALUE;
+          }
+        }
+      }
+    }
+
+    const importedKeys = Object.keys(validSettings);
+    if (dryRun || importedKeys.length === 0) {
+      return report;
+    }
+
+    // Imported values must satisfy the cross-field rules and asynchronous
+    // validators together, like any other update
+    await this.validateUpdates(
+      Object.fromEntries(
+        importedKeys.map((key) => [key, validSettings[key].value]),
+      ),
+    );
+
+    // Update in memory
+    for (const [key, setting] of Object.entries(validSettings)) {
+      this.settings.set(key, setting);
+    }
+
+    // Force immediate save for imports (high priority)
+    await this.forceSave(validSettings);
+    report.applied = importedKeys;
+
+    // Notify listeners
+    this.notifyListeners("imported", {
+      importedKeys,
+      settings: validSettings,
+      totalImported: importedKeys.length,
+    });
+
+    return report;
+  }
+
+  /**
+   * Reset settings to their defaults, leaving every other setting alone.
+   * Only keys whose value differs from the default are written, as one
+   * ordinary update: validated against the cross-field rules, saved and
+   * journaled for undo
+   * @param {Array<string>} keys - Keys to reset
+   * @param {string|null} source - Context making the change, kept in the undo journal
+   * @returns {Promise<Object>} { key: defaultValue } of the keys that changed
+   * @throws {Error} If a setting does not exist, or the defaults break a
+   *   rule (with `code` "invalid-settings" and `violations`)
+   */
+  async resetSettings(keys, source = null) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const defaults = this.getDefaultValues();
+    const updates = {};
+    for (const key of keys) {
+      const setting = this.settings.get(key);
+      if (!setting) {
+        throw new Error(`Setting '${key}' not found`);
+      }
+      if (!this.valuesEqual(setting.value, defaults[key])) {
+        // Copied so later edits cannot change the cached defaults
+        updates[key] = JSON.parse(JSON.stringify(defaults[key]));
+      }
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await this.updateSettings(updates, source);
+    }
+    return updates;
+  }
+
+  /**
+   * Reset one setting to its default
+   * @param {string} key - Setting key
+   * @param {string|null} source - Context making the change, kept in the undo journal
+   * @returns {Promise<Object>} { key: defaultValue }, empty when the setting
+   *   already had its default
+   */
+  async resetSetting(key, source = null) {
+    return this.resetSettings([key], source);
+  }
+
+  /**
+   * Reset the settings of a category to their defaults. Nested categories
+   * are not included; they are reset on their own
+   * @param {string} category - Category key
+   * @param {string|null} source - Context making the change, kept in the undo journal
+   * @returns {Promise<Object>} { key: defaultValue } of the keys that changed
+   * @throws {Error} If no setting belongs to the category
+   */
+  async resetCategory(category, source = null) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const keys = this.getCategoryKeys(category);
+    if (keys.length === 0) {
+      throw new Error(`Category '${category}' not found`);
+    }
+    return this.resetSettings(keys, source);
+  }
+
+  /**
+   * Get the keys of the settings in a category
+   * @param {string} category - Category key
+   * @returns {Array<string>} Setting keys
+   */
+  getCategoryKeys(category) {
+    return Array.from(this.settings)
+      .filter(([, setting]) => setting.category === category)
+      .map(([key]) => key);
+  }
+
+  /**
+   * Reset all settings to defaults using storage operation manager
+   * @returns {Promise<void>}
+   */
+  async resetToDefaults() {
+    try {
+      // Other profiles, site overrides and restore points survive a
+      // reset; only the active profile returns to defaults
+      const preserved = {};
+      if (this.profiles) {
+        const profileState = this.profiles.toJSON();
+        profileState.profiles[profileState.activeProfileId].values = {};
+        preserved[this.profiles.STORAGE_KEY] = profileState;
+      }
+      if (this.siteOverrides) {
+        preserved[this.siteOverrides.STORAGE_KEY] = this.siteOverrides.toJSON();
+      }
+      if (this.snapshots) {
+        preserved[this.snapshots.STORAGE_KEY] = this.snapshots.toJSON();
+      }
+
+      // Clear storage using storage operation manager
+      if (this.storageManager) {
+        await this.storageManager.queueOperation({
+          type: "clear",
+          storageArea: this.storageArea,
+        });
+      } else {
+        // Fallback to direct storage access
+        const storage = this.getBrowserAPI().storage[this.storageArea];
+        if (storage) {
+          await storage.clear();
+        }
+      }
+
+      if (Object.keys(preserved).length > 0) {
+        await this.runStorageOperation(
+          { type: "set", data: preserved },
+          this.storageManager?.PRIORITY?.HIGH,
+        );
+      }
+
+      // Clear pending changes
+      this.pendingChanges.clear();
+      if (this.autoSaveTimer) {
+        clearTimeout(this.autoSaveTimer);
+        this.autoSaveTimer = null;
+      }
+
+      // Reinitialize; the install key seed was cleared with the values
+      this.initialized = false;
+      this.defaultsCache = null;
+      this.secretKey = null;
+      await this.initialize();
+
+      // Notify listeners
+      this.notifyListeners("reset", { settings: this.getAllSettingsSync() });
+    } catch (error) {
+      console.error("Failed to reset to defaults:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the restore point registry
+   * @returns {SettingsSnapshots}
+   * @throws {Error} If settings-snapshots.js is not loaded
+   * @private
+   */
+  getSnapshotRegistry() {
+    if (!this.snapshots) {
+      throw new Error("Restore points are not available");
+    }
+    return this.snapshots;
+  }
+
+  /**
+   * Run a restore point change and persist it, restoring the previous
+   * registry if the write fails
+   * @param {Function} change - Mutates the registry, returns the result
+   * @returns {Promise<*>} Result of change()
+   * @private
+   */
+  async updateSnapshots(change) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const snapshots = this.getSnapshotRegistry();
+    const previousState = snapshots.toJSON();
+
+    try {
+      const result = change(snapshots);
+      await this.runStorageOperation(
+        { type: "set", data: { [snapshots.STORAGE_KEY]: snapshots.toJSON() } },
+        this.storageManager?.PRIORITY?.HIGH,
+      );
+      return result;
+    } catch (error) {
+      snapshots.load(previousState);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a restore point of all current values
+   * @param {string} reason - "import", "reset", "profile-switch", "manual"...
+   * @returns {Promise<Object>} Snapshot summary
+   */
+  async createSnapshot(reason) {
+    const snapshot = await this.updateSnapshots((snapshots) =>
+      snapshots.create(this.omitSecrets(this.getCurrentValues()), reason, {
+        profileId: this.profiles ? this.profiles.getActiveProfileId() : null,
+      }),
+    );
+    this.notifyListeners("snapshot-created", snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Take the periodic restore point if one is due
+   * @returns {Promise<Object|null>} Snapshot summary, or null if not due
+   */
+  async createDailySnapshot() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (
+      !this.getSnapshotRegistry().isDailySnapshotDue(
+        this.omitSecrets(this.getCurrentValues()),
+      )
+    ) {
+      return null;
+    }
+    return this.createSnapshot("daily");
+  }
+
+  /**
+   * List restore points, newest first
+   * @returns {Promise<Array<Object>>} Snapshot summaries
+   */
+  async listSnapshots() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.getSnapshotRegistry().list();
+  }
+
+  /**
+   * Compare a restore point with the current values. Secret settings are
+   * left out, including plain-text copies in restore points taken before
+   * the setting became secret.
+   * @param {string} snapshotId - Snapshot id
+   * @returns {Promise<Object>} { snapshot, diff } where diff maps changed
+   *   keys to { oldValue: current, newValue: restored }
+   */
+  async previewSnapshot(snapshotId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const snapshots = this.getSnapshotRegistry();
+    const diff = this.omitSecrets(
+      snapshots.diff(snapshotId, this.omitSecrets(this.getCurrentValues())),
+    );
+
+    return {
+      snapshot: snapshots.list().find(({ id }) => id === snapshotId),
+      diff,
+    };
+  }
+
+  /**
+   * Restore the values of a restore point. The current values are kept as
+   * a new "restore" snapshot and the change is journaled for undo; values
+   * the current schema no longer accepts are skipped. Everything, including
+   * unsaved edits, is written in a single storage operation.
+   * @param {string} snapshotId - Snapshot id
+   * @returns {Promise<Object>} { snapshotId, changes, diff, skipped }
+   * @throws {Error} With `code` "invalid-settings" if the restored values
+   *   break a cross-field rule or an asynchronous validator
+   */
+  async restoreSnapshot(snapshotId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const snapshots = this.getSnapshotRegistry();
+    const target = snapshots.get(snapshotId);
+    const previousState = snapshots.toJSON();
+    const previousHistory = this.history ? this.history.toJSON() : null;
+    const previousHistoryDirty = this.historyDirty;
+    const previousSettings = new Map(this.settings);
+
+    const fullDiff = snapshots.diff(snapshotId, this.getCurrentValues());
+    const diff = {};
+    const changes = {};
+    const skipped = [];
+    const data = Object.fromEntries(this.pendingChanges);
+
+    for (const [key, change] of Object.entries(fullDiff)) {
+      try {
+        this.validateSetting(this.settings.get(key), change.newValue, key);
+      } catch (error) {
+        console.warn(
+          `Skipping invalid value for '${key}' in restore point '${snapshotId}':`,
+          error.message,
+        );
+        skipped.push(key);
+        continue;
+      }
+      diff[key] = change;
+      changes[key] = change.newValue;
+    }
+
+    // The restored values are checked together like any other update
+    await this.validateUpdates(changes);
+
+    try {
+      snapshots.create(this.omitSecrets(this.getCurrentValues()), "restore", {
+        profileId: this.profiles ? this.profiles.getActiveProfileId() : null,
+      });
+
+      for (const [key, value] of Object.entries(changes)) {
+        const updatedSetting = { ...this.settings.get(key), value };
+        this.settings.set(key, updatedSetting);
+        data[key] = updatedSetting;
+      }
+
+      this.recordHistory(diff, "restore");
+      if (this.history && this.historyDirty) {
+        data[this.history.STORAGE_KEY] = this.history.toJSON();
+      }
+      data[snapshots.STORAGE_KEY] = snapshots.toJSON();
+
+      await this.runStorageOperation(
+        { type: "set", data },
+        this.storageManager?.PRIORITY?.HIGH,
+      );
+    } catch (error) {
+      snapshots.load(previousState);
+      if (previousHistory) {
+        this.history.load(previousHistory);
+      }
+      this.historyDirty = previousHistoryDirty;
+      this.settings = previousSettings;
+      throw error;
+    }
+
+    if (this.autoSaveTimer) {
+      clearTimeout(this.autoSaveTimer);
+      this.autoSaveTimer = null;
+    }
+    this.pendingChanges.clear();
+    this.historyDirty = false;
+    this.lastSaveTime = Date.now();
+    this.updateSaveStatus("saved", null, 0);
+
+    const result = { snapshotId: target.id, changes, diff, skipped };
+    this.notifyListeners("snapshot-restored", {
+      ...result,
+      settings: this.getAllSettingsSync(),
+    });
+    return result;
+  }
+
+  /**
+   * Get the profile registry
+   * @returns {SettingsProfiles}
+   * @throws {Error} If settings-profiles.js is not loaded
+   * @private
+   */
+  getProfileRegistry() {
+    if (!this.profiles) {
+      throw new Error("Settings profiles are not available");
+    }
+    return this.profiles;
+  }
+
+  /**
+   * Get the passphrase encryption helper
+   * @returns {SettingsCrypto}
+   * @throws {Error} If settings-crypto.js is not loaded
+   */
+  getCrypto() {
+    if (!this.crypto) {
+      if (typeof SettingsCrypto === "undefined") {
+        throw new Error("Encryption is not available");
+      }
+      this.crypto = new SettingsCrypto();
+    }
+    return this.crypto;
+  }
+
+  /**
+   * Whether a setting holds a secret (type "secret")
+   * @param {string} key - Setting key
+   * @returns {boolean}
+   */
+  isSecretSetting(key) {
+    const setting = this.settings.get(key) || this.defaultsCache?.[key];
+    return setting?.type === "secret";
+  }
+
+  /**
+   * Copy of a { key: ... } object without secret settings
+   * @param {Object} values - Values or changes keyed by setting
+   * @returns {Object}
+   * @private
+   */
+  omitSecrets(values) {
+    const result = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (!this.isSecretSetting(key)) {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Remove secret settings from the loaded restore points, profile overlays
+   * and undo journal
+   * @returns {Object} Storage entries to write for those that held one
+   * @private
+   */
+  omitStoredSecretCopies() {
+    const secretKeys = Array.from(this.settings.keys()).filter((key) =>
+      this.isSecretSetting(key),
+    );
+    const data = {};
+    if (secretKeys.length === 0) {
+      return data;
+    }
+
+    for (const registry of [this.snapshots, this.profiles, this.history]) {
+      if (registry && registry.omitKeys(secretKeys)) {
+        data[registry.STORAGE_KEY] = registry.toJSON();
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Get the per-install key sealing secret values, creating its seed on
+   * first use
+   * @returns {Promise<CryptoKey>}
+   * @private
+   */
+  getSecretKey() {
+    if (!this.secretKey) {
+      this.secretKey = (async () => {
+        const settingsCrypto = this.getCrypto();
+        const location = {
+          type: "get",
+          keys: [this.SECRET_KEY_STORAGE_KEY],
+          storageArea: "local",
+        };
+        const { data } = await this.runStorageOperation(location);
+        let seed = data?.[this.SECRET_KEY_STORAGE_KEY];
+
+        if (!seed) {
+          seed = settingsCrypto.createInstallSeed();
+          await this.runStorageOperation(
+            {
+              type: "set",
+              data: { [this.SECRET_KEY_STORAGE_KEY]: seed },
+              storageArea: "local",
+            },
+            this.storageManager?.PRIORITY?.HIGH,
+          );
+        }
+
+        const browserAPI = this.getBrowserAPI();
+        return settingsCrypto.importInstallKey(seed, browserAPI.runtime?.id);
+      })();
+
+      // A failed attempt must not be cached
+      this.secretKey.catch(() => {
+        this.secretKey = null;
+      });
+    }
+    return this.secretKey;
+  }
+
+  /**
+   * Encrypt the values of secret settings in data about to be written
+   * @param {Object} data - { key: setting } storage update
+   * @returns {Promise<Object>} Copy of data with sealed secret values
+   * @private
+   */
+  async sealSecrets(data) {
+    const keys = Object.keys(data).filter(
+      (key) =>
+        this.isSecretSetting(key) &&
+        typeof data[key]?.value === "string" &&
+        data[key].value !== "",
+    );
+    if (keys.length === 0) {
+      return data;
+    }
+
+    const key = await this.getSecretKey();
+    const sealed = { ...data };
+    for (const settingKey of keys) {
+      sealed[settingKey] = {
+        ...data[settingKey],
+        value: await this.getCrypto().sealValue(data[settingKey].value, key),
+      };
+    }
+    return sealed;
+  }
+
+  /**
+   * Decrypt the secret values of raw storage contents
+   * @param {Object} stored - Raw storage contents
+   * @param {Object} defaults - Setting definitions
+   * @returns {Promise<Object>} { stored, unsealed } where unsealed lists
+   *   secrets still stored in clear
+   * @private
+   */
+  async openStoredSecrets(stored, defaults) {
+    const opened = { ...stored };
+    const unsealed = [];
+
+    for (const [key, setting] of Object.entries(defaults)) {
+      const value = stored[key]?.value;
+      if (setting.type !== "secret" || value === undefined || value === "") {
+        continue;
+      }
+
+      if (typeof value === "string") {
+        unsealed.push(key);
+        continue;
+      }
+
+      try {
+        const crypto = this.getCrypto();
+        if (!crypto.isSealedValue(value)) {
+          throw new Error("Stored value is not a string");
+        }
+        opened[key] = {
+          ...stored[key],
+          value: await crypto.openValue(value, await this.getSecretKey()),
+        };
+      } catch (error) {
+        // Without its key the value is lost; fall back to the default
+        console.warn(`Cannot decrypt secret setting '${key}':`, error.message);
+        delete opened[key];
+      }
+    }
+
+    return { stored: opened, unsealed };
   }
 
   /**
-   * Get multiple settings by keys
-   * @param {Array<string>} keys - Array of setting keys
-   * @returns {Promise<Object>}
+   * Structural equality for JSON-compatible values
+   * @private
    */
-  async getSettings(keys) {
-    if (!this.initialized) {
-      await this.initialize();
-    }
-
-    const result = {};
-    for (const key of keys) {
-      const setting = this.settings.get(key);
-      if (setting) {
-        result[key] = { ...setting };
-      }
-    }
-
-    return result;
+  valuesEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
   }
 
   /**
-   * Get all settings
-   * @returns {Promise<Object>}
+   * Get the default value of every setting
+   * @returns {Object} { key: value }
    */
-  async getAllSettings() {
-    if (!this.initialized) {
-      await this.initialize();
+  getDefaultValues() {
+    const values = {};
+    for (const [key, setting] of Object.entries(this.defaultsCache || {})) {
+      values[key] = setting.value;
     }
+    return values;
+  }
 
-    return this.getAllSettingsSync();
+  /**
+   * Get the keys whose current value differs from their default
+   * @returns {Array<string>}
+   */
+  getModifiedKeys() {
+    const defaults = this.getDefaultValues();
+    return Array.from(this.settings)
+      .filter(
+        ([key, setting]) => !this.valuesEqual(setting.value, defaults[key]),
+      )
+      .map(([key]) => key);
   }
 
   /**
-   * Get all settings synchronously (for internal use)
-   * @returns {Object}
+   * Get the current value of every setting
+   * @returns {Object} { key: value }
    */
-  getAllSettingsSync() {
-    const result = {};
+  getCurrentValues() {
+    const values = {};
     for (const [key, setting] of this.settings) {
-      result[key] = { ...setting };
+      values[key] = setting.value;
     }
-    return result;
+    return values;
   }
 
   /**
-   * Update single setting with auto-save debouncing
-   * @param {string} key - Setting key
-   * @param {*} value - New value
+   * Copy the live values into the active profile's overlay
+   * @private
+   */
+  captureActiveProfile() {
+    const profiles = this.getProfileRegistry();
+    profiles.setValues(
+      profiles.getActiveProfileId(),
+      profiles.computeOverlay(
+        this.omitSecrets(this.getCurrentValues()),
+        this.omitSecrets(this.getDefaultValues()),
+      ),
+    );
+  }
+
+  /**
+   * Persist the profile registry
+   * @param {Object} extraData - Additional keys to write in the same operation
    * @returns {Promise<void>}
+   * @private
+   */
+  async saveProfiles(extraData = {}) {
+    const profiles = this.getProfileRegistry();
+    await this.runStorageOperation(
+      {
+        type: "set",
+        data: { ...extraData, [profiles.STORAGE_KEY]: profiles.toJSON() },
+      },
+      this.storageManager?.PRIORITY?.HIGH,
+    );
+  }
+
+  /**
+   * Run a registry change and persist it, restoring the previous
+   * registry if the write fails
+   * @param {Function} change - Mutates the registry, returns the result
+   * @returns {Promise<*>} Result of change()
+   * @private
    */
-  async updateSetting(key, value) {
+  async updateProfiles(change) {
     if (!this.initialized) {
       await this.initialize();
     }
 
-    const setting = this.settings.get(key);
-    if (!setting) {
-      throw new Error(`Setting '${key}' not found`);
-    }
-
-    // Validate value based on type
-    this.validateSetting(setting, value);
-
-    // Update in memory
-    const updatedSetting = { ...setting, value };
-    this.settings.set(key, updatedSetting);
-
-    // Add to pending changes for auto-save
-    this.pendingChanges.set(key, updatedSetting);
-    this.scheduleAutoSave();
-
-    // Update save status
-    this.updateSaveStatus("pending", null, this.pendingChanges.size);
+    const profiles = this.getProfileRegistry();
+    const previousState = profiles.toJSON();
 
-    // Notify listeners immediately for UI responsiveness
-    this.notifyListeners("updated", { key, value, setting: updatedSetting });
+    try {
+      const result = change(profiles);
+      await this.saveProfiles();
+      return result;
+    } catch (error) {
+      profiles.load(previousState);
+      throw error;
+    }
   }
 
   /**
-   * Update multiple settings with auto-save debouncing
-   * @param {Object} updates - Object with key-value pairs
-   * @returns {Promise<void>}
+   * List named profiles
+   * @returns {Promise<Object>} { activeProfileId, profiles: Array<summary> }
    */
-  async updateSettings(updates) {
+  async listProfiles() {
     if (!this.initialized) {
       await this.initialize();
     }
 
-    const validatedUpdates = {};
-    const updatedSettings = {};
-
-    // Validate all updates first
-    for (const [key, value] of Object.entries(updates)) {
-      const setting = this.settings.get(key);
-      if (!setting) {
-        throw new Error(`Setting '${key}' not found`);
-      }
-
-      this.validateSetting(setting, value);
-
-      const updatedSetting = { ...setting, value };
-      validatedUpdates[key] = updatedSetting;
-      updatedSettings[key] = value;
-    }
-
-    // Update in memory
-    for (const [key, setting] of Object.entries(validatedUpdates)) {
-      this.settings.set(key, setting);
-    }
+    const profiles = this.getProfileRegistry();
+    this.captureActiveProfile();
 
-    // Add all to pending changes for auto-save
-    for (const [key, setting] of Object.entries(validatedUpdates)) {
-      this.pendingChanges.set(key, setting);
-    }
-    this.scheduleAutoSave();
+    return {
+      activeProfileId: profiles.getActiveProfileId(),
+      profiles: profiles.list(),
+    };
+  }
 
-    // Update save status
-    this.updateSaveStatus("pending", null, this.pendingChanges.size);
+  /**
+   * Create a profile starting from defaults
+   * @param {string} name - Profile name
+   * @returns {Promise<Object>} Created profile
+   */
+  async createProfile(name) {
+    const profile = await this.updateProfiles((profiles) =>
+      profiles.create(name),
+    );
+    this.notifyListeners("profiles-changed", { created: profile.id });
+    return profile;
+  }
 
-    // Notify listeners immediately for UI responsiveness
-    this.notifyListeners("updated", {
-      updates: updatedSettings,
-      settings: validatedUpdates,
+  /**
+   * Create a profile with the same values as an existing one
+   * @param {string} sourceProfileId - Profile to copy
+   * @param {string} name - Name of the copy
+   * @returns {Promise<Object>} Created profile
+   */
+  async cloneProfile(sourceProfileId, name) {
+    const profile = await this.updateProfiles((profiles) => {
+      if (sourceProfileId === profiles.getActiveProfileId()) {
+        this.captureActiveProfile();
+      }
+      return profiles.create(name, profiles.getProfile(sourceProfileId).values);
     });
+    this.notifyListeners("profiles-changed", { created: profile.id });
+    return profile;
   }
 
   /**
-   * Export settings to JSON
-   * @returns {Promise<string>}
+   * Rename a profile
+   * @param {string} profileId - Profile id
+   * @param {string} name - New name
+   * @returns {Promise<Object>} Renamed profile
    */
-  async exportSettings() {
-    if (!this.initialized) {
-      await this.initialize();
-    }
-
-    const exportData = {
-      version: "1.0",
-      timestamp: new Date().toISOString(),
-      settings: this.getAllSettingsSync(),
-    };
-
-    return JSON.stringify(exportData, null, 2);
+  async renameProfile(profileId, name) {
+    const profile = await this.updateProfiles((profiles) =>
+      profiles.rename(profileId, name),
+    );
+    this.notifyListeners("profiles-changed", { renamed: profileId });
+    return profile;
   }
 
   /**
-   * Import settings from JSON with auto-save
-   * @param {string} jsonData - JSON string with settings
+   * Delete an inactive profile
+   * @param {string} profileId - Profile id
    * @returns {Promise<void>}
    */
-  async importSettings(jsonData) {
-    let importData;
+  async deleteProfile(profileId) {
+    await this.updateProfiles((profiles) => profiles.delete(profileId));
+    this.notifyListeners("profiles-changed", { deleted: profileId });
+  }
 
-    try {
-      importData = JSON.parse(jsonData);
-    } catch {
-      throw new Error("Invalid JSON format");
+  /**
+   * Activate a profile. The values of the profile being left are kept in
+   * its overlay, then every setting is moved to the target profile's value
+   * (or its default) in a single storage write.
+   * @param {string} profileId - Profile to activate
+   * @returns {Promise<Object>} { profileId, previousProfileId, changes, diff }
+   *   where changes maps changed keys to their new value and diff maps them
+   *   to { oldValue, newValue }
+   * @throws {Error} With `code` "invalid-settings" if the profile's values
+   *   break a cross-field rule or an asynchronous validator
+   */
+  async switchProfile(profileId) {
+    if (!this.initialized) {
+      await this.initialize();
     }
 
-    if (!importData.settings) {
-      throw new Error("Invalid settings format - missing settings object");
-    }
+    const profiles = this.getProfileRegistry();
+    const previousProfileId = profiles.getActiveProfileId();
+    const target = profiles.getProfile(profileId);
 
-    // Validate and merge settings
-    const validSettings = {};
-    const importedKeys = [];
+    if (profileId === previousProfileId) {
+      return { profileId, previousProfileId, changes: {}, diff: {} };
+    }
 
-    for (const [key, setting] of Object.entries(importData.settings)) {
-      if (this.settings.has(key)) {
-        try {
-          // Validate the setting structure and value
-          if (
-            !setting.type ||
-            !Object.prototype.hasOwnProperty.call(setting, "value")
-          ) {
-            console.warn(
-              `Skipping invalid setting '${key}' - missing type or value`,
-            );
-            continue;
-          }
+    const previousState = profiles.toJSON();
+    const previousSettings = new Map(this.settings);
+    // Secrets are shared by all profiles and never copied into overlays
+    const currentValues = this.omitSecrets(this.getCurrentValues());
+    const defaultValues = this.omitSecrets(this.getDefaultValues());
 
-          this.validateSetting(setting, setting.value);
-          validSettings[key] = setting;
-          importedKeys.push(key);
-        } catch (error) {
-          console.warn(`Skipping invalid setting '${key}':`, error.message);
-        }
-      } else {
-        console.warn(`Skipping unknown setting '${key}'`);
+    // Resolve the target values, falling back to defaults for overlay
+    // entries the current schema no longer accepts
+    const targetValues = { ...defaultValues };
+    for (const [key, value] of Object.entries(target.values)) {
+      const setting = this.settings.get(key);
+      if (!setting || this.isSecretSetting(key)) {
+        continue;
+      }
+      try {
+        this.validateSetting(setting, value, key);
+        targetValues[key] = value;
+      } catch (error) {
+        console.warn(
+          `Ignoring invalid value for '${key}' in profile '${profileId}':`,
+          error.message,
+        );
       }
     }
 
-    if (Object.keys(validSettings).length === 0) {
-      throw new Error("No valid settings found in import data");
-    }
+    const diff = profiles.diffValues(currentValues, targetValues);
+    const changes = {};
 
-    // Update in memory
-    for (const [key, setting] of Object.entries(validSettings)) {
-      this.settings.set(key, setting);
+    // The profile's values are checked together like any other update
+    await this.validateUpdates(
+      Object.fromEntries(
+        Object.entries(diff).map(([key, { newValue }]) => [key, newValue]),
+      ),
+    );
+
+    // Unsaved edits (and their journal entries) are written with the switch
+    const data = Object.fromEntries(this.pendingChanges);
+    if (this.history && this.historyDirty) {
+      data[this.history.STORAGE_KEY] = this.history.toJSON();
+    }
+    for (const [key, { newValue }] of Object.entries(diff)) {
+      const updatedSetting = { ...this.settings.get(key), value: newValue };
+      this.settings.set(key, updatedSetting);
+      data[key] = updatedSetting;
+      changes[key] = newValue;
     }
 
-    // Force immediate save for imports (high priority)
-    await this.forceSave(validSettings);
-
-    // Notify listeners
-    this.notifyListeners("imported", {
-      importedKeys,
-      settings: validSettings,
-      totalImported: importedKeys.length,
-    });
-  }
-
-  /**
-   * Reset all settings to defaults using storage operation manager
-   * @returns {Promise<void>}
-   */
-  async resetToDefaults() {
     try {
-      // Clear storage using storage operation manager
-      if (this.storageManager) {
-        await this.storageManager.queueOperation({
-          type: "clear",
-          storageArea: this.storageArea,
-        });
-      } else {
-        // Fallback to direct storage access
-        const storage = this.getBrowserAPI().storage[this.storageArea];
-        if (storage) {
-          await storage.clear();
-        }
-      }
-
-      // Clear pending changes
-      this.pendingChanges.clear();
-      if (this.autoSaveTimer) {
-        clearTimeout(this.autoSaveTimer);
-        this.autoSaveTimer = null;
-      }
-
-      // Reinitialize
-      this.initialized = false;
-      this.defaultsCache = null;
-      await this.initialize();
-
-      // Notify listeners
-      this.notifyListeners("reset", { settings: this.getAllSettingsSync() });
+      profiles.setValues(
+        previousProfileId,
+        profiles.computeOverlay(currentValues, defaultValues),
+      );
+      profiles.setActive(profileId);
+      await this.saveProfiles(data);
     } catch (error) {
-      console.error("Failed to reset to defaults:", error);
+      profiles.load(previousState);
+      this.settings = previousSettings;
       throw error;
     }
+
+    if (this.autoSaveTimer) {
+      clearTimeout(this.autoSaveTimer);
+      this.autoSaveTimer = null;
+    }
+    this.pendingChanges.clear();
+    this.historyDirty = false;
+    this.lastSaveTime = Date.now();
+    this.updateSaveStatus("saved", null, 0);
+
+    const result = { profileId, previousProfileId, changes, diff };
+    this.notifyListeners("profile-switched", {
+      ...result,
+      settings: this.getAllSettingsSync(),
+    });
+    return result;
   }
 
   /**
-   * Validate setting value based on type
+   * Validate setting value with the shared SettingsValidator
    * @param {Object} setting - Setting object
    * @param {*} value - Value to validate
+   * @param {string} key - Optional setting key, used as the root of schema error paths
+   * @throws {Error} With `validationErrors` ({ code, path, message, params })
    */
-  validateSetting(setting, value) {
-    switch (setting.type) {
-      case "boolean":
-        if (typeof value !== "boolean") {
-          throw new Error(`${setting.description} must be a boolean`);
-        }
-        break;
-
-      case "text":
-        if (typeof value !== "string") {
-          throw new Error(`${setting.description} must be a string`);
-        }
-        if (setting.maxLength && value.length > setting.maxLength) {
-          throw new Error(
-            `${setting.description} exceeds maximum length of ${setting.maxLength}`,
-          );
-        }
-        break;
-
-      case "longtext":
-        if (typeof value !== "string") {
-          throw new Error(`${setting.description} must be a string`);
-        }
-        if (setting.maxLength && value.length > setting.maxLength) {
-          throw new Error(
-            `${setting.description} exceeds maximum length of ${setting.maxLength}`,
-          );
-        }
-        break;
-
-      case "number":
-        if (typeof value !== "number" || isNaN(value)) {
-          throw new Error(`${setting.description} must be a valid number`);
-        }
-        if (setting.min !== undefined && value < setting.min) {
-          throw new Error(
-            `${setting.description} must be at least ${setting.min}`,
-          );
-        }
-        if (setting.max !== undefined && value > setting.max) {
-          throw new Error(
-            `${setting.description} must be at most ${setting.max}`,
-          );
-        }
-        break;
-
-      case "json":
-        if (typeof value !== "object" || value === null) {
-          throw new Error(`${setting.description} must be a valid object`);
-        }
-
-        // Check for circular references
-        try {
-          JSON.stringify(value);
-        } catch {
-          throw new Error(
-            `${setting.description} contains circular references or invalid JSON`,
-          );
-        }
-        break;
-
-      case "enum":
-        if (!setting.options || typeof setting.options !== "object") {
-          throw new Error(`${setting.description} is missing enum options`);
-        }
-
-        if (!Object.prototype.hasOwnProperty.call(setting.options, value)) {
-          const validOptions = Object.keys(setting.options).join(", ");
-          throw new Error(
-            `${setting.description} must be one of: ${validOptions}`,
-          );
-        }
-        break;
-
-      default:
-        throw new Error(`Unknown setting type: ${setting.type}`);
-    }
+  validateSetting(setting, value, key = "value") {
+    SettingsValidator.assert(setting, value, {
+      key,
+      label: setting.description,
+    });
   }
 
   /**
@@ -530,15 +2256,24 @@ class SettingsManager {
       changedKeys.push(key);
     }
 
+    // The undo journal is written together with the values it describes
+    const data = { ...changes };
+    if (this.history && this.historyDirty) {
+      data[this.history.STORAGE_KEY] = this.history.toJSON();
+      this.historyDirty = false;
+    }
+
     this.pendingChanges.clear();
     this.updateSaveStatus("saving", null, 0);
 
     try {
+      const sealed = await this.sealSecrets(data);
+
       // Use storage operation manager for queued persistence
       if (this.storageManager) {
         await this.storageManager.queueOperation({
           type: "set",
-          data: changes,
+          data: sealed,
           storageArea: this.storageArea,
         });
       } else {
@@ -547,7 +2282,7 @@ class SettingsManager {
         if (!storage) {
           throw new Error(`Storage area '${this.storageArea}' not available`);
         }
-        await storage.set(changes);
+        await storage.set(sealed);
       }
 
       this.lastSaveTime = Date.now();
@@ -565,6 +2300,9 @@ class SettingsManager {
       for (const [key, setting] of Object.entries(changes)) {
         this.pendingChanges.set(key, setting);
       }
+      if (this.history && data[this.history.STORAGE_KEY]) {
+        this.historyDirty = true;
+      }
 
       this.updateSaveStatus("error", error, this.pendingChanges.size);
 
@@ -599,11 +2337,13 @@ class SettingsManager {
     if (specificSettings) {
       // Save specific settings immediately
       try {
+        const sealed = await this.sealSecrets(specificSettings);
+
         if (this.storageManager) {
           await this.storageManager.queueOperation(
             {
               type: "set",
-              data: specificSettings,
+              data: sealed,
               storageArea: this.storageArea,
             },
             this.storageManager.PRIORITY?.HIGH || 1,
@@ -614,7 +2354,7 @@ class SettingsManager {
           if (!storage) {
             throw new Error(`Storage area '${this.storageArea}' not available`);
           }
-          await storage.set(specificSettings);
+          await storage.set(sealed);
         }
 
         this.lastSaveTime = Date.now();
@@ -828,6 +2568,12 @@ class SettingsManager {
       this.storageManager.destroy();
     }
 
+    // Stop waiting for asynchronous validations
+    for (const controller of this.pendingValidations.values()) {
+      controller.abort();
+    }
+    this.pendingValidations.clear();
+
     // Clear all data structures
     this.listeners.clear();
     this.settings.clear();
@@ -837,6 +2583,13 @@ class SettingsManager {
     this.initialized = false;
     this.defaultsCache = null;
     this.storageManager = null;
+    this.lastMigration = null;
+    this.profiles = null;
+    this.siteOverrides = null;
+    this.history = null;
+    this.historyDirty = false;
+    this.snapshots = null;
+    this.rules = null;
     this.saveStatus = {
       state: "saved",
       lastError: null,
@@ -0,0 +1,196 @@
+// lib/settings-migrations.js
+// Versioned upgrade steps for stored setting values
+
+/**
+ * Registry of migration steps, keyed by the schema version they upgrade TO.
+ *
+ * Each step receives a copy of the stored values at version N-1 as a plain
+ * `{ key: value }` object and returns the values for version N. Steps may
+ * rename keys (return the new key, omit the old one), change value types or
+ * split one setting into several. Keys missing from the result are removed
+ * from storage; keys not known to defaults.json are ignored at load time.
+ *
+ * The same steps also run on each profile overlay, which holds only the
+ * values that differ from defaults, so a step must not assume a key is
+ * present.
+ *
+ * Bump "$schemaVersion" in config/defaults.json together with adding a step.
+ *
+ * @example
+ * 2: (values) => {
+ *   // refresh_interval changed from enum string to number of seconds
+ *   if (typeof values.refresh_interval === "string") {
+ *     values.refresh_interval = parseInt(values.refresh_interval, 10);
+ *   }
+ *   return values;
+ * },
+ */
+const SETTINGS_MIGRATIONS = {};
+
+/**
+ * Error raised when a migration step fails; nothing has been written
+ */
+class SettingsMigrationError extends Error {
+  constructor(message, version, cause = null) {
+    super(message);
+    this.name = "SettingsMigrationError";
+    this.version = version;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Applies registered migrations to stored settings
+ *
+ * The migrator itself never touches storage: migrate() transforms an
+ * in-memory copy and buildStorageUpdate() describes the writes, so a failed
+ * step leaves the stored data exactly as it was.
+ */
+class SettingsMigrator {
+  constructor(migrations = SETTINGS_MIGRATIONS) {
+    this.migrations = migrations;
+
+    // Storage key recording the schema version of the stored values
+    this.VERSION_KEY = "__schema_version__";
+
+    // Stored data written before schema versioning existed
+    this.BASE_VERSION = 1;
+  }
+
+  /**
+   * Get the schema version recorded in stored data
+   * @param {Object} stored - Raw storage contents
+   * @returns {number|null} Recorded version, or null when none is recorded
+   */
+  getStoredVersion(stored) {
+    const version = stored?.[this.VERSION_KEY];
+    return Number.isInteger(version) ? version : null;
+  }
+
+  /**
+   * Extract setting values from raw storage contents
+   * @param {Object} stored - Raw storage contents
+   * @returns {Object} Object with key-value pairs for stored settings
+   */
+  extractValues(stored) {
+    const values = {};
+
+    for (const [key, entry] of Object.entries(stored || {})) {
+      if (
+        key !== this.VERSION_KEY &&
+        entry &&
+        typeof entry === "object" &&
+        !Array.isArray(entry) &&
+        Object.prototype.hasOwnProperty.call(entry, "value")
+      ) {
+        values[key] = entry.value;
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Get the ordered list of versions to apply
+   * @param {number} fromVersion - Current stored version
+   * @param {number} toVersion - Target schema version
+   * @returns {Array<number>} Versions with a registered step, ascending
+   */
+  getPendingVersions(fromVersion, toVersion) {
+    const pending = [];
+    for (let version = fromVersion + 1; version <= toVersion; version++) {
+      if (typeof this.migrations[version] === "function") {
+        pending.push(version);
+      }
+    }
+    return pending;
+  }
+
+  /**
+   * Run migration steps from one schema version to another
+   * @param {Object} values - Stored values at fromVersion
+   * @param {number} fromVersion - Current stored version
+   * @param {number} toVersion - Target schema version
+   * @returns {{values: Object, applied: Array<number>}} Migrated values and applied versions
+   * @throws {SettingsMigrationError} If any step throws or returns a non-object
+   */
+  migrate(values, fromVersion, toVersion) {
+    // Work on a deep copy so a failing step cannot corrupt the caller's data
+    let current = JSON.parse(JSON.stringify(values || {}));
+    const applied = [];
+
+    for (const version of this.getPendingVersions(fromVersion, toVersion)) {
+      let result;
+      try {
+        result = this.migrations[version](current, {
+          fromVersion: version - 1,
+          toVersion: version,
+        });
+      } catch (error) {
+        throw new SettingsMigrationError(
+          `Migration to schema version ${version} failed: ${error.message}`,
+          version,
+          error,
+        );
+      }
+
+      if (!result || typeof result !== "object" || Array.isArray(result)) {
+        throw new SettingsMigrationError(
+          `Migration to schema version ${version} must return a values object`,
+          version,
+        );
+      }
+
+      current = result;
+      applied.push(version);
+    }
+
+    return { values: current, applied };
+  }
+
+  /**
+   * Describe the storage writes needed to persist migrated values
+   * @param {Object} stored - Raw storage contents before migration
+   * @param {Object} values - Migrated values
+   * @param {Object} defaults - Setting definitions from the configuration
+   * @param {number} toVersion - Schema version being recorded
+   * @returns {{set: Object, remove: Array<string>}} Entries to set and keys to remove
+   */
+  buildStorageUpdate(stored, values, defaults, toVersion) {
+    const set = { [this.VERSION_KEY]: toVersion };
+    const previousKeys = Object.keys(this.extractValues(stored));
+
+    for (const [key, value] of Object.entries(values)) {
+      const existing = stored?.[key];
+      const base =
+        existing && typeof existing === "object" ? existing : defaults[key];
+      set[key] = { ...(base || {}), value };
+    }
+
+    const remove = previousKeys.filter(
+      (key) => !Object.prototype.hasOwnProperty.call(values, key),
+    );
+
+    return { set, remove };
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== "undefined" && module.exports) {
+  // CommonJS (Node.js)
+  module.exports = {
+    SettingsMigrator,
+    SettingsMigrationError,
+    SETTINGS_MIGRATIONS,
+  };
+} else if (typeof window !== "undefined") {
+  // Browser environment
+  window.SettingsMigrator = SettingsMigrator;
+  window.SettingsMigrationError = SettingsMigrationError;
+  window.SETTINGS_MIGRATIONS = SETTINGS_MIGRATIONS;
+} else {
+  // Service worker context
+  self.SettingsMigrator = SettingsMigrator;
+  self.SettingsMigrationError = SettingsMigrationError;
+  self.SETTINGS_MIGRATIONS = SETTINGS_MIGRATIONS;
+}
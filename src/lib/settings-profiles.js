@@ -0,0 +1,349 @@
+// lib/settings-profiles.js
+// Named settings profiles: value overlays on top of defaults
+
+/**
+ * Error raised for invalid profile operations (unknown id, duplicate name...)
+ */
+class SettingsProfileError extends Error {
+  constructor(message, profileId = null) {
+    super(message);
+    this.name = "SettingsProfileError";
+    this.profileId = profileId;
+  }
+}
+
+/**
+ * Registry of named profiles.
+ *
+ * Each profile stores only the values that differ from defaults.json
+ * (its overlay). The active profile's values live in the regular setting
+ * keys; its overlay here is refreshed whenever the profile is left, so
+ * this class never touches storage itself. SettingsManager persists
+ * toJSON() under STORAGE_KEY.
+ */
+class SettingsProfiles {
+  constructor(state = null) {
+    // Storage key holding the serialized registry
+    this.STORAGE_KEY = "__profiles__";
+
+    // Profile created on first use; holds whatever was configured before
+    this.DEFAULT_PROFILE_ID = "default";
+    this.DEFAULT_PROFILE_NAME = "Default";
+
+    this.MAX_NAME_LENGTH = 40;
+
+    this.load(state);
+  }
+
+  /**
+   * Replace the registry with stored data
+   * @param {Object|null} state - Stored registry
+   * @returns {SettingsProfiles} This instance
+   */
+  load(state) {
+    this.state = this.normalizeState(state);
+    return this;
+  }
+
+  /**
+   * Build a valid registry from stored data, falling back to a single
+   * default profile when the data is missing or malformed
+   * @param {Object|null} state - Stored registry
+   * @returns {Object} Registry state
+   */
+  normalizeState(state) {
+    const profiles = {};
+
+    if (state && typeof state.profiles === "object" && state.profiles) {
+      for (const [id, profile] of Object.entries(state.profiles)) {
+        if (profile && typeof profile.name === "string") {
+          profiles[id] = {
+            id,
+            name: profile.name,
+            values:
+              profile.values && typeof profile.values === "object"
+                ? JSON.parse(JSON.stringify(profile.values))
+                : {},
+            createdAt: profile.createdAt || Date.now(),
+            updatedAt: profile.updatedAt || profile.createdAt || Date.now(),
+          };
+        }
+      }
+    }
+
+    if (Object.keys(profiles).length === 0) {
+      const now = Date.now();
+      profiles[this.DEFAULT_PROFILE_ID] = {
+        id: this.DEFAULT_PROFILE_ID,
+        name: this.DEFAULT_PROFILE_NAME,
+        values: {},
+        createdAt: now,
+        updatedAt: now,
+      };
+    }
+
+    const activeProfileId = profiles[state?.activeProfileId]
+      ? state.activeProfileId
+      : Object.keys(profiles)[0];
+
+    return { activeProfileId, profiles };
+  }
+
+  /**
+   * Id of the active profile
+   * @returns {string}
+   */
+  getActiveProfileId() {
+    return this.state.activeProfileId;
+  }
+
+  /**
+   * Get a profile by id
+   * @param {string} profileId - Profile id
+   * @returns {Object} Copy of the profile
+   * @throws {SettingsProfileError} If the profile does not exist
+   */
+  getProfile(profileId) {
+    const profile = this.state.profiles[profileId];
+    if (!profile) {
+      throw new SettingsProfileError(
+        `Profile '${profileId}' not found`,
+        profileId,
+      );
+    }
+    return JSON.parse(JSON.stringify(profile));
+  }
+
+  /**
+   * List profile summaries in creation order
+   * @returns {Array<Object>} { id, name, active, overrideCount, createdAt, updatedAt }
+   */
+  list() {
+    return Object.values(this.state.profiles)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((profile) => ({
+        id: profile.id,
+        name: profile.name,
+        active: profile.id === this.state.activeProfileId,
+        overrideCount: Object.keys(profile.values).length,
+        createdAt: profile.createdAt,
+        updatedAt: profile.updatedAt,
+      }));
+  }
+
+  /**
+   * Check and normalize a profile name
+   * @param {string} name - Requested name
+   * @param {string} ignoreId - Profile allowed to already use the name
+   * @returns {string} Trimmed name
+   * @throws {SettingsProfileError} If the name is empty, too long or taken
+   */
+  validateName(name, ignoreId = null) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+
+    if (!trimmed) {
+      throw new SettingsProfileError("Profile name is required");
+    }
+    if (trimmed.length > this.MAX_NAME_LENGTH) {
+      throw new SettingsProfileError(
+        `Profile name must be at most ${this.MAX_NAME_LENGTH} characters`,
+      );
+    }
+
+    const duplicate = Object.values(this.state.profiles).find(
+      (profile) =>
+        profile.id !== ignoreId &&
+        profile.name.toLowerCase() === trimmed.toLowerCase(),
+    );
+    if (duplicate) {
+      throw new SettingsProfileError(
+        `A profile named '${trimmed}' already exists`,
+        duplicate.id,
+      );
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Derive a unique id from a profile name
+   * @param {string} name - Profile name
+   * @returns {string} Profile id
+   */
+  generateId(name) {
+    const base =
+      name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "") || "profile";
+
+    let id = base;
+    for (let suffix = 2; this.state.profiles[id]; suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    return id;
+  }
+
+  /**
+   * Create a profile
+   * @param {string} name - Profile name
+   * @param {Object} values - Initial overlay (defaults to none)
+   * @returns {Object} Copy of the new profile
+   */
+  create(name, values = {}) {
+    const validName = this.validateName(name);
+    const id = this.generateId(validName);
+    const now = Date.now();
+
+    this.state.profiles[id] = {
+      id,
+      name: validName,
+      values: JSON.parse(JSON.stringify(values)),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    return this.getProfile(id);
+  }
+
+  /**
+   * Rename a profile
+   * @param {string} profileId - Profile id
+   * @param {string} name - New name
+   * @returns {Object} Copy of the renamed profile
+   */
+  rename(profileId, name) {
+    this.getProfile(profileId);
+    const validName = this.validateName(name, profileId);
+
+    const profile = this.state.profiles[profileId];
+    profile.name = validName;
+    profile.updatedAt = Date.now();
+
+    return this.getProfile(profileId);
+  }
+
+  /**
+   * Delete an inactive profile
+   * @param {string} profileId - Profile id
+   * @throws {SettingsProfileError} If the profile is active or unknown
+   */
+  delete(profileId) {
+    this.getProfile(profileId);
+
+    if (profileId === this.state.activeProfileId) {
+      throw new SettingsProfileError(
+        "Cannot delete the active profile; switch to another profile first",
+        profileId,
+      );
+    }
+
+    delete this.state.profiles[profileId];
+  }
+
+  /**
+   * Replace a profile's overlay
+   * @param {string} profileId - Profile id
+   * @param {Object} values - Values differing from defaults
+   */
+  setValues(profileId, values) {
+    this.getProfile(profileId);
+
+    const profile = this.state.profiles[profileId];
+    profile.values = JSON.parse(JSON.stringify(values));
+    profile.updatedAt = Date.now();
+  }
+
+  /**
+   * Mark a profile as active
+   * @param {string} profileId - Profile id
+   */
+  setActive(profileId) {
+    this.getProfile(profileId);
+    this.state.activeProfileId = profileId;
+  }
+
+  /**
+   * Remove keys from every overlay, e.g. settings that became secret after
+   * the overlay was saved. Profiles keep their updatedAt.
+   * @param {Array<string>} keys - Setting keys
+   * @returns {boolean} Whether any overlay held one of the keys
+   */
+  omitKeys(keys) {
+    let changed = false;
+    for (const profile of Object.values(this.state.profiles)) {
+      for (const key of keys) {
+        if (Object.prototype.hasOwnProperty.call(profile.values, key)) {
+          delete profile.values[key];
+          changed = true;
+        }
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Serializable copy of the registry
+   * @returns {Object}
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.state));
+  }
+
+  /**
+   * Compute the overlay of values that differ from defaults
+   * @param {Object} values - Current values ({ key: value })
+   * @param {Object} defaultValues - Default values ({ key: value })
+   * @returns {Object} Differing values
+   */
+  computeOverlay(values, defaultValues) {
+    const overlay = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (
+        Object.prototype.hasOwnProperty.call(defaultValues, key) &&
+        !this.valuesEqual(value, defaultValues[key])
+      ) {
+        overlay[key] = JSON.parse(JSON.stringify(value));
+      }
+    }
+    return overlay;
+  }
+
+  /**
+   * Compute the changes needed to go from one set of values to another
+   * @param {Object} fromValues - Current values
+   * @param {Object} toValues - Target values
+   * @returns {Object} { key: { oldValue, newValue } } for changed keys only
+   */
+  diffValues(fromValues, toValues) {
+    const diff = {};
+    for (const [key, newValue] of Object.entries(toValues)) {
+      if (!this.valuesEqual(fromValues[key], newValue)) {
+        diff[key] = { oldValue: fromValues[key], newValue };
+      }
+    }
+    return diff;
+  }
+
+  /**
+   * Structural equality for JSON-compatible values
+   * @private
+   */
+  valuesEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== "undefined" && module.exports) {
+  // CommonJS (Node.js)
+  module.exports = { SettingsProfiles, SettingsProfileError };
+} else if (typeof window !== "undefined") {
+  // Browser environment
+  window.SettingsProfiles = SettingsProfiles;
+  window.SettingsProfileError = SettingsProfileError;
+} else {
+  // Service worker context
+  self.SettingsProfiles = SettingsProfiles;
+  self.SettingsProfileError = SettingsProfileError;
+}
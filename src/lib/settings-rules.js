@@ -0,0 +1,280 @@
+// lib/settings-rules.js
+// Cross-field validation rules declared under "$rules" in defaults.json
+// Assumes i18n.js is loaded before this script
+
+/**
+ * Evaluates rules that span several settings.
+ *
+ * Rules come from the "$rules" configuration metadata (validated by
+ * ConfigurationLoader.validateRules()) plus a "required" rule for every
+ * setting declaring `"validation": "required"`, which only applies while
+ * that setting is enabled and is only checked when that setting itself
+ * changes: the toggle enabling it never fails on a value that could not
+ * be edited while the setting was disabled. Every rule may carry a `when` condition and a
+ * custom `message`. Conditions are evaluated with the same expression
+ * language as visibleWhen/enabledWhen, so `conditions` is the
+ * ConfigurationLoader that owns it.
+ *
+ * A check only looks at rules referencing at least one changed key, so
+ * defaults that start out incomplete (an API key the user still has to
+ * enter) do not block unrelated changes.
+ */
+class SettingsRules {
+  /**
+   * @param {Array<Object>} rules - Rules from ConfigurationLoader.getRules()
+   * @param {Object} definitions - Setting definitions by key
+   * @param {ConfigurationLoader} conditions - Condition evaluator
+   */
+  constructor(rules, definitions, conditions) {
+    this.definitions = definitions || {};
+    this.conditions = conditions;
+    this.rules = [...(rules || [])];
+
+    for (const [key, setting] of Object.entries(this.definitions)) {
+      if (setting?.validation === "required") {
+        this.rules.push({ type: "required", setting: key });
+      }
+    }
+  }
+
+  /**
+   * Check values against every rule touching the changed keys
+   * @param {Object} values - Complete { key: value } map after the change
+   * @param {Array<string>|null} changedKeys - Keys being changed, or null
+   *   to check every rule
+   * @returns {Array<Object>} Violations { type, keys, message }
+   */
+  check(values, changedKeys = null) {
+    const changed = changedKeys ? new Set(changedKeys) : null;
+    const violations = [];
+
+    for (const rule of this.rules) {
+      if (
+        changed &&
+        !this.getReferences(rule).some((key) => changed.has(key))
+      ) {
+        continue;
+      }
+
+      const violation = this.evaluate(rule, values);
+      if (violation) {
+        violations.push(violation);
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Evaluate one rule
+   * @param {Object} rule - Rule definition
+   * @param {Object} values - Complete { key: value } map
+   * @returns {Object|null} Violation { type, keys, message }, or null
+   */
+  evaluate(rule, values) {
+    if (
+      rule.when !== undefined &&
+      !this.conditions.evaluateCondition(rule.when, values)
+    ) {
+      return null;
+    }
+
+    const violation = (keys, message) => ({
+      type: rule.type,
+      keys,
+      message: rule.message || message,
+    });
+
+    switch (rule.type) {
+      case "required": {
+        const setting = this.definitions[rule.setting];
+        if (
+          !this.conditions.getSettingState(setting, values).enabled ||
+          this.isSet(values[rule.setting])
+        ) {
+          return null;
+        }
+        return violation(
+          [rule.setting],
+          I18n.getMessage(
+            "rule_required",
+            [this.label(rule.setting)],
+            "$1 is required",
+          ),
+        );
+      }
+
+      case "required-if":
+        return this.isSet(values[rule.setting])
+          ? null
+          : violation(
+              [rule.setting],
+              I18n.getMessage(
+                "rule_required",
+                [this.label(rule.setting)],
+                "$1 is required",
+              ),
+            );
+
+      case "less-than": {
+        const value = values[rule.setting];
+        const bound = this.resolveOperand(rule.than, values);
+        if (typeof value !== "number" || typeof bound !== "number") {
+          return null;
+        }
+        if (rule.orEqual ? value <= bound : value < bound) {
+          return null;
+        }
+
+        const keys = [rule.setting];
+        let boundText = String(bound);
+        if (typeof rule.than === "string") {
+          const boundKey = this.getOperandKey(rule.than);
+          if (boundKey !== rule.setting) {
+            keys.push(boundKey);
+          }
+          boundText += ` (${rule.than})`;
+        }
+        return violation(
+          keys,
+          rule.orEqual
+            ? I18n.getMessage(
+                "rule_at_most",
+                [this.label(rule.setting), boundText],
+                "$1 must be at most $2",
+              )
+            : I18n.getMessage(
+                "rule_less_than",
+                [this.label(rule.setting), boundText],
+                "$1 must be less than $2",
+              ),
+        );
+      }
+
+      case "mutually-exclusive": {
+        const setKeys = rule.settings.filter((key) => this.isSet(values[key]));
+        if (setKeys.length <= 1) {
+          return null;
+        }
+        return violation(
+          setKeys,
+          I18n.getMessage(
+            "rule_mutually_exclusive",
+            [rule.settings.map((key) => this.label(key)).join(", ")],
+            "Only one of $1 can be set",
+          ),
+        );
+      }
+
+      case "expression":
+        return this.conditions.evaluateCondition(rule.assert, values)
+          ? null
+          : violation(
+              rule.settings ||
+                this.conditions.getConditionReferences(rule.assert),
+              rule.message,
+            );
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Keys a rule depends on; a change to any of them re-checks the rule
+   * @param {Object} rule - Rule definition
+   * @returns {Array<string>} Setting keys
+   */
+  getReferences(rule) {
+    const keys = [];
+
+    if (rule.setting) {
+      keys.push(rule.setting);
+    }
+    if (Array.isArray(rule.settings)) {
+      keys.push(...rule.settings);
+    }
+    if (typeof rule.than === "string") {
+      keys.push(this.getOperandKey(rule.than));
+    }
+    if (rule.when !== undefined) {
+      keys.push(...this.conditions.getConditionReferences(rule.when));
+    }
+    if (rule.assert !== undefined) {
+      keys.push(...this.conditions.getConditionReferences(rule.assert));
+    }
+
+    return keys;
+  }
+
+  /**
+   * Resolve a number literal or a "key" / "key.path" reference into a
+   * setting value (paths descend into json settings)
+   * @param {number|string} operand - Literal or reference
+   * @param {Object} values - Complete { key: value } map
+   * @returns {*} Resolved value, undefined if the path does not exist
+   */
+  resolveOperand(operand, values) {
+    if (typeof operand !== "string") {
+      return operand;
+    }
+
+    const [key, ...path] = operand.split(".");
+    let value = values[key];
+    for (const segment of path) {
+      if (!value || typeof value !== "object") {
+        return undefined;
+      }
+      value = value[segment];
+    }
+    return value;
+  }
+
+  /**
+   * Setting key of a "key.path" reference
+   * @param {string} operand - Reference
+   * @returns {string} Setting key
+   */
+  getOperandKey(operand) {
+    return operand.split(".")[0];
+  }
+
+  /**
+   * Whether a value counts as filled in: not empty text, not an empty
+   * list, not false and not null
+   * @param {*} value - Setting value
+   * @returns {boolean}
+   */
+  isSet(value) {
+    if (value === undefined || value === null || value === false) {
+      return false;
+    }
+    if (typeof value === "string") {
+      return value.trim() !== "";
+    }
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    return true;
+  }
+
+  /**
+   * Name of a setting in messages
+   * @private
+   */
+  label(key) {
+    return this.definitions[key]?.description || key;
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== "undefined" && module.exports) {
+  // CommonJS (Node.js)
+  module.exports = SettingsRules;
+} else if (typeof window !== "undefined") {
+  // Browser environment
+  window.SettingsRules = SettingsRules;
+} else {
+  // Service worker context
+  self.SettingsRules = SettingsRules;
+}
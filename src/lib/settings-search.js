@@ -0,0 +1,231 @@
+// lib/settings-search.js
+// Full-text search over setting definitions for the options page and popup
+
+/**
+ * Finds settings by the text users see and the values they hold.
+ *
+ * A query is split into words; a setting matches when every word occurs in
+ * at least one of its fields (display name, key, description, help text,
+ * option labels or current value). Matching ignores case and accents.
+ * Results are ranked by the best field a word was found in, so a hit in
+ * the display name beats one in the help text.
+ *
+ * Secret values are never searched.
+ */
+class SettingsSearch {
+  /**
+   * Search settings
+   * @param {Iterable<[string, Object]>} settings - [key, setting] pairs;
+   *   `setting.value` is the value to search
+   * @param {string} query - Words to look for
+   * @returns {Array<Object>} Matches { key, setting, fields, score }, best
+   *   first; `fields` lists the { field, text } entries that matched
+   */
+  static search(settings, query) {
+    const words = SettingsSearch.getWords(query);
+    if (words.length === 0) {
+      return [];
+    }
+
+    const results = [];
+    for (const [key, setting] of settings) {
+      const fields = SettingsSearch.getFields(key, setting);
+      const matched = new Set();
+      let score = 0;
+
+      const found = words.every((word) => {
+        let best = null;
+        for (const entry of fields) {
+          if (SettingsSearch.normalize(entry.text).includes(word)) {
+            matched.add(entry);
+            const weight = SettingsSearch.FIELD_WEIGHTS[entry.field];
+            best = Math.max(best ?? 0, weight);
+          }
+        }
+        score += best ?? 0;
+        return best !== null;
+      });
+
+      if (found) {
+        results.push({
+          key,
+          setting,
+          fields: fields.filter((entry) => matched.has(entry)),
+          score,
+        });
+      }
+    }
+
+    // Array.prototype.sort is stable, so equal scores keep their order
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Searchable text of a setting
+   * @param {string} key - Setting key
+   * @param {Object} setting - Setting definition and value
+   * @returns {Array<Object>} { field, text } entries
+   */
+  static getFields(key, setting) {
+    const fields = [];
+    const add = (field, text) => {
+      if (typeof text === "string" && text.trim() !== "") {
+        fields.push({ field, text });
+      }
+    };
+
+    add("displayName", setting.displayName);
+    add("key", key);
+    add("description", setting.description);
+    add("helpText", setting.helpText);
+
+    if (setting.options && typeof setting.options === "object") {
+      for (const label of Object.values(setting.options)) {
+        add("option", label);
+      }
+    }
+
+    if (setting.type !== "secret") {
+      add("value", SettingsSearch.formatValue(setting.value));
+    }
+
+    return fields;
+  }
+
+  /**
+   * Text of a value as it can be searched
+   * @param {*} value - Setting value
+   * @returns {string}
+   */
+  static formatValue(value) {
+    if (value === undefined || value === null || typeof value === "boolean") {
+      return "";
+    }
+    if (typeof value === "object") {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Split text into the parts that match the query and the parts that do
+   * not, so pages can highlight matches without building HTML
+   * @param {string} text - Text to split
+   * @param {string} query - Words to look for
+   * @returns {Array<Object>} { text, match } parts in order
+   */
+  static highlight(text, query) {
+    const source = String(text ?? "");
+    const normalized = SettingsSearch.normalize(source);
+    const words = SettingsSearch.getWords(query);
+
+    // Mark every character covered by a word
+    const marked = new Array(source.length).fill(false);
+    for (const word of words) {
+      for (
+        let index = normalized.indexOf(word);
+        index !== -1;
+        index = normalized.indexOf(word, index + 1)
+      ) {
+        marked.fill(true, index, index + word.length);
+      }
+    }
+
+    const parts = [];
+    for (let index = 0; index < source.length; index++) {
+      const last = parts[parts.length - 1];
+      if (last && last.match === marked[index]) {
+        last.text += source[index];
+      } else {
+        parts.push({ text: source[index], match: marked[index] });
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * Shorten text around its first match so long values (JSON, CSS) still
+   * show the part that matched
+   * @param {string} text - Text to shorten
+   * @param {string} query - Words to look for
+   * @param {number} length - Maximum number of characters to keep
+   * @returns {string} Excerpt, with "…" where text was cut
+   */
+  static excerpt(text, query, length = 120) {
+    const source = String(text ?? "").replace(/\s+/g, " ");
+    if (source.length <= length) {
+      return source;
+    }
+
+    const normalized = SettingsSearch.normalize(source);
+    const indexes = SettingsSearch.getWords(query)
+      .map((word) => normalized.indexOf(word))
+      .filter((index) => index !== -1);
+    const first = indexes.length > 0 ? Math.min(...indexes) : 0;
+
+    // Keep a little context before the match
+    const start = Math.max(
+      0,
+      Math.min(first - Math.floor(length / 4), source.length - length),
+    );
+    const end = start + length;
+    return (
+      (start > 0 ? "…" : "") +
+      source.slice(start, end) +
+      (end < source.length ? "…" : "")
+    );
+  }
+
+  /**
+   * Normalized, distinct words of a query
+   * @param {string} query - Search query
+   * @returns {Array<string>}
+   */
+  static getWords(query) {
+    return [
+      ...new Set(
+        SettingsSearch.normalize(query ?? "")
+          .split(/\s+/)
+          .filter(Boolean),
+      ),
+    ];
+  }
+
+  /**
+   * Lower-case text without accents. Characters keep their positions, so
+   * indexes into the result are valid in the original text
+   * @param {string} text - Text to normalize
+   * @returns {string}
+   */
+  static normalize(text) {
+    return Array.from(String(text), (character) => {
+      const base = character
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase();
+      return base.length === character.length ? base : character;
+    }).join("");
+  }
+}
+
+// How much a match in each field counts towards the ranking
+SettingsSearch.FIELD_WEIGHTS = {
+  displayName: 6,
+  key: 5,
+  description: 4,
+  option: 3,
+  helpText: 2,
+  value: 1,
+};
+
+// Export for use in different contexts
+if (typeof module !== "undefined" && module.exports) {
+  // CommonJS (Node.js)
+  module.exports = SettingsSearch;
+} else if (typeof window !== "undefined") {
+  // Browser environment
+  window.SettingsSearch = SettingsSearch;
+} else {
+  // Service worker context
+  self.SettingsSearch = SettingsSearch;
+}
@@ -0,0 +1,268 @@
+// lib/settings-snapshots.js
+// Rolling snapshots of setting values used as restore points
+
+/**
+ * Error raised for invalid snapshot operations (unknown id, too large...)
+ */
+class SettingsSnapshotError extends Error {
+  constructor(message, snapshotId = null) {
+    super(message);
+    this.name = "SettingsSnapshotError";
+    this.snapshotId = snapshotId;
+  }
+}
+
+/**
+ * Registry of restore points.
+ *
+ * Each snapshot holds every setting value at one point in time, the reason
+ * it was taken ("import", "reset", "profile-switch", "daily", "manual",
+ * "restore") and the active profile. Only the newest MAX_SNAPSHOTS are
+ * kept, and older ones are dropped while the total serialized size exceeds
+ * MAX_TOTAL_BYTES. Like SettingsProfiles, this class never touches storage;
+ * SettingsManager persists toJSON() under STORAGE_KEY.
+ */
+class SettingsSnapshots {
+  constructor(state = null) {
+    // Storage key holding { snapshots: [...] }, oldest first
+    this.STORAGE_KEY = "__snapshots__";
+
+    this.MAX_SNAPSHOTS = 10;
+
+    // Budget for all snapshots together, well below the storage quota
+    this.MAX_TOTAL_BYTES = 1024 * 1024;
+
+    // Minimum spacing between two "daily" snapshots
+    this.DAILY_INTERVAL = 24 * 60 * 60 * 1000;
+
+    this.load(state);
+  }
+
+  /**
+   * Replace the registry with stored data, dropping malformed snapshots
+   * @param {Object|null} state - Stored registry
+   * @returns {SettingsSnapshots} This instance
+   */
+  load(state) {
+    const snapshots = Array.isArray(state?.snapshots)
+      ? state.snapshots.filter(
+          (snapshot) =>
+            snapshot &&
+            typeof snapshot.id === "string" &&
+            typeof snapshot.createdAt === "number" &&
+            snapshot.values &&
+            typeof snapshot.values === "object",
+        )
+      : [];
+
+    this.snapshots = JSON.parse(JSON.stringify(snapshots));
+    this.enforceLimits();
+    return this;
+  }
+
+  /**
+   * Take a snapshot
+   * @param {Object} values - Current values ({ key: value })
+   * @param {string} reason - Why the snapshot is taken
+   * @param {Object} details - Optional { profileId }
+   * @returns {Object} Summary of the new snapshot
+   * @throws {SettingsSnapshotError} If the values alone exceed the size budget
+   */
+  create(values, reason, details = {}) {
+    const serializedValues = JSON.stringify(values);
+    const size = serializedValues.length;
+
+    if (size > this.MAX_TOTAL_BYTES) {
+      throw new SettingsSnapshotError(
+        `Snapshot is too large (${size} bytes, limit ${this.MAX_TOTAL_BYTES})`,
+      );
+    }
+
+    const createdAt = Date.now();
+    let id = `snapshot-${createdAt}`;
+    for (let suffix = 2; this.snapshots.some((s) => s.id === id); suffix++) {
+      id = `snapshot-${createdAt}-${suffix}`;
+    }
+
+    const snapshot = {
+      id,
+      reason,
+      createdAt,
+      profileId: details.profileId || null,
+      size,
+      values: JSON.parse(serializedValues),
+    };
+
+    this.snapshots.push(snapshot);
+    this.enforceLimits();
+
+    return this.summarize(snapshot);
+  }
+
+  /**
+   * Whether a "daily" snapshot is due: none was taken within DAILY_INTERVAL
+   * and the values differ from the newest snapshot
+   * @param {Object} values - Current values
+   * @returns {boolean}
+   */
+  isDailySnapshotDue(values) {
+    const now = Date.now();
+    const recentDaily = this.snapshots.some(
+      (snapshot) =>
+        snapshot.reason === "daily" &&
+        now - snapshot.createdAt < this.DAILY_INTERVAL,
+    );
+    if (recentDaily) {
+      return false;
+    }
+
+    const newest = this.snapshots[this.snapshots.length - 1];
+    return !newest || !this.valuesEqual(newest.values, values);
+  }
+
+  /**
+   * Drop the oldest snapshots beyond the count and size limits
+   * @private
+   */
+  enforceLimits() {
+    while (this.snapshots.length > this.MAX_SNAPSHOTS) {
+      this.snapshots.shift();
+    }
+
+    const totalSize = () =>
+      this.snapshots.reduce(
+        (sum, snapshot) =>
+          sum + (snapshot.size || JSON.stringify(snapshot.values).length),
+        0,
+      );
+    while (this.snapshots.length > 1 && totalSize() > this.MAX_TOTAL_BYTES) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Get a snapshot by id
+   * @param {string} snapshotId - Snapshot id
+   * @returns {Object} Copy of the snapshot, including values
+   * @throws {SettingsSnapshotError} If the snapshot does not exist
+   */
+  get(snapshotId) {
+    const snapshot = this.snapshots.find(({ id }) => id === snapshotId);
+    if (!snapshot) {
+      throw new SettingsSnapshotError(
+        `Restore point '${snapshotId}' not found`,
+        snapshotId,
+      );
+    }
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  /**
+   * List snapshot summaries, newest first
+   * @returns {Array<Object>} { id, reason, createdAt, profileId, size, keyCount }
+   */
+  list() {
+    return this.snapshots
+      .slice()
+      .reverse()
+      .map((snapshot) => this.summarize(snapshot));
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} snapshotId - Snapshot id
+   */
+  delete(snapshotId) {
+    this.get(snapshotId);
+    this.snapshots = this.snapshots.filter(({ id }) => id !== snapshotId);
+  }
+
+  /**
+   * Compute what restoring a snapshot would change
+   * @param {string} snapshotId - Snapshot id
+   * @param {Object} currentValues - Current values ({ key: value })
+   * @returns {Object} { key: { oldValue, newValue } } where oldValue is the
+   *   current value and newValue the snapshot value, for changed keys only
+   */
+  diff(snapshotId, currentValues) {
+    const { values } = this.get(snapshotId);
+    const diff = {};
+
+    for (const [key, newValue] of Object.entries(values)) {
+      if (
+        Object.prototype.hasOwnProperty.call(currentValues, key) &&
+        !this.valuesEqual(currentValues[key], newValue)
+      ) {
+        diff[key] = { oldValue: currentValues[key], newValue };
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+   * Remove keys from every snapshot, e.g. settings that became secret
+   * after the snapshot was taken
+   * @param {Array<string>} keys - Setting keys
+   * @returns {boolean} Whether any snapshot held one of the keys
+   */
+  omitKeys(keys) {
+    let changed = false;
+    for (const snapshot of this.snapshots) {
+      const held = keys.filter((key) =>
+        Object.prototype.hasOwnProperty.call(snapshot.values, key),
+      );
+      if (held.length > 0) {
+        held.forEach((key) => delete snapshot.values[key]);
+        snapshot.size = JSON.stringify(snapshot.values).length;
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Serializable copy of the registry
+   * @returns {Object}
+   */
+  toJSON() {
+    return { snapshots: JSON.parse(JSON.stringify(this.snapshots)) };
+  }
+
+  /**
+   * Snapshot metadata without its values
+   * @private
+   */
+  summarize(snapshot) {
+    return {
+      id: snapshot.id,
+      reason: snapshot.reason,
+      createdAt: snapshot.createdAt,
+      profileId: snapshot.profileId || null,
+      size: snapshot.size || JSON.stringify(snapshot.values).length,
+      keyCount: Object.keys(snapshot.values).length,
+    };
+  }
+
+  /**
+   * Structural equality for JSON-compatible values
+   * @private
+   */
+  valuesEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== "undefined" && module.exports) {
+  // CommonJS (Node.js)
+  module.exports = { SettingsSnapshots, SettingsSnapshotError };
+} else if (typeof window !== "undefined") {
+  // Browser environment
+  window.SettingsSnapshots = SettingsSnapshots;
+  window.SettingsSnapshotError = SettingsSnapshotError;
+} else {
+  // Service worker context
+  self.SettingsSnapshots = SettingsSnapshots;
+  self.SettingsSnapshotError = SettingsSnapshotError;
+}
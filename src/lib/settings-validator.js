@@ -0,0 +1,833 @@
+// lib/settings-validator.js
+// Schema-driven validation of setting values, shared by the manager, popup
+// and options page
+// Assumes i18n.js, json-schema.js and value-formats.js are loaded before
+// this script
+
+/**
+ * Resolve a helper class loaded as a global in the extension and through
+ * require() under Node.js
+ * @param {string} name - Global name
+ * @param {string} path - Module path relative to this file
+ * @returns {Function|null} Class, or null if unavailable
+ */
+function resolveValidatorDependency(name, path) {
+  if (typeof globalThis !== "undefined" && globalThis[name]) {
+    return globalThis[name];
+  }
+  if (typeof require === "function") {
+    return require(path);
+  }
+  return null;
+}
+
+/**
+ * Validates a value against its setting definition.
+ *
+ * validate() returns every problem as a structured error
+ * { code, path, message, params }: `code` identifies the check ("type",
+ * "min", "schema", "custom"...), `path` locates the value (the setting key,
+ * or a JSON Schema path inside json settings), `params` holds the limits
+ * involved and `message` is ready to show. Messages start with `label`
+ * ("Refresh interval must be at most 60"), or stand alone when no label is
+ * given ("Must be at most 60").
+ *
+ * Settings may list named validators in `validators`, either as names or
+ * as { name, params, message } objects. They run after the built-in checks
+ * pass; register them with register() in a script every context loads.
+ *
+ * Validators registered with `async: true` return a promise and only run
+ * in validateAsync(), which bounds each one with a timeout and stops
+ * waiting as soon as the caller's AbortSignal fires, so a check made stale
+ * by a newer value can be cancelled.
+ */
+class SettingsValidator {
+  /**
+   * Validate a value
+   * @param {Object} setting - Setting definition
+   * @param {*} value - Value to check
+   * @param {Object} options - Options
+   * @param {string} [options.key="value"] - Setting key, root of error paths
+   * @param {string} [options.label] - Name of the setting starting each message
+   * @returns {Array<Object>} Errors { code, path, message, params }, empty
+   *   when valid
+   */
+  static validate(setting, value, options = {}) {
+    const { key = "value", label = null } = options;
+    const errors = [];
+    const report = (code, problem, params = {}, path = key) => {
+      errors.push({
+        code,
+        path,
+        message: SettingsValidator.formatMessage(problem, label),
+        params,
+      });
+      return errors;
+    };
+
+    switch (setting.type) {
+      case "boolean":
+        if (typeof value !== "boolean") {
+          return report(
+            "type",
+            I18n.getMessage("validation_boolean", [], "must be a boolean"),
+            {
+              expected: "boolean",
+              actual: typeof value,
+            },
+          );
+        }
+        break;
+
+      case "text":
+      case "longtext":
+      case "secret":
+        if (typeof value !== "string") {
+          return report(
+            "type",
+            I18n.getMessage("validation_string", [], "must be a string"),
+            {
+              expected: "string",
+              actual: typeof value,
+            },
+          );
+        }
+        if (setting.maxLength && value.length > setting.maxLength) {
+          return report(
+            "maxLength",
+            I18n.getMessage(
+              "validation_max_length",
+              [setting.maxLength],
+              "exceeds maximum length of $1",
+            ),
+            { maxLength: setting.maxLength, length: value.length },
+          );
+        }
+        break;
+
+      case "number":
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+          return report(
+            "type",
+            I18n.getMessage("validation_number", [], "must be a valid number"),
+            {
+              expected: "number",
+              actual: typeof value,
+            },
+          );
+        }
+        if (setting.min !== undefined && value < setting.min) {
+          return report(
+            "min",
+            I18n.getMessage(
+              "validation_min",
+              [setting.min],
+              "must be at least $1",
+            ),
+            {
+              min: setting.min,
+            },
+          );
+        }
+        if (setting.max !== undefined && value > setting.max) {
+          return report(
+            "max",
+            I18n.getMessage(
+              "validation_max",
+              [setting.max],
+              "must be at most $1",
+            ),
+            {
+              max: setting.max,
+            },
+          );
+        }
+        if (
+          setting.step !== undefined &&
+          !SettingsValidator.getValueFormats().isAlignedToStep(
+            value,
+            setting.step,
+            setting.min,
+          )
+        ) {
+          return report(
+            "step",
+            I18n.getMessage(
+              "validation_step",
+              [setting.step],
+              "must be in steps of $1",
+            ),
+            {
+              step: setting.step,
+            },
+          );
+        }
+        break;
+
+      case "json":
+        if (typeof value !== "object" || value === null) {
+          return report(
+            "type",
+            I18n.getMessage("validation_object", [], "must be a valid object"),
+            {
+              expected: "object",
+              actual: value === null ? "null" : typeof value,
+            },
+          );
+        }
+        try {
+          JSON.stringify(value);
+        } catch {
+          return report(
+            "json",
+            I18n.getMessage(
+              "validation_json",
+              [],
+              "contains circular references or invalid JSON",
+            ),
+          );
+        }
+
+        // Schema messages already name the offending path
+        if (setting.schema) {
+          const schemaErrors =
+            SettingsValidator.getJsonSchemaValidator().validate(
+              value,
+              setting.schema,
+              key,
+            );
+          for (const schemaError of schemaErrors) {
+            errors.push({
+              code: "schema",
+              path: schemaError.path,
+              message: schemaError.message,
+              params: {},
+            });
+          }
+          if (errors.length > 0) {
+            return errors;
+          }
+        }
+        break;
+
+      case "enum":
+        if (!setting.options || typeof setting.options !== "object") {
+          return report(
+            "options",
+            I18n.getMessage(
+              "validation_enum_options",
+              [],
+              "is missing enum options",
+            ),
+          );
+        }
+        if (!Object.prototype.hasOwnProperty.call(setting.options, value)) {
+          const options = Object.keys(setting.options);
+          return report(
+            "enum",
+            I18n.getMessage(
+              "validation_enum",
+              [options.join(", ")],
+              "must be one of: $1",
+            ),
+            {
+              options,
+            },
+          );
+        }
+        break;
+
+      case "color":
+      case "url":
+      case "email":
+      case "date":
+      case "datetime":
+      case "duration":
+      case "array":
+      case "multiselect":
+      case "records": {
+        const problem = SettingsValidator.getValueFormats().check(
+          setting,
+          value,
+        );
+        if (problem) {
+          return report("format", problem, { type: setting.type });
+        }
+        break;
+      }
+
+      default:
+        errors.push({
+          code: "unknown-type",
+          path: key,
+          message: I18n.getMessage(
+            "validation_unknown_type",
+            [setting.type],
+            "Unknown setting type: $1",
+          ),
+          params: { type: setting.type },
+        });
+        return errors;
+    }
+
+    for (const reference of setting.validators || []) {
+      const { name, params } = SettingsValidator.parseReference(reference);
+      const entry = SettingsValidator.registry.get(name);
+      if (entry?.async) {
+        continue;
+      }
+
+      let result;
+      if (!entry) {
+        result = I18n.getMessage(
+          "validation_unknown_validator",
+          [name],
+          "cannot be checked: unknown validator '$1'",
+        );
+      } else {
+        try {
+          result = entry.validator(value, params, setting);
+        } catch (error) {
+          result = I18n.getMessage(
+            "validation_failed",
+            [error.message],
+            "cannot be checked: $1",
+          );
+        }
+      }
+
+      if (result) {
+        errors.push(
+          SettingsValidator.createCustomError(reference, result, key, label),
+        );
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a value, including its asynchronous validators. These only
+   * run once every synchronous check passes, and run in parallel
+   * @param {Object} setting - Setting definition
+   * @param {*} value - Value to check
+   * @param {Object} options - Options of validate(), plus:
+   * @param {AbortSignal} [options.signal] - Cancels the check
+   * @returns {Promise<Array<Object>>} Errors { code, path, message, params },
+   *   empty when valid
+   * @throws {Error} With `code` "validation-cancelled" if `signal` fires
+   *   before every validator settles
+   */
+  static async validateAsync(setting, value, options = {}) {
+    const { key = "value", label = null, signal = null } = options;
+    const errors = SettingsValidator.validate(setting, value, options);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const references = (setting.validators || []).filter(
+      (reference) =>
+        SettingsValidator.registry.get(
+          SettingsValidator.parseReference(reference).name,
+        )?.async,
+    );
+    const results = await Promise.all(
+      references.map((reference) =>
+        SettingsValidator.runAsyncValidator(reference, value, setting, signal),
+      ),
+    );
+
+    results.forEach((result, index) => {
+      if (result) {
+        errors.push(
+          SettingsValidator.createCustomError(
+            references[index],
+            result,
+            key,
+            label,
+          ),
+        );
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Validate a value and throw if it is invalid
+   * @param {Object} setting - Setting definition
+   * @param {*} value - Value to check
+   * @param {Object} options - Options of validate(), plus `separator`
+   *   joining several messages (default "; ")
+   * @throws {Error} With the joined messages and `validationErrors`
+   */
+  static assert(setting, value, options = {}) {
+    const errors = SettingsValidator.validate(setting, value, options);
+    if (errors.length > 0) {
+      const error = new Error(
+        errors.map((entry) => entry.message).join(options.separator ?? "; "),
+      );
+      error.validationErrors = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a value, including its asynchronous validators, and throw if
+   * it is invalid
+   * @param {Object} setting - Setting definition
+   * @param {*} value - Value to check
+   * @param {Object} options - Options of validateAsync(), plus `separator`
+   * @returns {Promise<void>}
+   * @throws {Error} With the joined messages and `validationErrors`, or
+   *   with `code` "validation-cancelled"
+   */
+  static async assertAsync(setting, value, options = {}) {
+    const errors = await SettingsValidator.validateAsync(
+      setting,
+      value,
+      options,
+    );
+    if (errors.length > 0) {
+      const error = new Error(
+        errors.map((entry) => entry.message).join(options.separator ?? "; "),
+      );
+      error.validationErrors = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Register a named validator settings can list in `validators`
+   * @param {string} name - Name used in the schema
+   * @param {Function} validator - (value, params, setting, { signal }) =>
+   *   null when valid, or a problem completing the setting's name ("must
+   *   not contain spaces"), or { message, params }. Asynchronous validators
+   *   return a promise of the same and should stop work when `signal` fires
+   * @param {Object} options - Options
+   * @param {boolean} [options.async=false] - Only run in validateAsync()
+   * @param {number} [options.timeout] - Milliseconds before an asynchronous
+   *   check is abandoned (default SettingsValidator.asyncTimeout)
+   */
+  static register(name, validator, options = {}) {
+    if (typeof name !== "string" || name === "") {
+      throw new Error("Validator name must be a non-empty string");
+    }
+    if (typeof validator !== "function") {
+      throw new Error(`Validator '${name}' must be a function`);
+    }
+    SettingsValidator.registry.set(name, {
+      validator,
+      async: options.async === true,
+      timeout: options.timeout,
+    });
+  }
+
+  /**
+   * Remove a named validator
+   * @param {string} name - Validator name
+   * @returns {boolean} Whether it was registered
+   */
+  static unregister(name) {
+    return SettingsValidator.registry.delete(name);
+  }
+
+  /**
+   * Whether a named validator is registered
+   * @param {string} name - Validator name
+   * @returns {boolean}
+   */
+  static has(name) {
+    return SettingsValidator.registry.has(name);
+  }
+
+  /**
+   * Whether a setting lists an asynchronous validator, so that only
+   * validateAsync() can accept its values
+   * @param {Object} setting - Setting definition
+   * @returns {boolean}
+   */
+  static hasAsyncValidators(setting) {
+    return (setting?.validators || []).some(
+      (reference) =>
+        SettingsValidator.registry.get(
+          SettingsValidator.parseReference(reference).name,
+        )?.async === true,
+    );
+  }
+
+  /**
+   * Run one asynchronous validator, bounded by its timeout
+   * @param {string|Object} reference - Entry of `validators`
+   * @param {*} value - Value to check
+   * @param {Object} setting - Setting definition
+   * @param {AbortSignal|null} signal - Cancels the check
+   * @returns {Promise<*>} Validator result; failures and timeouts become
+   *   problems
+   * @private
+   */
+  static runAsyncValidator(reference, value, setting, signal) {
+    const { name, params } = SettingsValidator.parseReference(reference);
+    const entry = SettingsValidator.registry.get(name);
+    const timeout = entry.timeout ?? SettingsValidator.asyncTimeout;
+    // Aborted on timeout and cancellation so the validator can stop early
+    const controller = new AbortController();
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const settle = (callback, result) => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", cancel);
+        callback(result);
+      };
+      const cancel = () => {
+        controller.abort();
+        const error = new Error(
+          I18n.getMessage("validation_cancelled", [], "Validation cancelled"),
+        );
+        error.code = "validation-cancelled";
+        settle(reject, error);
+      };
+
+      if (signal?.aborted) {
+        cancel();
+        return;
+      }
+      signal?.addEventListener("abort", cancel, { once: true });
+      timer = setTimeout(() => {
+        controller.abort();
+        settle(resolve, {
+          message: I18n.getMessage(
+            "validation_timeout",
+            [timeout],
+            "cannot be checked: timed out after $1 ms",
+          ),
+          params: { timeout },
+        });
+      }, timeout);
+
+      Promise.resolve()
+        .then(() =>
+          entry.validator(value, params, setting, {
+            signal: controller.signal,
+          }),
+        )
+        .then(
+          (result) => settle(resolve, result),
+          (error) =>
+            settle(
+              resolve,
+              I18n.getMessage(
+                "validation_failed",
+                [error.message],
+                "cannot be checked: $1",
+              ),
+            ),
+        );
+    });
+  }
+
+  /**
+   * Find the first structural problem in a CSS snippet: an unclosed
+   * comment, string or bracket, a stray closing bracket, a declaration
+   * without "property:", or top-level text that is not a rule or at-rule.
+   * Selectors and values are not checked further. Long snippets are read
+   * in slices of CSS_SLICE_LENGTH characters, yielding in between so the
+   * page stays responsive and an aborted check stops early.
+   * @param {string} text - CSS snippet
+   * @param {AbortSignal|null} signal - Stops the check
+   * @returns {Promise<Object|null>} { message, params: { line } }, or null
+   *   when the snippet is well formed (or the check was aborted)
+   * @private
+   */
+  static async findCssProblem(text, signal = null) {
+    const openers = { "}": "{", ")": "(", "]": "[" };
+    const problem = (id, substitutions, fallback, line) => ({
+      message: I18n.getMessage(id, substitutions, fallback),
+      params: { line },
+    });
+    const unclosed = (token, line) =>
+      problem(
+        "validation_css_unclosed",
+        [token, line],
+        "is not valid CSS: unclosed $1 from line $2",
+        line,
+      );
+
+    // Open brackets as { char, line, value }; the innermost is last. Braces
+    // in a custom property value ("--x: { ... }") or inside parentheses
+    // are part of the value rather than blocks of declarations
+    const stack = [];
+    let line = 1;
+    let comment = null;
+    let string = null;
+    let segment = "";
+    let segmentLine = 1;
+    let nextYield = SettingsValidator.CSS_SLICE_LENGTH;
+
+    // A segment ends at ";" or "}" inside a block, or at ";" at the top
+    // level, where only at-rule statements such as @import may end so
+    const checkSegment = (inBlock) => {
+      const content = segment.trim();
+      if (content === "" || content.startsWith("@")) {
+        return null;
+      }
+      if (!inBlock) {
+        return problem(
+          "validation_css_rule",
+          [segmentLine],
+          "is not valid CSS: expected a rule block on line $1",
+          segmentLine,
+        );
+      }
+      if (!/^-{0,2}[a-z_][\w-]*\s*:/i.test(content)) {
+        return problem(
+          "validation_css_declaration",
+          [segmentLine],
+          'is not valid CSS: expected "property: value" on line $1',
+          segmentLine,
+        );
+      }
+      return null;
+    };
+    const append = (chars) => {
+      if (segment.trim() === "") {
+        segmentLine = line;
+      }
+      segment += chars;
+    };
+
+    for (let index = 0; index < text.length; index++) {
+      if (index >= nextYield) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        if (signal?.aborted) {
+          return null;
+        }
+        nextYield += SettingsValidator.CSS_SLICE_LENGTH;
+      }
+
+      const char = text[index];
+      if (comment) {
+        if (char === "*" && text[index + 1] === "/") {
+          comment = null;
+          index++;
+        } else if (char === "\n") {
+          line++;
+        }
+        continue;
+      }
+      if (string) {
+        if (char === "\\") {
+          append(text.slice(index, index + 2));
+          if (text[index + 1] === "\n") {
+            line++;
+          }
+          index++;
+        } else if (char === "\n") {
+          return unclosed(string.char, string.line);
+        } else {
+          append(char);
+          if (char === string.char) {
+            string = null;
+          }
+        }
+        continue;
+      }
+
+      if (char === "\n") {
+        line++;
+      }
+      if (char === "/" && text[index + 1] === "*") {
+        comment = { line };
+        index++;
+        continue;
+      }
+
+      const innermost = stack[stack.length - 1];
+      if (char === '"' || char === "'") {
+        string = { char, line };
+        append(char);
+      } else if (char === "{") {
+        const value =
+          (innermost && (innermost.value || innermost.char !== "{")) ||
+          /^--[\w-]*\s*:/.test(segment.trim());
+        stack.push({ char, line, value });
+        if (value) {
+          append(char);
+        } else {
+          segment = "";
+        }
+      } else if (char === "(" || char === "[") {
+        stack.push({ char, line });
+        append(char);
+      } else if (openers[char]) {
+        // A "}" with a bracket still open in its block reports that bracket
+        if (!innermost || (innermost.char !== openers[char] && char !== "}")) {
+          return problem(
+            "validation_css_unexpected",
+            [char, line],
+            "is not valid CSS: unexpected $1 on line $2",
+            line,
+          );
+        }
+        if (innermost.char !== openers[char]) {
+          return unclosed(innermost.char, innermost.line);
+        }
+        stack.pop();
+        if (char === "}" && !innermost.value) {
+          const found = checkSegment(true);
+          if (found) {
+            return found;
+          }
+          segment = "";
+        } else {
+          append(char);
+        }
+      } else if (
+        char === ";" &&
+        (!innermost || (innermost.char === "{" && !innermost.value))
+      ) {
+        const found = checkSegment(Boolean(innermost));
+        if (found) {
+          return found;
+        }
+        segment = "";
+      } else {
+        append(char);
+      }
+    }
+
+    if (comment) {
+      return unclosed("/*", comment.line);
+    }
+    if (string) {
+      return unclosed(string.char, string.line);
+    }
+    if (stack.length > 0) {
+      const { char, line: openedOn } = stack[stack.length - 1];
+      return unclosed(char, openedOn);
+    }
+    return checkSegment(false);
+  }
+
+  /**
+   * Normalize an entry of `validators`
+   * @param {string|Object} reference - Name or { name, params, message }
+   * @returns {Object} { name, params, message }
+   * @private
+   */
+  static parseReference(reference) {
+    const {
+      name,
+      params = {},
+      message,
+    } = typeof reference === "string" ? { name: reference } : reference;
+    return { name, params, message };
+  }
+
+  /**
+   * Turn a validator result into a structured error
+   * @param {string|Object} reference - Entry of `validators`
+   * @param {string|Object} result - Problem, or { message, params }
+   * @param {string} key - Error path
+   * @param {string|null} label - Setting name
+   * @returns {Object} Error { code, path, message, params }
+   * @private
+   */
+  static createCustomError(reference, result, key, label) {
+    const { name, params, message } =
+      SettingsValidator.parseReference(reference);
+    const problem = typeof result === "string" ? result : result.message;
+    return {
+      code: "custom",
+      path: key,
+      message: message || SettingsValidator.formatMessage(problem, label),
+      params: { validator: name, ...params, ...(result.params || {}) },
+    };
+  }
+
+  /**
+   * Turn a problem into a message
+   * @param {string} problem - Problem completing the setting's name
+   * @param {string|null} label - Setting name, or null for a standalone message
+   * @returns {string} Message
+   */
+  static formatMessage(problem, label) {
+    return label
+      ? I18n.getMessage("validation_labelled", [label, problem], "$1 $2")
+      : problem.charAt(0).toUpperCase() + problem.slice(1);
+  }
+
+  /**
+   * @returns {Function} ValueFormats
+   * @private
+   */
+  static getValueFormats() {
+    return resolveValidatorDependency("ValueFormats", "./value-formats.js");
+  }
+
+  /**
+   * @returns {Function} JsonSchemaValidator
+   * @private
+   */
+  static getJsonSchemaValidator() {
+    return resolveValidatorDependency(
+      "JsonSchemaValidator",
+      "./json-schema.js",
+    );
+  }
+}
+
+// Named validators by name: { validator, async, timeout }
+SettingsValidator.registry = new Map();
+
+// Milliseconds an asynchronous validator may take by default
+SettingsValidator.asyncTimeout = 5000;
+
+// Characters of CSS read between yields in findCssProblem()
+SettingsValidator.CSS_SLICE_LENGTH = 5000;
+
+// Built-in named validators
+SettingsValidator.register("regex", (value) => {
+  try {
+    new RegExp(value);
+    return null;
+  } catch {
+    return I18n.getMessage(
+      "validation_regex",
+      [],
+      "must be a valid regular expression",
+    );
+  }
+});
+
+SettingsValidator.register("pattern", (value, params) =>
+  new RegExp(params.pattern, params.flags).test(value)
+    ? null
+    : {
+        message: I18n.getMessage(
+          "validation_pattern",
+          [params.pattern],
+          "must match pattern $1",
+        ),
+        params: { pattern: params.pattern },
+      },
+);
+
+SettingsValidator.register(
+  "css",
+  (value, params, setting, { signal }) =>
+    SettingsValidator.findCssProblem(value, signal),
+  { async: true },
+);
+
+// Export for use in different contexts
+if (typeof module !== "undefined" && module.exports) {
+  // CommonJS (Node.js)
+  module.exports = SettingsValidator;
+} else if (typeof window !== "undefined") {
+  // Browser environment
+  window.SettingsValidator = SettingsValidator;
+} else {
+  // Service worker context
+  self.SettingsValidator = SettingsValidator;
+}
@@ -0,0 +1,305 @@
+// lib/site-overrides.js
+// Per-site setting overrides keyed by origin or match pattern
+
+/**
+ * Error raised for invalid site override operations
+ */
+class SiteOverrideError extends Error {
+  constructor(message, pattern = null) {
+    super(message);
+    this.name = "SiteOverrideError";
+    this.pattern = pattern;
+  }
+}
+
+/**
+ * Registry of per-site override values.
+ *
+ * Keys are either an origin ("https://github.com") or a match pattern in
+ * the extension manifest format ("*://*.github.com/*"). When several
+ * entries match a URL, more specific entries win: an exact origin beats
+ * any match pattern, and among patterns a longer host, then a longer
+ * path, wins. Like SettingsProfiles, this class never touches storage;
+ * SettingsManager persists toJSON() under STORAGE_KEY.
+ */
+class SiteOverrides {
+  constructor(state = null) {
+    // Storage key holding { [pattern]: { [settingKey]: value } }
+    this.STORAGE_KEY = "__site_overrides__";
+
+    // Schemes a "*" scheme matches, as in manifest match patterns
+    this.WILDCARD_SCHEMES = ["http", "https"];
+
+    this.load(state);
+  }
+
+  /**
+   * Replace the registry with stored data, dropping invalid entries
+   * @param {Object|null} state - Stored registry
+   * @returns {SiteOverrides} This instance
+   */
+  load(state) {
+    this.overrides = {};
+
+    if (state && typeof state === "object") {
+      for (const [pattern, values] of Object.entries(state)) {
+        if (
+          this.isValidPattern(pattern) &&
+          values &&
+          typeof values === "object" &&
+          Object.keys(values).length > 0
+        ) {
+          this.overrides[pattern] = JSON.parse(JSON.stringify(values));
+        }
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Parse an origin or match pattern
+   * @param {string} pattern - Origin or match pattern
+   * @returns {Object|null} { scheme, host, path, isOrigin } or null if invalid
+   */
+  parsePattern(pattern) {
+    if (typeof pattern !== "string") {
+      return null;
+    }
+
+    const match =
+      /^(\*|[a-z][a-z0-9+.-]*):\/\/(\*|(?:\*\.)?[^/*:]+(?::\d+)?)(\/.*)?$/i.exec(
+        pattern.trim(),
+      );
+    if (!match) {
+      return null;
+    }
+
+    const [, scheme, host, path] = match;
+    return {
+      scheme: scheme.toLowerCase(),
+      host: host.toLowerCase(),
+      path: path || null,
+      // Origins have no path and no wildcards
+      isOrigin: path === undefined && scheme !== "*" && !host.includes("*"),
+    };
+  }
+
+  /**
+   * Check whether a pattern can be used as an override key
+   * @param {string} pattern - Origin or match pattern
+   * @returns {boolean}
+   */
+  isValidPattern(pattern) {
+    return this.parsePattern(pattern) !== null;
+  }
+
+  /**
+   * Normalize a pattern for use as a key
+   * @param {string} pattern - Origin or match pattern
+   * @returns {string} Normalized pattern
+   * @throws {SiteOverrideError} If the pattern is invalid
+   */
+  normalizePattern(pattern) {
+    const parsed = this.parsePattern(pattern);
+    if (!parsed) {
+      throw new SiteOverrideError(
+        `Invalid site pattern '${pattern}': use an origin such as https://example.com or a match pattern such as *://*.example.com/*`,
+        pattern,
+      );
+    }
+    return `${parsed.scheme}://${parsed.host}${parsed.path || ""}`;
+  }
+
+  /**
+   * Get the origin of a URL, if it has one that overrides can apply to
+   * @param {string} url - Page URL
+   * @returns {string|null} Origin or null
+   */
+  getOrigin(url) {
+    try {
+      const { origin } = new URL(url);
+      return origin && origin !== "null" ? origin : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a pattern applies to a URL
+   * @param {string} pattern - Origin or match pattern
+   * @param {string} url - Page URL
+   * @returns {boolean}
+   */
+  matches(pattern, url) {
+    const parsed = this.parsePattern(pattern);
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      return false;
+    }
+    if (!parsed) {
+      return false;
+    }
+
+    const scheme = target.protocol.replace(/:$/, "");
+    if (parsed.isOrigin) {
+      return target.origin === `${parsed.scheme}://${parsed.host}`;
+    }
+
+    if (parsed.scheme === "*") {
+      if (!this.WILDCARD_SCHEMES.includes(scheme)) {
+        return false;
+      }
+    } else if (parsed.scheme !== scheme) {
+      return false;
+    }
+
+    const hostname = target.hostname.toLowerCase();
+    if (parsed.host !== "*") {
+      if (parsed.host.startsWith("*.")) {
+        const domain = parsed.host.slice(2);
+        if (hostname !== domain && !hostname.endsWith(`.${domain}`)) {
+          return false;
+        }
+      } else if (parsed.host !== target.host.toLowerCase()) {
+        return false;
+      }
+    }
+
+    if (parsed.path) {
+      const pathPattern = new RegExp(
+        `^${parsed.path
+          .split("*")
+          .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+          .join(".*")}$`,
+      );
+      if (!pathPattern.test(`${target.pathname}${target.search}`)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Rank a pattern; higher is more specific
+   * @param {string} pattern - Origin or match pattern
+   * @returns {Array<number>} Comparable [isOrigin, hostLength, pathLength]
+   */
+  getSpecificity(pattern) {
+    const parsed = this.parsePattern(pattern);
+    return [
+      parsed.isOrigin ? 1 : 0,
+      parsed.host.replace(/\*\.?/g, "").length,
+      (parsed.path || "").replace(/\*/g, "").length,
+    ];
+  }
+
+  /**
+   * Patterns applying to a URL, least specific first
+   * @param {string} url - Page URL
+   * @returns {Array<string>}
+   */
+  getMatchingPatterns(url) {
+    return Object.keys(this.overrides)
+      .filter((pattern) => this.matches(pattern, url))
+      .sort((a, b) => {
+        const rankA = this.getSpecificity(a);
+        const rankB = this.getSpecificity(b);
+        for (let i = 0; i < rankA.length; i++) {
+          if (rankA[i] !== rankB[i]) {
+            return rankA[i] - rankB[i];
+          }
+        }
+        return a.localeCompare(b);
+      });
+  }
+
+  /**
+   * Resolve the override values applying to a URL
+   * @param {string} url - Page URL
+   * @returns {Object} { values: { key: value }, sources: { key: pattern } }
+   */
+  resolve(url) {
+    const values = {};
+    const sources = {};
+
+    for (const pattern of this.getMatchingPatterns(url)) {
+      for (const [key, value] of Object.entries(this.overrides[pattern])) {
+        values[key] = JSON.parse(JSON.stringify(value));
+        sources[key] = pattern;
+      }
+    }
+
+    return { values, sources };
+  }
+
+  /**
+   * Set one override value
+   * @param {string} pattern - Origin or match pattern
+   * @param {string} key - Setting key
+   * @param {*} value - Override value (already validated)
+   * @returns {string} Normalized pattern
+   */
+  set(pattern, key, value) {
+    const normalized = this.normalizePattern(pattern);
+    this.overrides[normalized] = {
+      ...(this.overrides[normalized] || {}),
+      [key]: JSON.parse(JSON.stringify(value)),
+    };
+    return normalized;
+  }
+
+  /**
+   * Clear one override value, or every override of a pattern
+   * @param {string} pattern - Origin or match pattern
+   * @param {string|null} key - Setting key, or null for all
+   * @returns {Array<string>} Keys that were cleared
+   */
+  clear(pattern, key = null) {
+    const normalized = this.normalizePattern(pattern);
+    const values = this.overrides[normalized];
+    if (!values) {
+      return [];
+    }
+
+    if (key === null) {
+      delete this.overrides[normalized];
+      return Object.keys(values);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(values, key)) {
+      return [];
+    }
+
+    delete values[key];
+    if (Object.keys(values).length === 0) {
+      delete this.overrides[normalized];
+    }
+    return [key];
+  }
+
+  /**
+   * Serializable copy of the registry
+   * @returns {Object}
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.overrides));
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== "undefined" && module.exports) {
+  // CommonJS (Node.js)
+  module.exports = { SiteOverrides, SiteOverrideError };
+} else if (typeof window !== "undefined") {
+  // Browser environment
+  window.SiteOverrides = SiteOverrides;
+  window.SiteOverrideError = SiteOverrideError;
+} else {
+  // Service worker context
+  self.SiteOverrides = SiteOverrides;
+  self.SiteOverrideError = SiteOverrideError;
+}
@@ -1,5 +1,6 @@
 // lib/storage-errors.js
 // Specialized error types for storage operations
+// Assumes i18n.js is loaded before this script
 
 /**
  * Base class for all storage-related errors
@@ -22,17 +23,41 @@ class StorageError extends Error {
   getUserMessage() {
     switch (this.code) {
       case "QUOTA_EXCEEDED":
-        return "Storage quota exceeded. Please free up space or contact support.";
+        return I18n.getMessage(
+          "storage_error_quota",
+          [],
+          "Storage quota exceeded. Please free up space or contact support.",
+        );
       case "NETWORK_ERROR":
-        return "Network error occurred. Please check your connection and try again.";
+        return I18n.getMessage(
+          "storage_error_network",
+          [],
+          "Network error occurred. Please check your connection and try again.",
+        );
       case "DATA_CORRUPTION":
-        return "Data corruption detected. Settings will be reset to defaults.";
+        return I18n.getMessage(
+          "storage_error_corruption",
+          [],
+          "Data corruption detected. Settings will be reset to defaults.",
+        );
       case "SERVICE_WORKER_INVALID":
-        return "Extension needs to be reloaded. Please refresh the page.";
+        return I18n.getMessage(
+          "storage_error_service_worker",
+          [],
+          "Extension needs to be reloaded. Please refresh the page.",
+        );
       case "OPERATION_TIMEOUT":
-        return "Operation timed out. Please try again.";
+        return I18n.getMessage(
+          "storage_error_timeout",
+          [],
+          "Operation timed out. Please try again.",
+        );
       case "CONCURRENT_MODIFICATION":
-        return "Settings were modified by another instance. Please refresh.";
+        return I18n.getMessage(
+          "storage_error_concurrent",
+          [],
+          "Settings were modified by another instance. Please refresh.",
+        );
       default:
         return this.message;
     }
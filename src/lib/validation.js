@@ -1,6 +1,7 @@
 /**
  * Validation utilities for Settings Extension
- * Provides standalone validation functions that match SettingsManager's internal validation
+ * Provides standalone validation functions; setting-level checks delegate to
+ * SettingsValidator, the validator SettingsManager and the UIs use
  */
 
 /**
@@ -170,6 +171,155 @@ function containsFunction(obj, visited = new Set()) {
   return false;
 }
 
+/**
+ * Resolve the JSON Schema validator in browser and Node.js contexts
+ * @returns {Object|null} JsonSchemaValidator class or null if unavailable
+ */
+function getJsonSchemaValidator() {
+  if (typeof JsonSchemaValidator !== "undefined") {
+    return JsonSchemaValidator;
+  }
+  if (typeof require === "function") {
+    return require("./json-schema.js");
+  }
+  return null;
+}
+
+/**
+ * Validate a value against an embedded JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema (draft-07 subset)
+ * @param {string} path - Path used as prefix in error messages
+ * @returns {Array<{path: string, message: string}>} Errors, empty when valid
+ */
+function validateJSONSchema(value, schema, path = "value") {
+  const validator = getJsonSchemaValidator();
+  if (!validator || !schema) {
+    return [];
+  }
+  return validator.validate(value, schema, path);
+}
+
+/**
+ * Resolve the shared settings validator in browser and Node.js contexts
+ * @returns {Object|null} SettingsValidator class or null if unavailable
+ */
+function getSettingsValidator() {
+  if (typeof SettingsValidator !== "undefined") {
+    return SettingsValidator;
+  }
+  if (typeof require === "function") {
+    return require("./settings-validator.js");
+  }
+  return null;
+}
+
+/**
+ * Check a value of a formatted type (color, url, email, date, datetime,
+ * duration, array, multiselect, records)
+ * @param {string} type - Setting type
+ * @param {*} value - Value to validate
+ * @param {Object} constraints - Optional constraints (schemes, min, max...)
+ * @returns {boolean} True if valid, false otherwise
+ */
+function validateFormatted(type, value, constraints = {}) {
+  const validator = getSettingsValidator();
+  return (
+    Boolean(validator) &&
+    validator.validate({ ...constraints, type }, value).length === 0
+  );
+}
+
+/**
+ * Validate a hex color ("#rrggbb")
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid color, false otherwise
+ */
+function validateColor(value) {
+  return validateFormatted("color", value);
+}
+
+/**
+ * Validate an absolute URL
+ * @param {*} value - Value to validate
+ * @param {Array<string>} schemes - Allowed schemes, http/https by default
+ * @returns {boolean} True if valid URL, false otherwise
+ */
+function validateUrl(value, schemes = undefined) {
+  return validateFormatted("url", value, { schemes });
+}
+
+/**
+ * Validate an email address
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid email, false otherwise
+ */
+function validateEmail(value) {
+  return validateFormatted("email", value);
+}
+
+/**
+ * Validate a date ("YYYY-MM-DD")
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid date, false otherwise
+ */
+function validateDate(value) {
+  return validateFormatted("date", value);
+}
+
+/**
+ * Validate a local date and time ("YYYY-MM-DDTHH:MM[:SS]")
+ * @param {*} value - Value to validate
+ * @returns {boolean} True if valid date and time, false otherwise
+ */
+function validateDateTime(value) {
+  return validateFormatted("datetime", value);
+}
+
+/**
+ * Validate a duration in milliseconds
+ * @param {*} value - Value to validate
+ * @param {number} min - Optional minimum in milliseconds
+ * @param {number} max - Optional maximum in milliseconds
+ * @returns {boolean} True if valid duration, false otherwise
+ */
+function validateDuration(value, min = undefined, max = undefined) {
+  return validateFormatted("duration", value, { min, max });
+}
+
+/**
+ * Validate a list setting value
+ * @param {*} value - Value to validate
+ * @param {Object} items - Item definition ({ type, ...constraints })
+ * @param {Object} constraints - Optional minItems, maxItems, uniqueItems
+ * @returns {boolean} True if valid list, false otherwise
+ */
+function validateArray(value, items, constraints = {}) {
+  return validateFormatted("array", value, { ...constraints, items });
+}
+
+/**
+ * Validate a multi-select value (distinct option keys)
+ * @param {*} value - Value to validate
+ * @param {Object} options - Options map ({ key: label })
+ * @param {Object} constraints - Optional minItems, maxItems
+ * @returns {boolean} True if valid selection, false otherwise
+ */
+function validateMultiselect(value, options, constraints = {}) {
+  return validateFormatted("multiselect", value, { ...constraints, options });
+}
+
+/**
+ * Validate a list of records
+ * @param {*} value - Value to validate
+ * @param {Object} fields - Field definitions ({ name: { type, ... } })
+ * @param {Object} constraints - Optional minItems, maxItems
+ * @returns {boolean} True if valid records, false otherwise
+ */
+function validateRecords(value, fields, constraints = {}) {
+  return validateFormatted("records", value, { ...constraints, fields });
+}
+
 /**
  * Validate text for security concerns (XSS/injection attacks)
  * @param {string} text - Text to validate
@@ -206,9 +356,11 @@ function validateTextSecure(text) {
 /**
  * Internal detailed validation function
  * @param {Object} setting - Setting object to validate
- * @returns {Object} Detailed validation result
+ * @param {string} key - Optional setting key, used as the root of schema error paths
+ * @returns {Object} Detailed validation result; `errors` holds the
+ *   structured errors of SettingsValidator
  */
-function validateSettingDetailed(setting) {
+function validateSettingDetailed(setting, key = "value") {
   // Check required fields
   if (
     !setting.type ||
@@ -217,81 +369,21 @@ function validateSettingDetailed(setting) {
     return {
       valid: false,
       error: "Setting must have type and value properties",
+      errors: [],
     };
   }
 
-  let isValid = false;
-  let errorMessage = "";
-
-  try {
-    // Validate based on type
-    switch (setting.type) {
-      case "boolean":
-        isValid = validateBoolean(setting.value);
-        if (!isValid) {
-          errorMessage = `Expected boolean, got ${typeof setting.value}`;
-        }
-        break;
-
-      case "text":
-      case "longtext":
-        isValid = validateText(setting.value, setting.maxLength);
-        if (!isValid) {
-          if (typeof setting.value !== "string") {
-            errorMessage = `Expected string, got ${typeof setting.value}`;
-          } else {
-            errorMessage = `Text exceeds maximum length of ${setting.maxLength}`;
-          }
-        }
-        break;
-
-      case "number":
-        isValid = validateNumber(setting.value, setting.min, setting.max);
-        if (!isValid) {
-          if (typeof setting.value !== "number" || isNaN(setting.value)) {
-            errorMessage = `Expected number, got ${typeof setting.value}`;
-          } else if (setting.min !== undefined && setting.value < setting.min) {
-            errorMessage = `Number must be at least ${setting.min}`;
-          } else if (setting.max !== undefined && setting.value > setting.max) {
-            errorMessage = `Number must be at most ${setting.max}`;
-          }
-        }
-        break;
-
-      case "json":
-        isValid = validateJSON(setting.value);
-        if (!isValid) {
-          errorMessage = "Invalid JSON value";
-        }
-        break;
-
-      case "enum":
-        if (!setting.options || typeof setting.options !== "object") {
-          isValid = false;
-          errorMessage = "Enum setting is missing options";
-        } else if (
-          !Object.prototype.hasOwnProperty.call(setting.options, setting.value)
-        ) {
-          isValid = false;
-          const validOptions = Object.keys(setting.options).join(", ");
-          errorMessage = `Value must be one of: ${validOptions}`;
-        } else {
-          isValid = true;
-        }
-        break;
-
-      default:
-        isValid = false;
-        errorMessage = `Unknown setting type: ${setting.type}`;
-    }
-  } catch (error) {
-    isValid = false;
-    errorMessage = error.message;
-  }
+  const validator = getSettingsValidator();
+  const errors = validator
+    ? validator.validate(setting, setting.value, { key, label: "Value" })
+    : [];
 
   return {
-    valid: isValid,
-    error: isValid ? null : errorMessage,
+    valid: Boolean(validator) && errors.length === 0,
+    error: validator
+      ? errors.map((error) => error.message).join("; ") || null
+      : "Settings validator is not available",
+    errors,
   };
 }
 
@@ -342,20 +434,11 @@ function validateAllSettings(settings) {
   const invalidSettings = {};
 
   for (const [key, setting] of Object.entries(settings)) {
-    const result = validateSetting(setting);
+    const result = validateSettingDetailed(setting, key);
 
-    if (typeof result === "boolean") {
-      // Simple validation result
-      if (!result) {
-        errors.push(key);
-        invalidSettings[key] = "Validation failed";
-      }
-    } else {
-      // Detailed validation result
-      if (!result.valid) {
-        errors.push(key);
-        invalidSettings[key] = result.error;
-      }
+    if (!result.valid) {
+      errors.push(key);
+      invalidSettings[key] = result.error;
     }
   }
 
@@ -383,6 +466,16 @@ const validationFunctions = {
   validateNumberWithRange,
   validateInteger,
   validateJSON,
+  validateJSONSchema,
+  validateColor,
+  validateUrl,
+  validateEmail,
+  validateDate,
+  validateDateTime,
+  validateDuration,
+  validateArray,
+  validateMultiselect,
+  validateRecords,
   validateTextSecure,
   validateSetting,
   validateAllSettings,
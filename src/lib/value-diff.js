@@ -0,0 +1,220 @@
+// lib/value-diff.js
+// Structured differences between two setting values, for reviewing changes
+
+/**
+ * Compares setting values for display.
+ *
+ * JSON values are compared structurally: the result lists the paths that
+ * were added, removed or changed, descending into objects and arrays.
+ * Multi-line text is compared line by line. Both return plain data, so
+ * pages decide how to render them.
+ */
+class ValueDiff {
+  /**
+   * Compare two JSON-compatible values
+   * @param {*} oldValue - Value before the change
+   * @param {*} newValue - Value after the change
+   * @returns {Array<Object>} { path, type, oldValue, newValue } entries in
+   *   document order; `type` is "added", "removed" or "changed" and `path`
+   *   reads like "endpoints[0].url" ("" for the value itself)
+   */
+  static diffJson(oldValue, newValue) {
+    const changes = [];
+    ValueDiff.collectJsonChanges(oldValue, newValue, "", changes);
+    return changes;
+  }
+
+  /**
+   * Walk two values, recording the differences
+   * @private
+   */
+  static collectJsonChanges(oldValue, newValue, path, changes) {
+    if (ValueDiff.isEqual(oldValue, newValue)) {
+      return;
+    }
+
+    const bothArrays = Array.isArray(oldValue) && Array.isArray(newValue);
+    const bothObjects =
+      ValueDiff.isPlainObject(oldValue) && ValueDiff.isPlainObject(newValue);
+
+    if (!bothArrays && !bothObjects) {
+      changes.push({ path, type: "changed", oldValue, newValue });
+      return;
+    }
+
+    const keys = bothArrays
+      ? Array.from(
+          { length: Math.max(oldValue.length, newValue.length) },
+          (_, index) => index,
+        )
+      : [...new Set([...Object.keys(oldValue), ...Object.keys(newValue)])];
+
+    for (const key of keys) {
+      const childPath = bothArrays
+        ? `${path}[${key}]`
+        : path
+          ? `${path}.${key}`
+          : key;
+      const inOld = bothArrays
+        ? key < oldValue.length
+        : Object.prototype.hasOwnProperty.call(oldValue, key);
+      const inNew = bothArrays
+        ? key < newValue.length
+        : Object.prototype.hasOwnProperty.call(newValue, key);
+
+      if (!inOld) {
+        changes.push({
+          path: childPath,
+          type: "added",
+          oldValue: undefined,
+          newValue: newValue[key],
+        });
+      } else if (!inNew) {
+        changes.push({
+          path: childPath,
+          type: "removed",
+          oldValue: oldValue[key],
+          newValue: undefined,
+        });
+      } else {
+        ValueDiff.collectJsonChanges(
+          oldValue[key],
+          newValue[key],
+          childPath,
+          changes,
+        );
+      }
+    }
+  }
+
+  /**
+   * Compare two texts line by line
+   *
+   * Lines shared by both texts are kept in order (longest common
+   * subsequence). Texts too long to compare that way are shown as every
+   * old line removed and every new line added.
+   *
+   * @param {string} oldText - Text before the change
+   * @param {string} newText - Text after the change
+   * @returns {Array<Object>} { type, text } lines; `type` is "same",
+   *   "added" or "removed"
+   */
+  static diffLines(oldText, newText) {
+    const oldLines = String(oldText ?? "").split("\n");
+    const newLines = String(newText ?? "").split("\n");
+
+    // Lines shared at the start and end need no comparison
+    let start = 0;
+    while (
+      start < oldLines.length &&
+      start < newLines.length &&
+      oldLines[start] === newLines[start]
+    ) {
+      start++;
+    }
+    let end = 0;
+    while (
+      end < oldLines.length - start &&
+      end < newLines.length - start &&
+      oldLines[oldLines.length - 1 - end] ===
+        newLines[newLines.length - 1 - end]
+    ) {
+      end++;
+    }
+
+    const oldMiddle = oldLines.slice(start, oldLines.length - end);
+    const newMiddle = newLines.slice(start, newLines.length - end);
+    const line = (type) => (text) => ({ type, text });
+
+    return [
+      ...oldLines.slice(0, start).map(line("same")),
+      ...ValueDiff.diffMiddle(oldMiddle, newMiddle),
+      ...oldLines.slice(oldLines.length - end).map(line("same")),
+    ];
+  }
+
+  /**
+   * Line diff of the part of two texts that differs
+   * @private
+   */
+  static diffMiddle(oldLines, newLines) {
+    if (oldLines.length * newLines.length > ValueDiff.MAX_LINE_PAIRS) {
+      return [
+        ...oldLines.map((text) => ({ type: "removed", text })),
+        ...newLines.map((text) => ({ type: "added", text })),
+      ];
+    }
+
+    // lengths[i][j]: longest common subsequence of oldLines[i..] and
+    // newLines[j..]
+    const lengths = Array.from({ length: oldLines.length + 1 }, () =>
+      new Array(newLines.length + 1).fill(0),
+    );
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+      for (let j = newLines.length - 1; j >= 0; j--) {
+        lengths[i][j] =
+          oldLines[i] === newLines[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length && j < newLines.length) {
+      if (oldLines[i] === newLines[j]) {
+        result.push({ type: "same", text: oldLines[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        result.push({ type: "removed", text: oldLines[i] });
+        i++;
+      } else {
+        result.push({ type: "added", text: newLines[j] });
+        j++;
+      }
+    }
+    for (; i < oldLines.length; i++) {
+      result.push({ type: "removed", text: oldLines[i] });
+    }
+    for (; j < newLines.length; j++) {
+      result.push({ type: "added", text: newLines[j] });
+    }
+    return result;
+  }
+
+  /**
+   * Structural equality for JSON-compatible values
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean}
+   */
+  static isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Whether a value is an object that is not an array or null
+   * @private
+   */
+  static isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+}
+
+// Larger comparisons fall back to replacing every line (memory grows with
+// old lines × new lines)
+ValueDiff.MAX_LINE_PAIRS = 250000;
+
+// Export for use in different contexts
+if (typeof module !== "undefined" && module.exports) {
+  // CommonJS (Node.js)
+  module.exports = ValueDiff;
+} else if (typeof window !== "undefined") {
+  // Browser environment
+  window.ValueDiff = ValueDiff;
+} else {
+  // Service worker context
+  self.ValueDiff = ValueDiff;
+}
@@ -0,0 +1,596 @@
+// lib/value-formats.js
+// Validation and conversion for the color, url, email, date, datetime,
+// duration, array, multiselect and records setting types, and display of
+// stepped/formatted numbers
+// Assumes i18n.js is loaded before this script
+
+/**
+ * Checks values of the string-formatted setting types.
+ *
+ * - color: "#rrggbb", as produced by <input type="color">
+ * - url: absolute URL whose scheme is listed in `schemes` (http/https by
+ *   default)
+ * - email: single address, as accepted by <input type="email">
+ * - date: "YYYY-MM-DD"; datetime: local "YYYY-MM-DDTHH:MM[:SS]", as
+ *   produced by <input type="datetime-local">
+ * - duration: whole milliseconds, entered as text such as "5m" or "1h 30m"
+ *
+ * - array: list of `items` values ({ type, ...constraints } with a type
+ *   from ITEM_TYPES), limited by minItems/maxItems and optionally uniqueItems
+ * - multiselect: list of distinct keys of `options`, limited by
+ *   minItems/maxItems
+ * - records: list of objects whose `fields` map each property to a
+ *   definition with a type from FIELD_TYPES, limited by minItems/maxItems
+ *
+ * url, email, date and datetime accept "" for "not set". date, datetime and
+ * duration honour `min`/`max` in their own format.
+ *
+ * Number settings are validated by their consumers; this class only checks
+ * `step` alignment and renders `format`/`unit` for display.
+ */
+class ValueFormats {
+  /**
+   * Setting types handled by check()
+   * @returns {Array<string>}
+   */
+  static get TYPES() {
+    return [
+      "color",
+      "url",
+      "email",
+      "date",
+      "datetime",
+      "duration",
+      "array",
+      "multiselect",
+      "records",
+    ];
+  }
+
+  /**
+   * Types allowed for the items of an array setting
+   * @returns {Array<string>}
+   */
+  static get ITEM_TYPES() {
+    return [
+      "text",
+      "number",
+      "color",
+      "url",
+      "email",
+      "date",
+      "datetime",
+      "duration",
+    ];
+  }
+
+  /**
+   * URL schemes allowed when a url setting declares none
+   * @returns {Array<string>}
+   */
+  static get DEFAULT_URL_SCHEMES() {
+    return ["http", "https"];
+  }
+
+  /**
+   * Milliseconds per duration unit, largest first
+   * @returns {Object}
+   */
+  static get DURATION_UNITS() {
+    return { d: 86400000, h: 3600000, m: 60000, s: 1000, ms: 1 };
+  }
+
+  /**
+   * Types allowed for the fields of a records setting
+   * @returns {Array<string>}
+   */
+  static get FIELD_TYPES() {
+    return [...ValueFormats.ITEM_TYPES, "boolean"];
+  }
+
+  /**
+   * Display formats of number settings
+   * @returns {Array<string>}
+   */
+  static get NUMBER_FORMATS() {
+    return ["percent", "bytes", "ms"];
+  }
+
+  /**
+   * Check a value against its setting definition
+   * @param {Object} setting - Setting definition (type and constraints)
+   * @param {*} value - Value to check
+   * @returns {string|null} Problem such as "must be a valid email address",
+   *   or null when the value is valid
+   */
+  static check(setting, value) {
+    if (
+      setting.type === "array" ||
+      setting.type === "multiselect" ||
+      setting.type === "records"
+    ) {
+      return ValueFormats.checkList(setting, value);
+    }
+    if (setting.type === "duration") {
+      return ValueFormats.checkDuration(setting, value);
+    }
+
+    if (typeof value !== "string") {
+      return I18n.getMessage("validation_string", [], "must be a string");
+    }
+    if (setting.maxLength && value.length > setting.maxLength) {
+      return I18n.getMessage(
+        "validation_max_length",
+        [setting.maxLength],
+        "exceeds maximum length of $1",
+      );
+    }
+    if (value === "" && setting.type !== "color") {
+      return null;
+    }
+
+    switch (setting.type) {
+      case "color":
+        return /^#[0-9a-f]{6}$/i.test(value)
+          ? null
+          : I18n.getMessage(
+              "format_color",
+              [],
+              "must be a hex color such as #336699",
+            );
+
+      case "url":
+        return ValueFormats.checkUrl(value, setting.schemes);
+
+      case "email":
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+          ? null
+          : I18n.getMessage(
+              "format_email",
+              [],
+              "must be a valid email address",
+            );
+
+      case "date":
+        if (!ValueFormats.isValidDate(value)) {
+          return I18n.getMessage(
+            "format_date",
+            [],
+            "must be a date in YYYY-MM-DD format",
+          );
+        }
+        return ValueFormats.checkRange(setting, value);
+
+      case "datetime":
+        if (!ValueFormats.isValidDateTime(value)) {
+          return I18n.getMessage(
+            "format_datetime",
+            [],
+            "must be a date and time in YYYY-MM-DDTHH:MM format",
+          );
+        }
+        return ValueFormats.checkRange(setting, value);
+
+      default:
+        return I18n.getMessage(
+          "format_unknown_type",
+          [setting.type],
+          "has unknown format type '$1'",
+        );
+    }
+  }
+
+  /**
+   * Check a single item of an array setting or field of a record
+   * @param {Object} items - Item definition ({ type, ...constraints })
+   * @param {*} value - Item value
+   * @returns {string|null} Problem, or null when the item is valid
+   */
+  static checkItem(items, value) {
+    switch (items.type) {
+      case "boolean":
+        return typeof value === "boolean"
+          ? null
+          : I18n.getMessage("format_boolean", [], "must be true or false");
+
+      case "text":
+        if (typeof value !== "string") {
+          return I18n.getMessage("validation_string", [], "must be a string");
+        }
+        if (items.maxLength && value.length > items.maxLength) {
+          return I18n.getMessage(
+            "validation_max_length",
+            [items.maxLength],
+            "exceeds maximum length of $1",
+          );
+        }
+        return null;
+
+      case "number":
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+          return I18n.getMessage(
+            "validation_number",
+            [],
+            "must be a valid number",
+          );
+        }
+        if (items.min !== undefined && value < items.min) {
+          return I18n.getMessage(
+            "validation_min",
+            [items.min],
+            "must be at least $1",
+          );
+        }
+        if (items.max !== undefined && value > items.max) {
+          return I18n.getMessage(
+            "validation_max",
+            [items.max],
+            "must be at most $1",
+          );
+        }
+        return null;
+
+      default:
+        return ValueFormats.ITEM_TYPES.includes(items.type)
+          ? ValueFormats.check(items, value)
+          : I18n.getMessage(
+              "format_unknown_item_type",
+              [items.type],
+              "has unknown item type '$1'",
+            );
+    }
+  }
+
+  /**
+   * Whether a number lies on the grid of `step` starting at `base`
+   * @param {number} value - Value to check
+   * @param {number} step - Step size
+   * @param {number} base - Grid origin (the setting's min, or 0)
+   * @returns {boolean}
+   */
+  static isAlignedToStep(value, step, base = 0) {
+    const steps = (value - (base || 0)) / step;
+    // Tolerate floating point noise such as 0.1 + 0.2
+    return (
+      Math.abs(steps - Math.round(steps)) < 1e-9 * Math.max(1, Math.abs(steps))
+    );
+  }
+
+  /**
+   * Format a number setting value for display using its `format` or `unit`
+   * @param {Object} setting - Number setting definition
+   * @param {number} value - Value to format
+   * @returns {string} e.g. "50%", "1.5 MB", "1m 30s" or "60 px"
+   */
+  static formatNumber(setting, value) {
+    const round = (number, digits) =>
+      String(Math.round(number * 10 ** digits) / 10 ** digits);
+
+    switch (setting.format) {
+      case "percent":
+        return `${round(value * 100, 2)}%`;
+
+      case "bytes": {
+        const units = ["B", "KB", "MB", "GB", "TB"];
+        let size = value;
+        let unit = 0;
+        while (Math.abs(size) >= 1024 && unit < units.length - 1) {
+          size /= 1024;
+          unit++;
+        }
+        return `${round(size, 1)} ${units[unit]}`;
+      }
+
+      case "ms":
+        return ValueFormats.formatDuration(value);
+
+      default:
+        return setting.unit ? `${value} ${setting.unit}` : String(value);
+    }
+  }
+
+  /**
+   * Whether text is a calendar date in YYYY-MM-DD format
+   * @param {string} value - Text to check
+   * @returns {boolean}
+   */
+  static isValidDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) {
+      return false;
+    }
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return (
+      date.getUTCFullYear() === year &&
+      date.getUTCMonth() === month - 1 &&
+      date.getUTCDate() === day
+    );
+  }
+
+  /**
+   * Whether text is a local date and time in YYYY-MM-DDTHH:MM[:SS] format
+   * @param {string} value - Text to check
+   * @returns {boolean}
+   */
+  static isValidDateTime(value) {
+    const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(
+      value,
+    );
+    return Boolean(
+      match &&
+        ValueFormats.isValidDate(match[1]) &&
+        Number(match[2]) < 24 &&
+        Number(match[3]) < 60 &&
+        Number(match[4] || 0) < 60,
+    );
+  }
+
+  /**
+   * Parse a duration such as "30s", "5m" or "1h 30m"
+   * @param {string} text - Duration text
+   * @returns {number} Milliseconds
+   * @throws {Error} If the text is not a duration
+   */
+  static parseDuration(text) {
+    const units = ValueFormats.DURATION_UNITS;
+    const source = String(text).trim().toLowerCase();
+    const part = /(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)\s*/y;
+
+    let total = 0;
+    let index = 0;
+    while (source && index < source.length) {
+      part.lastIndex = index;
+      const match = part.exec(source);
+      if (!match) {
+        break;
+      }
+      total += parseFloat(match[1]) * units[match[2]];
+      index = part.lastIndex;
+    }
+
+    if (!source || index !== source.length) {
+      throw new Error("Enter a duration such as 30s, 5m or 1h 30m");
+    }
+    return Math.round(total);
+  }
+
+  /**
+   * Format milliseconds for display, e.g. 5400000 as "1h 30m"
+   * @param {number} ms - Milliseconds
+   * @returns {string} Text accepted by parseDuration()
+   */
+  static formatDuration(ms) {
+    if (!Number.isFinite(ms) || ms <= 0) {
+      return "0s";
+    }
+
+    const parts = [];
+    let rest = Math.round(ms);
+    for (const [unit, size] of Object.entries(ValueFormats.DURATION_UNITS)) {
+      if (rest >= size) {
+        parts.push(`${Math.floor(rest / size)}${unit}`);
+        rest %= size;
+      }
+    }
+    return parts.join(" ");
+  }
+
+  /**
+   * Check the length and entries of an array, multiselect or records value
+   * @private
+   */
+  static checkList(setting, value) {
+    if (!Array.isArray(value)) {
+      return I18n.getMessage("format_list", [], "must be a list");
+    }
+    if (setting.minItems !== undefined && value.length < setting.minItems) {
+      return setting.minItems === 1
+        ? I18n.getMessage(
+            "format_min_items_one",
+            [],
+            "must have at least 1 item",
+          )
+        : I18n.getMessage(
+            "format_min_items",
+            [setting.minItems],
+            "must have at least $1 items",
+          );
+    }
+    if (setting.maxItems !== undefined && value.length > setting.maxItems) {
+      return setting.maxItems === 1
+        ? I18n.getMessage(
+            "format_max_items_one",
+            [],
+            "must have at most 1 item",
+          )
+        : I18n.getMessage(
+            "format_max_items",
+            [setting.maxItems],
+            "must have at most $1 items",
+          );
+    }
+
+    const seen = new Set();
+    for (const [index, item] of value.entries()) {
+      if (setting.type === "records") {
+        const problem = ValueFormats.checkRecord(setting.fields || {}, item);
+        if (problem) {
+          return I18n.getMessage(
+            "format_record_problem",
+            [index + 1, problem],
+            "record $1 $2",
+          );
+        }
+        continue;
+      }
+
+      if (setting.type === "multiselect") {
+        if (
+          !setting.options ||
+          typeof item !== "string" ||
+          !Object.prototype.hasOwnProperty.call(setting.options, item)
+        ) {
+          return I18n.getMessage(
+            "format_unknown_option",
+            [item],
+            "contains unknown option '$1'",
+          );
+        }
+      } else {
+        const problem = setting.items
+          ? ValueFormats.checkItem(setting.items, item)
+          : I18n.getMessage(
+              "format_no_item_definition",
+              [],
+              "has no item definition",
+            );
+        if (problem) {
+          return I18n.getMessage(
+            "format_item_problem",
+            [index + 1, problem],
+            "item $1 $2",
+          );
+        }
+      }
+
+      const identity = JSON.stringify(item);
+      if (
+        seen.has(identity) &&
+        (setting.type === "multiselect" || setting.uniqueItems)
+      ) {
+        return I18n.getMessage(
+          "format_duplicate_item",
+          [item],
+          "must not contain '$1' more than once",
+        );
+      }
+      seen.add(identity);
+    }
+    return null;
+  }
+
+  /**
+   * Check one record: every declared field present and valid, no others
+   * @private
+   */
+  static checkRecord(fields, record) {
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+      return I18n.getMessage("format_record_object", [], "must be an object");
+    }
+
+    for (const name of Object.keys(record)) {
+      if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+        return I18n.getMessage(
+          "format_unknown_field",
+          [name],
+          "has unknown field '$1'",
+        );
+      }
+    }
+    for (const [name, field] of Object.entries(fields)) {
+      if (!Object.prototype.hasOwnProperty.call(record, name)) {
+        return I18n.getMessage(
+          "format_missing_field",
+          [name],
+          "is missing field '$1'",
+        );
+      }
+      const problem = ValueFormats.checkItem(field, record[name]);
+      if (problem) {
+        return I18n.getMessage(
+          "format_field_problem",
+          [name, problem],
+          "field '$1' $2",
+        );
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check a duration in milliseconds against min/max
+   * @private
+   */
+  static checkDuration(setting, value) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      return I18n.getMessage(
+        "format_duration",
+        [],
+        "must be a whole, non-negative number of milliseconds",
+      );
+    }
+    return ValueFormats.checkRange(setting, value, ValueFormats.formatDuration);
+  }
+
+  /**
+   * Check an absolute URL and its scheme
+   * @private
+   */
+  static checkUrl(value, schemes) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return I18n.getMessage("format_url", [], "must be an absolute URL");
+    }
+
+    const allowed = schemes || ValueFormats.DEFAULT_URL_SCHEMES;
+    const scheme = url.protocol.slice(0, -1);
+    return allowed.includes(scheme)
+      ? null
+      : I18n.getMessage(
+          "format_url_scheme",
+          [allowed.join(", ")],
+          "must use one of these schemes: $1",
+        );
+  }
+
+  /**
+   * Check a comparable value against the setting's min/max
+   * @private
+   */
+  static checkRange(setting, value, format = (bound) => bound) {
+    const duration = setting.type === "duration";
+
+    if (setting.min !== undefined && value < setting.min) {
+      return duration
+        ? I18n.getMessage(
+            "format_duration_min",
+            [format(setting.min)],
+            "must be $1 or longer",
+          )
+        : I18n.getMessage(
+            "format_date_min",
+            [format(setting.min)],
+            "must be $1 or later",
+          );
+    }
+    if (setting.max !== undefined && value > setting.max) {
+      return duration
+        ? I18n.getMessage(
+            "format_duration_max",
+            [format(setting.max)],
+            "must be $1 or shorter",
+          )
+        : I18n.getMessage(
+            "format_date_max",
+            [format(setting.max)],
+            "must be $1 or earlier",
+          );
+    }
+    return null;
+  }
+}
+
+// Export for use in different contexts
+if (typeof module !== "undefined" && module.exports) {
+  // CommonJS (Node.js)
+  module.exports = ValueFormats;
+} else if (typeof window !== "undefined") {
+  // Browser environment
+  window.ValueFormats = ValueFormats;
+} else {
+  // Service worker context
+  self.ValueFormats = ValueFormats;
+}
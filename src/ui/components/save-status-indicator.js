@@ -1,5 +1,6 @@
 // ui/components/save-status-indicator.js
 // Save status indicator component for user feedback
+// Assumes i18n.js is loaded before this script
 
 /**
  * Save Status Indicator Component
@@ -10,6 +11,9 @@
  * - saving: Currently saving changes
  * - pending: Changes pending save
  * - error: Save operation failed
+ *
+ * A "saved" status updated with `undoable: true` offers an Undo button
+ * that calls the onUndo callback.
  */
 class SaveStatusIndicator {
   constructor(container, options = {}) {
@@ -26,9 +30,10 @@ class SaveStatusIndicator {
     // Component state
     this.state = {
       status: "saved",
-      message: "All changes saved",
+      message: I18n.getMessage("status_saved", [], "All changes saved"),
       pendingCount: 0,
       lastError: null,
+      undoable: false,
       visible: false,
     };
 
@@ -39,6 +44,7 @@ class SaveStatusIndicator {
     // Callbacks
     this.onRetry = options.onRetry || (() => {});
     this.onDismiss = options.onDismiss || (() => {});
+    this.onUndo = options.onUndo || null;
 
     // Create the component
     this.indicator = this.createIndicator();
@@ -68,15 +74,16 @@ class SaveStatusIndicator {
             <div class="save-status-spinner-dot"></div>
           </div>
         </div>
-        <span class="save-status-text">All changes saved</span>
+        <span class="save-status-text" data-i18n="status_saved">All changes saved</span>
         <div class="save-status-actions">
-          <button class="save-status-retry-btn" type="button" title="Retry save operation">
+          <button class="save-status-undo-btn" type="button" title="Undo last change" data-i18n="status_undo" data-i18n-title="status_undo_title">Undo</button>
+          <button class="save-status-retry-btn" type="button" title="Retry save operation" data-i18n-title="status_retry_title">
             <span aria-hidden="true">↻</span>
-            <span class="sr-only">Retry</span>
+            <span class="sr-only" data-i18n="status_retry">Retry</span>
           </button>
-          <button class="save-status-dismiss-btn" type="button" title="Dismiss notification">
+          <button class="save-status-dismiss-btn" type="button" title="Dismiss notification" data-i18n-title="status_dismiss_title">
             <span aria-hidden="true">×</span>
-            <span class="sr-only">Dismiss</span>
+            <span class="sr-only" data-i18n="status_dismiss">Dismiss</span>
           </button>
         </div>
       </div>
@@ -85,6 +92,8 @@ class SaveStatusIndicator {
       </div>
     `;
 
+    I18n.localizeDocument(indicator);
+
     // Add event listeners
     this.setupEventListeners(indicator);
 
@@ -98,6 +107,19 @@ class SaveStatusIndicator {
   setupEventListeners(indicator) {
     const retryBtn = indicator.querySelector(".save-status-retry-btn");
     const dismissBtn = indicator.querySelector(".save-status-dismiss-btn");
+    const undoBtn = indicator.querySelector(".save-status-undo-btn");
+
+    if (undoBtn) {
+      undoBtn.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.state.undoable = false;
+        this.hide();
+        if (this.onUndo) {
+          this.onUndo();
+        }
+      });
+    }
 
     if (retryBtn) {
       retryBtn.addEventListener("click", (e) => {
@@ -135,6 +157,7 @@ class SaveStatusIndicator {
       pendingCount = 0,
       error = null,
       autoShow = true,
+      undoable = false,
     } = options;
 
     // Update state
@@ -143,6 +166,7 @@ class SaveStatusIndicator {
       message,
       pendingCount,
       lastError: error,
+      undoable: undoable && status === "saved" && Boolean(this.onUndo),
       visible: this.state.visible,
     };
 
@@ -166,7 +190,7 @@ class SaveStatusIndicator {
    * Update the DOM based on current state
    */
   updateDOM() {
-    const { status, message, pendingCount, lastError } = this.state;
+    const { status, message, pendingCount, lastError, undoable } = this.state;
 
     // Update main container class
     this.indicator.className = `save-status-indicator ${this.options.position} ${this.options.className} ${status}`;
@@ -188,7 +212,14 @@ class SaveStatusIndicator {
     let displayMessage = message;
 
     if (status === "pending" && pendingCount > 0) {
-      displayMessage = `${pendingCount} change${pendingCount === 1 ? "" : "s"} pending`;
+      displayMessage =
+        pendingCount === 1
+          ? I18n.getMessage("status_pending_one", [], "1 change pending")
+          : I18n.getMessage(
+              "status_pending_count",
+              [pendingCount],
+              "$1 changes pending",
+            );
     }
 
     textElement.textContent = displayMessage;
@@ -200,6 +231,12 @@ class SaveStatusIndicator {
         status === "error" && this.options.showRetry ? "inline-flex" : "none";
     }
 
+    // Update undo button visibility
+    const undoBtn = this.indicator.querySelector(".save-status-undo-btn");
+    if (undoBtn) {
+      undoBtn.style.display = undoable ? "inline-flex" : "none";
+    }
+
     // Update dismiss button visibility
     const dismissBtn = this.indicator.querySelector(".save-status-dismiss-btn");
     if (dismissBtn) {
@@ -220,7 +257,10 @@ class SaveStatusIndicator {
     }
 
     // Update ARIA attributes
-    this.indicator.setAttribute("aria-label", `Save status: ${displayMessage}`);
+    this.indicator.setAttribute(
+      "aria-label",
+      I18n.getMessage("status_aria_label", [displayMessage], "Save status: $1"),
+    );
 
     if (lastError) {
       this.indicator.setAttribute(
@@ -240,12 +280,15 @@ class SaveStatusIndicator {
    */
   getDefaultMessage(status) {
     const messages = {
-      saved: "All changes saved",
-      saving: "Saving changes...",
-      pending: "Changes pending",
-      error: "Save failed",
+      saved: I18n.getMessage("status_saved", [], "All changes saved"),
+      saving: I18n.getMessage("status_saving", [], "Saving changes..."),
+      pending: I18n.getMessage("status_pending", [], "Changes pending"),
+      error: I18n.getMessage("status_error", [], "Save failed"),
     };
-    return messages[status] || "Unknown status";
+    return (
+      messages[status] ||
+      I18n.getMessage("status_unknown", [], "Unknown status")
+    );
   }
 
   /**
@@ -368,8 +411,8 @@ class SaveStatusIndicator {
     this.updateStatus("saving");
   }
 
-  showSaved() {
-    this.updateStatus("saved");
+  showSaved(options = {}) {
+    this.updateStatus("saved", options);
   }
 
   showPending(count) {
@@ -379,7 +422,16 @@ class SaveStatusIndicator {
   showError(error, message = null) {
     this.updateStatus("error", {
       error,
-      message: message || `Save failed: ${error?.message || "Unknown error"}`,
+      message:
+        message ||
+        I18n.getMessage(
+          "status_error_details",
+          [
+            error?.message ||
+              I18n.getMessage("status_unknown_error", [], "Unknown error"),
+          ],
+          "Save failed: $1",
+        ),
     });
   }
 
@@ -434,6 +486,7 @@ class SaveStatusIndicator {
     this.container = null;
     this.onRetry = null;
     this.onDismiss = null;
+    this.onUndo = null;
   }
 }
 
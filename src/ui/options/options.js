@@ -4,11 +4,24 @@ class SettingsOptions {
     this.currentSettings = new Map();
     this.pendingChanges = new Map();
     this.validationErrors = new Map();
+    this.ruleErrors = new Map();
+    // Asynchronous checks in flight by key (AbortController)
+    this.pendingValidations = new Map();
     this.isInitialized = false;
-    this.currentTab = "general";
+    // Defaults to the first category once the configuration is loaded
+    this.currentTab = null;
     this.configLoader = null;
+    this.rules = null;
     this.categories = [];
     this.saveStatusIndicator = null;
+    this.profiles = [];
+    this.activeProfileId = null;
+    this.snapshots = [];
+    this.importPreview = null;
+    // Tab to return to when the search is cleared
+    this.searchReturnTab = null;
+    // Changes being reviewed before saving: { storedValues }
+    this.saveReview = null;
 
     this.setupEventListeners();
     this.initializeSaveStatusIndicator();
@@ -30,6 +43,7 @@ class SettingsOptions {
           enableToasts: true,
           onRetry: () => this.retrySave(),
           onDismiss: () => this.dismissSaveStatus(),
+          onUndo: () => this.applyHistory("undo"),
         });
 
         console.debug("Save status indicator initialized for options page");
@@ -44,19 +58,31 @@ class SettingsOptions {
   async initialize() {
     try {
       console.log("Initializing options page...");
+      I18n.localizeDocument();
 
       // Initialize configuration loader first
       this.configLoader = new ConfigurationLoader();
       await this.configLoader.loadConfiguration();
       this.categories = this.configLoader.getCategories();
       console.log("Loaded categories:", this.categories);
+      this.renderCategories();
+
+      if (typeof SettingsRules !== "undefined") {
+        this.rules = new SettingsRules(
+          this.configLoader.getRules(),
+          this.configLoader.config,
+          this.configLoader,
+        );
+      }
 
       // First test if background script is responding at all
       await this.testBackgroundConnection();
 
       await this.loadSettings();
       this.renderAllSettings();
-      this.showTab(this.currentTab);
+      this.renderExportOptions();
+      await this.loadProfiles();
+      this.applyHash();
       this.hideLoading();
       this.isInitialized = true;
 
@@ -222,6 +248,163 @@ class SettingsOptions {
       const categorySettings = this.configLoader.getCategorySettings(category);
       this.renderCategorySettings(category, categorySettings);
     }
+
+    this.applyConditionalStates();
+    this.updateModifiedStates();
+  }
+
+  /**
+   * Build the category navigation and tab panes from the configuration: a
+   * tab per top-level category, with nested categories as sections of
+   * their parent's tab and as indented links below its link
+   */
+  renderCategories() {
+    const nav = document.getElementById("category-nav");
+    const tabs = document.getElementById("category-tabs");
+    nav.innerHTML = "";
+    tabs.innerHTML = "";
+
+    const addLinks = (list, parent, tab) => {
+      for (const category of this.configLoader.getChildCategories(parent)) {
+        const info = this.configLoader.getCategory(category);
+
+        const link = document.createElement("a");
+        link.href = tab ? `#${tab}/${category}` : `#${category}`;
+        link.className = "nav-link";
+        link.dataset.tab = tab || category;
+        if (tab) {
+          link.classList.add("nav-sublink");
+          link.dataset.section = category;
+        }
+        if (info.icon) {
+          link.appendChild(this.createCategoryIcon(info.icon));
+        }
+        const name = document.createElement("span");
+        name.textContent = info.displayName;
+        link.appendChild(name);
+
+        const item = document.createElement("li");
+        item.appendChild(link);
+        if (this.configLoader.getChildCategories(category).length > 0) {
+          const sublist = document.createElement("ul");
+          sublist.className = "nav-list nav-sublist";
+          addLinks(sublist, category, tab || category);
+          item.appendChild(sublist);
+        }
+        list.appendChild(item);
+      }
+    };
+    addLinks(nav, null, null);
+
+    const createGrid = (category) => {
+      const grid = document.createElement("div");
+      grid.className = "settings-grid";
+      grid.id = `${category}-settings`;
+      return grid;
+    };
+
+    const addSections = (container, parent, level) => {
+      for (const category of this.configLoader.getChildCategories(parent)) {
+        const info = this.configLoader.getCategory(category);
+
+        const section = document.createElement("section");
+        section.className = "settings-section";
+        section.id = `${category}-section`;
+
+        const heading = document.createElement(`h${Math.min(level, 6)}`);
+        heading.className = "settings-section-title";
+        if (info.icon) {
+          heading.appendChild(this.createCategoryIcon(info.icon));
+        }
+        heading.append(info.displayName);
+        section.appendChild(this.createCategoryHeaderRow(heading, category));
+
+        if (info.description) {
+          const description = document.createElement("p");
+          description.className = "settings-section-description";
+          description.textContent = info.description;
+          section.appendChild(description);
+        }
+
+        section.appendChild(createGrid(category));
+        addSections(section, category, level + 1);
+        container.appendChild(section);
+      }
+    };
+
+    for (const category of this.configLoader.getChildCategories()) {
+      const info = this.configLoader.getCategory(category);
+
+      const tab = document.createElement("div");
+      tab.className = "tab-content";
+      tab.id = `${category}-tab`;
+      tab.style.display = "none";
+
+      const header = document.createElement("div");
+      header.className = "tab-header";
+      const title = document.createElement("h2");
+      title.textContent = info.displayName;
+      header.appendChild(this.createCategoryHeaderRow(title, category));
+      if (info.description) {
+        const description = document.createElement("p");
+        description.textContent = info.description;
+        header.appendChild(description);
+      }
+      tab.appendChild(header);
+
+      tab.appendChild(createGrid(category));
+      addSections(tab, category, 3);
+      tabs.appendChild(tab);
+    }
+  }
+
+  /**
+   * Put a category title next to the button resetting the settings of the
+   * category (not of its nested categories, which have their own)
+   * @param {HTMLElement} title - Tab or section title
+   * @param {string} category - Category key
+   * @returns {HTMLElement} Row holding both
+   */
+  createCategoryHeaderRow(title, category) {
+    const row = document.createElement("div");
+    row.className = "category-header-row";
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "reset-category-btn";
+    button.dataset.category = category;
+    button.textContent = I18n.getMessage(
+      "reset_category",
+      [],
+      "Reset to defaults",
+    );
+    button.disabled = true;
+    button.addEventListener("click", () => this.resetCategory(category));
+
+    row.appendChild(title);
+    row.appendChild(button);
+    return row;
+  }
+
+  /**
+   * Create the icon of a category: an image when the icon is the path of
+   * an image in the extension, otherwise the text itself (e.g. an emoji)
+   * @param {string} icon - Icon from the category metadata
+   * @returns {HTMLElement} Decorative icon element
+   */
+  createCategoryIcon(icon) {
+    let element;
+    if (/\.(png|svg|jpe?g|gif|webp)$/i.test(icon)) {
+      element = document.createElement("img");
+      element.src = browserAPI.runtime.getURL(icon);
+      element.alt = "";
+    } else {
+      element = document.createElement("span");
+      element.textContent = icon;
+    }
+    element.className = "category-icon";
+    element.setAttribute("aria-hidden", "true");
+    return element;
   }
 
   renderCategorySettings(category, categorySettings) {
@@ -240,6 +423,194 @@ class SettingsOptions {
         container.appendChild(settingElement);
       }
     });
+
+    this.applyConditionalStates();
+  }
+
+  /**
+   * Get current values including unsaved changes
+   * @returns {Object} Object with key-value pairs
+   */
+  getEffectiveValues() {
+    const values = {};
+    for (const [key, setting] of this.currentSettings) {
+      values[key] = setting.value;
+    }
+    for (const [key, value] of this.pendingChanges) {
+      values[key] = value;
+    }
+    return values;
+  }
+
+  /**
+   * Whether a value differs from the setting's default in the configuration
+   * @param {string} key - Setting key
+   * @param {*} value - Current or unsaved value
+   * @returns {boolean} False for settings without a known default
+   */
+  isModified(key, value) {
+    const definition = this.configLoader?.getSetting(key);
+    if (!definition) {
+      return false;
+    }
+    return JSON.stringify(value) !== JSON.stringify(definition.value);
+  }
+
+  /**
+   * Mark the settings whose current (unsaved) value differs from the
+   * default, and enable the category resets that would change something
+   */
+  updateModifiedStates() {
+    const values = this.getEffectiveValues();
+    const modifiedCategories = new Set();
+
+    for (const [key, setting] of this.currentSettings) {
+      const settingElement = document.querySelector(`[data-key="${key}"]`);
+      if (!settingElement) {
+        continue;
+      }
+
+      const modified = this.isModified(key, values[key]);
+      settingElement.classList.toggle("modified", modified);
+      settingElement.querySelector(".modified-badge").hidden = !modified;
+      settingElement.querySelector(".reset-setting-btn").hidden = !modified;
+      if (modified) {
+        modifiedCategories.add(setting.category);
+      }
+    }
+
+    document.querySelectorAll(".reset-category-btn").forEach((button) => {
+      button.disabled = !modifiedCategories.has(button.dataset.category);
+    });
+  }
+
+  /**
+   * Reset one setting to its default, discarding its unsaved change
+   * @param {string} key - Setting key
+   */
+  async resetSetting(key) {
+    await this.applyReset({ type: "RESET_SETTING", key }, [key]);
+  }
+
+  /**
+   * Reset the settings of a category to their defaults after confirmation,
+   * discarding their unsaved changes
+   * @param {string} category - Category key
+   */
+  async resetCategory(category) {
+    if (
+      !confirm(
+        I18n.getMessage(
+          "reset_category_confirm",
+          [this.configLoader.getCategoryDisplayName(category)],
+          'Reset all settings in "$1" to their defaults?',
+        ),
+      )
+    ) {
+      return;
+    }
+
+    const keys = Array.from(this.currentSettings)
+      .filter(([, setting]) => setting.category === category)
+      .map(([key]) => key);
+    await this.applyReset({ type: "RESET_CATEGORY", category }, keys);
+  }
+
+  /**
+   * Send a reset message and show the defaults it restored
+   * @param {Object} message - RESET_SETTING or RESET_CATEGORY message
+   * @param {Array<string>} keys - Keys the reset covers
+   */
+  async applyReset(message, keys) {
+    try {
+      const response = await this.sendBackgroundMessage(message);
+      const resetKeys = keys.filter(
+        (key) => key in response.changes || this.pendingChanges.has(key),
+      );
+
+      for (const [key, value] of Object.entries(response.changes)) {
+        this.currentSettings.get(key).value = value;
+      }
+      for (const key of keys) {
+        this.dropPendingChange(key);
+      }
+      this.applyConditionalStates();
+      this.updateSaveButton();
+
+      this.showSuccess(
+        I18n.getMessage(
+          "reset_setting_success",
+          [resetKeys.map((key) => this.getSettingDisplayName(key)).join(", ")],
+          "Reset to default: $1",
+        ),
+      );
+    } catch (error) {
+      console.error("Reset failed:", error);
+      this.showError(
+        I18n.getMessage(
+          "reset_setting_failed",
+          [error.message],
+          "Reset failed: $1",
+        ),
+      );
+    }
+  }
+
+  /**
+   * Forget the unsaved change of a setting and show its saved value again
+   * @param {string} key - Setting key
+   */
+  dropPendingChange(key) {
+    this.pendingValidations.get(key)?.abort();
+    this.pendingValidations.delete(key);
+    this.pendingChanges.delete(key);
+    this.clearValidationError(key);
+    this.refreshSettingElement(key);
+  }
+
+  /**
+   * Rebuild the element of a setting from its saved value
+   * @param {string} key - Setting key
+   */
+  refreshSettingElement(key) {
+    const settingElement = document.querySelector(`[data-key="${key}"]`);
+    if (settingElement) {
+      settingElement.replaceWith(
+        this.createAdvancedSettingElement(key, this.currentSettings.get(key)),
+      );
+    }
+  }
+
+  /**
+   * Hide or disable settings whose visibleWhen/enabledWhen/dependsOn
+   * conditions are not met by the current (unsaved) values
+   */
+  applyConditionalStates() {
+    if (!this.configLoader) {
+      return;
+    }
+
+    const values = this.getEffectiveValues();
+
+    for (const [key, setting] of this.currentSettings) {
+      const settingElement = document.querySelector(`[data-key="${key}"]`);
+      if (!settingElement) {
+        continue;
+      }
+
+      const { visible, enabled } = this.configLoader.getSettingState(
+        setting,
+        values,
+      );
+
+      settingElement.hidden = !visible;
+      settingElement.classList.toggle("disabled", !enabled);
+
+      const input = document.getElementById(`setting-${key}`);
+      if (input) {
+        input.disabled = !enabled;
+      }
+    }
   }
 
   createAdvancedSettingElement(key, setting) {
@@ -264,6 +635,7 @@ class SettingsOptions {
     info.appendChild(label);
     info.appendChild(description);
     header.appendChild(info);
+    header.appendChild(this.createModifiedActions(key));
 
     const inputContainer = document.createElement("div");
     inputContainer.className = "setting-input-container";
@@ -271,9 +643,22 @@ class SettingsOptions {
     const input = this.createAdvancedInputElement(key, setting);
     const errorMessage = document.createElement("div");
     errorMessage.className = "error-message";
-
-    inputContainer.appendChild(input);
+    const ruleMessage = document.createElement("div");
+    ruleMessage.className = "rule-error";
+    ruleMessage.setAttribute("role", "alert");
+
+    let control = input;
+    if (setting.type === "secret") {
+      control = this.wrapSecretInput(input);
+    } else if (setting.type === "number") {
+      control = this.wrapNumberInput(input, setting);
+    }
+    inputContainer.appendChild(control);
+    if (SettingsValidator.hasAsyncValidators(setting)) {
+      inputContainer.appendChild(this.createValidationStatus());
+    }
     inputContainer.appendChild(errorMessage);
+    inputContainer.appendChild(ruleMessage);
 
     wrapper.appendChild(header);
     wrapper.appendChild(inputContainer);
@@ -281,10 +666,51 @@ class SettingsOptions {
     return wrapper;
   }
 
+  /**
+   * Create the "Modified" badge and "Reset" button of a setting, shown
+   * while its value differs from the default
+   * @param {string} key - Setting key
+   * @returns {HTMLElement}
+   */
+  createModifiedActions(key) {
+    const actions = document.createElement("div");
+    actions.className = "setting-actions";
+
+    const badge = document.createElement("span");
+    badge.className = "modified-badge";
+    badge.textContent = I18n.getMessage("modified_badge", [], "Modified");
+    badge.hidden = true;
+
+    const reset = document.createElement("button");
+    reset.type = "button";
+    reset.className = "reset-setting-btn";
+    reset.textContent = I18n.getMessage("reset_setting", [], "Reset");
+    reset.title = I18n.getMessage(
+      "reset_setting_title",
+      [],
+      "Reset to default",
+    );
+    reset.hidden = true;
+    reset.addEventListener("click", () => this.resetSetting(key));
+
+    actions.appendChild(badge);
+    actions.appendChild(reset);
+    return actions;
+  }
+
   createAdvancedInputElement(key, setting) {
     let input;
 
     switch (setting.type) {
+      case "array":
+        return this.createListEditor(key, setting);
+
+      case "multiselect":
+        return this.createCheckboxGroup(key, setting);
+
+      case "records":
+        return this.createRecordsTable(key, setting);
+
       case "boolean":
         input = document.createElement("input");
         input.type = "checkbox";
@@ -299,7 +725,32 @@ class SettingsOptions {
         input.type = "text";
         input.value = setting.value;
         input.maxLength = setting.maxLength || 1000;
-        input.placeholder = `Enter ${setting.description.toLowerCase()}`;
+        input.placeholder =
+          setting.placeholder ||
+          I18n.getMessage(
+            "input_placeholder",
+            [setting.description.toLowerCase()],
+            "Enter $1",
+          );
+        input.addEventListener("input", () =>
+          this.handleSettingChange(key, input),
+        );
+        input.addEventListener("blur", () => this.validateSetting(key, input));
+        break;
+
+      case "secret":
+        input = document.createElement("input");
+        input.type = "password";
+        input.autocomplete = "off";
+        input.value = setting.value;
+        input.maxLength = setting.maxLength || 1000;
+        input.placeholder =
+          setting.placeholder ||
+          I18n.getMessage(
+            "input_placeholder",
+            [setting.description.toLowerCase()],
+            "Enter $1",
+          );
         input.addEventListener("input", () =>
           this.handleSettingChange(key, input),
         );
@@ -311,7 +762,13 @@ class SettingsOptions {
         input.value = setting.value;
         input.maxLength = setting.maxLength || 50000;
         input.rows = 6;
-        input.placeholder = `Enter ${setting.description.toLowerCase()}`;
+        input.placeholder =
+          setting.placeholder ||
+          I18n.getMessage(
+            "input_placeholder",
+            [setting.description.toLowerCase()],
+            "Enter $1",
+          );
         input.addEventListener("input", () =>
           this.handleSettingChange(key, input),
         );
@@ -320,11 +777,11 @@ class SettingsOptions {
 
       case "number":
         input = document.createElement("input");
-        input.type = "number";
+        input.type = setting.widget === "slider" ? "range" : "number";
         input.value = setting.value;
         input.min = setting.min;
         input.max = setting.max;
-        input.step = 1;
+        input.step = setting.step ?? "any";
         input.addEventListener("input", () =>
           this.handleSettingChange(key, input),
         );
@@ -363,6 +820,53 @@ class SettingsOptions {
         input.addEventListener("blur", () => this.validateSetting(key, input));
         break;
 
+      case "color":
+        input = document.createElement("input");
+        input.type = "color";
+        input.value = setting.value;
+        input.addEventListener("input", () =>
+          this.handleSettingChange(key, input),
+        );
+        break;
+
+      case "url":
+      case "email":
+      case "date":
+      case "datetime":
+        input = document.createElement("input");
+        input.type =
+          setting.type === "datetime" ? "datetime-local" : setting.type;
+        input.value = setting.value;
+        if (setting.type === "url" || setting.type === "email") {
+          input.maxLength = setting.maxLength || 1000;
+          input.placeholder =
+            setting.type === "url" ? "https://example.com" : "name@example.com";
+        } else {
+          if (setting.min !== undefined) {
+            input.min = setting.min;
+          }
+          if (setting.max !== undefined) {
+            input.max = setting.max;
+          }
+        }
+        input.addEventListener("input", () =>
+          this.handleSettingChange(key, input),
+        );
+        input.addEventListener("blur", () => this.validateSetting(key, input));
+        break;
+
+      case "duration":
+        // Stored in milliseconds, edited as text such as "5m" or "1h 30m"
+        input = document.createElement("input");
+        input.type = "text";
+        input.value = ValueFormats.formatDuration(setting.value);
+        input.placeholder = "e.g. 30s, 5m or 1h 30m";
+        input.addEventListener("input", () =>
+          this.handleSettingChange(key, input),
+        );
+        input.addEventListener("blur", () => this.validateSetting(key, input));
+        break;
+
       default:
         input = document.createElement("input");
         input.type = "text";
@@ -378,291 +882,2361 @@ class SettingsOptions {
     return input;
   }
 
-  getSettingDisplayName(key) {
-    if (!this.configLoader) {
-      console.error("ConfigurationLoader not available for getDisplayName");
-      return key.replace(/_/g, " ").replace(/\b\w/g, (l) => l.toUpperCase());
-    }
+  /**
+   * Create the add/remove/reorder editor of an array setting
+   * @param {string} key - Setting key
+   * @param {Object} setting - Setting definition and value
+   * @returns {HTMLFieldSetElement} Editor, read back with readListValue()
+   */
+  createListEditor(key, setting) {
+    const editor = document.createElement("fieldset");
+    editor.className = "list-editor";
+    editor.id = `setting-${key}`;
+
+    const list = document.createElement("ol");
+    list.className = "list-editor-items";
+    editor.appendChild(list);
+
+    const onChange = () => this.handleSettingChange(key, editor);
+
+    const addItem = (value) => {
+      const item = document.createElement("li");
+      item.className = "list-editor-item";
+
+      const input = this.createListItemInput(setting.items, value);
+      input.addEventListener("input", onChange);
+      item.appendChild(input);
+
+      const actions = [
+        [
+          "↑",
+          I18n.getMessage("editor_move_up", [], "Move up"),
+          () => item.previousElementSibling?.before(item),
+        ],
+        [
+          "↓",
+          I18n.getMessage("editor_move_down", [], "Move down"),
+          () => item.nextElementSibling?.after(item),
+        ],
+        [
+          "✕",
+          I18n.getMessage("editor_remove", [], "Remove"),
+          () => item.remove(),
+        ],
+      ];
+      for (const [text, label, action] of actions) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "btn btn-secondary list-editor-action";
+        button.textContent = text;
+        button.title = label;
+        button.setAttribute("aria-label", label);
+        button.addEventListener("click", () => {
+          action();
+          onChange();
+        });
+        item.appendChild(button);
+      }
 
-    return this.configLoader.getDisplayName(key);
-  }
+      list.appendChild(item);
+      return input;
+    };
 
-  handleSettingChange(key, input) {
-    try {
-      const setting = this.currentSettings.get(key);
-      let value = input.value;
+    for (const value of setting.value) {
+      addItem(value);
+    }
 
-      // Parse value based on type
-      if (setting.type === "boolean") {
-        value = input.checked;
-      } else if (setting.type === "number") {
-        value = parseFloat(value);
-        if (isNaN(value)) {
-          throw new Error("Invalid number");
-        }
-      } else if (setting.type === "json") {
-        try {
-          value = JSON.parse(value);
-        } catch {
-          throw new Error("Invalid JSON format");
-        }
-      }
+    const addButton = document.createElement("button");
+    addButton.type = "button";
+    addButton.className = "btn btn-secondary list-editor-add";
+    addButton.textContent = I18n.getMessage("editor_add_item", [], "Add item");
+    addButton.addEventListener("click", () => {
+      addItem(undefined).focus();
+      onChange();
+    });
+    editor.appendChild(addButton);
 
-      // Validate the value
-      this.validateValue(setting, value);
+    return editor;
+  }
 
-      // Store as pending change
-      this.pendingChanges.set(key, value);
-      this.updateSaveButton();
+  /**
+   * Create the table editor of a records setting: one row per record, one
+   * column per field, with errors shown under the offending cell
+   * @param {string} key - Setting key
+   * @param {Object} setting - Setting definition and value
+   * @returns {HTMLFieldSetElement} Editor, read back with readListValue()
+   */
+  createRecordsTable(key, setting) {
+    const fields = Object.entries(setting.fields || {});
+
+    const editor = document.createElement("fieldset");
+    editor.className = "records-editor";
+    editor.id = `setting-${key}`;
+
+    const table = document.createElement("table");
+    table.className = "records-table";
+    const headRow = table.createTHead().insertRow();
+    for (const [name, field] of fields) {
+      const th = document.createElement("th");
+      th.scope = "col";
+      th.textContent = field.label || name;
+      headRow.appendChild(th);
+    }
+    const actionsHeader = document.createElement("th");
+    actionsHeader.scope = "col";
+    actionsHeader.textContent = I18n.getMessage(
+      "editor_actions",
+      [],
+      "Actions",
+    );
+    headRow.appendChild(actionsHeader);
+    const body = table.createTBody();
+    editor.appendChild(table);
+
+    const onChange = () => {
+      this.showRecordCellErrors(setting, editor);
+      this.handleSettingChange(key, editor);
+    };
+    editor.addEventListener("input", onChange);
+
+    const addRow = (record = {}) => {
+      const row = body.insertRow();
+      row.className = "records-row";
+
+      for (const [name, field] of fields) {
+        const cell = row.insertCell();
+        const input = this.createListItemInput(field, record[name]);
+        input.dataset.field = name;
+        input.setAttribute("aria-label", field.label || name);
+        const error = document.createElement("div");
+        error.className = "cell-error";
+        cell.appendChild(input);
+        cell.appendChild(error);
+      }
 
-      // Show pending status
-      if (this.saveStatusIndicator) {
-        this.saveStatusIndicator.updateStatus("pending", {
-          message: `${this.pendingChanges.size} unsaved changes`,
+      const actions = [
+        [
+          "↑",
+          I18n.getMessage("editor_move_up", [], "Move up"),
+          () => row.previousElementSibling?.before(row),
+        ],
+        [
+          "↓",
+          I18n.getMessage("editor_move_down", [], "Move down"),
+          () => row.nextElementSibling?.after(row),
+        ],
+        [
+          "⧉",
+          I18n.getMessage("editor_duplicate", [], "Duplicate"),
+          () => {
+            const copy = addRow();
+            const sources = row.querySelectorAll("[data-field]");
+            copy.querySelectorAll("[data-field]").forEach((input, index) => {
+              input.value = sources[index].value;
+              input.checked = sources[index].checked;
+            });
+            row.after(copy);
+          },
+        ],
+        [
+          "✕",
+          I18n.getMessage("editor_delete", [], "Delete"),
+          () => row.remove(),
+        ],
+      ];
+      const actionsCell = row.insertCell();
+      actionsCell.className = "records-actions";
+      for (const [text, label, action] of actions) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "btn btn-secondary list-editor-action";
+        button.textContent = text;
+        button.title = label;
+        button.setAttribute("aria-label", label);
+        button.addEventListener("click", () => {
+          action();
+          onChange();
         });
+        actionsCell.appendChild(button);
       }
 
-      // Clear any validation errors
-      this.clearValidationError(key);
-    } catch (error) {
-      this.setValidationError(key, error.message);
-      this.pendingChanges.delete(key);
-      this.updateSaveButton();
+      return row;
+    };
 
-      // Show validation error in save status indicator
-      if (this.saveStatusIndicator) {
-        this.saveStatusIndicator.showError(
-          error,
-          `Validation failed for ${key}`,
-        );
-      }
+    for (const record of setting.value) {
+      addRow(record);
     }
-  }
 
-  validateSetting(key, input) {
-    try {
-      const setting = this.currentSettings.get(key);
-      let value = input.value;
+    const addButton = document.createElement("button");
+    addButton.type = "button";
+    addButton.className = "btn btn-secondary list-editor-add";
+    addButton.textContent = I18n.getMessage(
+      "editor_add_record",
+      [],
+      "Add record",
+    );
+    addButton.addEventListener("click", () => {
+      addRow().querySelector("[data-field]")?.focus();
+      onChange();
+    });
+    editor.appendChild(addButton);
 
-      if (setting.type === "number") {
-        value = parseFloat(value);
-        if (isNaN(value)) {
-          throw new Error("Invalid number");
-        }
-      } else if (setting.type === "json") {
-        try {
-          value = JSON.parse(value);
-        } catch {
-          throw new Error("Invalid JSON format");
-        }
-      } else if (setting.type === "enum") {
-        // Enum validation - ensure value exists in options
-        if (setting.options && !setting.options[value]) {
-          throw new Error("Invalid enum value");
-        }
+    return editor;
+  }
+
+  /**
+   * Show the problem of each records table cell under it
+   * @param {Object} setting - Setting definition
+   * @param {HTMLFieldSetElement} editor - Editor from createRecordsTable()
+   */
+  showRecordCellErrors(setting, editor) {
+    for (const input of editor.querySelectorAll("[data-field]")) {
+      const field = setting.fields[input.dataset.field];
+      let problem = null;
+      try {
+        problem = ValueFormats.checkItem(
+          field,
+          this.parseListItemInput(field, input),
+        );
+      } catch (error) {
+        problem = error.message;
       }
 
-      this.validateValue(setting, value);
-      this.clearValidationError(key);
-    } catch (error) {
-      this.setValidationError(key, error.message);
+      const message = problem
+        ? problem.charAt(0).toUpperCase() + problem.slice(1)
+        : "";
+      input.classList.toggle("error", Boolean(message));
+      input.setAttribute("aria-invalid", String(Boolean(message)));
+      input.parentElement.querySelector(".cell-error").textContent = message;
     }
   }
 
-  validateValue(setting, value) {
-    switch (setting.type) {
+  /**
+   * Create the input of one array item or record field
+   * @param {Object} items - Item definition ({ type, ...constraints })
+   * @param {*} value - Item value, undefined for a new item
+   * @returns {HTMLInputElement}
+   */
+  createListItemInput(items, value) {
+    const input = document.createElement("input");
+    input.className = "setting-input";
+    input.setAttribute(
+      "aria-label",
+      I18n.getMessage("editor_item", [], "Item"),
+    );
+
+    switch (items.type) {
       case "boolean":
-        if (typeof value !== "boolean") {
-          throw new Error("Must be a boolean");
-        }
+        input.type = "checkbox";
+        input.className = "";
+        input.checked = value ?? false;
+        break;
+      case "number":
+        input.type = "number";
+        input.value = value ?? items.min ?? 0;
+        break;
+      case "color":
+        input.type = "color";
+        input.value = value ?? "#000000";
+        break;
+      case "datetime":
+        input.type = "datetime-local";
+        input.value = value ?? "";
+        break;
+      case "duration":
+        input.type = "text";
+        input.value = ValueFormats.formatDuration(value ?? 0);
+        break;
+      case "url":
+      case "email":
+      case "date":
+        input.type = items.type;
+        input.value = value ?? "";
         break;
+      default:
+        input.type = "text";
+        input.value = value ?? "";
+    }
 
-      case "text":
-      case "longtext":
-        if (typeof value !== "string") {
-          throw new Error("Must be a string");
+    if (items.maxLength) {
+      input.maxLength = items.maxLength;
+    }
+    return input;
+  }
+
+  /**
+   * Create the checkbox group of a multiselect setting
+   * @param {string} key - Setting key
+   * @param {Object} setting - Setting definition and value
+   * @returns {HTMLFieldSetElement} Group, read back with readListValue()
+   */
+  createCheckboxGroup(key, setting) {
+    const group = document.createElement("fieldset");
+    group.className = "checkbox-group";
+    group.id = `setting-${key}`;
+
+    for (const [option, label] of Object.entries(setting.options || {})) {
+      const optionLabel = document.createElement("label");
+      optionLabel.className = "checkbox-group-option";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = option;
+      checkbox.checked = setting.value.includes(option);
+      checkbox.addEventListener("change", () =>
+        this.handleSettingChange(key, group),
+      );
+
+      optionLabel.appendChild(checkbox);
+      optionLabel.appendChild(document.createTextNode(label || option));
+      group.appendChild(optionLabel);
+    }
+
+    return group;
+  }
+
+  /**
+   * Read the value of a list editor, checkbox group or records table
+   * @param {Object} setting - Setting definition
+   * @param {HTMLFieldSetElement} element - Element from createListEditor(),
+   *   createCheckboxGroup() or createRecordsTable()
+   * @returns {Array} Items in display order
+   * @throws {Error} If an item cannot be parsed
+   */
+  readListValue(setting, element) {
+    if (setting.type === "multiselect") {
+      return Array.from(
+        element.querySelectorAll("input[type=checkbox]:checked"),
+        (checkbox) => checkbox.value,
+      );
+    }
+
+    if (setting.type === "records") {
+      return Array.from(
+        element.querySelectorAll(".records-row"),
+        (row, index) => {
+          const record = {};
+          for (const input of row.querySelectorAll("[data-field]")) {
+            const name = input.dataset.field;
+            try {
+              record[name] = this.parseListItemInput(
+                setting.fields[name],
+                input,
+              );
+            } catch (error) {
+              throw new Error(`Record ${index + 1}, ${name}: ${error.message}`);
+            }
+          }
+          return record;
+        },
+      );
+    }
+
+    return Array.from(
+      element.querySelectorAll(".list-editor-item input"),
+      (input, index) => {
+        try {
+          return this.parseListItemInput(setting.items, input);
+        } catch (error) {
+          throw new Error(`Item ${index + 1}: ${error.message}`);
         }
-        if (setting.maxLength && value.length > setting.maxLength) {
-          throw new Error(`Exceeds maximum length of ${setting.maxLength}`);
+      },
+    );
+  }
+
+  /**
+   * Read the typed value of an array item or record field input
+   * @param {Object} items - Item definition ({ type, ...constraints })
+   * @param {HTMLInputElement} input - Input from createListItemInput()
+   * @returns {*} Parsed value
+   * @throws {Error} If the input cannot be parsed
+   */
+  parseListItemInput(items, input) {
+    switch (items.type) {
+      case "boolean":
+        return input.checked;
+      case "number": {
+        const number = parseFloat(input.value);
+        if (isNaN(number)) {
+          throw new Error("Invalid number");
         }
-        break;
+        return number;
+      }
+      case "duration":
+        return ValueFormats.parseDuration(input.value);
+      default:
+        return input.value;
+    }
+  }
 
-      case "number":
-        if (typeof value !== "number") {
-          throw new Error("Must be a number");
+  /**
+   * Add the unit label, or the live formatted readout of sliders and
+   * formatted numbers, next to a number input
+   * @param {HTMLInputElement} input - Number or range input
+   * @param {Object} setting - Number setting definition
+   * @returns {HTMLElement} Wrapper to insert instead of the input, or the
+   *   input itself when there is nothing to add
+   */
+  wrapNumberInput(input, setting) {
+    const slider = setting.widget === "slider";
+    if (!slider && !setting.format && !setting.unit) {
+      return input;
+    }
+
+    const wrapper = document.createElement("div");
+    wrapper.className = slider ? "number-input slider-input" : "number-input";
+
+    const boundLabel = (bound) => {
+      const label = document.createElement("span");
+      label.className = "slider-bound";
+      label.textContent = ValueFormats.formatNumber(setting, bound);
+      label.setAttribute("aria-hidden", "true");
+      return label;
+    };
+
+    if (slider) {
+      wrapper.appendChild(boundLabel(setting.min));
+    }
+    wrapper.appendChild(input);
+    if (slider) {
+      wrapper.appendChild(boundLabel(setting.max));
+    }
+
+    if (slider || setting.format) {
+      const readout = document.createElement("output");
+      readout.className = "number-readout";
+      readout.setAttribute("for", input.id);
+      const update = () => {
+        const value = parseFloat(input.value);
+        readout.textContent = isNaN(value)
+          ? ""
+          : ValueFormats.formatNumber(setting, value);
+      };
+      input.addEventListener("input", update);
+      update();
+      wrapper.appendChild(readout);
+    } else {
+      const unit = document.createElement("span");
+      unit.className = "number-unit";
+      unit.textContent = setting.unit;
+      wrapper.appendChild(unit);
+    }
+
+    return wrapper;
+  }
+
+  /**
+   * Wrap a secret input with a button revealing its value
+   * @param {HTMLInputElement} input - Password input
+   * @returns {HTMLElement} Wrapper to insert instead of the input
+   */
+  wrapSecretInput(input) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "secret-input";
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "btn btn-secondary secret-toggle";
+    toggle.textContent = I18n.getMessage("secret_show", [], "Show");
+    toggle.setAttribute("aria-controls", input.id);
+    toggle.setAttribute("aria-pressed", "false");
+    toggle.addEventListener("click", () => {
+      const reveal = input.type === "password";
+      input.type = reveal ? "text" : "password";
+      toggle.textContent = reveal
+        ? I18n.getMessage("secret_hide", [], "Hide")
+        : I18n.getMessage("secret_show", [], "Show");
+      toggle.setAttribute("aria-pressed", String(reveal));
+    });
+
+    wrapper.appendChild(input);
+    wrapper.appendChild(toggle);
+    return wrapper;
+  }
+
+  getSettingDisplayName(key) {
+    if (!this.configLoader) {
+      console.error("ConfigurationLoader not available for getDisplayName");
+      return key.replace(/_/g, " ").replace(/\b\w/g, (l) => l.toUpperCase());
+    }
+
+    return this.configLoader.getDisplayName(key);
+  }
+
+  handleSettingChange(key, input) {
+    try {
+      const setting = this.currentSettings.get(key);
+      let value = input.value;
+
+      // Parse value based on type
+      if (setting.type === "boolean") {
+        value = input.checked;
+      } else if (setting.type === "number") {
+        value = parseFloat(value);
+        if (isNaN(value)) {
+          throw new Error("Invalid number");
+        }
+      } else if (setting.type === "json") {
+        try {
+          value = JSON.parse(value);
+        } catch {
+          throw new Error("Invalid JSON format");
+        }
+      } else if (setting.type === "duration") {
+        value = ValueFormats.parseDuration(value);
+      } else if (
+        setting.type === "array" ||
+        setting.type === "multiselect" ||
+        setting.type === "records"
+      ) {
+        value = this.readListValue(setting, input);
+      }
+
+      // Validate the value
+      this.validateValue(setting, value, key);
+
+      // Store as pending change
+      this.pendingChanges.set(key, value);
+      this.updateSaveButton();
+      this.applyConditionalStates();
+
+      // Show pending status
+      if (this.saveStatusIndicator) {
+        this.saveStatusIndicator.updateStatus("pending", {
+          message: `${this.pendingChanges.size} unsaved changes`,
+        });
+      }
+
+      // Clear any validation errors
+      this.clearValidationError(key);
+
+      if (SettingsValidator.hasAsyncValidators(setting)) {
+        this.validateValueAsync(key, setting, value);
+      }
+    } catch (error) {
+      this.pendingValidations.get(key)?.abort();
+      this.setValidationError(key, error.message);
+      this.pendingChanges.delete(key);
+      this.updateSaveButton();
+
+      // Show validation error in save status indicator
+      if (this.saveStatusIndicator) {
+        this.saveStatusIndicator.showError(
+          error,
+          `Validation failed for ${key}`,
+        );
+      }
+    }
+  }
+
+  validateSetting(key, input) {
+    try {
+      const setting = this.currentSettings.get(key);
+      let value = input.value;
+
+      if (setting.type === "number") {
+        value = parseFloat(value);
+        if (isNaN(value)) {
+          throw new Error("Invalid number");
         }
-        if (setting.min !== undefined && value < setting.min) {
-          throw new Error(`Must be at least ${setting.min}`);
+      } else if (setting.type === "json") {
+        try {
+          value = JSON.parse(value);
+        } catch {
+          throw new Error("Invalid JSON format");
         }
-        if (setting.max !== undefined && value > setting.max) {
-          throw new Error(`Must be at most ${setting.max}`);
+      } else if (setting.type === "duration") {
+        value = ValueFormats.parseDuration(value);
+      } else if (
+        setting.type === "array" ||
+        setting.type === "multiselect" ||
+        setting.type === "records"
+      ) {
+        value = this.readListValue(setting, input);
+      }
+
+      this.validateValue(setting, value, key);
+
+      // The asynchronous check of the value settles its error
+      if (SettingsValidator.hasAsyncValidators(setting)) {
+        if (!this.pendingValidations.has(key)) {
+          this.validateValueAsync(key, setting, value);
         }
-        break;
+        return;
+      }
+      this.clearValidationError(key);
+    } catch (error) {
+      this.setValidationError(key, error.message);
+    }
+  }
+
+  /**
+   * Check a value with the shared validator
+   * @param {Object} setting - Setting definition
+   * @param {*} value - Parsed value
+   * @param {string} key - Setting key, root of JSON Schema error paths
+   * @throws {Error} With every problem, one per line
+   */
+  validateValue(setting, value, key = "value") {
+    SettingsValidator.assert(setting, value, { key, separator: "\n" });
+  }
+
+  /**
+   * Run the asynchronous validators of a value that passed the other
+   * checks, cancelling the check of the previous value. Saving is blocked
+   * while it runs, and the change is dropped if it fails
+   * @param {string} key - Setting key
+   * @param {Object} setting - Setting definition
+   * @param {*} value - Parsed value
+   * @returns {Promise<void>}
+   */
+  async validateValueAsync(key, setting, value) {
+    this.pendingValidations.get(key)?.abort();
+    const controller = new AbortController();
+    this.pendingValidations.set(key, controller);
+    this.setValidating(key, true);
+
+    try {
+      await SettingsValidator.assertAsync(setting, value, {
+        key,
+        separator: "\n",
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (error.code !== "validation-cancelled") {
+        this.pendingChanges.delete(key);
+        this.setValidationError(key, error.message);
+      }
+    } finally {
+      if (this.pendingValidations.get(key) === controller) {
+        this.pendingValidations.delete(key);
+        this.setValidating(key, false);
+        this.updateSaveButton();
+      }
+    }
+  }
+
+  /**
+   * Cancel every asynchronous check, e.g. when unsaved changes are dropped
+   */
+  cancelValidations() {
+    for (const [key, controller] of this.pendingValidations) {
+      controller.abort();
+      this.setValidating(key, false);
+    }
+    this.pendingValidations.clear();
+  }
+
+  /**
+   * Create the status shown while asynchronous validators run
+   * @returns {HTMLElement} Status element
+   */
+  createValidationStatus() {
+    const status = document.createElement("div");
+    status.className = "validation-status";
+    status.setAttribute("aria-live", "polite");
+    return status;
+  }
+
+  /**
+   * Show or hide the "validating" state of a setting
+   * @param {string} key - Setting key
+   * @param {boolean} validating - Whether a check is running
+   */
+  setValidating(key, validating) {
+    const settingElement = document.querySelector(`[data-key="${key}"]`);
+    if (!settingElement) {
+      return;
+    }
+
+    settingElement.classList.toggle("validating", validating);
+    settingElement.setAttribute("aria-busy", String(validating));
+    const status = settingElement.querySelector(".validation-status");
+    if (status) {
+      status.textContent = validating
+        ? I18n.getMessage("status_validating", [], "Validating…")
+        : "";
+    }
+  }
+
+  /**
+   * List the unsaved changes for review; they are saved once the list is
+   * confirmed
+   */
+  async reviewChanges() {
+    if (this.pendingChanges.size === 0) {
+      this.showWarning(
+        I18n.getMessage("save_nothing", [], "No changes to save"),
+      );
+      return;
+    }
+
+    if (this.pendingValidations.size > 0) {
+      this.showWarning(
+        I18n.getMessage(
+          "save_wait_for_validation",
+          [],
+          "Wait for validation to finish before saving",
+        ),
+      );
+      return;
+    }
+
+    this.saveReview = {
+      storedValues: await this.loadStoredValues(
+        Array.from(this.pendingChanges.keys()),
+      ),
+    };
+    this.renderSaveReview();
+    document.getElementById("save-review-dialog").showModal();
+  }
+
+  /**
+   * Read the stored values of settings, to notice changes made elsewhere
+   * (another tab, the popup, a content script) since this page loaded
+   * @param {Array<string>} keys - Setting keys
+   * @returns {Promise<Object|null>} { key: value }, or null when they could
+   *   not be read
+   */
+  async loadStoredValues(keys) {
+    try {
+      const { values } = await this.sendBackgroundMessage({
+        type: "GET_SETTINGS",
+        keys,
+      });
+      return Object.fromEntries(
+        Object.entries(values).map(([key, setting]) => [key, setting.value]),
+      );
+    } catch (error) {
+      console.warn("Could not check for changes made elsewhere:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Stored value of a setting that was changed elsewhere since this page
+   * loaded it
+   * @param {string} key - Setting key
+   * @returns {{value: *}|null} Stored value, or null if it is unchanged or
+   *   unknown
+   */
+  getConflict(key) {
+    const storedValues = this.saveReview?.storedValues;
+    if (!storedValues || !(key in storedValues)) {
+      return null;
+    }
+
+    const value = storedValues[key];
+    return ValueDiff.isEqual(value, this.currentSettings.get(key).value)
+      ? null
+      : { value };
+  }
+
+  /**
+   * Fill in the review dialog from the pending changes
+   */
+  renderSaveReview() {
+    const list = document.getElementById("save-review-list");
+    list.innerHTML = "";
+
+    let conflicts = 0;
+    for (const key of this.pendingChanges.keys()) {
+      const item = this.createSaveReviewItem(key);
+      if (item.classList.contains("conflict")) {
+        conflicts++;
+      }
+      list.appendChild(item);
+    }
+
+    const count = this.pendingChanges.size;
+    const summary = document.getElementById("save-review-summary");
+    summary.textContent =
+      conflicts > 0
+        ? I18n.getMessage(
+            "save_review_summary_conflicts",
+            [count, conflicts],
+            "$1 unsaved change(s), $2 of them to settings changed elsewhere since this page was loaded",
+          )
+        : I18n.getMessage(
+            "save_review_summary",
+            [count],
+            "$1 unsaved change(s)",
+          );
+    summary.classList.toggle("has-conflicts", conflicts > 0);
+
+    document.getElementById("save-review-confirm").textContent =
+      I18n.getMessage("options_save_count", [count], "Save $1 Change(s)");
+  }
+
+  /**
+   * Create the review entry of one pending change
+   * @param {string} key - Setting key
+   * @returns {HTMLElement} List item
+   */
+  createSaveReviewItem(key) {
+    const setting = this.currentSettings.get(key);
+    const conflict = this.getConflict(key);
+
+    const item = document.createElement("li");
+    item.className = "save-review-item";
+    item.dataset.key = key;
+    item.classList.toggle("conflict", conflict !== null);
+
+    const header = document.createElement("div");
+    header.className = "save-review-header";
+
+    const title = document.createElement("div");
+    title.className = "save-review-title";
+    const name = document.createElement("span");
+    name.className = "save-review-name";
+    name.textContent = this.getSettingDisplayName(key);
+    title.appendChild(name);
+    if (setting.category) {
+      const location = document.createElement("span");
+      location.className = "save-review-location";
+      location.textContent = this.getCategoryPath(setting.category).join(" › ");
+      title.appendChild(location);
+    }
+    header.appendChild(title);
+
+    const discard = document.createElement("button");
+    discard.type = "button";
+    discard.className = "btn btn-secondary save-review-discard";
+    discard.textContent = I18n.getMessage("save_review_discard", [], "Discard");
+    discard.setAttribute(
+      "aria-label",
+      I18n.getMessage(
+        "save_review_discard_title",
+        [this.getSettingDisplayName(key)],
+        "Discard the change to $1",
+      ),
+    );
+    discard.addEventListener("click", () => this.discardChange(key));
+    header.appendChild(discard);
+    item.appendChild(header);
+
+    if (conflict) {
+      const warning = document.createElement("p");
+      warning.className = "save-review-conflict";
+      warning.textContent = I18n.getMessage(
+        "save_review_conflict",
+        [this.formatReviewValue(setting, conflict.value)],
+        "Changed elsewhere since this page was loaded; it is now $1. Saving replaces that value.",
+      );
+      item.appendChild(warning);
+    }
+
+    item.appendChild(
+      this.createValueDiff(
+        setting,
+        setting.value,
+        this.pendingChanges.get(key),
+      ),
+    );
+    return item;
+  }
+
+  /**
+   * Show how a value changes: path by path for JSON values, line by line
+   * for multi-line text, before and after for everything else
+   * @param {Object} setting - Setting definition
+   * @param {*} oldValue - Saved value
+   * @param {*} newValue - Unsaved value
+   * @returns {HTMLElement} Diff element
+   */
+  createValueDiff(setting, oldValue, newValue) {
+    const isText = (value) => typeof value === "string";
+    if (
+      setting.type !== "secret" &&
+      isText(oldValue) &&
+      isText(newValue) &&
+      (setting.type === "longtext" ||
+        oldValue.includes("\n") ||
+        newValue.includes("\n"))
+    ) {
+      const pre = document.createElement("pre");
+      pre.className = "save-review-lines";
+      const prefixes = { same: "  ", added: "+ ", removed: "- " };
+      for (const line of ValueDiff.diffLines(oldValue, newValue)) {
+        const span = document.createElement("span");
+        span.className = `diff-line diff-${line.type}`;
+        span.textContent = prefixes[line.type] + line.text;
+        pre.appendChild(span);
+      }
+      return pre;
+    }
+
+    const table = document.createElement("table");
+    table.className = "restore-point-diff save-review-diff";
+    const structured =
+      setting.type !== "secret" &&
+      oldValue !== null &&
+      newValue !== null &&
+      typeof oldValue === "object" &&
+      typeof newValue === "object";
+    const rows = structured
+      ? ValueDiff.diffJson(oldValue, newValue)
+      : [{ path: "", type: "changed", oldValue, newValue }];
+
+    const header = table.insertRow();
+    for (const label of [
+      ...(structured ? [I18n.getMessage("column_path", [], "Path")] : []),
+      I18n.getMessage("column_saved", [], "Saved"),
+      I18n.getMessage("column_unsaved", [], "Unsaved"),
+    ]) {
+      const th = document.createElement("th");
+      th.textContent = label;
+      header.appendChild(th);
+    }
+
+    for (const entry of rows) {
+      const row = table.insertRow();
+      row.className = `diff-${entry.type}`;
+      if (structured) {
+        const path = row.insertCell();
+        path.className = "value";
+        path.textContent =
+          entry.path ||
+          I18n.getMessage("save_review_whole_value", [], "(whole value)");
+      }
+      for (const value of [entry.oldValue, entry.newValue]) {
+        const cell = row.insertCell();
+        cell.className = "value";
+        cell.textContent =
+          value === undefined ? "" : this.formatReviewValue(setting, value);
+      }
+    }
+    return table;
+  }
+
+  /**
+   * Format a value for the review dialog, hiding secrets
+   * @param {Object} setting - Setting definition
+   * @param {*} value - Value to show
+   * @returns {string}
+   */
+  formatReviewValue(setting, value) {
+    if (setting.type === "secret") {
+      return value
+        ? "••••••••"
+        : I18n.getMessage("save_review_empty", [], "(empty)");
+    }
+    return this.formatDiffValue(value);
+  }
+
+  /**
+   * Drop one change from the review. A setting changed elsewhere takes
+   * the stored value, so the page shows what is actually saved
+   * @param {string} key - Setting key
+   */
+  discardChange(key) {
+    const conflict = this.getConflict(key);
+    if (conflict) {
+      this.currentSettings.get(key).value = conflict.value;
+    }
+
+    this.dropPendingChange(key);
+    this.applyConditionalStates();
+    this.updateSaveButton();
+
+    if (this.pendingChanges.size === 0) {
+      this.closeSaveReview();
+    } else {
+      this.renderSaveReview();
+    }
+  }
+
+  closeSaveReview() {
+    document.getElementById("save-review-dialog").close();
+    this.saveReview = null;
+  }
+
+  async saveAllChanges() {
+    if (this.pendingChanges.size === 0) {
+      this.showWarning(
+        I18n.getMessage("save_nothing", [], "No changes to save"),
+      );
+      return;
+    }
+
+    if (this.pendingValidations.size > 0) {
+      this.showWarning(
+        I18n.getMessage(
+          "save_wait_for_validation",
+          [],
+          "Wait for validation to finish before saving",
+        ),
+      );
+      return;
+    }
+
+    try {
+      const updates = Object.fromEntries(this.pendingChanges);
+      const changeCount = Object.keys(updates).length;
+
+      // Show saving status
+      if (this.saveStatusIndicator) {
+        this.saveStatusIndicator.showSaving();
+      }
+
+      const response = await browserAPI.runtime.sendMessage({
+        type: "UPDATE_SETTINGS",
+        updates: updates,
+      });
+
+      if (response.error) {
+        const error = new Error(response.error);
+        error.violations = response.violations;
+        throw error;
+      }
+
+      // Update local cache
+      for (const [key, value] of this.pendingChanges) {
+        const setting = this.currentSettings.get(key);
+        setting.value = value;
+        this.currentSettings.set(key, setting);
+      }
+
+      this.pendingChanges.clear();
+      this.updateSaveButton();
+
+      // Show saved status
+      if (this.saveStatusIndicator) {
+        this.saveStatusIndicator.updateStatus("saved", {
+          message: I18n.getMessage(
+            "save_success_status",
+            [changeCount],
+            "$1 settings saved successfully",
+          ),
+          undoable: true,
+        });
+      }
+
+      this.showSuccess(
+        I18n.getMessage(
+          "save_success",
+          [changeCount],
+          "Successfully saved $1 setting(s)",
+        ),
+      );
+    } catch (error) {
+      if (error.violations) {
+        this.showSaveViolations(error.violations);
+      }
+
+      // Standardized error handling for settings save
+      if (typeof ErrorHandler !== "undefined") {
+        ErrorHandler.handle(
+          error,
+          {
+            pendingChanges: this.pendingChanges.size,
+          },
+          {
+            component: "Options",
+            operation: "Save Settings",
+            severity: "error",
+            showUser: true,
+            rethrow: false,
+            fallbackAction: () => {
+              this.showError(`Save failed: ${error.message}`);
+
+              // Show error in save status indicator
+              if (this.saveStatusIndicator) {
+                this.saveStatusIndicator.showError(error, "Save failed");
+              }
+            },
+          },
+        );
+      } else {
+        console.error("Save failed:", error);
+        this.showError(`Save failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Undo or redo the last saved change. The page is reloaded from the
+   * background afterwards, so unsaved edits are discarded.
+   * @param {string} direction - "undo" or "redo"
+   */
+  async applyHistory(direction) {
+    const label = direction === "undo" ? "Undo" : "Redo";
+
+    if (
+      this.pendingChanges.size > 0 &&
+      !confirm(
+        `You have unsaved changes. ${label} will discard them. Continue?`,
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const response = await browserAPI.runtime.sendMessage({
+        type: direction === "undo" ? "UNDO" : "REDO",
+      });
+
+      if (!response) {
+        throw new Error("No response from background script");
+      }
+
+      if (response.error) {
+        throw new Error(response.error);
+      }
+
+      if (!response.entry) {
+        this.showWarning(`Nothing to ${direction}`);
+        return;
+      }
+
+      this.pendingChanges.clear();
+      this.cancelValidations();
+      for (const key of Array.from(this.validationErrors.keys())) {
+        this.clearValidationError(key);
+      }
+      await this.loadSettings();
+      this.renderAllSettings();
+      this.updateSaveButton();
+
+      const changedNames = Object.keys(response.changes).map((key) =>
+        this.getSettingDisplayName(key),
+      );
+      const skippedNames = response.skipped.map((key) =>
+        this.getSettingDisplayName(key),
+      );
+
+      if (changedNames.length > 0) {
+        this.showSuccess(`${label}: ${changedNames.join(", ")}`);
+      }
+      if (skippedNames.length > 0) {
+        this.showWarning(
+          `Not reverted because they changed since: ${skippedNames.join(", ")}`,
+        );
+      }
+
+      if (this.saveStatusIndicator) {
+        this.saveStatusIndicator.updateStatus("saved", {
+          message: `${label} applied`,
+        });
+      }
+    } catch (error) {
+      // Standardized error handling for undo/redo
+      if (typeof ErrorHandler !== "undefined") {
+        ErrorHandler.handle(
+          error,
+          {
+            direction,
+          },
+          {
+            component: "Options",
+            operation: label,
+            severity: "error",
+            showUser: false,
+            rethrow: false,
+            fallbackAction: () => {
+              this.showError(`${label} failed: ${error.message}`);
+            },
+          },
+        );
+      } else {
+        console.error(`${label} failed:`, error);
+        this.showError(`${label} failed: ${error.message}`);
+      }
+    }
+  }
+
+  updateSaveButton() {
+    // Rule results and modified badges depend on every unsaved value, so
+    // refresh them first
+    this.applyRuleChecks();
+    this.updateModifiedStates();
+
+    const saveButton = document.getElementById("save-all-btn");
+    const validating = this.pendingValidations.size > 0;
+    const hasChanges =
+      this.pendingChanges.size > 0 &&
+      this.validationErrors.size === 0 &&
+      this.ruleErrors.size === 0;
+
+    saveButton.disabled = !hasChanges || validating;
+
+    if (validating) {
+      saveButton.textContent = I18n.getMessage(
+        "status_validating",
+        [],
+        "Validating…",
+      );
+    } else if (hasChanges) {
+      saveButton.textContent = I18n.getMessage(
+        "options_save_count",
+        [this.pendingChanges.size],
+        "Save $1 Change(s)",
+      );
+    } else {
+      saveButton.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 16 16">
+                    <path d="M8 0a8 8 0 1 1 0 16A8 8 0 0 1 8 0zM4.5 7.5a.5.5 0 0 0 0 1h5.793l-2.147 2.146a.5.5 0 0 0 .708.708l3-3a.5.5 0 0 0 0-.708l-3-3a.5.5 0 1 0-.708.708L10.293 7.5H4.5z"/>
+                </svg>
+                <span data-i18n="options_save_all">Save All Changes</span>
+            `;
+      I18n.localizeDocument(saveButton);
+    }
+  }
+
+  /**
+   * Re-check the cross-field rules touched by the unsaved changes
+   */
+  applyRuleChecks() {
+    this.showRuleViolations(
+      this.rules
+        ? this.rules.check(this.getEffectiveValues(), [
+            ...this.pendingChanges.keys(),
+          ])
+        : [],
+    );
+  }
+
+  /**
+   * Show rule violations next to every setting they involve, replacing
+   * the previous ones
+   * @param {Array<Object>} violations - Violations { type, keys, message }
+   */
+  showRuleViolations(violations) {
+    const messages = new Map();
+    for (const violation of violations) {
+      for (const key of violation.keys) {
+        messages.set(key, [...(messages.get(key) || []), violation.message]);
+      }
+    }
+
+    for (const key of new Set([
+      ...this.ruleErrors.keys(),
+      ...messages.keys(),
+    ])) {
+      const settingElement = document.querySelector(`[data-key="${key}"]`);
+      const ruleElement = settingElement?.querySelector(".rule-error");
+      if (ruleElement) {
+        ruleElement.textContent = (messages.get(key) || []).join("\n");
+        settingElement.classList.toggle("rule-invalid", messages.has(key));
+      }
+    }
+
+    this.ruleErrors = new Map(
+      [...messages].map(([key, list]) => [key, list.join("\n")]),
+    );
+  }
+
+  /**
+   * Show the violations of a rejected save next to the affected settings
+   * @param {Array<Object>} violations - Violations { type, keys, message }
+   *   reported by the background
+   */
+  showSaveViolations(violations) {
+    const ruleViolations = [];
+    for (const violation of violations) {
+      if (violation.type === "value") {
+        for (const key of violation.keys) {
+          this.setValidationError(key, violation.message);
+        }
+      } else {
+        ruleViolations.push(violation);
+      }
+    }
+
+    // Values changed elsewhere since loading can break rules the page did
+    // not see; they stay shown until the next edit re-checks them
+    this.showRuleViolations(ruleViolations);
+    const saveButton = document.getElementById("save-all-btn");
+    if (ruleViolations.length > 0 && saveButton) {
+      saveButton.disabled = true;
+    }
+  }
+
+  setValidationError(key, message) {
+    this.validationErrors.set(key, message);
+
+    const settingElement = document.querySelector(`[data-key="${key}"]`);
+    if (settingElement) {
+      settingElement.classList.add("error");
+      const errorElement = settingElement.querySelector(".error-message");
+      if (errorElement) {
+        errorElement.textContent = message;
+      }
+    }
+
+    this.updateSaveButton();
+  }
+
+  clearValidationError(key) {
+    this.validationErrors.delete(key);
+
+    const settingElement = document.querySelector(`[data-key="${key}"]`);
+    if (settingElement) {
+      settingElement.classList.remove("error");
+      const errorElement = settingElement.querySelector(".error-message");
+      if (errorElement) {
+        errorElement.textContent = "";
+      }
+    }
+
+    this.updateSaveButton();
+  }
+
+  /**
+   * Show a tab
+   * @param {string} tabName - Tab name (id without "-tab")
+   * @param {Object} options - { updateHash: false } leaves the URL hash
+   *   alone, for navigation that sets it itself
+   */
+  showTab(tabName, { updateHash = true } = {}) {
+    // Hide all tabs
+    document.querySelectorAll(".tab-content").forEach((tab) => {
+      tab.style.display = "none";
+    });
+
+    // Remove active class from all nav links
+    document.querySelectorAll(".nav-link").forEach((link) => {
+      link.classList.remove("active");
+    });
+
+    // Show selected tab
+    const selectedTab = document.getElementById(`${tabName}-tab`);
+    if (selectedTab) {
+      selectedTab.style.display = "block";
+    }
+
+    // Add active class to selected nav link
+    const selectedNavLink = document.querySelector(`[data-tab="${tabName}"]`);
+    if (selectedNavLink) {
+      selectedNavLink.classList.add("active");
+    }
+
+    this.currentTab = tabName;
+
+    // Search results are not a place to link to
+    if (updateHash && tabName !== "search") {
+      this.updateHash([tabName]);
+    }
+
+    // Override counts change whenever settings are saved
+    if (tabName === "profiles" && this.isInitialized) {
+      this.loadProfiles();
+    }
+
+    // Restore points are also taken by the background (daily, other pages)
+    if (tabName === "import-export" && this.isInitialized) {
+      this.loadSnapshots();
+    }
+  }
+
+  /**
+   * Show the settings matching a query across every category, or return to
+   * the tab that was open before searching once the query is cleared
+   * @param {string} query - Search text
+   */
+  searchSettings(query) {
+    if (SettingsSearch.getWords(query).length === 0) {
+      if (this.currentTab === "search") {
+        this.showTab(this.searchReturnTab || this.getDefaultTab(), {
+          updateHash: false,
+        });
+      }
+      return;
+    }
+
+    if (this.currentTab !== "search") {
+      this.searchReturnTab = this.currentTab;
+    }
+    this.renderSearchResults(query);
+    this.showTab("search");
+  }
+
+  /**
+   * List the settings matching a query, searching unsaved values
+   * @param {string} query - Search text
+   */
+  renderSearchResults(query) {
+    const list = document.getElementById("search-results");
+    const summary = document.getElementById("search-summary");
+    list.innerHTML = "";
+
+    const values = this.getEffectiveValues();
+    const matches = SettingsSearch.search(
+      Array.from(this.currentSettings, ([key, setting]) => [
+        key,
+        {
+          ...setting,
+          displayName: this.getSettingDisplayName(key),
+          value: values[key],
+        },
+      ]),
+      query,
+    );
+
+    summary.textContent =
+      matches.length === 0
+        ? I18n.getMessage(
+            "search_no_results",
+            [query.trim()],
+            'No settings match "$1"',
+          )
+        : I18n.getMessage(
+            "search_result_count",
+            [matches.length],
+            "Settings found: $1",
+          );
+
+    for (const { key, setting, fields } of matches) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "search-result";
+      button.addEventListener("click", () => this.focusSetting(key));
+
+      const header = document.createElement("div");
+      header.className = "search-result-header";
+      const name = document.createElement("span");
+      name.className = "search-result-name";
+      this.appendHighlighted(name, setting.displayName, query);
+      header.appendChild(name);
+
+      if (setting.category) {
+        const location = document.createElement("span");
+        location.className = "search-result-location";
+        location.textContent = this.getCategoryPath(setting.category).join(
+          " › ",
+        );
+        header.appendChild(location);
+      }
+      button.appendChild(header);
+
+      if (setting.description) {
+        const description = document.createElement("div");
+        description.className = "search-result-description";
+        this.appendHighlighted(description, setting.description, query);
+        button.appendChild(description);
+      }
+
+      // Show where the match came from when it is not visible above
+      const other = fields.find(
+        ({ field }) => field !== "displayName" && field !== "description",
+      );
+      if (other) {
+        const snippet = document.createElement("div");
+        snippet.className = "search-result-snippet";
+        const label = document.createElement("span");
+        label.className = "search-result-field";
+        label.textContent = this.getSearchFieldLabel(other.field);
+        snippet.appendChild(label);
+        const text = document.createElement("span");
+        this.appendHighlighted(
+          text,
+          SettingsSearch.excerpt(other.text, query),
+          query,
+        );
+        snippet.appendChild(text);
+        button.appendChild(snippet);
+      }
+
+      const item = document.createElement("li");
+      item.appendChild(button);
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Append text to an element with the parts matching a query in <mark>
+   * @param {HTMLElement} element - Element to fill
+   * @param {string} text - Text to show
+   * @param {string} query - Search text
+   */
+  appendHighlighted(element, text, query) {
+    for (const part of SettingsSearch.highlight(text, query)) {
+      if (part.match) {
+        const mark = document.createElement("mark");
+        mark.textContent = part.text;
+        element.appendChild(mark);
+      } else {
+        element.append(part.text);
+      }
+    }
+  }
+
+  /**
+   * Label of a searched field in search results
+   * @param {string} field - Field name from SettingsSearch.getFields()
+   * @returns {string}
+   */
+  getSearchFieldLabel(field) {
+    switch (field) {
+      case "key":
+        return I18n.getMessage("search_field_key", [], "Key");
+      case "option":
+        return I18n.getMessage("search_field_option", [], "Option");
+      case "helpText":
+        return I18n.getMessage("search_field_help", [], "Help");
+      default:
+        return I18n.getMessage("search_field_value", [], "Current value");
+    }
+  }
+
+  /**
+   * Display names of a category and its parents, outermost first
+   * @param {string} category - Category key
+   * @returns {Array<string>}
+   */
+  getCategoryPath(category) {
+    const path = [];
+    for (
+      let current = category;
+      current;
+      current = this.configLoader.getCategory(current).parent
+    ) {
+      path.unshift(this.configLoader.getCategoryDisplayName(current));
+    }
+    return path;
+  }
+
+  /**
+   * Open the tab holding a setting, scroll to it, focus its input and
+   * highlight it briefly
+   * @param {string} key - Setting key
+   * @param {Object} options - { updateHash: false } leaves the URL hash alone
+   * @returns {Array<string>|null} Hash route [tab, key], or null when the
+   *   setting is not on the page
+   */
+  focusSetting(key, { updateHash = true } = {}) {
+    const element = document.querySelector(`.setting-item[data-key="${key}"]`);
+    const tabName = this.getTabName(element);
+    if (!tabName) {
+      return null;
+    }
+
+    this.showTab(tabName, { updateHash: false });
+    element.scrollIntoView({ block: "center" });
+    element
+      .querySelector(".setting-input-container")
+      ?.querySelector("input, textarea, select, button")
+      ?.focus({ preventScroll: true });
+    this.flashElement(element);
+
+    const route = [tabName, key];
+    if (updateHash) {
+      this.updateHash(route);
+    }
+    return route;
+  }
+
+  /**
+   * Open the tab holding a nested category and scroll to its section
+   * @param {string} category - Category key
+   * @param {Object} options - { updateHash: false } leaves the URL hash alone
+   * @returns {Array<string>|null} Hash route [tab, category], or null when
+   *   the category has no section
+   */
+  focusSection(category, { updateHash = true } = {}) {
+    const section = document.getElementById(`${category}-section`);
+    const tabName = this.getTabName(section);
+    if (!tabName) {
+      return null;
+    }
+
+    this.showTab(tabName, { updateHash: false });
+    section.scrollIntoView({ block: "start" });
+
+    const route = [tabName, category];
+    if (updateHash) {
+      this.updateHash(route);
+    }
+    return route;
+  }
+
+  /**
+   * Highlight an element for a moment to show where a link led
+   * @param {HTMLElement} element - Element to highlight
+   */
+  flashElement(element) {
+    element.classList.remove("link-target");
+    // Restart the animation when the same element is targeted again
+    void element.offsetWidth;
+    element.classList.add("link-target");
+    setTimeout(() => element.classList.remove("link-target"), 2000);
+  }
+
+  /**
+   * Name of the tab containing an element
+   * @param {HTMLElement|null} element - Element on the page
+   * @returns {string|null} Tab name, or null outside of a tab
+   */
+  getTabName(element) {
+    const tab = element?.closest(".tab-content");
+    return tab ? tab.id.replace(/-tab$/, "") : null;
+  }
+
+  /**
+   * First tab shown when the URL names no other
+   * @returns {string}
+   */
+  getDefaultTab() {
+    return this.configLoader?.getChildCategories()[0] || "about";
+  }
+
+  /**
+   * Navigate to what the URL hash names: "#tab", "#tab/setting" and
+   * "#tab/category" as written by updateHash(), or just "#setting" or
+   * "#category" (e.g. from OPEN_OPTIONS). The hash is then rewritten in
+   * its full form; unknown targets show the current or first tab
+   */
+  applyHash() {
+    let segments;
+    try {
+      segments = location.hash
+        .slice(1)
+        .split("/")
+        .filter(Boolean)
+        .map(decodeURIComponent);
+    } catch {
+      segments = [];
+    }
+    const target = segments[segments.length - 1];
+
+    let route = null;
+    if (segments.length === 1 && this.isTab(target)) {
+      this.showTab(target, { updateHash: false });
+      route = [target];
+    } else if (target && this.currentSettings.has(target)) {
+      route = this.focusSetting(target, { updateHash: false });
+    } else if (target && this.categories.includes(target)) {
+      route = this.focusSection(target, { updateHash: false });
+    }
+
+    if (!route) {
+      if (target) {
+        console.warn(`Nothing to show for link ${location.hash}`);
+      }
+      this.showTab(this.currentTab || this.getDefaultTab(), {
+        updateHash: false,
+      });
+      return;
+    }
+    this.updateHash(route, { replace: true });
+  }
+
+  /**
+   * Whether a name is a tab that links can open
+   * @param {string} name - Tab name
+   * @returns {boolean}
+   */
+  isTab(name) {
+    return (
+      name !== "search" &&
+      Boolean(document.getElementById(`${name}-tab`)?.matches(".tab-content"))
+    );
+  }
+
+  /**
+   * Point the URL hash at a place on the page, adding a history entry so
+   * Back returns to the previous place
+   * @param {Array<string>} route - [tab] or [tab, setting or category]
+   * @param {Object} options - { replace: true } replaces the current entry
+   */
+  updateHash(route, { replace = false } = {}) {
+    const hash = `#${route.map(encodeURIComponent).join("/")}`;
+    if (location.hash === hash) {
+      return;
+    }
+    if (replace) {
+      history.replaceState(null, "", hash);
+    } else {
+      history.pushState(null, "", hash);
+    }
+  }
+
+  /**
+   * Send a message to the background script
+   * @param {Object} message - Message to send
+   * @returns {Promise<Object>} Response
+   * @throws {Error} If there is no response or the response is an error
+   */
+  async sendBackgroundMessage(message) {
+    const response = await browserAPI.runtime.sendMessage(message);
+
+    if (!response) {
+      throw new Error("No response from background script");
+    }
+
+    if (response.error) {
+      const error = new Error(response.error);
+      error.code = response.code;
+      throw error;
+    }
+
+    return response;
+  }
+
+  async loadProfiles() {
+    try {
+      const response = await this.sendBackgroundMessage({
+        type: "LIST_PROFILES",
+      });
+      this.profiles = response.profiles || [];
+      this.activeProfileId = response.activeProfileId;
+    } catch (error) {
+      console.warn("Failed to load profiles:", error);
+      this.profiles = [];
+      this.activeProfileId = null;
+    }
+
+    this.renderProfiles();
+  }
+
+  renderProfiles() {
+    const list = document.getElementById("profiles-list");
+    if (!list) {
+      return;
+    }
+
+    list.innerHTML = "";
+
+    for (const profile of this.profiles) {
+      const item = document.createElement("li");
+      item.className = "profile-item";
+      item.classList.toggle("active", profile.active);
+      item.setAttribute("data-profile-id", profile.id);
+
+      const info = document.createElement("div");
+
+      const name = document.createElement("span");
+      name.className = "profile-name";
+      name.textContent = profile.name;
+      info.appendChild(name);
+
+      if (profile.active) {
+        const badge = document.createElement("span");
+        badge.className = "profile-badge";
+        badge.textContent = I18n.getMessage(
+          "profile_active_badge",
+          [],
+          "Active",
+        );
+        info.appendChild(badge);
+      }
+
+      const meta = document.createElement("div");
+      meta.className = "profile-meta";
+      meta.textContent =
+        profile.overrideCount === 1
+          ? I18n.getMessage(
+              "profile_overrides_one",
+              [],
+              "1 setting differs from defaults",
+            )
+          : I18n.getMessage(
+              "profile_overrides",
+              [profile.overrideCount],
+              "$1 settings differ from defaults",
+            );
+      info.appendChild(meta);
+
+      const actions = document.createElement("div");
+      actions.className = "profile-actions";
+
+      const addAction = (label, className, handler) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = `btn ${className}`;
+        button.textContent = label;
+        button.addEventListener("click", handler);
+        actions.appendChild(button);
+      };
+
+      if (!profile.active) {
+        addAction(
+          I18n.getMessage("profile_activate", [], "Activate"),
+          "btn-primary",
+          () => this.switchProfile(profile.id),
+        );
+      }
+      addAction(
+        I18n.getMessage("profile_clone", [], "Clone"),
+        "btn-secondary",
+        () => this.cloneProfile(profile),
+      );
+      addAction(
+        I18n.getMessage("profile_rename", [], "Rename"),
+        "btn-secondary",
+        () => this.renameProfile(profile),
+      );
+      if (!profile.active) {
+        addAction(
+          I18n.getMessage("editor_delete", [], "Delete"),
+          "btn-danger",
+          () => this.deleteProfile(profile),
+        );
+      }
+
+      item.appendChild(info);
+      item.appendChild(actions);
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Run a profile operation, then refresh the profile list
+   * @param {string} operation - Operation name for error reporting
+   * @param {Function} action - Async operation returning a success message
+   */
+  async runProfileOperation(operation, action) {
+    try {
+      const message = await action();
+      await this.loadProfiles();
+      if (message) {
+        this.showSuccess(message);
+      }
+    } catch (error) {
+      // Standardized error handling for profile operations
+      if (typeof ErrorHandler !== "undefined") {
+        ErrorHandler.handle(
+          error,
+          {
+            activeProfileId: this.activeProfileId,
+          },
+          {
+            component: "Options",
+            operation,
+            severity: "error",
+            showUser: false,
+            rethrow: false,
+            fallbackAction: () => {
+              this.showError(`${operation} failed: ${error.message}`);
+            },
+          },
+        );
+      } else {
+        console.error(`${operation} failed:`, error);
+        this.showError(`${operation} failed: ${error.message}`);
+      }
+    }
+  }
+
+  async createProfile(name) {
+    await this.runProfileOperation("Create Profile", async () => {
+      const { profile } = await this.sendBackgroundMessage({
+        type: "CREATE_PROFILE",
+        name,
+      });
+      document.getElementById("new-profile-name").value = "";
+      return `Profile "${profile.name}" created`;
+    });
+  }
+
+  async cloneProfile(profile) {
+    const name = prompt("Name for the copy:", `${profile.name} copy`);
+    if (name === null) {
+      return;
+    }
+
+    await this.runProfileOperation("Clone Profile", async () => {
+      const response = await this.sendBackgroundMessage({
+        type: "CLONE_PROFILE",
+        profileId: profile.id,
+        name,
+      });
+      return `Profile "${response.profile.name}" created from "${profile.name}"`;
+    });
+  }
+
+  async renameProfile(profile) {
+    const name = prompt("New profile name:", profile.name);
+    if (name === null || name === profile.name) {
+      return;
+    }
+
+    await this.runProfileOperation("Rename Profile", async () => {
+      const response = await this.sendBackgroundMessage({
+        type: "RENAME_PROFILE",
+        profileId: profile.id,
+        name,
+      });
+      return `Profile renamed to "${response.profile.name}"`;
+    });
+  }
+
+  async deleteProfile(profile) {
+    if (
+      !confirm(
+        `Are you sure you want to delete the profile "${profile.name}"? This cannot be undone.`,
+      )
+    ) {
+      return;
+    }
+
+    await this.runProfileOperation("Delete Profile", async () => {
+      await this.sendBackgroundMessage({
+        type: "DELETE_PROFILE",
+        profileId: profile.id,
+      });
+      return `Profile "${profile.name}" deleted`;
+    });
+  }
+
+  async switchProfile(profileId) {
+    if (
+      this.pendingChanges.size > 0 &&
+      !confirm(
+        "You have unsaved changes. Switching profiles will discard them. Continue?",
+      )
+    ) {
+      return;
+    }
+
+    await this.runProfileOperation("Switch Profile", async () => {
+      if (this.saveStatusIndicator) {
+        this.saveStatusIndicator.updateStatus("saving", {
+          message: I18n.getMessage(
+            "profile_switching",
+            [],
+            "Switching profile...",
+          ),
+        });
+      }
+
+      const response = await this.sendBackgroundMessage({
+        type: "SWITCH_PROFILE",
+        profileId,
+      });
+
+      this.pendingChanges.clear();
+      this.cancelValidations();
+      for (const key of Array.from(this.validationErrors.keys())) {
+        this.clearValidationError(key);
+      }
+      await this.loadSettings();
+      this.renderAllSettings();
+      this.updateSaveButton();
+
+      const changeCount = Object.keys(response.changes || {}).length;
+      if (this.saveStatusIndicator) {
+        this.saveStatusIndicator.updateStatus("saved", {
+          message: `Profile switched (${changeCount} settings changed)`,
+        });
+      }
+
+      const profile = this.profiles.find(({ id }) => id === profileId);
+      return I18n.getMessage(
+        "profile_switched",
+        [profile?.name || profileId],
+        'Switched to profile "$1"',
+      );
+    });
+  }
+
+  async loadSnapshots() {
+    try {
+      const response = await this.sendBackgroundMessage({
+        type: "LIST_SNAPSHOTS",
+      });
+      this.snapshots = response.snapshots || [];
+    } catch (error) {
+      console.warn("Failed to load restore points:", error);
+      this.snapshots = [];
+    }
+
+    this.renderSnapshots();
+  }
+
+  renderSnapshots() {
+    const list = document.getElementById("restore-points-list");
+    if (!list) {
+      return;
+    }
+
+    list.innerHTML = "";
+
+    if (this.snapshots.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "restore-points-empty";
+      empty.textContent = I18n.getMessage(
+        "restore_points_empty",
+        [],
+        "No restore points yet.",
+      );
+      list.appendChild(empty);
+      return;
+    }
+
+    const reasons = {
+      import: I18n.getMessage("restore_reason_import", [], "Before import"),
+      reset: I18n.getMessage("restore_reason_reset", [], "Before reset"),
+      "profile-switch": I18n.getMessage(
+        "restore_reason_profile_switch",
+        [],
+        "Before profile switch",
+      ),
+      restore: I18n.getMessage("restore_reason_restore", [], "Before restore"),
+      daily: I18n.getMessage("restore_reason_daily", [], "Daily"),
+      manual: I18n.getMessage("restore_reason_manual", [], "Created manually"),
+    };
+
+    for (const snapshot of this.snapshots) {
+      const item = document.createElement("li");
+      item.className = "restore-point-item";
+      item.setAttribute("data-snapshot-id", snapshot.id);
+
+      const summary = document.createElement("div");
+      summary.className = "restore-point-summary";
+
+      const info = document.createElement("div");
+
+      const name = document.createElement("span");
+      name.className = "restore-point-name";
+      name.textContent = reasons[snapshot.reason] || snapshot.reason;
+      info.appendChild(name);
+
+      const meta = document.createElement("div");
+      meta.className = "restore-point-meta";
+      const profile = this.profiles.find(({ id }) => id === snapshot.profileId);
+      meta.textContent = [
+        new Date(snapshot.createdAt).toLocaleString(),
+        profile
+          ? I18n.getMessage(
+              "restore_point_profile",
+              [profile.name],
+              'profile "$1"',
+            )
+          : null,
+        I18n.getMessage(
+          "restore_point_settings",
+          [snapshot.keyCount],
+          "$1 settings",
+        ),
+      ]
+        .filter(Boolean)
+        .join(" · ");
+      info.appendChild(meta);
+
+      const actions = document.createElement("div");
+      actions.className = "restore-point-actions";
+
+      const previewBtn = document.createElement("button");
+      previewBtn.type = "button";
+      previewBtn.className = "btn btn-secondary";
+      previewBtn.textContent = I18n.getMessage(
+        "restore_point_preview",
+        [],
+        "Preview",
+      );
+      previewBtn.addEventListener("click", () =>
+        this.previewSnapshot(snapshot, item),
+      );
+      actions.appendChild(previewBtn);
+
+      const restoreBtn = document.createElement("button");
+      restoreBtn.type = "button";
+      restoreBtn.className = "btn btn-primary";
+      restoreBtn.textContent = I18n.getMessage(
+        "restore_point_restore",
+        [],
+        "Restore",
+      );
+      restoreBtn.addEventListener("click", () =>
+        this.restoreSnapshot(snapshot),
+      );
+      actions.appendChild(restoreBtn);
+
+      summary.appendChild(info);
+      summary.appendChild(actions);
+      item.appendChild(summary);
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Format a value for the restore point diff
+   * @param {*} value - Setting value
+   * @returns {string}
+   */
+  formatDiffValue(value) {
+    const text = JSON.stringify(value);
+    return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+  }
+
+  /**
+   * Toggle the list of values a restore point would change
+   * @param {Object} snapshot - Snapshot summary
+   * @param {HTMLElement} item - List item of the snapshot
+   */
+  async previewSnapshot(snapshot, item) {
+    const existing = item.querySelector(".restore-point-preview");
+    if (existing) {
+      existing.remove();
+      return;
+    }
+
+    try {
+      const { diff } = await this.sendBackgroundMessage({
+        type: "PREVIEW_SNAPSHOT",
+        snapshotId: snapshot.id,
+      });
+
+      const preview = document.createElement("div");
+      preview.className = "restore-point-preview";
+      item.appendChild(preview);
+
+      const keys = Object.keys(diff);
+      if (keys.length === 0) {
+        const same = document.createElement("div");
+        same.className = "restore-point-meta";
+        same.textContent = I18n.getMessage(
+          "restore_point_same",
+          [],
+          "Matches the current settings.",
+        );
+        preview.appendChild(same);
+        return;
+      }
+
+      const table = document.createElement("table");
+      table.className = "restore-point-diff";
+
+      const header = table.insertRow();
+      for (const label of [
+        I18n.getMessage("column_setting", [], "Setting"),
+        I18n.getMessage("column_current", [], "Current"),
+        I18n.getMessage("column_restore_point", [], "Restore point"),
+      ]) {
+        const th = document.createElement("th");
+        th.textContent = label;
+        header.appendChild(th);
+      }
 
-      case "json":
-        if (typeof value !== "object" || value === null) {
-          throw new Error("Must be a valid object");
-        }
-        break;
+      for (const key of keys) {
+        const row = table.insertRow();
+        row.insertCell().textContent = this.getSettingDisplayName(key);
 
-      case "enum":
-        if (!setting.options || typeof setting.options !== "object") {
-          throw new Error("Enum setting is missing options");
-        }
-        if (!setting.options[value]) {
-          const validOptions = Object.keys(setting.options).join(", ");
-          throw new Error(`Must be one of: ${validOptions}`);
-        }
-        break;
+        const current = row.insertCell();
+        current.className = "value";
+        current.textContent = this.formatDiffValue(diff[key].oldValue);
+
+        const restored = row.insertCell();
+        restored.className = "value";
+        restored.textContent = this.formatDiffValue(diff[key].newValue);
+      }
+
+      preview.appendChild(table);
+    } catch (error) {
+      console.error("Failed to preview restore point:", error);
+      this.showError(`Preview failed: ${error.message}`);
     }
   }
 
-  async saveAllChanges() {
-    if (this.pendingChanges.size === 0) {
-      this.showWarning("No changes to save");
+  async createSnapshot() {
+    try {
+      await this.sendBackgroundMessage({ type: "CREATE_SNAPSHOT" });
+      await this.loadSnapshots();
+      this.showSuccess(
+        I18n.getMessage("restore_point_created", [], "Restore point created"),
+      );
+    } catch (error) {
+      console.error("Failed to create restore point:", error);
+      this.showError(`Failed to create restore point: ${error.message}`);
+    }
+  }
+
+  async restoreSnapshot(snapshot) {
+    const message =
+      this.pendingChanges.size > 0
+        ? "Restore these settings? Your unsaved changes will be discarded. The current settings are kept as a new restore point."
+        : "Restore these settings? The current settings are kept as a new restore point.";
+    if (!confirm(message)) {
       return;
     }
 
     try {
-      const updates = Object.fromEntries(this.pendingChanges);
-      const changeCount = Object.keys(updates).length;
-
-      // Show saving status
       if (this.saveStatusIndicator) {
-        this.saveStatusIndicator.showSaving();
+        this.saveStatusIndicator.updateStatus("saving", {
+          message: "Restoring settings...",
+        });
       }
 
-      const response = await browserAPI.runtime.sendMessage({
-        type: "UPDATE_SETTINGS",
-        updates: updates,
+      const response = await this.sendBackgroundMessage({
+        type: "RESTORE_SNAPSHOT",
+        snapshotId: snapshot.id,
       });
 
-      if (response.error) {
-        throw new Error(response.error);
-      }
-
-      // Update local cache
-      for (const [key, value] of this.pendingChanges) {
-        const setting = this.currentSettings.get(key);
-        setting.value = value;
-        this.currentSettings.set(key, setting);
-      }
-
       this.pendingChanges.clear();
+      this.cancelValidations();
+      for (const key of Array.from(this.validationErrors.keys())) {
+        this.clearValidationError(key);
+      }
+      await this.loadSettings();
+      this.renderAllSettings();
       this.updateSaveButton();
+      await this.loadSnapshots();
 
-      // Show saved status
+      const changeCount = Object.keys(response.changes || {}).length;
       if (this.saveStatusIndicator) {
         this.saveStatusIndicator.updateStatus("saved", {
-          message: `${changeCount} settings saved successfully`,
+          message: `Restore point applied (${changeCount} settings changed)`,
+          undoable: changeCount > 0,
         });
       }
 
-      this.showSuccess(`Successfully saved ${changeCount} setting(s)`);
+      this.showSuccess(`Restored ${changeCount} setting(s)`);
+      if (response.skipped?.length > 0) {
+        this.showWarning(
+          `Skipped values that are no longer valid: ${response.skipped
+            .map((key) => this.getSettingDisplayName(key))
+            .join(", ")}`,
+        );
+      }
     } catch (error) {
-      // Standardized error handling for settings save
+      // Standardized error handling for restore
       if (typeof ErrorHandler !== "undefined") {
         ErrorHandler.handle(
           error,
           {
-            pendingChanges: this.pendingChanges.size,
+            snapshotId: snapshot.id,
           },
           {
             component: "Options",
-            operation: "Save Settings",
+            operation: "Restore Settings",
             severity: "error",
             showUser: true,
             rethrow: false,
             fallbackAction: () => {
-              this.showError(`Save failed: ${error.message}`);
+              this.showError(`Restore failed: ${error.message}`);
 
-              // Show error in save status indicator
               if (this.saveStatusIndicator) {
-                this.saveStatusIndicator.showError(error, "Save failed");
+                this.saveStatusIndicator.showError(error, "Restore failed");
               }
             },
           },
         );
       } else {
-        console.error("Save failed:", error);
-        this.showError(`Save failed: ${error.message}`);
+        console.error("Restore failed:", error);
+        this.showError(`Restore failed: ${error.message}`);
       }
     }
   }
 
-  updateSaveButton() {
-    const saveButton = document.getElementById("save-all-btn");
-    const hasChanges =
-      this.pendingChanges.size > 0 && this.validationErrors.size === 0;
-
-    saveButton.disabled = !hasChanges;
-
-    if (hasChanges) {
-      saveButton.textContent = `Save ${this.pendingChanges.size} Change(s)`;
-    } else {
-      saveButton.innerHTML = `
-                <svg width="16" height="16" viewBox="0 0 16 16">
-                    <path d="M8 0a8 8 0 1 1 0 16A8 8 0 0 1 8 0zM4.5 7.5a.5.5 0 0 0 0 1h5.793l-2.147 2.146a.5.5 0 0 0 .708.708l3-3a.5.5 0 0 0 0-.708l-3-3a.5.5 0 1 0-.708.708L10.293 7.5H4.5z"/>
-                </svg>
-                Save All Changes
-            `;
+  /**
+   * Fill the export card with a checkbox per category and per setting
+   */
+  renderExportOptions() {
+    const list = document.getElementById("export-settings-list");
+    if (!list || !this.configLoader) {
+      return;
     }
-  }
 
-  setValidationError(key, message) {
-    this.validationErrors.set(key, message);
+    list.innerHTML = "";
 
-    const settingElement = document.querySelector(`[data-key="${key}"]`);
-    if (settingElement) {
-      settingElement.classList.add("error");
-      const errorElement = settingElement.querySelector(".error-message");
-      if (errorElement) {
-        errorElement.textContent = message;
+    for (const category of this.categories) {
+      const categorySettings = this.configLoader.getCategorySettings(category);
+      if (categorySettings.length === 0) {
+        continue;
       }
-    }
 
-    this.updateSaveButton();
-  }
+      const group = document.createElement("div");
+      group.className = "export-category";
+
+      const categoryLabel = document.createElement("label");
+      categoryLabel.className = "export-category-label";
+      const categoryCheckbox = document.createElement("input");
+      categoryCheckbox.type = "checkbox";
+      categoryCheckbox.checked = true;
+      categoryCheckbox.dataset.category = category;
+      categoryLabel.appendChild(categoryCheckbox);
+      categoryLabel.append(this.configLoader.getCategoryDisplayName(category));
+      group.appendChild(categoryLabel);
+
+      const keyCheckboxes = [];
+      for (const [key, setting] of categorySettings) {
+        const label = document.createElement("label");
+        label.className = "export-setting-label";
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = true;
+        checkbox.dataset.key = key;
+        label.appendChild(checkbox);
+        label.append(this.getSettingDisplayName(key));
+        if (setting.sensitive) {
+          const badge = document.createElement("span");
+          badge.className = "export-sensitive-badge";
+          badge.textContent = "sensitive";
+          label.appendChild(badge);
+        }
+        group.appendChild(label);
+        keyCheckboxes.push(checkbox);
+
+        checkbox.addEventListener("change", () => {
+          const checked = keyCheckboxes.filter((box) => box.checked).length;
+          categoryCheckbox.checked = checked === keyCheckboxes.length;
+          categoryCheckbox.indeterminate =
+            checked > 0 && checked < keyCheckboxes.length;
+        });
+      }
 
-  clearValidationError(key) {
-    this.validationErrors.delete(key);
+      categoryCheckbox.addEventListener("change", () => {
+        for (const checkbox of keyCheckboxes) {
+          checkbox.checked = categoryCheckbox.checked;
+        }
+      });
 
-    const settingElement = document.querySelector(`[data-key="${key}"]`);
-    if (settingElement) {
-      settingElement.classList.remove("error");
-      const errorElement = settingElement.querySelector(".error-message");
-      if (errorElement) {
-        errorElement.textContent = "";
-      }
+      list.appendChild(group);
     }
-
-    this.updateSaveButton();
   }
 
-  showTab(tabName) {
-    // Hide all tabs
-    document.querySelectorAll(".tab-content").forEach((tab) => {
-      tab.style.display = "none";
-    });
+  /**
+   * Read the export card choices as EXPORT_SETTINGS parameters
+   * @returns {Object} { categories, keys, format, onlyModified, sensitive,
+   *   passphrase }
+   * @throws {Error} If no setting is selected or the passphrases differ
+   */
+  getExportOptions() {
+    const options = {
+      format: document.getElementById("export-format").value,
+      onlyModified: document.getElementById("export-only-modified").checked,
+      sensitive: document.getElementById("export-sensitive").value,
+    };
+
+    const passphrase = document.getElementById("export-passphrase").value;
+    if (passphrase) {
+      if (
+        passphrase !==
+        document.getElementById("export-passphrase-confirm").value
+      ) {
+        throw new Error("Passphrases do not match");
+      }
+      options.passphrase = passphrase;
+    }
 
-    // Remove active class from all nav links
-    document.querySelectorAll(".nav-link").forEach((link) => {
-      link.classList.remove("active");
-    });
+    const keyBoxes = Array.from(
+      document.querySelectorAll("#export-settings-list input[data-key]"),
+    );
+    const selected = keyBoxes.filter((checkbox) => checkbox.checked);
 
-    // Show selected tab
-    const selectedTab = document.getElementById(`${tabName}-tab`);
-    if (selectedTab) {
-      selectedTab.style.display = "block";
+    if (keyBoxes.length > 0 && selected.length === 0) {
+      throw new Error("Select at least one setting to export");
     }
 
-    // Add active class to selected nav link
-    const selectedNavLink = document.querySelector(`[data-tab="${tabName}"]`);
-    if (selectedNavLink) {
-      selectedNavLink.classList.add("active");
+    // Whole categories are sent as categories, partial ones as keys
+    if (selected.length < keyBoxes.length) {
+      options.categories = Array.from(
+        document.querySelectorAll(
+          "#export-settings-list input[data-category]:checked",
+        ),
+      ).map((checkbox) => checkbox.dataset.category);
+      options.keys = selected
+        .filter(
+          (checkbox) =>
+            !checkbox
+              .closest(".export-category")
+              .querySelector("input[data-category]").checked,
+        )
+        .map((checkbox) => checkbox.dataset.key);
     }
 
-    this.currentTab = tabName;
+    return options;
   }
 
   async exportSettings() {
@@ -670,12 +3244,18 @@ class SettingsOptions {
       // Show saving status during export
       if (this.saveStatusIndicator) {
         this.saveStatusIndicator.updateStatus("saving", {
-          message: "Exporting settings...",
+          message: I18n.getMessage(
+            "export_in_progress",
+            [],
+            "Exporting settings...",
+          ),
         });
       }
 
+      const exportOptions = this.getExportOptions();
       const response = await browserAPI.runtime.sendMessage({
         type: "EXPORT_SETTINGS",
+        ...exportOptions,
       });
 
       if (response.error) {
@@ -687,19 +3267,29 @@ class SettingsOptions {
 
       const a = document.createElement("a");
       a.href = url;
-      a.download = `settings-extension-${new Date().toISOString().split("T")[0]}.json`;
+      a.download = `settings-extension-${new Date().toISOString().split("T")[0]}${exportOptions.passphrase ? "-encrypted" : ""}.json`;
       a.click();
 
       URL.revokeObjectURL(url);
 
+      // Do not keep the passphrase around once the file is written
+      document.getElementById("export-passphrase").value = "";
+      document.getElementById("export-passphrase-confirm").value = "";
+
       // Show success
       if (this.saveStatusIndicator) {
         this.saveStatusIndicator.updateStatus("saved", {
-          message: "Settings exported successfully",
+          message: I18n.getMessage(
+            "export_success",
+            [],
+            "Settings exported successfully",
+          ),
         });
       }
 
-      this.showSuccess("Settings exported successfully");
+      this.showSuccess(
+        I18n.getMessage("export_success", [], "Settings exported successfully"),
+      );
     } catch (error) {
       // Standardized error handling for settings export
       if (typeof ErrorHandler !== "undefined") {
@@ -741,76 +3331,327 @@ class SettingsOptions {
       if (!file) return;
 
       try {
-        // Show saving status during import
-        if (this.saveStatusIndicator) {
-          this.saveStatusIndicator.updateStatus("saving", {
-            message: "Importing settings...",
-          });
+        this.importPreview = {
+          content: await file.text(),
+          fileName: file.name,
+          fileSize: file.size,
+        };
+        document.getElementById("import-strategy").value = "overwrite";
+
+        // Nothing is written until the preview is confirmed
+        if (await this.withImportPassphrase(() => this.previewImport())) {
+          document.getElementById("import-preview-dialog").showModal();
+        }
+      } catch (error) {
+        this.handleImportError(error, file);
+      }
+    });
+
+    input.click();
+  }
+
+  /**
+   * Run an import step, asking for the passphrase of an encrypted file
+   * until it is right
+   * @param {Function} operation - Import step using importPreview.passphrase
+   * @returns {Promise<boolean>} False if the user cancelled the prompt
+   */
+  async withImportPassphrase(operation) {
+    for (;;) {
+      try {
+        await operation();
+        return true;
+      } catch (error) {
+        if (
+          error.code !== "passphrase-required" &&
+          error.code !== "wrong-passphrase"
+        ) {
+          throw error;
         }
 
-        const content = await file.text();
+        const passphrase = await this.requestPassphrase(
+          error.code === "wrong-passphrase"
+            ? I18n.getMessage(
+                "passphrase_wrong",
+                [],
+                "Wrong passphrase. Try again.",
+              )
+            : I18n.getMessage(
+                "passphrase_prompt_import",
+                [],
+                "This settings file is encrypted. Enter its passphrase to import it.",
+              ),
+        );
+        if (passphrase === null) {
+          return false;
+        }
+        this.importPreview.passphrase = passphrase;
+      }
+    }
+  }
+
+  /**
+   * Ask for a passphrase in the passphrase dialog
+   * @param {string} message - Prompt text
+   * @returns {Promise<string|null>} Passphrase, or null if cancelled
+   */
+  requestPassphrase(message) {
+    const dialog = document.getElementById("passphrase-dialog");
+    const form = document.getElementById("passphrase-form");
+    const input = document.getElementById("passphrase-input");
+    const cancelBtn = document.getElementById("passphrase-cancel");
+
+    document.getElementById("passphrase-message").textContent = message;
+    input.value = "";
+
+    return new Promise((resolve) => {
+      const finish = (value) => {
+        form.removeEventListener("submit", onSubmit);
+        cancelBtn.removeEventListener("click", onCancel);
+        dialog.removeEventListener("cancel", onCancel);
+        input.value = "";
+        dialog.close();
+        resolve(value);
+      };
+      const onSubmit = (e) => {
+        e.preventDefault();
+        finish(input.value);
+      };
+      const onCancel = (e) => {
+        e.preventDefault();
+        finish(null);
+      };
+
+      form.addEventListener("submit", onSubmit);
+      cancelBtn.addEventListener("click", onCancel);
+      dialog.addEventListener("cancel", onCancel);
+      dialog.showModal();
+      input.focus();
+    });
+  }
+
+  /**
+   * Dry-run the pending import with the selected strategy and show the
+   * per-setting report in the preview dialog
+   */
+  async previewImport() {
+    const strategy = document.getElementById("import-strategy").value;
+    const { report } = await this.sendBackgroundMessage({
+      type: "IMPORT_SETTINGS",
+      data: this.importPreview.content,
+      passphrase: this.importPreview.passphrase,
+      dryRun: true,
+      strategy,
+    });
+
+    document.getElementById("import-preview-file").textContent =
+      this.importPreview.fileName;
+
+    const { added, changed, unchanged, skipped } = report.summary;
+    document.getElementById("import-preview-summary").textContent =
+      I18n.getMessage(
+        "import_preview_summary",
+        [added, changed, unchanged, skipped],
+        "$1 added · $2 changed · $3 unchanged · $4 skipped",
+      );
+
+    const statusLabels = {
+      added: I18n.getMessage("import_status_added", [], "Added"),
+      changed: I18n.getMessage("import_status_changed", [], "Changed"),
+      unchanged: I18n.getMessage("import_status_unchanged", [], "Unchanged"),
+      skipped: I18n.getMessage("import_status_skipped", [], "Skipped"),
+    };
+
+    const table = document.getElementById("import-preview-table");
+    table.innerHTML = "";
+
+    const header = table.insertRow();
+    for (const label of [
+      "",
+      I18n.getMessage("column_setting", [], "Setting"),
+      I18n.getMessage("column_status", [], "Status"),
+      I18n.getMessage("column_current", [], "Current"),
+      I18n.getMessage("column_imported", [], "Imported"),
+    ]) {
+      const th = document.createElement("th");
+      th.textContent = label;
+      header.appendChild(th);
+    }
+
+    for (const entry of report.entries) {
+      const row = table.insertRow();
+      row.className = `import-${entry.status}`;
+
+      const select = row.insertCell();
+      if (entry.status === "added" || entry.status === "changed") {
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = true;
+        checkbox.dataset.key = entry.key;
+        checkbox.setAttribute(
+          "aria-label",
+          I18n.getMessage(
+            "import_apply_setting",
+            [this.getSettingDisplayName(entry.key)],
+            "Apply $1",
+          ),
+        );
+        checkbox.addEventListener("change", () =>
+          this.updateImportApplyButton(),
+        );
+        select.appendChild(checkbox);
+      }
+
+      row.insertCell().textContent = this.currentSettings.has(entry.key)
+        ? this.getSettingDisplayName(entry.key)
+        : entry.key;
+
+      const status = row.insertCell();
+      status.className = "import-status";
+      status.textContent = statusLabels[entry.status];
+      if (entry.reason) {
+        const reason = document.createElement("div");
+        reason.className = "import-reason";
+        reason.textContent = entry.reason;
+        status.appendChild(reason);
+      }
+
+      const current = row.insertCell();
+      current.className = "value";
+      current.textContent =
+        entry.oldValue === undefined
+          ? ""
+          : this.formatDiffValue(entry.oldValue);
+
+      const imported = row.insertCell();
+      imported.className = "value";
+      imported.textContent =
+        entry.newValue === undefined
+          ? ""
+          : this.formatDiffValue(entry.newValue);
+    }
+
+    this.updateImportApplyButton();
+  }
+
+  /**
+   * Keys ticked in the import preview
+   * @returns {Array<string>}
+   */
+  getSelectedImportKeys() {
+    return Array.from(
+      document.querySelectorAll("#import-preview-table input:checked"),
+    ).map((checkbox) => checkbox.dataset.key);
+  }
+
+  updateImportApplyButton() {
+    const count = this.getSelectedImportKeys().length;
+    const applyBtn = document.getElementById("import-preview-apply");
+    applyBtn.disabled = count === 0;
+    applyBtn.textContent =
+      count === 0
+        ? I18n.getMessage("import_apply_nothing", [], "Nothing to Apply")
+        : I18n.getMessage("import_apply_count", [count], "Apply $1 Selected");
+  }
+
+  closeImportPreview() {
+    document.getElementById("import-preview-dialog").close();
+    this.importPreview = null;
+  }
+
+  /**
+   * Apply the ticked keys of the previewed import
+   */
+  async applyImport() {
+    const keys = this.getSelectedImportKeys();
+    if (!this.importPreview || keys.length === 0) {
+      return;
+    }
 
-        const response = await browserAPI.runtime.sendMessage({
-          type: "IMPORT_SETTINGS",
-          data: content,
+    const { fileName, fileSize, content, passphrase } = this.importPreview;
+    const strategy = document.getElementById("import-strategy").value;
+    this.closeImportPreview();
+
+    try {
+      // Show saving status during import
+      if (this.saveStatusIndicator) {
+        this.saveStatusIndicator.updateStatus("saving", {
+          message: I18n.getMessage(
+            "import_in_progress",
+            [],
+            "Importing settings...",
+          ),
         });
+      }
 
-        if (response.error) {
-          throw new Error(response.error);
-        }
+      const { report } = await this.sendBackgroundMessage({
+        type: "IMPORT_SETTINGS",
+        data: content,
+        passphrase,
+        strategy,
+        keys,
+      });
 
-        await this.loadSettings();
-        this.renderAllSettings();
-        this.pendingChanges.clear();
-        this.updateSaveButton();
+      await this.loadSettings();
+      this.renderAllSettings();
+      this.pendingChanges.clear();
+      this.cancelValidations();
+      this.updateSaveButton();
+      await this.loadSnapshots();
 
-        // Show success
-        if (this.saveStatusIndicator) {
-          this.saveStatusIndicator.updateStatus("saved", {
-            message: "Settings imported successfully",
-          });
-        }
+      const message = `Imported ${report.applied.length} setting${report.applied.length === 1 ? "" : "s"}`;
 
-        this.showSuccess("Settings imported successfully");
-      } catch (error) {
-        // Standardized error handling for settings import
-        if (typeof ErrorHandler !== "undefined") {
-          ErrorHandler.handle(
-            error,
-            {
-              fileName: file?.name,
-              fileSize: file?.size,
-            },
-            {
-              component: "Options",
-              operation: "Import Settings",
-              severity: "error",
-              showUser: true,
-              rethrow: false,
-              fallbackAction: () => {
-                this.showError(`Import failed: ${error.message}`);
-
-                // Show error in save status indicator
-                if (this.saveStatusIndicator) {
-                  this.saveStatusIndicator.showError(error, "Import failed");
-                }
-              },
-            },
-          );
-        } else {
-          console.error("Import failed:", error);
-          this.showError(`Import failed: ${error.message}`);
-        }
+      // Show success
+      if (this.saveStatusIndicator) {
+        this.saveStatusIndicator.updateStatus("saved", { message });
       }
-    });
 
-    input.click();
+      this.showSuccess(message);
+    } catch (error) {
+      this.handleImportError(error, { name: fileName, size: fileSize });
+    }
+  }
+
+  /**
+   * Report a failed import preview or import
+   * @param {Error} error - Failure
+   * @param {Object} [file] - Imported file ({ name, size })
+   */
+  handleImportError(error, file) {
+    // Standardized error handling for settings import
+    if (typeof ErrorHandler !== "undefined") {
+      ErrorHandler.handle(
+        error,
+        {
+          fileName: file?.name,
+          fileSize: file?.size,
+        },
+        {
+          component: "Options",
+          operation: "Import Settings",
+          severity: "error",
+          showUser: true,
+          rethrow: false,
+          fallbackAction: () => {
+            this.showError(`Import failed: ${error.message}`);
+
+            // Show error in save status indicator
+            if (this.saveStatusIndicator) {
+              this.saveStatusIndicator.showError(error, "Import failed");
+            }
+          },
+        },
+      );
+    } else {
+      console.error("Import failed:", error);
+      this.showError(`Import failed: ${error.message}`);
+    }
   }
 
   async resetToDefaults() {
     if (
       !confirm(
-        "Are you sure you want to reset all settings to defaults? This will discard any unsaved changes and cannot be undone.",
+        "Are you sure you want to reset all settings to defaults? This will discard any unsaved changes. The current settings are kept as a restore point.",
       )
     ) {
       return;
@@ -820,7 +3661,11 @@ class SettingsOptions {
       // Show saving status during reset
       if (this.saveStatusIndicator) {
         this.saveStatusIndicator.updateStatus("saving", {
-          message: "Resetting settings...",
+          message: I18n.getMessage(
+            "reset_in_progress",
+            [],
+            "Resetting settings...",
+          ),
         });
       }
 
@@ -835,16 +3680,24 @@ class SettingsOptions {
       await this.loadSettings();
       this.renderAllSettings();
       this.pendingChanges.clear();
+      this.cancelValidations();
       this.updateSaveButton();
+      await this.loadSnapshots();
 
       // Show success
       if (this.saveStatusIndicator) {
         this.saveStatusIndicator.updateStatus("saved", {
-          message: "Settings reset to defaults",
+          message: I18n.getMessage(
+            "reset_success",
+            [],
+            "Settings reset to defaults",
+          ),
         });
       }
 
-      this.showSuccess("Settings reset to defaults");
+      this.showSuccess(
+        I18n.getMessage("reset_success", [], "Settings reset to defaults"),
+      );
     } catch (error) {
       // Standardized error handling for settings reset
       if (typeof ErrorHandler !== "undefined") {
@@ -912,21 +3765,43 @@ class SettingsOptions {
   }
 
   setupEventListeners() {
-    // Navigation links
-    document.querySelectorAll(".nav-link").forEach((link) => {
-      link.addEventListener("click", (e) => {
+    // Navigation links (category links are added once the configuration
+    // is loaded); links to nested categories scroll to their section
+    document.querySelector(".options-nav").addEventListener("click", (e) => {
+      const link = e.target.closest(".nav-link");
+      if (!link?.dataset.tab) {
+        return;
+      }
+      e.preventDefault();
+      if (link.dataset.section) {
+        this.focusSection(link.dataset.section);
+      } else {
+        this.showTab(link.dataset.tab);
+      }
+    });
+
+    // Links to "#tab/setting", including the browser's Back and Forward
+    window.addEventListener("hashchange", () => {
+      if (this.isInitialized) {
+        this.applyHash();
+      }
+    });
+
+    // Search across every category; Escape clears it
+    const search = document.getElementById("settings-search");
+    search.addEventListener("input", () => this.searchSettings(search.value));
+    search.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && search.value) {
         e.preventDefault();
-        const tabName = link.dataset.tab;
-        if (tabName) {
-          this.showTab(tabName);
-        }
-      });
+        search.value = "";
+        this.searchSettings("");
+      }
     });
 
     // Action buttons
     document
       .getElementById("save-all-btn")
-      .addEventListener("click", () => this.saveAllChanges());
+      .addEventListener("click", () => this.reviewChanges());
     document
       .getElementById("export-btn")
       .addEventListener("click", () => this.exportSettings());
@@ -936,6 +3811,49 @@ class SettingsOptions {
     document
       .getElementById("reset-btn")
       .addEventListener("click", () => this.resetToDefaults());
+    document
+      .getElementById("import-strategy")
+      .addEventListener("change", () =>
+        this.previewImport().catch((error) => this.handleImportError(error)),
+      );
+    document
+      .getElementById("import-preview-form")
+      .addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.applyImport();
+      });
+    document
+      .getElementById("import-preview-cancel")
+      .addEventListener("click", () => this.closeImportPreview());
+    document
+      .getElementById("import-preview-dialog")
+      .addEventListener("cancel", () => {
+        this.importPreview = null;
+      });
+    document
+      .getElementById("save-review-form")
+      .addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.closeSaveReview();
+        this.saveAllChanges();
+      });
+    document
+      .getElementById("save-review-cancel")
+      .addEventListener("click", () => this.closeSaveReview());
+    document
+      .getElementById("save-review-dialog")
+      .addEventListener("cancel", () => {
+        this.saveReview = null;
+      });
+    document
+      .getElementById("create-snapshot-btn")
+      .addEventListener("click", () => this.createSnapshot());
+    document
+      .getElementById("create-profile-form")
+      .addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.createProfile(document.getElementById("new-profile-name").value);
+      });
 
     // Keyboard shortcuts
     document.addEventListener("keydown", (e) => {
@@ -943,17 +3861,45 @@ class SettingsOptions {
         switch (e.key) {
           case "s":
             e.preventDefault();
-            this.saveAllChanges();
+            this.reviewChanges();
             break;
           case "e":
             e.preventDefault();
             this.exportSettings();
             break;
+          case "z":
+          case "Z":
+            // Text fields keep their native undo
+            if (!this.isTextEditingTarget(e.target)) {
+              e.preventDefault();
+              this.applyHistory(e.shiftKey ? "redo" : "undo");
+            }
+            break;
         }
       }
     });
   }
 
+  /**
+   * Check whether an element handles its own text undo
+   * @param {Element} element - Event target
+   * @returns {boolean}
+   */
+  isTextEditingTarget(element) {
+    if (!element) {
+      return false;
+    }
+    if (element.isContentEditable || element.tagName === "TEXTAREA") {
+      return true;
+    }
+    return (
+      element.tagName === "INPUT" &&
+      !["checkbox", "radio", "button", "submit", "range", "color"].includes(
+        element.type,
+      )
+    );
+  }
+
   /**
    * Retry failed save operation
    */
@@ -1031,6 +3977,7 @@ class SettingsOptions {
 
     if (this.pendingChanges) {
       this.pendingChanges.clear();
+      this.cancelValidations();
     }
   }
 }
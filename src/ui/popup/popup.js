@@ -4,8 +4,23 @@ class SettingsPopup {
   constructor() {
     this.currentSettings = new Map();
     this.validationErrors = new Map();
+    // Asynchronous checks in flight by setting element (AbortController)
+    this.pendingValidations = new Map();
     this.isInitialized = false;
     this.saveStatusIndicator = null;
+    this.siteContext = null;
+    this.profiles = [];
+    this.activeProfileId = null;
+    // Default value of every setting by key, to mark modified settings
+    this.defaultValues = {};
+    // The search box appears once there are more settings than this
+    this.searchThreshold = 8;
+
+    // Only used to evaluate conditional rules carried by setting definitions
+    this.configLoader =
+      typeof ConfigurationLoader !== "undefined"
+        ? new ConfigurationLoader()
+        : null;
 
     // Small delay to ensure DOM is fully ready (fixes race condition)
     setTimeout(() => {
@@ -30,6 +45,7 @@ class SettingsPopup {
           enableToasts: false, // Disabled in popup due to space constraints
           onRetry: () => this.retrySave(),
           onDismiss: () => this.dismissSaveStatus(),
+          onUndo: () => this.undoLastChange(),
         });
 
         console.debug("Save status indicator initialized");
@@ -44,12 +60,16 @@ class SettingsPopup {
   async initialize() {
     try {
       console.debug("Initializing popup...");
+      I18n.localizeDocument();
 
       // First test if background script is responding at all
       await this.testBackgroundConnection();
 
       await this.loadSettings();
+      await this.loadDefaultValues();
       this.renderSettings();
+      await this.loadProfiles();
+      await this.loadSiteOverrides();
       this.hideLoading();
       this.isInitialized = true;
 
@@ -178,6 +198,18 @@ class SettingsPopup {
     }
   }
 
+  /**
+   * Load the default value of every setting from the configuration, to mark
+   * the settings that differ from it
+   */
+  async loadDefaultValues() {
+    const defaults = this.withoutMetadata(await this.loadDefaultSettings());
+    this.defaultValues = {};
+    for (const [key, setting] of Object.entries(defaults)) {
+      this.defaultValues[key] = setting?.value;
+    }
+  }
+
   /**
    * Simple storage fallback - load settings directly from storage
    */
@@ -189,19 +221,30 @@ class SettingsPopup {
         storageResult.settings &&
         this.validateStorageSettings(storageResult.settings)
       ) {
-        return new Map(Object.entries(storageResult.settings));
+        return new Map(
+          Object.entries(this.withoutMetadata(storageResult.settings)),
+        );
       }
 
       // No valid settings found, initialize with defaults
       const defaultSettings = await this.loadDefaultSettings();
       await browserAPI.storage.local.set({ settings: defaultSettings });
-      return new Map(Object.entries(defaultSettings));
+      return new Map(Object.entries(this.withoutMetadata(defaultSettings)));
     } catch (error) {
       console.error("Storage fallback failed:", error);
       return null;
     }
   }
 
+  /**
+   * Strip configuration metadata ("$"-prefixed keys) from raw defaults
+   */
+  withoutMetadata(settings) {
+    return this.configLoader
+      ? this.configLoader.splitConfiguration(settings).settings
+      : settings;
+  }
+
   /**
    * Validate that settings object has the expected structure
    */
@@ -235,21 +278,622 @@ class SettingsPopup {
     const container = document.getElementById("settings-container");
     container.innerHTML = "";
 
-    // Group settings by type for better organization
-    const settingGroups = {
-      "Quick Settings": ["feature_enabled", "refresh_interval"],
-      Configuration: ["api_key", "advanced_config"],
-      Appearance: ["custom_css"],
-    };
+    // Settings marked "popup" are listed under their popupGroup; groups
+    // appear in the order of their first setting
+    const popupKeys = this.getPopupSettingKeys();
+    const settingGroups = new Map();
+    for (const key of popupKeys) {
+      const groupName =
+        this.currentSettings.get(key).popupGroup ||
+        I18n.getMessage("popup_group_default", [], "Settings");
+      if (!settingGroups.has(groupName)) {
+        settingGroups.set(groupName, []);
+      }
+      settingGroups.get(groupName).push(key);
+    }
 
-    for (const [groupName, settingKeys] of Object.entries(settingGroups)) {
+    for (const [groupName, settingKeys] of settingGroups) {
       const groupElement = this.createSettingGroup(groupName, settingKeys);
       if (groupElement) {
         container.appendChild(groupElement);
       }
     }
 
+    const remaining = this.currentSettings.size - popupKeys.length;
+    if (remaining > 0) {
+      container.appendChild(this.createMoreSettingsLink(remaining));
+    }
+
+    this.applyConditionalStates();
+    this.updateModifiedStates();
     container.style.display = "block";
+
+    const search = document.getElementById("popup-search");
+    if (search) {
+      search.hidden = this.currentSettings.size <= this.searchThreshold;
+      this.filterSettings(
+        search.hidden
+          ? ""
+          : document.getElementById("popup-search-input").value,
+      );
+    }
+  }
+
+  /**
+   * Show only the popup settings matching a query, highlighting the matches
+   * in their labels, and list matching settings that are only available in
+   * the options page
+   * @param {string} query - Search text
+   */
+  filterSettings(query) {
+    const container = document.getElementById("settings-container");
+    const more = document.getElementById("popup-search-more");
+    const searching = SettingsSearch.getWords(query).length > 0;
+    const matches = searching
+      ? SettingsSearch.search(this.currentSettings, query)
+      : [];
+    const matchedKeys = new Set(matches.map(({ key }) => key));
+
+    container.querySelectorAll(".setting-item").forEach((item) => {
+      const setting = this.currentSettings.get(item.dataset.key);
+      item.classList.toggle(
+        "search-hidden",
+        searching && !matchedKeys.has(item.dataset.key),
+      );
+
+      const label = item.querySelector(".setting-label");
+      if (label && setting) {
+        label.textContent = "";
+        this.appendHighlighted(label, setting.description, query);
+      }
+    });
+
+    container.querySelectorAll(".setting-group").forEach((group) => {
+      group.classList.toggle(
+        "search-hidden",
+        Array.from(group.querySelectorAll(".setting-item")).every((item) =>
+          item.classList.contains("search-hidden"),
+        ),
+      );
+    });
+    container
+      .querySelector(".more-settings-link")
+      ?.classList.toggle("search-hidden", searching);
+
+    more.innerHTML = "";
+    more.hidden = !searching;
+    if (!searching) {
+      return;
+    }
+
+    const popupKeys = new Set(this.getPopupSettingKeys());
+    for (const { key, setting } of matches) {
+      if (popupKeys.has(key)) {
+        continue;
+      }
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "popup-search-result";
+      button.title = I18n.getMessage(
+        "popup_search_in_options",
+        [],
+        "Only available in the options page",
+      );
+      this.appendHighlighted(button, setting.displayName || key, query);
+      button.addEventListener("click", () => this.openSettingInOptions(key));
+
+      const item = document.createElement("li");
+      item.appendChild(button);
+      more.appendChild(item);
+    }
+
+    if (matches.length === 0) {
+      const item = document.createElement("li");
+      item.className = "popup-search-empty";
+      item.textContent = I18n.getMessage(
+        "search_no_results",
+        [query.trim()],
+        'No settings match "$1"',
+      );
+      more.appendChild(item);
+    }
+  }
+
+  /**
+   * Append text to an element with the parts matching a query in <mark>
+   * @param {HTMLElement} element - Element to fill
+   * @param {string} text - Text to show
+   * @param {string} query - Search text
+   */
+  appendHighlighted(element, text, query) {
+    for (const part of SettingsSearch.highlight(text, query)) {
+      if (part.match) {
+        const mark = document.createElement("mark");
+        mark.textContent = part.text;
+        element.appendChild(mark);
+      } else {
+        element.append(part.text);
+      }
+    }
+  }
+
+  /**
+   * Keys of the settings shown in the popup, sorted by popupOrder; settings
+   * without one keep their configuration order after the ordered ones
+   * @returns {Array<string>} Setting keys
+   */
+  getPopupSettingKeys() {
+    return Array.from(this.currentSettings)
+      .filter(([, setting]) => setting.popup === true)
+      .sort(
+        ([, a], [, b]) =>
+          (a.popupOrder ?? Infinity) - (b.popupOrder ?? Infinity) || 0,
+      )
+      .map(([key]) => key);
+  }
+
+  /**
+   * Link to the options page for the settings the popup leaves out
+   * @param {number} count - Number of settings not shown in the popup
+   * @returns {HTMLElement}
+   */
+  createMoreSettingsLink(count) {
+    const link = document.createElement("button");
+    link.type = "button";
+    link.className = "more-settings-link";
+    link.textContent = I18n.getMessage(
+      "popup_more_in_options",
+      [count],
+      "More in options ($1)",
+    );
+    link.title =
+      count === 1
+        ? I18n.getMessage(
+            "popup_more_in_options_one_title",
+            [],
+            "1 setting is only available in the options page",
+          )
+        : I18n.getMessage(
+            "popup_more_in_options_title",
+            [count],
+            "$1 settings are only available in the options page",
+          );
+    link.addEventListener("click", () => this.openAdvancedSettings());
+    return link;
+  }
+
+  /**
+   * Hide or disable settings whose visibleWhen/enabledWhen/dependsOn
+   * conditions are not met by the current values
+   */
+  applyConditionalStates() {
+    if (!this.configLoader) {
+      return;
+    }
+
+    const values = {};
+    for (const [key, setting] of this.currentSettings) {
+      values[key] = setting.value;
+    }
+
+    for (const [key, setting] of this.currentSettings) {
+      const settingElement = document.querySelector(`[data-key="${key}"]`);
+      if (!settingElement) {
+        continue;
+      }
+
+      const { visible, enabled } = this.configLoader.getSettingState(
+        setting,
+        values,
+      );
+
+      settingElement.hidden = !visible;
+      settingElement.classList.toggle("disabled", !enabled);
+
+      const input = document.getElementById(`setting-${key}`);
+      if (input) {
+        input.disabled = !enabled;
+      }
+    }
+
+    // Hide groups whose settings are all hidden
+    document.querySelectorAll(".setting-group").forEach((group) => {
+      const items = group.querySelectorAll(".setting-item");
+      group.hidden =
+        items.length > 0 && Array.from(items).every((item) => item.hidden);
+    });
+  }
+
+  /**
+   * Show the "Modified" badge and "Reset" button of the settings whose
+   * value differs from the default
+   */
+  updateModifiedStates() {
+    document
+      .querySelectorAll("#settings-container .setting-item")
+      .forEach((item) => {
+        const key = item.dataset.key;
+        const modified =
+          key in this.defaultValues &&
+          JSON.stringify(this.currentSettings.get(key)?.value) !==
+            JSON.stringify(this.defaultValues[key]);
+
+        item.classList.toggle("modified", modified);
+        item.querySelector(".modified-badge").hidden = !modified;
+        item.querySelector(".reset-setting-btn").hidden = !modified;
+      });
+  }
+
+  /**
+   * Reset a setting to its default and show the restored value
+   * @param {string} key - Setting key
+   */
+  async resetSetting(key) {
+    try {
+      const response = await browserAPI.runtime.sendMessage({
+        type: "RESET_SETTING",
+        key,
+      });
+
+      if (!response || response.error) {
+        throw new Error(
+          response?.error || "No response from background script",
+        );
+      }
+
+      for (const [changedKey, value] of Object.entries(response.changes)) {
+        this.currentSettings.get(changedKey).value = value;
+      }
+      this.clearValidationError(key);
+      this.renderSettings();
+
+      const setting = this.currentSettings.get(key);
+      if (setting?.siteOverride) {
+        this.loadSiteOverrides();
+      }
+
+      this.showSuccess(
+        I18n.getMessage(
+          "reset_setting_success",
+          [setting?.displayName || key],
+          "Reset to default: $1",
+        ),
+      );
+    } catch (error) {
+      console.error("Reset failed:", error);
+      this.showError(
+        I18n.getMessage(
+          "reset_setting_failed",
+          [error.message],
+          "Reset failed: $1",
+        ),
+      );
+    }
+  }
+
+  /**
+   * Load named profiles for the header picker. Failures only hide the
+   * picker; the popup stays usable without profiles.
+   */
+  async loadProfiles() {
+    try {
+      const response = await browserAPI.runtime.sendMessage({
+        type: "LIST_PROFILES",
+      });
+
+      if (!response || response.error) {
+        throw new Error(
+          response?.error || "No response from background script",
+        );
+      }
+
+      this.profiles = response.profiles || [];
+      this.activeProfileId = response.activeProfileId;
+    } catch (error) {
+      console.warn("Failed to load profiles:", error);
+      this.profiles = [];
+      this.activeProfileId = null;
+    }
+
+    this.renderProfilePicker();
+  }
+
+  renderProfilePicker() {
+    const select = document.getElementById("profile-select");
+    if (!select) {
+      return;
+    }
+
+    select.innerHTML = "";
+    for (const profile of this.profiles) {
+      const option = document.createElement("option");
+      option.value = profile.id;
+      option.textContent = profile.name;
+      option.selected = profile.id === this.activeProfileId;
+      select.appendChild(option);
+    }
+
+    // A single profile leaves nothing to pick
+    select.hidden = this.profiles.length < 2;
+  }
+
+  async switchProfile(profileId) {
+    if (!profileId || profileId === this.activeProfileId) {
+      return;
+    }
+
+    const select = document.getElementById("profile-select");
+    if (select) {
+      select.disabled = true;
+    }
+
+    try {
+      if (this.saveStatusIndicator) {
+        this.saveStatusIndicator.updateStatus("saving", {
+          message: I18n.getMessage(
+            "profile_switching",
+            [],
+            "Switching profile...",
+          ),
+        });
+      }
+
+      const response = await browserAPI.runtime.sendMessage({
+        type: "SWITCH_PROFILE",
+        profileId,
+      });
+
+      if (!response) {
+        throw new Error("No response from background script");
+      }
+
+      if (response.error) {
+        throw new Error(response.error);
+      }
+
+      await this.loadSettings();
+      this.renderSettings();
+      await this.loadProfiles();
+
+      const profile = this.profiles.find(({ id }) => id === profileId);
+      const message = I18n.getMessage(
+        "profile_switched",
+        [profile?.name || profileId],
+        'Switched to profile "$1"',
+      );
+      if (this.saveStatusIndicator) {
+        this.saveStatusIndicator.updateStatus("saved", { message });
+      }
+      this.showSuccess(message);
+    } catch (error) {
+      console.error("Profile switch failed:", error);
+      this.showError(`Profile switch failed: ${error.message}`);
+      this.renderProfilePicker();
+
+      if (this.saveStatusIndicator) {
+        this.saveStatusIndicator.showError(error, "Profile switch failed");
+      }
+    } finally {
+      if (select) {
+        select.disabled = false;
+      }
+    }
+  }
+
+  /**
+   * Load the per-site overrides for the active tab. The "This site"
+   * section stays hidden for pages overrides cannot apply to.
+   */
+  async loadSiteOverrides() {
+    this.siteContext = null;
+
+    try {
+      const [tab] = await browserAPI.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+
+      if (tab?.url && /^https?:/.test(tab.url)) {
+        const response = await browserAPI.runtime.sendMessage({
+          type: "GET_SITE_OVERRIDES",
+          url: tab.url,
+        });
+
+        if (!response || response.error) {
+          throw new Error(
+            response?.error || "No response from background script",
+          );
+        }
+
+        this.siteContext = { url: tab.url, ...response };
+      }
+    } catch (error) {
+      console.warn("Failed to load site overrides:", error);
+    }
+
+    this.renderSiteOverrides();
+  }
+
+  renderSiteOverrides() {
+    const section = document.getElementById("site-overrides");
+    const container = document.getElementById("site-overrides-container");
+    if (!section || !container) {
+      return;
+    }
+
+    container.innerHTML = "";
+
+    const overridable = this.siteContext
+      ? Object.entries(this.siteContext.settings).filter(
+          ([, setting]) => setting.siteOverride,
+        )
+      : [];
+
+    section.hidden = overridable.length === 0;
+    if (section.hidden) {
+      return;
+    }
+
+    document.getElementById("site-origin").textContent =
+      this.siteContext.origin;
+
+    for (const [key, setting] of overridable) {
+      container.appendChild(this.createSiteOverrideElement(key, setting));
+    }
+  }
+
+  createSiteOverrideElement(key, setting) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "setting-item site-override-item";
+    wrapper.setAttribute("data-site-key", key);
+
+    const label = document.createElement("label");
+    label.textContent = setting.description;
+    label.className = "setting-label";
+    label.setAttribute("for", `site-setting-${key}`);
+
+    const inputContainer = document.createElement("div");
+    inputContainer.className = "input-container";
+
+    const input = this.createInputElement(key, setting, {
+      onChange: (element) => this.handleSiteOverrideChange(key, element),
+      onBlur: () => {},
+    });
+    input.id = `site-setting-${key}`;
+
+    const source = document.createElement("div");
+    source.className = "site-override-source";
+
+    const errorMessage = document.createElement("div");
+    errorMessage.className = "error-message";
+
+    inputContainer.appendChild(input);
+    inputContainer.appendChild(source);
+    if (SettingsValidator.hasAsyncValidators(setting)) {
+      inputContainer.appendChild(this.createValidationStatus());
+    }
+    inputContainer.appendChild(errorMessage);
+
+    wrapper.appendChild(label);
+    wrapper.appendChild(inputContainer);
+
+    this.updateSiteOverrideSource(wrapper, key, setting.overriddenBy);
+    return wrapper;
+  }
+
+  /**
+   * Describe where a site value comes from, with a Clear button for
+   * overrides of this exact origin
+   * @param {HTMLElement} wrapper - Site override item
+   * @param {string} key - Setting key
+   * @param {string|undefined} pattern - Pattern providing the value
+   */
+  updateSiteOverrideSource(wrapper, key, pattern) {
+    const source = wrapper.querySelector(".site-override-source");
+    source.innerHTML = "";
+
+    const text = document.createElement("span");
+    if (!pattern) {
+      text.textContent = I18n.getMessage(
+        "site_override_global",
+        [],
+        "Using global value",
+      );
+    } else if (pattern === this.siteContext.origin) {
+      text.textContent = I18n.getMessage(
+        "site_override_this_site",
+        [],
+        "Overridden for this site",
+      );
+    } else {
+      text.textContent = I18n.getMessage(
+        "site_override_pattern",
+        [pattern],
+        "Overridden by $1",
+      );
+    }
+    source.appendChild(text);
+    wrapper.classList.toggle("overridden", Boolean(pattern));
+
+    if (pattern === this.siteContext.origin) {
+      const clearBtn = document.createElement("button");
+      clearBtn.type = "button";
+      clearBtn.className = "site-override-clear";
+      clearBtn.textContent = I18n.getMessage(
+        "site_override_clear",
+        [],
+        "Clear",
+      );
+      clearBtn.addEventListener("click", () => this.clearSiteOverride(key));
+      source.appendChild(clearBtn);
+    }
+  }
+
+  async handleSiteOverrideChange(key, input) {
+    const wrapper = input.closest(".site-override-item");
+    const errorElement = wrapper.querySelector(".error-message");
+
+    try {
+      const setting = this.siteContext.settings[key];
+      const value = this.parseInputValue(setting, input);
+      this.validateValue(setting, value, key);
+      if (SettingsValidator.hasAsyncValidators(setting)) {
+        await this.validateValueAsync(wrapper, setting, value, key);
+      }
+
+      const response = await browserAPI.runtime.sendMessage({
+        type: "SET_SITE_OVERRIDE",
+        pattern: this.siteContext.origin,
+        key,
+        value,
+      });
+
+      if (!response) {
+        throw new Error("No response from background script");
+      }
+
+      if (response.error) {
+        throw new Error(response.error);
+      }
+
+      setting.value = value;
+      setting.overriddenBy = response.pattern;
+      wrapper.classList.remove("error");
+      errorElement.textContent = "";
+      this.updateSiteOverrideSource(wrapper, key, response.pattern);
+    } catch (error) {
+      // A newer value replaced this one and is being checked instead
+      if (error.code === "validation-cancelled") {
+        return;
+      }
+      this.pendingValidations.get(wrapper)?.abort();
+      wrapper.classList.add("error");
+      errorElement.textContent = error.message;
+    }
+  }
+
+  async clearSiteOverride(key) {
+    try {
+      const response = await browserAPI.runtime.sendMessage({
+        type: "CLEAR_SITE_OVERRIDE",
+        pattern: this.siteContext.origin,
+        key,
+      });
+
+      if (!response) {
+        throw new Error("No response from background script");
+      }
+
+      if (response.error) {
+        throw new Error(response.error);
+      }
+
+      await this.loadSiteOverrides();
+    } catch (error) {
+      console.error("Failed to clear site override:", error);
+      this.showError(`Failed to clear site override: ${error.message}`);
+    }
   }
 
   createSettingGroup(groupName, settingKeys) {
@@ -282,42 +926,113 @@ class SettingsPopup {
     const wrapper = document.createElement("div");
     wrapper.className = "setting-item";
     wrapper.setAttribute("data-key", key);
+    // Compact settings share one row with their label
+    const compact = setting.popupWidget === "compact";
+    wrapper.classList.toggle("compact", compact);
 
     const label = document.createElement("label");
     label.textContent = setting.description;
     label.className = "setting-label";
     label.setAttribute("for", `setting-${key}`);
 
+    const labelRow = document.createElement("div");
+    labelRow.className = "setting-label-row";
+    labelRow.appendChild(label);
+    labelRow.appendChild(this.createModifiedActions(key));
+
     const inputContainer = document.createElement("div");
     inputContainer.className = "input-container";
 
     const input = this.createInputElement(key, setting);
     input.id = `setting-${key}`;
+    if (compact && input.tagName === "TEXTAREA") {
+      input.rows = 1;
+    }
 
     const errorMessage = document.createElement("div");
     errorMessage.className = "error-message";
     errorMessage.textContent = "";
 
-    inputContainer.appendChild(input);
+    let control = input;
+    if (setting.type === "secret") {
+      control = this.wrapSecretInput(input);
+    } else if (setting.type === "number") {
+      control = this.wrapNumberInput(input, setting);
+    }
+    inputContainer.appendChild(control);
+    if (SettingsValidator.hasAsyncValidators(setting)) {
+      inputContainer.appendChild(this.createValidationStatus());
+    }
     inputContainer.appendChild(errorMessage);
 
-    wrapper.appendChild(label);
+    wrapper.appendChild(labelRow);
     wrapper.appendChild(inputContainer);
 
     return wrapper;
   }
 
-  createInputElement(key, setting) {
+  /**
+   * Create the "Modified" badge and "Reset" button of a setting, shown
+   * while its value differs from the default
+   * @param {string} key - Setting key
+   * @returns {HTMLElement}
+   */
+  createModifiedActions(key) {
+    const actions = document.createElement("div");
+    actions.className = "setting-actions";
+
+    const badge = document.createElement("span");
+    badge.className = "modified-badge";
+    badge.textContent = I18n.getMessage("modified_badge", [], "Modified");
+    badge.hidden = true;
+
+    const reset = document.createElement("button");
+    reset.type = "button";
+    reset.className = "reset-setting-btn";
+    reset.textContent = I18n.getMessage("reset_setting", [], "Reset");
+    reset.title = I18n.getMessage(
+      "reset_setting_title",
+      [],
+      "Reset to default",
+    );
+    reset.hidden = true;
+    reset.addEventListener("click", () => this.resetSetting(key));
+
+    actions.appendChild(badge);
+    actions.appendChild(reset);
+    return actions;
+  }
+
+  /**
+   * Create the input for a setting
+   * @param {string} key - Setting key
+   * @param {Object} setting - Setting definition and value
+   * @param {Object} handlers - Optional { onChange(input), onBlur(input) };
+   *   defaults update and validate the global value
+   */
+  createInputElement(key, setting, handlers = {}) {
     let input;
+    const onChange = () =>
+      handlers.onChange
+        ? handlers.onChange(input)
+        : this.handleSettingChange(key, input);
+    const onBlur = () =>
+      handlers.onBlur
+        ? handlers.onBlur(input)
+        : this.validateSetting(key, input);
 
     switch (setting.type) {
+      case "array":
+      case "multiselect":
+      case "records":
+        // Lists are edited on the options page
+        return this.createChipList(setting);
+
       case "boolean":
         input = document.createElement("input");
         input.type = "checkbox";
         input.checked = setting.value;
-        input.addEventListener("change", () =>
-          this.handleSettingChange(key, input),
-        );
+        input.addEventListener("change", onChange);
         break;
 
       case "text":
@@ -325,11 +1040,32 @@ class SettingsPopup {
         input.type = "text";
         input.value = setting.value;
         input.maxLength = setting.maxLength || 1000;
-        input.placeholder = `Enter ${setting.description.toLowerCase()}`;
-        input.addEventListener("input", () =>
-          this.handleSettingChange(key, input),
-        );
-        input.addEventListener("blur", () => this.validateSetting(key, input));
+        input.placeholder =
+          setting.placeholder ||
+          I18n.getMessage(
+            "input_placeholder",
+            [setting.description.toLowerCase()],
+            "Enter $1",
+          );
+        input.addEventListener("input", onChange);
+        input.addEventListener("blur", onBlur);
+        break;
+
+      case "secret":
+        input = document.createElement("input");
+        input.type = "password";
+        input.autocomplete = "off";
+        input.value = setting.value;
+        input.maxLength = setting.maxLength || 1000;
+        input.placeholder =
+          setting.placeholder ||
+          I18n.getMessage(
+            "input_placeholder",
+            [setting.description.toLowerCase()],
+            "Enter $1",
+          );
+        input.addEventListener("input", onChange);
+        input.addEventListener("blur", onBlur);
         break;
 
       case "longtext":
@@ -337,24 +1073,26 @@ class SettingsPopup {
         input.value = setting.value;
         input.maxLength = setting.maxLength || 50000;
         input.rows = 3;
-        input.placeholder = `Enter ${setting.description.toLowerCase()}`;
-        input.addEventListener("input", () =>
-          this.handleSettingChange(key, input),
-        );
-        input.addEventListener("blur", () => this.validateSetting(key, input));
+        input.placeholder =
+          setting.placeholder ||
+          I18n.getMessage(
+            "input_placeholder",
+            [setting.description.toLowerCase()],
+            "Enter $1",
+          );
+        input.addEventListener("input", onChange);
+        input.addEventListener("blur", onBlur);
         break;
 
       case "number":
         input = document.createElement("input");
-        input.type = "number";
+        input.type = setting.widget === "slider" ? "range" : "number";
         input.value = setting.value;
         input.min = setting.min;
         input.max = setting.max;
-        input.step = 1;
-        input.addEventListener("input", () =>
-          this.handleSettingChange(key, input),
-        );
-        input.addEventListener("blur", () => this.validateSetting(key, input));
+        input.step = setting.step ?? "any";
+        input.addEventListener("input", onChange);
+        input.addEventListener("blur", onBlur);
         break;
 
       case "json":
@@ -362,10 +1100,8 @@ class SettingsPopup {
         input.value = JSON.stringify(setting.value, null, 2);
         input.className = "json-input";
         input.rows = 4;
-        input.addEventListener("input", () =>
-          this.handleSettingChange(key, input),
-        );
-        input.addEventListener("blur", () => this.validateSetting(key, input));
+        input.addEventListener("input", onChange);
+        input.addEventListener("blur", onBlur);
         break;
 
       case "enum":
@@ -381,18 +1117,55 @@ class SettingsPopup {
             input.appendChild(option);
           }
         }
-        input.addEventListener("change", () =>
-          this.handleSettingChange(key, input),
-        );
+        input.addEventListener("change", onChange);
+        break;
+
+      case "color":
+        input = document.createElement("input");
+        input.type = "color";
+        input.value = setting.value;
+        input.addEventListener("input", onChange);
+        break;
+
+      case "url":
+      case "email":
+      case "date":
+      case "datetime":
+        input = document.createElement("input");
+        input.type =
+          setting.type === "datetime" ? "datetime-local" : setting.type;
+        input.value = setting.value;
+        if (setting.type === "url" || setting.type === "email") {
+          input.maxLength = setting.maxLength || 1000;
+          input.placeholder =
+            setting.type === "url" ? "https://example.com" : "name@example.com";
+        } else {
+          if (setting.min !== undefined) {
+            input.min = setting.min;
+          }
+          if (setting.max !== undefined) {
+            input.max = setting.max;
+          }
+        }
+        input.addEventListener("input", onChange);
+        input.addEventListener("blur", onBlur);
+        break;
+
+      case "duration":
+        // Stored in milliseconds, edited as text such as "5m" or "1h 30m"
+        input = document.createElement("input");
+        input.type = "text";
+        input.value = ValueFormats.formatDuration(setting.value);
+        input.placeholder = "e.g. 30s, 5m or 1h 30m";
+        input.addEventListener("input", onChange);
+        input.addEventListener("blur", onBlur);
         break;
 
       default:
         input = document.createElement("input");
         input.type = "text";
         input.value = setting.value;
-        input.addEventListener("input", () =>
-          this.handleSettingChange(key, input),
-        );
+        input.addEventListener("input", onChange);
         break;
     }
 
@@ -400,29 +1173,174 @@ class SettingsPopup {
     return input;
   }
 
+  /**
+   * Show the items of an array, multiselect or records setting as chips;
+   * records are named by their first field
+   * @param {Object} setting - Setting definition and value
+   * @returns {HTMLElement}
+   */
+  createChipList(setting) {
+    const chips = document.createElement("div");
+    chips.className = "chip-list";
+    chips.title = I18n.getMessage(
+      "popup_edit_in_options",
+      [],
+      "Edit in the advanced settings",
+    );
+
+    if (setting.value.length === 0) {
+      const empty = document.createElement("span");
+      empty.className = "chip-empty";
+      empty.textContent = I18n.getMessage("popup_list_empty", [], "None");
+      chips.appendChild(empty);
+    }
+
+    for (const item of setting.value) {
+      const chip = document.createElement("span");
+      chip.className = "chip";
+      if (setting.type === "records") {
+        const [firstField] = Object.keys(setting.fields || {});
+        chip.textContent = String(item?.[firstField] ?? "");
+      } else if (setting.type === "multiselect") {
+        chip.textContent = setting.options?.[item] || item;
+      } else if (setting.items?.type === "duration") {
+        chip.textContent = ValueFormats.formatDuration(item);
+      } else {
+        chip.textContent = String(item);
+      }
+      chips.appendChild(chip);
+    }
+
+    return chips;
+  }
+
+  /**
+   * Add the unit label, or the live formatted readout of sliders and
+   * formatted numbers, next to a number input
+   * @param {HTMLInputElement} input - Number or range input
+   * @param {Object} setting - Number setting definition
+   * @returns {HTMLElement} Wrapper to insert instead of the input, or the
+   *   input itself when there is nothing to add
+   */
+  wrapNumberInput(input, setting) {
+    const slider = setting.widget === "slider";
+    if (!slider && !setting.format && !setting.unit) {
+      return input;
+    }
+
+    const wrapper = document.createElement("div");
+    wrapper.className = slider ? "number-input slider-input" : "number-input";
+
+    const boundLabel = (bound) => {
+      const label = document.createElement("span");
+      label.className = "slider-bound";
+      label.textContent = ValueFormats.formatNumber(setting, bound);
+      label.setAttribute("aria-hidden", "true");
+      return label;
+    };
+
+    if (slider) {
+      wrapper.appendChild(boundLabel(setting.min));
+    }
+    wrapper.appendChild(input);
+    if (slider) {
+      wrapper.appendChild(boundLabel(setting.max));
+    }
+
+    if (slider || setting.format) {
+      const readout = document.createElement("output");
+      readout.className = "number-readout";
+      readout.setAttribute("for", input.id);
+      const update = () => {
+        const value = parseFloat(input.value);
+        readout.textContent = isNaN(value)
+          ? ""
+          : ValueFormats.formatNumber(setting, value);
+      };
+      input.addEventListener("input", update);
+      update();
+      wrapper.appendChild(readout);
+    } else {
+      const unit = document.createElement("span");
+      unit.className = "number-unit";
+      unit.textContent = setting.unit;
+      wrapper.appendChild(unit);
+    }
+
+    return wrapper;
+  }
+
+  /**
+   * Wrap a secret input with a button revealing its value
+   * @param {HTMLInputElement} input - Password input
+   * @returns {HTMLElement} Wrapper to insert instead of the input
+   */
+  wrapSecretInput(input) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "secret-input";
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "btn btn-secondary secret-toggle";
+    toggle.textContent = I18n.getMessage("secret_show", [], "Show");
+    toggle.setAttribute("aria-controls", input.id);
+    toggle.setAttribute("aria-pressed", "false");
+    toggle.addEventListener("click", () => {
+      const reveal = input.type === "password";
+      input.type = reveal ? "text" : "password";
+      toggle.textContent = reveal
+        ? I18n.getMessage("secret_hide", [], "Hide")
+        : I18n.getMessage("secret_show", [], "Show");
+      toggle.setAttribute("aria-pressed", String(reveal));
+    });
+
+    wrapper.appendChild(input);
+    wrapper.appendChild(toggle);
+    return wrapper;
+  }
+
+  /**
+   * Read a typed value from a setting input
+   * @param {Object} setting - Setting definition
+   * @param {HTMLElement} input - Input element
+   * @returns {*} Parsed value
+   * @throws {Error} If the input cannot be parsed
+   */
+  parseInputValue(setting, input) {
+    let value = input.value;
+
+    if (setting.type === "boolean") {
+      value = input.checked;
+    } else if (setting.type === "number") {
+      value = parseFloat(value);
+      if (isNaN(value)) {
+        throw new Error("Invalid number");
+      }
+    } else if (setting.type === "json") {
+      try {
+        value = this.safeJsonParse(value);
+      } catch {
+        throw new Error("Invalid JSON format");
+      }
+    } else if (setting.type === "duration") {
+      value = ValueFormats.parseDuration(value);
+    }
+
+    return value;
+  }
+
   async handleSettingChange(key, input) {
+    const wrapper = input.closest(".setting-item");
+
     try {
       const setting = this.currentSettings.get(key);
-      let value = input.value;
-
-      // Parse value based on type
-      if (setting.type === "boolean") {
-        value = input.checked;
-      } else if (setting.type === "number") {
-        value = parseFloat(value);
-        if (isNaN(value)) {
-          throw new Error("Invalid number");
-        }
-      } else if (setting.type === "json") {
-        try {
-          value = this.safeJsonParse(value);
-        } catch {
-          throw new Error("Invalid JSON format");
-        }
-      }
+      const value = this.parseInputValue(setting, input);
 
-      // Validate the value
-      this.validateValue(setting, value);
+      // Validate the value, waiting for asynchronous checks before saving
+      this.validateValue(setting, value, key);
+      if (SettingsValidator.hasAsyncValidators(setting)) {
+        await this.validateValueAsync(wrapper, setting, value, key);
+      }
 
       // Show saving status
       if (this.saveStatusIndicator) {
@@ -434,12 +1352,21 @@ class SettingsPopup {
 
       // Show saved status
       if (this.saveStatusIndicator) {
-        this.saveStatusIndicator.showSaved();
+        // Secrets are not journaled, so there is nothing to undo
+        this.saveStatusIndicator.showSaved({
+          undoable: setting.type !== "secret",
+        });
       }
 
       // Clear any validation errors
       this.clearValidationError(key);
     } catch (error) {
+      // A newer value replaced this one and is being checked instead
+      if (error.code === "validation-cancelled") {
+        return;
+      }
+      // An invalid value must not let the check of an older one save it
+      this.pendingValidations.get(wrapper)?.abort();
       this.setValidationError(key, error.message);
 
       // Show error in save status indicator
@@ -452,73 +1379,87 @@ class SettingsPopup {
   validateSetting(key, input) {
     try {
       const setting = this.currentSettings.get(key);
-      let value = input.value;
+      const value = this.parseInputValue(setting, input);
 
-      if (setting.type === "number") {
-        value = parseFloat(value);
-        if (isNaN(value)) {
-          throw new Error("Invalid number");
-        }
-      } else if (setting.type === "json") {
-        try {
-          value = this.safeJsonParse(value);
-        } catch {
-          throw new Error("Invalid JSON format");
-        }
-      }
+      this.validateValue(setting, value, key);
 
-      this.validateValue(setting, value);
+      // The asynchronous check started by the change settles its error
+      if (SettingsValidator.hasAsyncValidators(setting)) {
+        return;
+      }
       this.clearValidationError(key);
     } catch (error) {
       this.setValidationError(key, error.message);
     }
   }
 
-  validateValue(setting, value) {
-    switch (setting.type) {
-      case "boolean":
-        if (typeof value !== "boolean") {
-          throw new Error("Must be a boolean");
-        }
-        break;
+  /**
+   * Check a value with the shared validator
+   * @param {Object} setting - Setting definition
+   * @param {*} value - Parsed value
+   * @param {string} key - Setting key, root of JSON Schema error paths
+   * @throws {Error} With every problem, one per line
+   */
+  validateValue(setting, value, key = "value") {
+    SettingsValidator.assert(setting, value, { key, separator: "\n" });
+  }
 
-      case "text":
-      case "longtext":
-        if (typeof value !== "string") {
-          throw new Error("Must be a string");
-        }
-        if (setting.maxLength && value.length > setting.maxLength) {
-          throw new Error(`Exceeds maximum length of ${setting.maxLength}`);
-        }
-        break;
+  /**
+   * Run the asynchronous validators of a value that passed the other
+   * checks, cancelling the check of the previous value entered in the same
+   * setting. The setting shows as validating meanwhile
+   * @param {HTMLElement} wrapper - Setting element
+   * @param {Object} setting - Setting definition
+   * @param {*} value - Parsed value
+   * @param {string} key - Setting key, root of error paths
+   * @returns {Promise<void>}
+   * @throws {Error} With every problem, one per line, or with `code`
+   *   "validation-cancelled" if a newer value replaced this one
+   */
+  async validateValueAsync(wrapper, setting, value, key) {
+    this.pendingValidations.get(wrapper)?.abort();
+    const controller = new AbortController();
+    this.pendingValidations.set(wrapper, controller);
+    this.setValidating(wrapper, true);
 
-      case "number":
-        if (typeof value !== "number") {
-          throw new Error("Must be a number");
-        }
-        if (setting.min !== undefined && value < setting.min) {
-          throw new Error(`Must be at least ${setting.min}`);
-        }
-        if (setting.max !== undefined && value > setting.max) {
-          throw new Error(`Must be at most ${setting.max}`);
-        }
-        break;
+    try {
+      await SettingsValidator.assertAsync(setting, value, {
+        key,
+        separator: "\n",
+        signal: controller.signal,
+      });
+    } finally {
+      if (this.pendingValidations.get(wrapper) === controller) {
+        this.pendingValidations.delete(wrapper);
+        this.setValidating(wrapper, false);
+      }
+    }
+  }
 
-      case "json":
-        if (typeof value !== "object" || value === null) {
-          throw new Error("Must be a valid object");
-        }
-        break;
+  /**
+   * Create the status shown while asynchronous validators run
+   * @returns {HTMLElement} Status element
+   */
+  createValidationStatus() {
+    const status = document.createElement("div");
+    status.className = "validation-status";
+    status.setAttribute("aria-live", "polite");
+    return status;
+  }
 
-      case "enum":
-        if (!setting.options || typeof setting.options !== "object") {
-          throw new Error("Enum setting is missing options");
-        }
-        if (!setting.options[value]) {
-          const validOptions = Object.keys(setting.options).join(", ");
-          throw new Error(`Must be one of: ${validOptions}`);
-        }
-        break;
+  /**
+   * Show or hide the "validating" state of a setting
+   * @param {HTMLElement} wrapper - Setting element
+   * @param {boolean} validating - Whether a check is running
+   */
+  setValidating(wrapper, validating) {
+    wrapper.classList.toggle("validating", validating);
+    wrapper.setAttribute("aria-busy", String(validating));
+    const status = wrapper.querySelector(".validation-status");
+    if (status) {
+      status.textContent = validating
+        ? I18n.getMessage("status_validating", [], "Validating…")
+        : "";
     }
   }
 
@@ -545,6 +1486,13 @@ class SettingsPopup {
           const setting = this.currentSettings.get(key);
           setting.value = value;
           this.currentSettings.set(key, setting);
+          this.applyConditionalStates();
+          this.updateModifiedStates();
+
+          // Sites without an override follow the new global value
+          if (setting.siteOverride) {
+            this.loadSiteOverrides();
+          }
 
           resolve();
         })
@@ -552,6 +1500,45 @@ class SettingsPopup {
     });
   }
 
+  /**
+   * Revert the last journaled change and refresh the popup
+   */
+  async undoLastChange() {
+    try {
+      const response = await browserAPI.runtime.sendMessage({ type: "UNDO" });
+
+      if (!response) {
+        throw new Error("No response from background script");
+      }
+
+      if (response.error) {
+        throw new Error(response.error);
+      }
+
+      if (!response.entry) {
+        this.showError("Nothing to undo");
+        return;
+      }
+
+      await this.loadSettings();
+      this.renderSettings();
+      await this.loadSiteOverrides();
+
+      if (response.skipped.length > 0) {
+        this.showError(
+          `Not reverted because they changed since: ${response.skipped.join(", ")}`,
+        );
+      } else {
+        this.showSuccess(
+          I18n.getMessage("history_undone", [], "Change undone"),
+        );
+      }
+    } catch (error) {
+      console.error("Undo failed:", error);
+      this.showError(`Undo failed: ${error.message}`);
+    }
+  }
+
   setValidationError(key, message) {
     this.validationErrors.set(key, message);
 
@@ -583,7 +1570,11 @@ class SettingsPopup {
       // Show saving status during export
       if (this.saveStatusIndicator) {
         this.saveStatusIndicator.updateStatus("saving", {
-          message: "Exporting settings...",
+          message: I18n.getMessage(
+            "export_in_progress",
+            [],
+            "Exporting settings...",
+          ),
         });
       }
 
@@ -608,10 +1599,16 @@ class SettingsPopup {
       // Show success
       if (this.saveStatusIndicator) {
         this.saveStatusIndicator.updateStatus("saved", {
-          message: "Settings exported successfully",
+          message: I18n.getMessage(
+            "export_success",
+            [],
+            "Settings exported successfully",
+          ),
         });
       }
-      this.showSuccess("Settings exported successfully");
+      this.showSuccess(
+        I18n.getMessage("export_success", [], "Settings exported successfully"),
+      );
     } catch (error) {
       console.error("Export failed:", error);
       this.showError(`Export failed: ${error.message}`);
@@ -623,6 +1620,90 @@ class SettingsPopup {
     }
   }
 
+  /**
+   * Ask for the passphrase of an encrypted settings file until a dry run
+   * accepts it
+   * @param {string} content - File contents
+   * @returns {Promise<Object|null>} { passphrase } (null for plain files),
+   *   or null if the user cancelled
+   */
+  async unlockImport(content) {
+    let passphrase = null;
+
+    for (;;) {
+      const response = await browserAPI.runtime.sendMessage({
+        type: "IMPORT_SETTINGS",
+        data: content,
+        passphrase,
+        dryRun: true,
+      });
+
+      if (
+        response?.code !== "passphrase-required" &&
+        response?.code !== "wrong-passphrase"
+      ) {
+        return { passphrase };
+      }
+
+      passphrase = await this.requestPassphrase(
+        response.code === "wrong-passphrase"
+          ? I18n.getMessage(
+              "passphrase_wrong",
+              [],
+              "Wrong passphrase. Try again.",
+            )
+          : I18n.getMessage(
+              "passphrase_prompt",
+              [],
+              "This settings file is encrypted. Enter its passphrase.",
+            ),
+      );
+      if (passphrase === null) {
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Ask for a passphrase in the passphrase dialog
+   * @param {string} message - Prompt text
+   * @returns {Promise<string|null>} Passphrase, or null if cancelled
+   */
+  requestPassphrase(message) {
+    const dialog = document.getElementById("passphrase-dialog");
+    const form = document.getElementById("passphrase-form");
+    const input = document.getElementById("passphrase-input");
+    const cancelBtn = document.getElementById("passphrase-cancel");
+
+    document.getElementById("passphrase-message").textContent = message;
+    input.value = "";
+
+    return new Promise((resolve) => {
+      const finish = (value) => {
+        form.removeEventListener("submit", onSubmit);
+        cancelBtn.removeEventListener("click", onCancel);
+        dialog.removeEventListener("cancel", onCancel);
+        input.value = "";
+        dialog.close();
+        resolve(value);
+      };
+      const onSubmit = (e) => {
+        e.preventDefault();
+        finish(input.value);
+      };
+      const onCancel = (e) => {
+        e.preventDefault();
+        finish(null);
+      };
+
+      form.addEventListener("submit", onSubmit);
+      cancelBtn.addEventListener("click", onCancel);
+      dialog.addEventListener("cancel", onCancel);
+      dialog.showModal();
+      input.focus();
+    });
+  }
+
   async importSettings() {
     try {
       const input = document.createElement("input");
@@ -634,17 +1715,27 @@ class SettingsPopup {
         if (!file) return;
 
         try {
+          const content = await file.text();
+          const unlocked = await this.unlockImport(content);
+          if (!unlocked) {
+            return;
+          }
+
           // Show saving status during import
           if (this.saveStatusIndicator) {
             this.saveStatusIndicator.updateStatus("saving", {
-              message: "Importing settings...",
+              message: I18n.getMessage(
+                "import_in_progress",
+                [],
+                "Importing settings...",
+              ),
             });
           }
 
-          const content = await file.text();
           const response = await browserAPI.runtime.sendMessage({
             type: "IMPORT_SETTINGS",
             data: content,
+            passphrase: unlocked.passphrase,
           });
 
           if (response.error) {
@@ -657,10 +1748,20 @@ class SettingsPopup {
           // Show success
           if (this.saveStatusIndicator) {
             this.saveStatusIndicator.updateStatus("saved", {
-              message: "Settings imported successfully",
+              message: I18n.getMessage(
+                "import_success",
+                [],
+                "Settings imported successfully",
+              ),
             });
           }
-          this.showSuccess("Settings imported successfully");
+          this.showSuccess(
+            I18n.getMessage(
+              "import_success",
+              [],
+              "Settings imported successfully",
+            ),
+          );
         } catch (error) {
           console.error("Import failed:", error);
           this.showError(`Import failed: ${error.message}`);
@@ -700,7 +1801,7 @@ class SettingsPopup {
   async resetToDefaults() {
     if (
       !confirm(
-        "Are you sure you want to reset all settings to defaults? This cannot be undone.",
+        "Are you sure you want to reset all settings to defaults? The current settings are kept as a restore point in the options page.",
       )
     ) {
       return;
@@ -710,7 +1811,11 @@ class SettingsPopup {
       // Show saving status during reset
       if (this.saveStatusIndicator) {
         this.saveStatusIndicator.updateStatus("saving", {
-          message: "Resetting settings...",
+          message: I18n.getMessage(
+            "reset_in_progress",
+            [],
+            "Resetting settings...",
+          ),
         });
       }
 
@@ -733,10 +1838,16 @@ class SettingsPopup {
       // Show success
       if (this.saveStatusIndicator) {
         this.saveStatusIndicator.updateStatus("saved", {
-          message: "Settings reset to defaults",
+          message: I18n.getMessage(
+            "reset_success",
+            [],
+            "Settings reset to defaults",
+          ),
         });
       }
-      this.showSuccess("Settings reset to defaults");
+      this.showSuccess(
+        I18n.getMessage("reset_success", [], "Settings reset to defaults"),
+      );
     } catch (error) {
       console.error("Reset failed:", error);
       this.showError(`Reset failed: ${error.message}`);
@@ -811,6 +1922,29 @@ class SettingsPopup {
     }
   }
 
+  /**
+   * Open the options page at a setting, falling back to the options page
+   * itself when the background cannot open the link
+   * @param {string} key - Setting key
+   */
+  async openSettingInOptions(key) {
+    try {
+      const response = await browserAPI.runtime.sendMessage({
+        type: "OPEN_OPTIONS",
+        key,
+      });
+      if (!response || response.error) {
+        throw new Error(
+          response?.error || "No response from background script",
+        );
+      }
+      window.close();
+    } catch (error) {
+      console.warn("Failed to open setting in options:", error);
+      this.openAdvancedSettings();
+    }
+  }
+
   showSuccess(message) {
     this.showMessage(message, "success");
   }
@@ -846,6 +1980,8 @@ class SettingsPopup {
     const importBtn = document.getElementById("import-btn");
     const resetBtn = document.getElementById("reset-btn");
     const advancedBtn = document.getElementById("advanced-btn");
+    const profileSelect = document.getElementById("profile-select");
+    const searchInput = document.getElementById("popup-search-input");
 
     if (exportBtn) {
       exportBtn.addEventListener("click", () => this.exportSettings());
@@ -862,6 +1998,26 @@ class SettingsPopup {
     if (advancedBtn) {
       advancedBtn.addEventListener("click", () => this.openAdvancedSettings());
     }
+
+    if (profileSelect) {
+      profileSelect.addEventListener("change", () =>
+        this.switchProfile(profileSelect.value),
+      );
+    }
+
+    if (searchInput) {
+      searchInput.addEventListener("input", () =>
+        this.filterSettings(searchInput.value),
+      );
+      searchInput.addEventListener("keydown", (e) => {
+        if (e.key === "Escape" && searchInput.value) {
+          // Keep the popup open; only clear the search
+          e.preventDefault();
+          searchInput.value = "";
+          this.filterSettings("");
+        }
+      });
+    }
   }
 
   /**
@@ -925,6 +2081,12 @@ class SettingsPopup {
    * Cleanup method for proper resource management
    */
   cleanup() {
+    // Stop waiting for asynchronous checks
+    for (const controller of this.pendingValidations.values()) {
+      controller.abort();
+    }
+    this.pendingValidations.clear();
+
     // Cleanup save status indicator
     if (this.saveStatusIndicator) {
       this.saveStatusIndicator.destroy();
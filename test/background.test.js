@@ -0,0 +1,616 @@
+// test/background.test.js
+// Unit tests for the background service worker, run against the real
+// libraries and defaults.json with in-memory storage
+
+const fs = require("fs");
+const path = require("path");
+const { webcrypto } = require("crypto");
+const { TextEncoder, TextDecoder } = require("util");
+
+const SRC = path.join(__dirname, "../src");
+const EXTENSION_URL = "chrome-extension://test-extension/";
+
+// The options page opens in a tab, so its messages carry `tab` as well
+const OPTIONS_SENDER = {
+  id: "test-extension",
+  url: `${EXTENSION_URL}options/options.html#general`,
+  tab: { id: 3, url: `${EXTENSION_URL}options/options.html#general` },
+};
+const POPUP_SENDER = {
+  id: "test-extension",
+  url: `${EXTENSION_URL}popup/popup.html`,
+};
+const CONTENT_SENDER = {
+  id: "test-extension",
+  url: "https://example.com/page",
+  tab: { id: 5, url: "https://example.com/page" },
+};
+
+/**
+ * Load background.js with its imported libraries
+ * @param {Object} stored - Initial storage contents
+ * @returns {Object} { api, stored, handleMessage, handleInstalled,
+ *   whenSettingsReady, getSettingsManager, send }
+ */
+function loadBackground(stored = {}) {
+  const defaults = fs.readFileSync(
+    path.join(SRC, "config/defaults.json"),
+    "utf8",
+  );
+
+  const api = {
+    storage: {
+      local: {
+        get: jest.fn(async (keys) => {
+          if (keys === null || keys === undefined) {
+            return { ...stored };
+          }
+          const result = {};
+          for (const key of [].concat(keys)) {
+            if (stored[key] !== undefined) {
+              result[key] = stored[key];
+            }
+          }
+          return result;
+        }),
+        set: jest.fn(async (data) => {
+          Object.assign(stored, JSON.parse(JSON.stringify(data)));
+        }),
+        remove: jest.fn(async (keys) => {
+          for (const key of [].concat(keys)) {
+            delete stored[key];
+          }
+        }),
+        clear: jest.fn(async () => {
+          for (const key of Object.keys(stored)) {
+            delete stored[key];
+          }
+        }),
+      },
+      onChanged: { addListener: jest.fn() },
+    },
+    runtime: {
+      id: "test-extension",
+      getURL: jest.fn((file) => `${EXTENSION_URL}${file}`),
+      sendMessage: jest.fn(async () => {}),
+      onMessage: { addListener: jest.fn() },
+      onInstalled: { addListener: jest.fn() },
+      onStartup: { addListener: jest.fn() },
+    },
+    tabs: {
+      query: jest.fn(async () => []),
+      sendMessage: jest.fn(async () => {}),
+      create: jest.fn(async (options) => ({ id: 7, windowId: 1, ...options })),
+      update: jest.fn(async (tabId, options) => ({
+        id: tabId,
+        windowId: 1,
+        ...options,
+      })),
+    },
+    windows: {
+      update: jest.fn(async (windowId, options) => ({
+        id: windowId,
+        ...options,
+      })),
+    },
+    alarms: {
+      create: jest.fn(),
+      onAlarm: { addListener: jest.fn() },
+    },
+  };
+  window.browserAPI = api;
+
+  const fetch = jest.fn(async () => ({
+    ok: true,
+    json: async () => JSON.parse(defaults),
+  }));
+  const importScripts = (...files) => {
+    for (const file of files) {
+      new Function("fetch", fs.readFileSync(path.join(SRC, file), "utf8"))(
+        fetch,
+      );
+    }
+  };
+
+  // The service worker's top-level declarations stay local to the
+  // function; return the ones the tests drive
+  const background = new Function(
+    "importScripts",
+    "fetch",
+    `${fs.readFileSync(path.join(SRC, "background/background.js"), "utf8")}
+    return {
+      handleMessage,
+      handleInstalled,
+      whenSettingsReady,
+      getSettingsManager: () => settingsManager,
+    };`,
+  )(importScripts, fetch);
+
+  /**
+   * Send a message as if it came from a sender
+   * @param {Object} message - Message object
+   * @param {Object} sender - runtime.MessageSender
+   * @returns {Promise<Object>} Response
+   */
+  const send = (message, sender) =>
+    new Promise((resolve) => {
+      background.handleMessage(message, sender, resolve);
+    });
+
+  return { ...background, api, stored, send };
+}
+
+describe("background service worker", () => {
+  beforeAll(() => {
+    global.TextEncoder = TextEncoder;
+    global.TextDecoder = TextDecoder;
+    Object.defineProperty(globalThis, "crypto", {
+      value: webcrypto,
+      configurable: true,
+    });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "debug").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete window.browserAPI;
+    jest.restoreAllMocks();
+  });
+
+  test("should initialize once when an update arrives during startup", async () => {
+    const stored = { feature_enabled: { value: false } };
+    const background = loadBackground(stored);
+    const manager = background.getSettingsManager();
+
+    await background.handleInstalled({
+      reason: "update",
+      previousVersion: "1.0.0",
+    });
+    await background.whenSettingsReady();
+
+    // The update joins the startup initialization instead of migrating
+    // with a second settings manager
+    expect(background.getSettingsManager()).toBe(manager);
+    expect(manager.initialized).toBe(true);
+    expect(manager.settings.get("feature_enabled").value).toBe(false);
+    expect(stored.__schema_version__).toBe(1);
+  });
+
+  test("should tell extension pages in a tab from content scripts", async () => {
+    const background = loadBackground();
+    await background.whenSettingsReady();
+
+    const options = await background.send(
+      { type: "GET_ALL_SETTINGS" },
+      OPTIONS_SENDER,
+    );
+    const content = await background.send(
+      { type: "GET_ALL_SETTINGS" },
+      CONTENT_SENDER,
+    );
+
+    expect(options.settings).toHaveProperty("api_key");
+    expect(content.settings).not.toHaveProperty("api_key");
+    expect(content.settings).toHaveProperty("feature_enabled");
+
+    await background.send(
+      { type: "UPDATE_SETTING", key: "refresh_interval", value: "300" },
+      OPTIONS_SENDER,
+    );
+    await background.send(
+      { type: "UPDATE_SETTING", key: "feature_enabled", value: false },
+      POPUP_SENDER,
+    );
+    const { entries } = await background.send(
+      { type: "GET_HISTORY" },
+      OPTIONS_SENDER,
+    );
+    expect(entries.map((entry) => entry.source)).toEqual(["options", "popup"]);
+  });
+
+  test("should let the options page set and read secret settings", async () => {
+    const background = loadBackground();
+    await background.whenSettingsReady();
+
+    const update = await background.send(
+      { type: "UPDATE_SETTINGS", updates: { api_key: "sk-options-123" } },
+      OPTIONS_SENDER,
+    );
+    expect(update).toEqual({ success: true });
+
+    const { values } = await background.send(
+      { type: "GET_SETTINGS", keys: ["api_key"] },
+      OPTIONS_SENDER,
+    );
+    expect(values.api_key.value).toBe("sk-options-123");
+    // Stored sealed, never as plain text
+    expect(JSON.stringify(background.stored)).not.toContain("sk-options-123");
+
+    const content = await background.send(
+      { type: "UPDATE_SETTING", key: "api_key", value: "sk-page" },
+      CONTENT_SENDER,
+    );
+    expect(content.error).toBe(
+      "Setting 'api_key' cannot be changed by content scripts",
+    );
+    const read = await background.send(
+      { type: "GET_SETTINGS", keys: ["api_key"] },
+      CONTENT_SENDER,
+    );
+    expect(read.values).toEqual({});
+  });
+
+  test("should keep content scripts from replacing secrets in bulk", async () => {
+    const background = loadBackground();
+    await background.whenSettingsReady();
+    await background.send(
+      { type: "UPDATE_SETTING", key: "api_key", value: "sk-kept" },
+      OPTIONS_SENDER,
+    );
+    const readSecret = async () =>
+      (
+        await background.send(
+          { type: "GET_SETTINGS", keys: ["api_key"] },
+          OPTIONS_SENDER,
+        )
+      ).values.api_key.value;
+
+    const file = (settings) => JSON.stringify({ format: "values", settings });
+    const blocked = await background.send(
+      {
+        type: "IMPORT_SETTINGS",
+        data: file({ api_key: "sk-page", refresh_interval: "300" }),
+      },
+      CONTENT_SENDER,
+    );
+    expect(blocked.error).toBe(
+      "Setting 'api_key' cannot be changed by content scripts",
+    );
+    const allowed = await background.send(
+      { type: "IMPORT_SETTINGS", data: file({ refresh_interval: "300" }) },
+      CONTENT_SENDER,
+    );
+    expect(allowed.report.applied).toEqual(["refresh_interval"]);
+
+    const reset = await background.send(
+      { type: "RESET_SETTINGS" },
+      CONTENT_SENDER,
+    );
+    expect(reset.error).toBe(
+      "Setting 'api_key' cannot be changed by content scripts",
+    );
+
+    for (const message of [
+      { type: "RESTORE_SNAPSHOT", snapshotId: "any" },
+      { type: "SWITCH_PROFILE", profileId: "default" },
+      {
+        type: "SET_SITE_OVERRIDE",
+        pattern: "example.com",
+        key: "feature_enabled",
+        value: false,
+      },
+      { type: "CLEAR_SITE_OVERRIDE", pattern: "example.com" },
+    ]) {
+      expect((await background.send(message, CONTENT_SENDER)).error).toBe(
+        `${message.type} is not available to content scripts`,
+      );
+    }
+    expect(await readSecret()).toBe("sk-kept");
+
+    expect(
+      await background.send({ type: "RESET_SETTINGS" }, OPTIONS_SENDER),
+    ).toEqual({ success: true });
+    expect(await readSecret()).toBe("");
+  });
+
+  test("should keep profile management to extension pages", async () => {
+    const background = loadBackground();
+    await background.whenSettingsReady();
+    const { profile } = await background.send(
+      { type: "CREATE_PROFILE", name: "Work" },
+      OPTIONS_SENDER,
+    );
+
+    for (const message of [
+      { type: "CREATE_PROFILE", name: "Page" },
+      { type: "CLONE_PROFILE", profileId: profile.id, name: "Copy" },
+      { type: "RENAME_PROFILE", profileId: profile.id, name: "Mine" },
+      { type: "DELETE_PROFILE", profileId: profile.id },
+    ]) {
+      expect((await background.send(message, CONTENT_SENDER)).error).toBe(
+        `${message.type} is not available to content scripts`,
+      );
+    }
+
+    const { profiles } = await background.send(
+      { type: "LIST_PROFILES" },
+      OPTIONS_SENDER,
+    );
+    expect(profiles.map(({ name }) => name)).toEqual(["Default", "Work"]);
+    expect(
+      await background.send(
+        { type: "DELETE_PROFILE", profileId: profile.id },
+        POPUP_SENDER,
+      ),
+    ).toEqual({ success: true });
+  });
+
+  test("should drop plain-text copies of secrets when sealing them", async () => {
+    const stored = {
+      __schema_version__: 1,
+      api_key: { value: "sk-top" },
+      refresh_interval: { value: "300" },
+      __snapshots__: {
+        snapshots: [
+          {
+            id: "snapshot-1",
+            reason: "manual",
+            createdAt: 1,
+            size: 44,
+            values: { api_key: "sk-snapshot", refresh_interval: "60" },
+          },
+        ],
+      },
+      __profiles__: {
+        activeProfileId: "default",
+        profiles: {
+          default: { id: "default", name: "Default", values: {} },
+          work: {
+            id: "work",
+            name: "Work",
+            values: { api_key: "sk-profile", feature_enabled: false },
+            createdAt: 2,
+            updatedAt: 2,
+          },
+        },
+      },
+      __history__: {
+        entries: [
+          {
+            id: 1,
+            timestamp: 1,
+            source: "options",
+            changes: { api_key: { oldValue: "", newValue: "sk-history" } },
+          },
+        ],
+        position: 1,
+      },
+    };
+    const background = loadBackground(stored);
+    await background.whenSettingsReady();
+
+    expect(JSON.stringify(stored)).not.toMatch(/sk-/);
+    expect(stored.__snapshots__.snapshots[0].values).toEqual({
+      refresh_interval: "60",
+    });
+    expect(stored.__profiles__.profiles.work.values).toEqual({
+      feature_enabled: false,
+    });
+    expect(stored.__history__).toEqual({ entries: [], position: 0 });
+
+    const { values } = await background.send(
+      { type: "GET_SETTINGS", keys: ["api_key"] },
+      OPTIONS_SENDER,
+    );
+    expect(values.api_key.value).toBe("sk-top");
+  });
+
+  test("should keep restore points to extension pages and out of secrets", async () => {
+    const background = loadBackground();
+    await background.whenSettingsReady();
+    await background.send(
+      { type: "UPDATE_SETTING", key: "api_key", value: "sk-current" },
+      OPTIONS_SENDER,
+    );
+    // Restore points taken before api_key became secret hold it in clear
+    const { id } = background
+      .getSettingsManager()
+      .getSnapshotRegistry()
+      .create({ api_key: "sk-old", refresh_interval: "300" }, "manual");
+
+    for (const message of [
+      { type: "CREATE_SNAPSHOT" },
+      { type: "PREVIEW_SNAPSHOT", snapshotId: id },
+    ]) {
+      expect((await background.send(message, CONTENT_SENDER)).error).toBe(
+        `${message.type} is not available to content scripts`,
+      );
+    }
+
+    const preview = await background.send(
+      { type: "PREVIEW_SNAPSHOT", snapshotId: id },
+      OPTIONS_SENDER,
+    );
+    expect(preview.diff).toEqual({
+      refresh_interval: { oldValue: "60", newValue: "300" },
+    });
+    expect(
+      await background.send({ type: "CREATE_SNAPSHOT" }, POPUP_SENDER),
+    ).toMatchObject({ success: true });
+  });
+
+  test("should keep site overrides across a reset to defaults", async () => {
+    const background = loadBackground();
+    await background.whenSettingsReady();
+    await background.send(
+      {
+        type: "SET_SITE_OVERRIDE",
+        pattern: "https://example.com",
+        key: "feature_enabled",
+        value: false,
+      },
+      POPUP_SENDER,
+    );
+    await background.send(
+      { type: "UPDATE_SETTING", key: "refresh_interval", value: "300" },
+      OPTIONS_SENDER,
+    );
+
+    expect(
+      await background.send({ type: "RESET_SETTINGS" }, OPTIONS_SENDER),
+    ).toEqual({ success: true });
+
+    const { overrides, settings } = await background.send(
+      { type: "GET_SITE_OVERRIDES", url: "https://example.com/page" },
+      POPUP_SENDER,
+    );
+    expect(overrides).toEqual({
+      "https://example.com": { feature_enabled: false },
+    });
+    expect(settings.refresh_interval.value).toBe("60");
+    expect(settings.feature_enabled.value).toBe(false);
+  });
+
+  test("should keep undo and redo to extension pages", async () => {
+    const background = loadBackground();
+    await background.whenSettingsReady();
+    await background.send(
+      { type: "UPDATE_SETTING", key: "refresh_interval", value: "300" },
+      OPTIONS_SENDER,
+    );
+
+    for (const type of ["UNDO", "REDO"]) {
+      expect((await background.send({ type }, CONTENT_SENDER)).error).toBe(
+        `${type} is not available to content scripts`,
+      );
+    }
+    const readInterval = async () =>
+      (
+        await background.send(
+          { type: "GET_SETTINGS", keys: ["refresh_interval"] },
+          OPTIONS_SENDER,
+        )
+      ).values.refresh_interval.value;
+    expect(await readInterval()).toBe("300");
+
+    expect(await background.send({ type: "UNDO" }, POPUP_SENDER)).toMatchObject(
+      { success: true, changes: { refresh_interval: "60" } },
+    );
+    expect(await readInterval()).toBe("60");
+  });
+
+  test("should derive the key of an encrypted import once", async () => {
+    const background = loadBackground();
+    await background.whenSettingsReady();
+    await background.send(
+      { type: "UPDATE_SETTING", key: "refresh_interval", value: "300" },
+      OPTIONS_SENDER,
+    );
+    const { data } = await background.send(
+      { type: "EXPORT_SETTINGS", passphrase: "correct horse" },
+      OPTIONS_SENDER,
+    );
+    await background.send(
+      { type: "UPDATE_SETTING", key: "refresh_interval", value: "900" },
+      OPTIONS_SENDER,
+    );
+    const deriveKey = jest.spyOn(window.SettingsCrypto.prototype, "deriveKey");
+
+    const { report } = await background.send(
+      { type: "IMPORT_SETTINGS", data, passphrase: "correct horse" },
+      OPTIONS_SENDER,
+    );
+
+    expect(report.applied).toEqual(["refresh_interval"]);
+    expect(deriveKey).toHaveBeenCalledTimes(1);
+  });
+
+  test("should check custom CSS before saving it", async () => {
+    const background = loadBackground();
+    await background.whenSettingsReady();
+
+    const broken = await background.send(
+      {
+        type: "UPDATE_SETTING",
+        key: "custom_css",
+        value: ".banner {\n  display: none;\n",
+      },
+      OPTIONS_SENDER,
+    );
+    expect(broken.error).toBe(
+      "Custom CSS for content injection is not valid CSS: unclosed { from line 1",
+    );
+    const { values } = await background.send(
+      { type: "GET_SETTINGS", keys: ["custom_css"] },
+      OPTIONS_SENDER,
+    );
+    expect(values.custom_css.value).not.toContain(".banner");
+
+    expect(
+      await background.send(
+        {
+          type: "UPDATE_SETTING",
+          key: "custom_css",
+          value: ".banner {\n  display: none;\n}",
+        },
+        OPTIONS_SENDER,
+      ),
+    ).toEqual({ success: true });
+  });
+
+  test("should focus the window of an options page that is already open", async () => {
+    const background = loadBackground();
+    await background.whenSettingsReady();
+    const optionsUrl = `${EXTENSION_URL}options/options.html`;
+
+    await background.send(
+      { type: "OPEN_OPTIONS", key: "custom_css" },
+      POPUP_SENDER,
+    );
+    expect(background.api.tabs.create).toHaveBeenCalledWith({
+      url: `${optionsUrl}#custom_css`,
+    });
+    expect(background.api.windows.update).not.toHaveBeenCalled();
+
+    background.api.tabs.query.mockResolvedValue([
+      { id: 7, windowId: 2, url: optionsUrl },
+    ]);
+    expect(
+      await background.send(
+        { type: "OPEN_OPTIONS", key: "api_key" },
+        POPUP_SENDER,
+      ),
+    ).toEqual({ success: true, tabId: 7 });
+    expect(background.api.tabs.update).toHaveBeenCalledWith(7, {
+      url: `${optionsUrl}#api_key`,
+      active: true,
+    });
+    expect(background.api.windows.update).toHaveBeenCalledWith(2, {
+      focused: true,
+    });
+  });
+
+  test("should turn a feature off and on again while its required key is empty", async () => {
+    const background = loadBackground();
+    await background.whenSettingsReady();
+
+    for (const value of [false, true]) {
+      expect(
+        await background.send(
+          { type: "UPDATE_SETTING", key: "feature_enabled", value },
+          POPUP_SENDER,
+        ),
+      ).toEqual({ success: true });
+    }
+
+    await background.send(
+      { type: "UPDATE_SETTING", key: "feature_enabled", value: false },
+      POPUP_SENDER,
+    );
+    expect(
+      await background.send(
+        { type: "RESET_CATEGORY", category: "general" },
+        OPTIONS_SENDER,
+      ),
+    ).toEqual({ success: true, changes: { feature_enabled: true } });
+
+    const cleared = await background.send(
+      { type: "UPDATE_SETTING", key: "api_key", value: " " },
+      OPTIONS_SENDER,
+    );
+    expect(cleared.error).toBe("API key for external service is required");
+  });
+});
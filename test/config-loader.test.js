@@ -16,6 +16,11 @@ global.fetch = jest.fn();
 // Set up global browserAPI
 global.browserAPI = mockBrowserAPI;
 
+// Schema validator is loaded globally before config-loader.js in the extension
+global.JsonSchemaValidator = require("../src/lib/json-schema");
+global.ValueFormats = require("../src/lib/value-formats");
+global.SettingsValidator = require("../src/lib/settings-validator");
+
 describe("ConfigurationLoader", () => {
   let configLoader;
 
@@ -120,6 +125,35 @@ describe("ConfigurationLoader", () => {
       expect(configLoader.cacheTimestamp).toBeTruthy();
     });
 
+    test("should separate metadata keys from settings", async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest
+          .fn()
+          .mockResolvedValueOnce({ $schemaVersion: 3, ...mockValidConfig }),
+      });
+
+      const result = await configLoader.loadConfiguration();
+
+      expect(result).toEqual(mockValidConfig);
+      expect(configLoader.metadata).toEqual({ schemaVersion: 3 });
+      expect(configLoader.getSchemaVersion()).toBe(3);
+    });
+
+    test("should use fallback when schema version is invalid", async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest
+          .fn()
+          .mockResolvedValueOnce({ $schemaVersion: "2", ...mockValidConfig }),
+      });
+
+      await configLoader.loadConfiguration();
+
+      expect(configLoader.config).toHaveProperty("feature_enabled");
+      expect(configLoader.getSchemaVersion()).toBe(1);
+    });
+
     test("should return cached configuration on subsequent calls", async () => {
       // Ensure fresh start
       configLoader.clearCache();
@@ -155,7 +189,7 @@ describe("ConfigurationLoader", () => {
 
       // Verify types
       expect(result.feature_enabled.type).toBe("boolean");
-      expect(result.api_key.type).toBe("text");
+      expect(result.api_key.type).toBe("secret");
       expect(result.refresh_interval.type).toBe("enum");
       expect(result.custom_css.type).toBe("longtext");
       expect(result.advanced_config.type).toBe("json");
@@ -547,6 +581,606 @@ describe("ConfigurationLoader", () => {
         "Default value for 'number_setting' is above maximum constraint",
       );
     });
+
+    test("should accept json settings whose default matches the schema", () => {
+      const config = {
+        json_setting: {
+          type: "json",
+          value: { endpoint: "https://api.example.com" },
+          description: "JSON setting",
+          schema: {
+            type: "object",
+            properties: { endpoint: { type: "string" } },
+            required: ["endpoint"],
+          },
+        },
+      };
+
+      expect(() => configLoader.validateConfiguration(config)).not.toThrow();
+    });
+
+    test("should reject malformed json schemas", () => {
+      const config = {
+        json_setting: {
+          type: "json",
+          value: {},
+          description: "JSON setting",
+          schema: { type: "object", required: "endpoint" },
+        },
+      };
+
+      expect(() => configLoader.validateConfiguration(config)).toThrow(
+        "Invalid setting configuration for 'json_setting': json_setting.schema.required must be an array",
+      );
+    });
+
+    test("should reject json defaults that violate the schema", () => {
+      const config = {
+        json_setting: {
+          type: "json",
+          value: { timeout: "slow" },
+          description: "JSON setting",
+          schema: {
+            type: "object",
+            properties: { timeout: { type: "number" } },
+          },
+        },
+      };
+
+      expect(() => configLoader.validateConfiguration(config)).toThrow(
+        "Default value for 'json_setting' does not match its schema: json_setting.timeout must be a number",
+      );
+    });
+
+    test("should require siteOverride to be a boolean", () => {
+      const config = {
+        feature_enabled: {
+          type: "boolean",
+          value: true,
+          description: "Feature",
+          siteOverride: "yes",
+        },
+      };
+
+      expect(() => configLoader.validateConfiguration(config)).toThrow(
+        "Invalid setting configuration for 'feature_enabled': 'siteOverride' must be a boolean",
+      );
+    });
+
+    test("should require sensitive to be a boolean", () => {
+      const config = {
+        api_key: {
+          type: "text",
+          value: "",
+          description: "API key",
+          sensitive: 1,
+        },
+      };
+
+      expect(() => configLoader.validateConfiguration(config)).toThrow(
+        "Invalid setting configuration for 'api_key': 'sensitive' must be a boolean",
+      );
+    });
+
+    test("should accept formatted types with valid defaults", () => {
+      const config = {
+        accent: { type: "color", value: "#336699", description: "Accent" },
+        homepage: {
+          type: "url",
+          value: "wss://example.com",
+          description: "Homepage",
+          schemes: ["wss"],
+        },
+        contact: { type: "email", value: "", description: "Contact" },
+        start: { type: "date", value: "2024-01-01", description: "Start" },
+        reminder: {
+          type: "datetime",
+          value: "2024-01-01T09:00",
+          description: "Reminder",
+        },
+        timeout: {
+          type: "duration",
+          value: 300000,
+          description: "Timeout",
+          min: 1000,
+        },
+      };
+
+      expect(() => configLoader.validateConfiguration(config)).not.toThrow();
+    });
+
+    test("should reject invalid defaults and schemes of formatted types", () => {
+      expect(() =>
+        configLoader.validateConfiguration({
+          accent: { type: "color", value: "red", description: "Accent" },
+        }),
+      ).toThrow(
+        "Default value for 'accent' must be a hex color such as #336699",
+      );
+
+      expect(() =>
+        configLoader.validateConfiguration({
+          homepage: {
+            type: "url",
+            value: "",
+            description: "Homepage",
+            schemes: "https",
+          },
+        }),
+      ).toThrow(
+        "Invalid setting configuration for 'homepage': 'schemes' must be a non-empty array of lowercase URL schemes",
+      );
+
+      expect(() =>
+        configLoader.validateConfiguration({
+          timeout: { type: "duration", value: "5m", description: "Timeout" },
+        }),
+      ).toThrow("Default value for 'timeout' must be a whole");
+    });
+
+    test("should validate array and multiselect definitions", () => {
+      const config = {
+        blocked_domains: {
+          type: "array",
+          value: ["example.com"],
+          description: "Blocked domains",
+          items: { type: "text", maxLength: 253 },
+          maxItems: 100,
+          uniqueItems: true,
+        },
+        enabled_modules: {
+          type: "multiselect",
+          value: ["search"],
+          description: "Enabled modules",
+          options: { search: "Search", sync: "Sync" },
+          minItems: 1,
+        },
+      };
+      expect(() => configLoader.validateConfiguration(config)).not.toThrow();
+
+      expect(() =>
+        configLoader.validateConfiguration({
+          list: { type: "array", value: [], description: "List" },
+        }),
+      ).toThrow("Array setting 'list' must have 'items' with a type of:");
+
+      expect(() =>
+        configLoader.validateConfiguration({
+          modules: {
+            type: "multiselect",
+            value: [],
+            description: "Modules",
+            options: {},
+          },
+        }),
+      ).toThrow(
+        "Multiselect setting 'modules' must have an 'options' object of string labels",
+      );
+
+      expect(() =>
+        configLoader.validateConfiguration({
+          list: {
+            type: "array",
+            value: [],
+            description: "List",
+            items: { type: "text" },
+            minItems: 3,
+            maxItems: 1,
+          },
+        }),
+      ).toThrow("'minItems' exceeds 'maxItems'");
+
+      expect(() =>
+        configLoader.validateConfiguration({
+          modules: {
+            type: "multiselect",
+            value: ["chat"],
+            description: "Modules",
+            options: { search: "Search" },
+          },
+        }),
+      ).toThrow("Default value for 'modules' contains unknown option 'chat'");
+    });
+
+    test("should validate records definitions and defaults", () => {
+      const endpoints = {
+        type: "records",
+        value: [{ name: "Primary", url: "https://api.example.com" }],
+        description: "Endpoints",
+        fields: {
+          name: { type: "text", label: "Name" },
+          url: { type: "url", label: "URL" },
+        },
+      };
+      expect(() =>
+        configLoader.validateConfiguration({ endpoints }),
+      ).not.toThrow();
+
+      expect(() =>
+        configLoader.validateConfiguration({
+          endpoints: { ...endpoints, fields: { name: { type: "json" } } },
+        }),
+      ).toThrow(
+        "Records setting 'endpoints' must have 'fields' with types of:",
+      );
+
+      expect(() =>
+        configLoader.validateConfiguration({
+          endpoints: { ...endpoints, value: [{ name: "Primary", url: "x" }] },
+        }),
+      ).toThrow(
+        "Default value for 'endpoints' record 1 field 'url' must be an absolute URL",
+      );
+    });
+
+    test("should validate number step, unit, format and widget", () => {
+      const volume = {
+        type: "number",
+        value: 0.5,
+        description: "Volume",
+        min: 0,
+        max: 1,
+        step: 0.05,
+        format: "percent",
+        widget: "slider",
+      };
+      expect(() =>
+        configLoader.validateConfiguration({ volume }),
+      ).not.toThrow();
+
+      expect(() =>
+        configLoader.validateConfiguration({
+          volume: { ...volume, value: 0.52 },
+        }),
+      ).toThrow("Default value for 'volume' is not a multiple of step 0.05");
+
+      expect(() =>
+        configLoader.validateConfiguration({
+          volume: { ...volume, step: 0 },
+        }),
+      ).toThrow(
+        "Invalid setting configuration for 'volume': 'step' must be a positive number",
+      );
+
+      expect(() =>
+        configLoader.validateConfiguration({
+          volume: { ...volume, format: "currency" },
+        }),
+      ).toThrow("'format' must be one of: percent, bytes, ms");
+
+      const unbounded = { ...volume };
+      delete unbounded.max;
+      expect(() =>
+        configLoader.validateConfiguration({ volume: unbounded }),
+      ).toThrow("a slider needs both 'min' and 'max'");
+    });
+
+    test("should not allow site overrides on secret settings", () => {
+      const config = {
+        api_key: {
+          type: "secret",
+          value: "",
+          description: "API key",
+          siteOverride: true,
+        },
+      };
+
+      expect(() => configLoader.validateConfiguration(config)).toThrow(
+        "Secret setting 'api_key' cannot allow site overrides",
+      );
+    });
+
+    test("should validate popup placement", () => {
+      const validate = (placement) => () =>
+        configLoader.validateConfiguration({
+          theme: {
+            type: "text",
+            value: "",
+            description: "Theme",
+            ...placement,
+          },
+        });
+
+      expect(
+        validate({
+          popup: true,
+          popupGroup: "Appearance",
+          popupOrder: 2,
+          popupWidget: "compact",
+        }),
+      ).not.toThrow();
+      expect(validate({ popup: "yes" })).toThrow("'popup' must be a boolean");
+      expect(validate({ popupGroup: " " })).toThrow(
+        "'popupGroup' must be a non-empty string",
+      );
+      expect(validate({ popupOrder: "1" })).toThrow(
+        "'popupOrder' must be a number",
+      );
+      expect(validate({ popupWidget: "tiny" })).toThrow(
+        "'popupWidget' must be one of: full, compact",
+      );
+    });
+  });
+
+  describe("validateConditions", () => {
+    const baseConfig = () => ({
+      feature_enabled: {
+        type: "boolean",
+        value: true,
+        description: "Feature toggle",
+      },
+      mode: {
+        type: "enum",
+        value: "a",
+        description: "Mode",
+        options: { a: "A", b: "B" },
+      },
+      api_key: {
+        type: "text",
+        value: "",
+        description: "API key",
+      },
+    });
+
+    test("should accept dependsOn, visibleWhen and enabledWhen rules", () => {
+      const config = baseConfig();
+      config.api_key.dependsOn = "feature_enabled";
+      config.api_key.visibleWhen = {
+        any: [{ setting: "mode", in: ["a", "b"] }, { not: "feature_enabled" }],
+      };
+      config.mode.enabledWhen = { setting: "feature_enabled", equals: true };
+
+      expect(() => configLoader.validateConfiguration(config)).not.toThrow();
+    });
+
+    test("should reject references to unknown settings", () => {
+      const config = baseConfig();
+      config.api_key.dependsOn = ["feature_enabled", "missing"];
+
+      expect(() => configLoader.validateConfiguration(config)).toThrow(
+        "Invalid condition 'api_key.dependsOn': unknown setting 'missing'",
+      );
+    });
+
+    test("should reject self references", () => {
+      const config = baseConfig();
+      config.mode.visibleWhen = { setting: "mode", equals: "a" };
+
+      expect(() => configLoader.validateConfiguration(config)).toThrow(
+        "Invalid condition 'mode.visibleWhen': setting cannot depend on itself",
+      );
+    });
+
+    test("should reject malformed conditions", () => {
+      const config = baseConfig();
+      config.api_key.enabledWhen = { all: [] };
+      expect(() => configLoader.validateConfiguration(config)).toThrow(
+        "'all' must be a non-empty array",
+      );
+
+      config.api_key.enabledWhen = { equals: true };
+      expect(() => configLoader.validateConfiguration(config)).toThrow(
+        "missing 'setting', 'all', 'any' or 'not'",
+      );
+
+      config.api_key.enabledWhen = { setting: "mode", in: "a" };
+      expect(() => configLoader.validateConfiguration(config)).toThrow(
+        "'in' must be an array",
+      );
+
+      config.api_key.enabledWhen = 42;
+      expect(() => configLoader.validateConfiguration(config)).toThrow(
+        "must be a setting key or object",
+      );
+
+      delete config.api_key.enabledWhen;
+      config.api_key.dependsOn = [];
+      expect(() => configLoader.validateConfiguration(config)).toThrow(
+        "Invalid condition 'api_key.dependsOn': must be a setting key or array of keys",
+      );
+    });
+
+    test("should detect dependency cycles", () => {
+      const config = baseConfig();
+      config.feature_enabled.visibleWhen = { setting: "mode", equals: "a" };
+      config.mode.dependsOn = "api_key";
+      config.api_key.enabledWhen = "feature_enabled";
+
+      expect(() => configLoader.validateConfiguration(config)).toThrow(
+        "Circular setting dependency: feature_enabled -> mode -> api_key -> feature_enabled",
+      );
+    });
+  });
+
+  describe("validateRules", () => {
+    const config = {
+      feature_enabled: {
+        type: "boolean",
+        value: true,
+        description: "Feature toggle",
+      },
+      max_retries: { type: "number", value: 2, description: "Max retries" },
+      advanced_config: {
+        type: "json",
+        value: { retries: 3 },
+        description: "Advanced configuration",
+      },
+      api_key: { type: "text", value: "", description: "API key" },
+    };
+
+    test("should accept every rule type", () => {
+      const rules = [
+        { type: "required-if", setting: "api_key", when: "feature_enabled" },
+        {
+          type: "less-than",
+          setting: "max_retries",
+          than: "advanced_config.retries",
+          orEqual: true,
+        },
+        { type: "less-than", setting: "max_retries", than: 10 },
+        {
+          type: "mutually-exclusive",
+          settings: ["api_key", "feature_enabled"],
+        },
+        {
+          type: "expression",
+          assert: { any: ["feature_enabled", { not: "api_key" }] },
+          message: "API key needs the feature",
+          settings: ["api_key"],
+        },
+      ];
+
+      expect(() => configLoader.validateRules(rules, config)).not.toThrow();
+      expect(() => configLoader.validateRules(undefined, config)).not.toThrow();
+    });
+
+    test("should reject malformed rules and unknown settings", () => {
+      expect(() => configLoader.validateRules({}, config)).toThrow(
+        "Invalid configuration metadata: '$rules' must be an array",
+      );
+      expect(() =>
+        configLoader.validateRules([{ type: "greater-than" }], config),
+      ).toThrow("Invalid rule '$rules[0]': 'type' must be one of:");
+      expect(() =>
+        configLoader.validateRules(
+          [{ type: "required-if", setting: "api_key" }],
+          config,
+        ),
+      ).toThrow("'required-if' needs a 'when' condition");
+      expect(() =>
+        configLoader.validateRules(
+          [{ type: "less-than", setting: "max_retries", than: "retries.max" }],
+          config,
+        ),
+      ).toThrow("Invalid rule '$rules[0]': unknown setting 'retries'");
+      expect(() =>
+        configLoader.validateRules(
+          [{ type: "mutually-exclusive", settings: ["api_key"] }],
+          config,
+        ),
+      ).toThrow("'settings' must list at least two setting keys");
+      expect(() =>
+        configLoader.validateRules(
+          [{ type: "expression", assert: "feature_enabled" }],
+          config,
+        ),
+      ).toThrow("'expression' needs a 'message'");
+      expect(() =>
+        configLoader.validateRules(
+          [
+            {
+              type: "expression",
+              assert: { setting: "missing" },
+              message: "x",
+            },
+          ],
+          config,
+        ),
+      ).toThrow("unknown setting 'missing'");
+    });
+
+    test("should check named validator references", () => {
+      const pattern = {
+        type: "text",
+        value: "abc",
+        description: "Token",
+        validators: ["regex", { name: "pattern", params: { pattern: "^a" } }],
+      };
+      expect(() =>
+        configLoader.validateConfiguration({ token: pattern }),
+      ).not.toThrow();
+
+      expect(() =>
+        configLoader.validateConfiguration({
+          token: { ...pattern, validators: ["css-selector"] },
+        }),
+      ).toThrow(
+        "Invalid setting configuration for 'token': unknown validator 'css-selector'",
+      );
+      expect(() =>
+        configLoader.validateConfiguration({
+          token: { ...pattern, validators: [{ name: "regex", params: [] }] },
+        }),
+      ).toThrow("'params' of validator 'regex' must be an object");
+      expect(() =>
+        configLoader.validateConfiguration({
+          token: { ...pattern, validators: "regex" },
+        }),
+      ).toThrow("'validators' must be an array");
+    });
+
+    test("should only accept the required validation hint", () => {
+      expect(() =>
+        configLoader.validateConfiguration({
+          api_key: { ...config.api_key, validation: "required" },
+        }),
+      ).not.toThrow();
+      expect(() =>
+        configLoader.validateConfiguration({
+          api_key: { ...config.api_key, validation: "email" },
+        }),
+      ).toThrow(
+        "Invalid setting configuration for 'api_key': 'validation' must be \"required\"",
+      );
+    });
+  });
+
+  describe("getSettingState", () => {
+    const values = { feature_enabled: false, mode: "b", api_key: "" };
+
+    test("should default to visible and enabled", () => {
+      expect(configLoader.getSettingState({ type: "text" }, values)).toEqual({
+        visible: true,
+        enabled: true,
+      });
+      expect(configLoader.getSettingState(null, values)).toEqual({
+        visible: true,
+        enabled: true,
+      });
+    });
+
+    test("should disable settings whose dependencies are falsy", () => {
+      const state = configLoader.getSettingState(
+        { dependsOn: "feature_enabled" },
+        values,
+      );
+      expect(state).toEqual({ visible: true, enabled: false });
+    });
+
+    test("should evaluate visibleWhen and enabledWhen expressions", () => {
+      const state = configLoader.getSettingState(
+        {
+          visibleWhen: { setting: "mode", notEquals: "a" },
+          enabledWhen: { all: [{ setting: "mode", in: ["b"] }, "api_key"] },
+        },
+        values,
+      );
+      expect(state).toEqual({ visible: true, enabled: false });
+    });
+
+    test("should support any, not and truthy operators", () => {
+      expect(
+        configLoader.evaluateCondition(
+          { any: [{ setting: "feature_enabled" }, { setting: "mode" }] },
+          values,
+        ),
+      ).toBe(true);
+      expect(configLoader.evaluateCondition({ not: "mode" }, values)).toBe(
+        false,
+      );
+      expect(
+        configLoader.evaluateCondition(
+          { setting: "api_key", truthy: false },
+          values,
+        ),
+      ).toBe(true);
+      expect(
+        configLoader.evaluateCondition(
+          { setting: "mode", equals: "a" },
+          values,
+        ),
+      ).toBe(false);
+    });
   });
 
   describe("loadFallbackConfiguration", () => {
@@ -562,11 +1196,21 @@ describe("ConfigurationLoader", () => {
 
       // Verify specific settings
       expect(fallback.feature_enabled.type).toBe("boolean");
-      expect(fallback.api_key.type).toBe("text");
+      expect(fallback.api_key.type).toBe("secret");
       expect(fallback.refresh_interval.type).toBe("enum");
       expect(fallback.custom_css.type).toBe("longtext");
       expect(fallback.advanced_config.type).toBe("json");
 
+      // Secrets stay encrypted and out of plain exports without defaults.json
+      const defaults = require("../src/config/defaults.json");
+      for (const [key, setting] of Object.entries(fallback)) {
+        expect([key, setting.type, setting.sensitive]).toEqual([
+          key,
+          defaults[key].type,
+          defaults[key].sensitive,
+        ]);
+      }
+
       expect(configLoader.config).toEqual(fallback);
       expect(configLoader.configCache).toEqual(fallback);
       expect(configLoader.cacheTimestamp).toBeTruthy();
@@ -708,6 +1352,211 @@ describe("ConfigurationLoader", () => {
       const result = configLoader.getCategories();
       expect(result).toEqual([]);
     });
+
+    test("should order declared categories and nest children", () => {
+      configLoader.metadata = {
+        categories: {
+          general: { order: 2 },
+          advanced: { order: 1, displayName: "Expert", icon: "🛠️" },
+          network: { parent: "advanced", order: 2, description: "Proxies" },
+          cache: { parent: "advanced", order: 1 },
+          empty: { order: 3 },
+        },
+      };
+
+      expect(configLoader.getCategories()).toEqual([
+        "advanced",
+        "cache",
+        "network",
+        "general",
+        "empty",
+        "appearance",
+      ]);
+      expect(configLoader.getChildCategories()).toEqual([
+        "advanced",
+        "general",
+        "empty",
+        "appearance",
+      ]);
+      expect(configLoader.getChildCategories("advanced")).toEqual([
+        "cache",
+        "network",
+      ]);
+      expect(configLoader.getCategory("advanced")).toEqual({
+        key: "advanced",
+        displayName: "Expert",
+        description: "",
+        icon: "🛠️",
+        order: 1,
+        parent: null,
+      });
+      expect(configLoader.getCategory("network")).toMatchObject({
+        displayName: "Network",
+        description: "Proxies",
+        parent: "advanced",
+      });
+      expect(configLoader.getCategoryDisplayName("appearance")).toBe(
+        "Appearance",
+      );
+    });
+  });
+
+  describe("validateCategories", () => {
+    test("should accept well-formed category metadata", () => {
+      expect(() =>
+        configLoader.validateCategories({
+          general: {
+            displayName: "General",
+            description: "Main settings",
+            icon: "icons/general.svg",
+            order: 1,
+            i18n: { displayName: "category_general" },
+          },
+          network: { parent: "general" },
+        }),
+      ).not.toThrow();
+      expect(() => configLoader.validateCategories(undefined)).not.toThrow();
+    });
+
+    test("should reject malformed category metadata", () => {
+      const validate = (categories) => () =>
+        configLoader.validateCategories(categories);
+
+      expect(validate([])).toThrow("'$categories' must be an object");
+      expect(validate({ general: "General" })).toThrow(
+        "Invalid category '$categories.general': must be an object",
+      );
+      expect(validate({ general: { order: "1" } })).toThrow(
+        "'order' must be a number",
+      );
+      expect(validate({ general: { icon: 1 } })).toThrow(
+        "'icon' must be a string",
+      );
+      expect(validate({ network: { parent: "advanced" } })).toThrow(
+        "unknown parent category 'advanced'",
+      );
+      expect(
+        validate({
+          a: { parent: "b" },
+          b: { parent: "c" },
+          c: { parent: "a" },
+        }),
+      ).toThrow("circular parent chain: a -> b -> c -> a");
+      expect(validate({ general: { i18n: { icon: "general_icon" } } })).toThrow(
+        "'i18n.icon' is not localizable",
+      );
+    });
+
+    test("should localize category names and descriptions", () => {
+      global.chrome = {
+        i18n: {
+          getMessage: jest.fn((key) =>
+            key === "category_general" ? "Allgemein" : "",
+          ),
+        },
+      };
+
+      const metadata = configLoader.localizeMetadata({
+        categories: {
+          general: {
+            displayName: "General",
+            description: "__MSG_missing_description__",
+            i18n: { displayName: "category_general" },
+          },
+        },
+      });
+      delete global.chrome;
+
+      expect(metadata.categories.general).toMatchObject({
+        displayName: "Allgemein",
+        description: "missing_description",
+      });
+    });
+  });
+
+  describe("localization", () => {
+    const messages = {
+      feature_name: "Hauptfunktion",
+      option_fast: "Schnell",
+      rule_message: "Regel verletzt",
+      category_general: "Allgemein",
+    };
+
+    beforeEach(() => {
+      global.chrome = {
+        i18n: { getMessage: jest.fn((key) => messages[key] || "") },
+      };
+    });
+
+    afterEach(() => {
+      delete global.chrome;
+    });
+
+    test("should resolve i18n blocks and __MSG_ references", async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValueOnce({
+          $rules: [
+            {
+              type: "mutually-exclusive",
+              settings: ["feature", "speed"],
+              message: "__MSG_rule_message__",
+            },
+          ],
+          feature: {
+            type: "boolean",
+            value: true,
+            description: "Main feature",
+            displayName: "Feature",
+            helpText: "Turns it on",
+            i18n: { displayName: "feature_name", helpText: "missing_help" },
+          },
+          speed: {
+            type: "enum",
+            value: "fast",
+            description: "__MSG_missing_description__",
+            options: { fast: "Fast", slow: "__MSG_missing_slow__" },
+            i18n: { options: { fast: "option_fast" } },
+          },
+        }),
+      });
+
+      const config = await configLoader.loadConfiguration();
+
+      expect(config.feature).toMatchObject({
+        displayName: "Hauptfunktion",
+        description: "Main feature",
+        helpText: "Turns it on",
+      });
+      expect(config.speed.description).toBe("missing_description");
+      expect(config.speed.options).toEqual({
+        fast: "Schnell",
+        slow: "missing_slow",
+      });
+      expect(configLoader.getRules()[0].message).toBe("Regel verletzt");
+      expect(configLoader.getCategoryDisplayName("general")).toBe("Allgemein");
+    });
+
+    test("should reject malformed i18n blocks", () => {
+      const setting = { type: "text", value: "", description: "Name" };
+      const validate = (i18n) => () =>
+        configLoader.validateConfiguration({ name: { ...setting, i18n } });
+
+      expect(validate({ description: "name_description" })).not.toThrow();
+      expect(validate("name")).toThrow("'i18n' must be an object");
+      expect(validate({ value: "name_value" })).toThrow(
+        "'i18n.value' is not localizable",
+      );
+      expect(validate({ description: "name description" })).toThrow(
+        "'i18n.description' must be a message name",
+      );
+      expect(validate({ options: ["a"] })).toThrow(
+        "'i18n.options' must be an object",
+      );
+      expect(validate({ options: { a: 1 } })).toThrow(
+        "'i18n.options.a' must be a message name",
+      );
+    });
   });
 
   describe("getCategoryDisplayName", () => {
@@ -805,6 +1654,25 @@ describe("ConfigurationLoader", () => {
       expect(configLoader.configCache).toBeNull();
       expect(configLoader.config).toBeNull();
       expect(configLoader.cacheTimestamp).toBeNull();
+      expect(configLoader.metadata).toEqual({});
+    });
+  });
+
+  describe("getSchemaVersion", () => {
+    test("should default to version 1 when not declared", () => {
+      expect(configLoader.getSchemaVersion()).toBe(1);
+    });
+  });
+
+  describe("getRules", () => {
+    test("should return the declared rules or an empty list", () => {
+      expect(configLoader.getRules()).toEqual([]);
+
+      const rules = [{ type: "less-than", setting: "a", than: 1 }];
+      configLoader.metadata = configLoader.splitConfiguration({
+        $rules: rules,
+      }).metadata;
+      expect(configLoader.getRules()).toBe(rules);
     });
   });
 
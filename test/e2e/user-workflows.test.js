@@ -208,6 +208,9 @@ test.describe("End-to-End User Workflows", () => {
         await expect(saveButton).toBeEnabled();
         await saveButton.click();
 
+        // Confirm the changes in the review dialog
+        await page.locator("#save-review-confirm").click();
+
         // Wait for save operation to complete and success message to appear
         await page.waitForSelector(".message.success", { timeout: 5000 });
 
@@ -255,6 +258,9 @@ test.describe("End-to-End User Workflows", () => {
         await expect(saveButton).toBeEnabled();
         await saveButton.click();
 
+        // Confirm the changes in the review dialog
+        await page.locator("#save-review-confirm").click();
+
         // Wait for save operation to complete and success message to appear
         await page.waitForSelector(".message.success", { timeout: 5000 });
 
@@ -0,0 +1,122 @@
+// test/i18n.test.js
+// Unit tests for localized messages
+
+const I18n = require("../src/lib/i18n");
+
+describe("I18n", () => {
+  const messages = {
+    greeting: "Hallo $1",
+    ordered: "$2 vor $1",
+    welcome: "Willkommen",
+    "@@bidi_dir": "ltr",
+  };
+
+  const mockAPI = (overrides = {}) => {
+    global.chrome = {
+      i18n: {
+        getMessage: jest.fn((key, substitutions = []) =>
+          key in messages ? I18n.format(messages[key], substitutions) : "",
+        ),
+        getUILanguage: jest.fn(() => "de-DE"),
+        ...overrides,
+      },
+    };
+  };
+
+  afterEach(() => {
+    delete global.chrome;
+    document.documentElement.removeAttribute("lang");
+    document.documentElement.removeAttribute("dir");
+    document.body.innerHTML = "";
+  });
+
+  test("should fall back to the English text outside the extension", () => {
+    expect(I18n.getMessage("missing", [], "Saved")).toBe("Saved");
+    expect(I18n.getMessage("missing", [3, "x"], "$1 of $2 ($$)")).toBe(
+      "3 of x ($)",
+    );
+    expect(I18n.getMessage("missing", 5, "Count: $1")).toBe("Count: 5");
+    expect(I18n.getMessage("missing")).toBe("");
+  });
+
+  test("should use the browser message and stringify substitutions", () => {
+    mockAPI();
+
+    expect(I18n.getMessage("greeting", ["Welt"], "Hello $1")).toBe(
+      "Hallo Welt",
+    );
+    expect(I18n.getMessage("ordered", [1, 2], "$1 before $2")).toBe("2 vor 1");
+    expect(global.chrome.i18n.getMessage).toHaveBeenCalledWith("ordered", [
+      "1",
+      "2",
+    ]);
+    expect(I18n.getMessage("missing", [], "Fallback")).toBe("Fallback");
+  });
+
+  test("should fall back when the browser rejects the message name", () => {
+    mockAPI({
+      getMessage: jest.fn(() => {
+        throw new Error("Invalid name");
+      }),
+    });
+
+    expect(I18n.getMessage("bad-name", [], "Fallback")).toBe("Fallback");
+  });
+
+  test("should resolve __MSG_ references in configuration text", () => {
+    mockAPI();
+
+    expect(I18n.hasReference("__MSG_greeting__")).toBe(true);
+    expect(I18n.hasReference("Plain text")).toBe(false);
+    expect(I18n.hasReference(42)).toBe(false);
+    expect(I18n.resolve("Plain text")).toBe("Plain text");
+    expect(I18n.resolve("__MSG_welcome__!")).toBe("Willkommen!");
+    expect(I18n.resolve("__MSG_missing__")).toBe("missing");
+    expect(I18n.resolve("__MSG_missing__", "Fallback")).toBe("Fallback");
+  });
+
+  test("should detect right-to-left languages", () => {
+    expect(I18n.getDirection()).toBe("ltr");
+
+    mockAPI({ getMessage: jest.fn(() => ""), getUILanguage: () => "he" });
+    expect(I18n.getDirection()).toBe("rtl");
+
+    mockAPI({ getMessage: jest.fn(() => ""), getUILanguage: () => "ar-EG" });
+    expect(I18n.getDirection()).toBe("rtl");
+
+    mockAPI({ getUILanguage: () => "ar" });
+    expect(I18n.getDirection()).toBe("ltr");
+  });
+
+  test("should localize marked elements and the document direction", () => {
+    mockAPI({
+      getMessage: jest.fn(
+        (key) =>
+          ({
+            title: "Einstellungen",
+            name: "Name",
+            "@@bidi_dir": "rtl",
+          })[key] || "",
+      ),
+    });
+    document.body.innerHTML = `
+      <h1 data-i18n="title">Settings</h1>
+      <p data-i18n="untranslated"> Keep me </p>
+      <input data-i18n-placeholder="name" data-i18n-aria-label="name"
+        placeholder="Your name" aria-label="Your name">
+      <button data-i18n-title="untranslated" title="Close"></button>
+    `;
+
+    I18n.localizeDocument();
+
+    expect(document.documentElement.lang).toBe("de-DE");
+    expect(document.documentElement.dir).toBe("rtl");
+    expect(document.querySelector("h1").textContent).toBe("Einstellungen");
+    expect(document.querySelector("p").textContent).toBe("Keep me");
+    expect(document.querySelector("input").placeholder).toBe("Name");
+    expect(document.querySelector("input").getAttribute("aria-label")).toBe(
+      "Name",
+    );
+    expect(document.querySelector("button").title).toBe("Close");
+  });
+});
@@ -0,0 +1,123 @@
+// test/json-schema.test.js
+// Unit tests for the embedded JSON Schema validator
+
+const JsonSchemaValidator = require("../src/lib/json-schema");
+
+describe("JsonSchemaValidator", () => {
+  const schema = {
+    type: "object",
+    properties: {
+      endpoint: { type: "string", pattern: "^https?://" },
+      timeout: { type: "number", minimum: 0 },
+      retries: { type: "integer", minimum: 0, maximum: 10 },
+      tags: { type: "array", items: { type: "string" }, maxItems: 2 },
+      mode: { enum: ["fast", "safe"] },
+    },
+    required: ["endpoint"],
+    additionalProperties: false,
+  };
+
+  const messages = (value) =>
+    JsonSchemaValidator.validate(value, schema, "advanced_config").map(
+      (error) => error.message,
+    );
+
+  describe("validate", () => {
+    test("should accept a conforming value", () => {
+      expect(
+        messages({
+          endpoint: "https://api.example.com",
+          timeout: 5000,
+          retries: 3,
+          tags: ["a"],
+          mode: "fast",
+        }),
+      ).toEqual([]);
+    });
+
+    test("should report type mismatches with their path", () => {
+      expect(
+        messages({ endpoint: "https://api.example.com", timeout: "5s" }),
+      ).toEqual(["advanced_config.timeout must be a number"]);
+    });
+
+    test("should report missing required properties", () => {
+      const errors = JsonSchemaValidator.validate(
+        {},
+        schema,
+        "advanced_config",
+      );
+
+      expect(errors).toEqual([
+        {
+          path: "advanced_config.endpoint",
+          message: "advanced_config.endpoint is required",
+        },
+      ]);
+    });
+
+    test("should report range, pattern and enum violations", () => {
+      expect(
+        messages({ endpoint: "ftp://host", retries: 11, mode: "slow" }),
+      ).toEqual([
+        "advanced_config.endpoint must match pattern ^https?://",
+        "advanced_config.retries must be at most 10",
+        'advanced_config.mode must be one of: "fast", "safe"',
+      ]);
+    });
+
+    test("should distinguish integers from numbers", () => {
+      expect(
+        messages({ endpoint: "https://api.example.com", retries: 1.5 }),
+      ).toEqual(["advanced_config.retries must be an integer"]);
+    });
+
+    test("should validate array items and sizes", () => {
+      expect(
+        messages({ endpoint: "https://a.example", tags: ["a", 2, "c"] }),
+      ).toEqual([
+        "advanced_config.tags must have at most 2 items",
+        "advanced_config.tags[1] must be a string",
+      ]);
+    });
+
+    test("should reject additional properties when disallowed", () => {
+      expect(messages({ endpoint: "https://a.example", extra: true })).toEqual([
+        "advanced_config.extra is not an allowed property",
+      ]);
+    });
+
+    test("should default the path to value", () => {
+      expect(
+        JsonSchemaValidator.validate(null, { type: "object" })[0].message,
+      ).toBe("value must be an object");
+    });
+  });
+
+  describe("assertValidSchema", () => {
+    test("should accept supported schemas", () => {
+      expect(() => JsonSchemaValidator.assertValidSchema(schema)).not.toThrow();
+    });
+
+    test("should reject unsupported types", () => {
+      expect(() =>
+        JsonSchemaValidator.assertValidSchema({
+          type: "object",
+          properties: { when: { type: "date" } },
+        }),
+      ).toThrow("schema.properties.when.type 'date' is not supported");
+    });
+
+    test("should reject invalid patterns", () => {
+      expect(() =>
+        JsonSchemaValidator.assertValidSchema({ pattern: "(" }, "x.schema"),
+      ).toThrow("x.schema.pattern is not a valid regular expression");
+    });
+
+    test("should reject non-object schemas", () => {
+      expect(() => JsonSchemaValidator.assertValidSchema([])).toThrow(
+        "schema must be an object",
+      );
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// test/settings-crypto.test.js
+// Unit tests for passphrase-protected settings bundles and sealed values
+
+const { webcrypto } = require("crypto");
+const { TextEncoder, TextDecoder } = require("util");
+const {
+  SettingsCrypto,
+  SettingsCryptoError,
+} = require("../src/lib/settings-crypto");
+
+describe("SettingsCrypto", () => {
+  let settingsCrypto;
+
+  beforeAll(() => {
+    global.TextEncoder = TextEncoder;
+    global.TextDecoder = TextDecoder;
+  });
+
+  beforeEach(() => {
+    settingsCrypto = new SettingsCrypto(webcrypto);
+    // Keep key derivation fast in tests
+    settingsCrypto.PBKDF2_ITERATIONS = 1000;
+  });
+
+  test("should round-trip text with the right passphrase", async () => {
+    const bundle = await settingsCrypto.encrypt('{"a":"ü"}', "correct horse");
+
+    expect(settingsCrypto.isEncryptedBundle(bundle)).toBe(true);
+    expect(bundle.kdf).toMatchObject({ name: "PBKDF2", iterations: 1000 });
+    expect(JSON.stringify(bundle)).not.toContain("ü");
+    await expect(settingsCrypto.decrypt(bundle, "correct horse")).resolves.toBe(
+      '{"a":"ü"}',
+    );
+  });
+
+  test("should use a fresh salt and IV for every bundle", async () => {
+    const first = await settingsCrypto.encrypt("same", "pass");
+    const second = await settingsCrypto.encrypt("same", "pass");
+
+    expect(first.kdf.salt).not.toBe(second.kdf.salt);
+    expect(first.cipher.iv).not.toBe(second.cipher.iv);
+    expect(first.data).not.toBe(second.data);
+  });
+
+  test("should report a missing or wrong passphrase", async () => {
+    const bundle = await settingsCrypto.encrypt("secret", "right");
+
+    await expect(settingsCrypto.decrypt(bundle, "")).rejects.toMatchObject({
+      code: "passphrase-required",
+    });
+    await expect(settingsCrypto.decrypt(bundle, "wrong")).rejects.toEqual(
+      new SettingsCryptoError("Wrong passphrase", "wrong-passphrase"),
+    );
+  });
+
+  test("should report damaged bundles as corrupted", async () => {
+    const bundle = await settingsCrypto.encrypt("secret", "right");
+
+    const tampered = { ...bundle, data: `A${bundle.data.slice(1)}` };
+    if (tampered.data === bundle.data) {
+      tampered.data = `B${bundle.data.slice(1)}`;
+    }
+    await expect(
+      settingsCrypto.decrypt(tampered, "right"),
+    ).rejects.toMatchObject({ code: "corrupted" });
+
+    const truncated = { ...bundle, cipher: { name: "AES-GCM" } };
+    await expect(
+      settingsCrypto.decrypt(truncated, "right"),
+    ).rejects.toMatchObject({ code: "corrupted" });
+  });
+
+  test("should refuse bundles asking for excessive key derivation", async () => {
+    const bundle = await settingsCrypto.encrypt("secret", "right");
+    const deriveKey = jest.spyOn(settingsCrypto, "deriveKey");
+
+    const costly = { ...bundle, kdf: { ...bundle.kdf, iterations: 10001 } };
+    await expect(settingsCrypto.decrypt(costly, "right")).rejects.toMatchObject(
+      { code: "corrupted" },
+    );
+    expect(deriveKey).not.toHaveBeenCalled();
+
+    // Up to ten times the current count is still accepted
+    const stronger = new SettingsCrypto(webcrypto);
+    stronger.PBKDF2_ITERATIONS = 10000;
+    const accepted = await stronger.encrypt("secret", "right");
+    await expect(settingsCrypto.decrypt(accepted, "right")).resolves.toBe(
+      "secret",
+    );
+  });
+
+  test("should not treat plain exports as bundles", () => {
+    expect(settingsCrypto.isEncryptedBundle({ settings: {} })).toBe(false);
+    expect(settingsCrypto.isEncryptedBundle(null)).toBe(false);
+  });
+
+  test("should seal values with the install key", async () => {
+    const seed = settingsCrypto.createInstallSeed();
+    const key = await settingsCrypto.importInstallKey(seed, "extension-id");
+
+    const sealed = await settingsCrypto.sealValue("sk-123", key);
+    expect(settingsCrypto.isSealedValue(sealed)).toBe(true);
+    expect(settingsCrypto.isSealedValue("sk-123")).toBe(false);
+    expect(JSON.stringify(sealed)).not.toContain("sk-123");
+
+    // The same seed gives the same key
+    const again = await settingsCrypto.importInstallKey(seed, "extension-id");
+    await expect(settingsCrypto.openValue(sealed, again)).resolves.toBe(
+      "sk-123",
+    );
+  });
+
+  test("should not open values sealed by another install", async () => {
+    const key = await settingsCrypto.importInstallKey(
+      settingsCrypto.createInstallSeed(),
+    );
+    const other = await settingsCrypto.importInstallKey(
+      settingsCrypto.createInstallSeed(),
+    );
+
+    const sealed = await settingsCrypto.sealValue("sk-123", key);
+    await expect(settingsCrypto.openValue(sealed, other)).rejects.toEqual(
+      new SettingsCryptoError(
+        "Encrypted setting value cannot be decrypted",
+        "corrupted",
+      ),
+    );
+  });
+});
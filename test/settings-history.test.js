@@ -0,0 +1,147 @@
+// test/settings-history.test.js
+// Unit tests for the undo/redo journal
+
+const SettingsHistory = require("../src/lib/settings-history");
+
+describe("SettingsHistory", () => {
+  let history;
+
+  beforeEach(() => {
+    history = new SettingsHistory();
+    jest.spyOn(Date, "now").mockReturnValue(1000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const change = (oldValue, newValue) => ({ oldValue, newValue });
+
+  test("should ignore changes that do not alter a value", () => {
+    expect(history.record({ feature_enabled: change(true, true) })).toBeNull();
+    expect(history.canUndo()).toBe(false);
+  });
+
+  test("should record batches as a single entry", () => {
+    const entry = history.record(
+      {
+        feature_enabled: change(true, false),
+        refresh_interval: change(60, 60),
+        api_key: change("", "abc"),
+      },
+      "options",
+    );
+
+    expect(entry).toEqual({
+      id: 1,
+      timestamp: 1000,
+      source: "options",
+      changes: {
+        feature_enabled: change(true, false),
+        api_key: change("", "abc"),
+      },
+    });
+  });
+
+  test("should move back and forth through entries", () => {
+    history.record({ refresh_interval: change(60, 30) }, "popup");
+    Date.now.mockReturnValue(10000);
+    history.record({ refresh_interval: change(30, 15) }, "popup");
+
+    expect(history.undo().changes.refresh_interval.newValue).toBe(15);
+    expect(history.undo().changes.refresh_interval.newValue).toBe(30);
+    expect(history.undo()).toBeNull();
+    expect(history.redo().id).toBe(1);
+    expect(history.list()).toMatchObject({
+      position: 1,
+      canUndo: true,
+      canRedo: true,
+    });
+  });
+
+  test("should discard undone entries when a new change is recorded", () => {
+    history.record({ refresh_interval: change(60, 30) }, "popup");
+    history.undo();
+    Date.now.mockReturnValue(10000);
+    history.record({ feature_enabled: change(true, false) }, "popup");
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.list().entries.map(({ id }) => id)).toEqual([1]);
+    expect(history.peekUndo().changes).toHaveProperty("feature_enabled");
+  });
+
+  test("should merge rapid edits of one key from one context", () => {
+    history.record({ api_key: change("", "a") }, "popup");
+    Date.now.mockReturnValue(1500);
+    history.record({ api_key: change("a", "ab") }, "popup");
+    Date.now.mockReturnValue(1800);
+    history.record({ api_key: change("ab", "abc") }, "options");
+
+    const { entries } = history.list();
+    expect(entries).toHaveLength(2);
+    expect(entries[0].changes.api_key).toEqual(change("", "ab"));
+  });
+
+  test("should drop a merged entry that returns to its original value", () => {
+    history.record({ api_key: change("", "a") }, "popup");
+    Date.now.mockReturnValue(1500);
+
+    expect(history.record({ api_key: change("a", "") }, "popup")).toBeNull();
+    expect(history.canUndo()).toBe(false);
+  });
+
+  test("should keep at most MAX_ENTRIES entries", () => {
+    for (let i = 0; i < history.MAX_ENTRIES + 5; i++) {
+      Date.now.mockReturnValue(i * 10000);
+      history.record({ refresh_interval: change(i, i + 1) }, "popup");
+    }
+
+    const { entries, position } = history.list();
+    expect(entries).toHaveLength(history.MAX_ENTRIES);
+    expect(entries[0].id).toBe(6);
+    expect(position).toBe(history.MAX_ENTRIES);
+  });
+
+  test("load should drop malformed entries and clamp the position", () => {
+    history.load({
+      entries: [
+        { id: 1, timestamp: 1, changes: { a: change(1, 2) } },
+        { id: 2, changes: {} },
+        null,
+      ],
+      position: 7,
+    });
+
+    expect(history.toJSON()).toEqual({
+      entries: [{ id: 1, timestamp: 1, changes: { a: change(1, 2) } }],
+      position: 1,
+    });
+  });
+
+  test("omitKeys should drop entries left empty and keep the position", () => {
+    history.load({
+      entries: [
+        { id: 1, timestamp: 1, changes: { api_key: change("", "a") } },
+        {
+          id: 2,
+          timestamp: 2,
+          changes: { api_key: change("a", "b"), b: change(1, 2) },
+        },
+        { id: 3, timestamp: 3, changes: { b: change(2, 3) } },
+        { id: 4, timestamp: 4, changes: { api_key: change("b", "c") } },
+      ],
+      position: 3,
+    });
+
+    expect(history.omitKeys(["api_key"])).toBe(true);
+    expect(history.toJSON()).toEqual({
+      entries: [
+        { id: 2, timestamp: 2, changes: { b: change(1, 2) } },
+        { id: 3, timestamp: 3, changes: { b: change(2, 3) } },
+      ],
+      position: 2,
+    });
+    expect(history.peekUndo().id).toBe(3);
+    expect(history.omitKeys(["api_key"])).toBe(false);
+  });
+});
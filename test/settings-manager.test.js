@@ -1,5 +1,8 @@
 const SettingsManager = require("../src/lib/settings-manager");
 
+// Loaded globally before settings-manager.js in the extension
+global.SettingsValidator = require("../src/lib/settings-validator");
+
 // Minimal tests for SettingsManager validateSetting enum handling
 
 describe("SettingsManager", () => {
@@ -13,4 +16,1523 @@ describe("SettingsManager", () => {
 
     expect(() => manager.validateSetting(setting, "option1")).not.toThrow();
   });
+
+  test("validateSetting should check formatted types", () => {
+    global.ValueFormats = require("../src/lib/value-formats");
+    const manager = new SettingsManager();
+    const setting = { type: "duration", description: "Timeout", max: 60000 };
+
+    expect(() => manager.validateSetting(setting, 30000)).not.toThrow();
+    expect(() => manager.validateSetting(setting, 120000)).toThrow(
+      "Timeout must be 1m or shorter",
+    );
+    expect(() =>
+      manager.validateSetting({ type: "email", description: "Contact" }, "x"),
+    ).toThrow("Contact must be a valid email address");
+    expect(() =>
+      manager.validateSetting(
+        {
+          type: "records",
+          description: "Endpoints",
+          fields: { name: { type: "text" }, timeout: { type: "number" } },
+        },
+        [{ name: "Primary", timeout: "5s" }],
+      ),
+    ).toThrow("Endpoints record 1 field 'timeout' must be a valid number");
+    expect(() =>
+      manager.validateSetting(
+        { type: "number", description: "Font size", min: 8, step: 2 },
+        11,
+      ),
+    ).toThrow("Font size must be in steps of 2");
+    delete global.ValueFormats;
+  });
+});
+
+describe("SettingsManager profiles", () => {
+  const { SettingsProfiles } = require("../src/lib/settings-profiles");
+
+  const defaults = {
+    feature_enabled: {
+      type: "boolean",
+      value: true,
+      description: "Enable main feature",
+    },
+    refresh_interval: {
+      type: "number",
+      value: 60,
+      description: "Refresh interval",
+      min: 1,
+    },
+  };
+
+  let manager;
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    global.SettingsProfiles = SettingsProfiles;
+    global.browserAPI = {
+      storage: {
+        local: {
+          get: jest.fn(async () => ({ ...stored })),
+          set: jest.fn(async (data) => Object.assign(stored, data)),
+          remove: jest.fn(),
+        },
+      },
+    };
+
+    manager = new SettingsManager();
+    manager.defaultsCache = defaults;
+    manager.settings = new Map(
+      Object.entries(defaults).map(([key, setting]) => [key, { ...setting }]),
+    );
+    manager.profiles = new SettingsProfiles();
+    manager.initialized = true;
+  });
+
+  afterEach(() => {
+    delete global.SettingsProfiles;
+    delete global.browserAPI;
+  });
+
+  test("switchProfile should keep the old profile's values and apply the new one in one write", async () => {
+    await manager.createProfile("Demo");
+    manager.settings.get("refresh_interval").value = 300;
+
+    const listener = jest.fn();
+    manager.addListener(listener);
+
+    const result = await manager.switchProfile("demo");
+
+    expect(result).toEqual({
+      profileId: "demo",
+      previousProfileId: "default",
+      changes: { refresh_interval: 60 },
+      diff: { refresh_interval: { oldValue: 300, newValue: 60 } },
+    });
+    expect(global.browserAPI.storage.local.set).toHaveBeenLastCalledWith({
+      refresh_interval: expect.objectContaining({ value: 60 }),
+      __profiles__: expect.objectContaining({ activeProfileId: "demo" }),
+    });
+    expect(stored.__profiles__.profiles.default.values).toEqual({
+      refresh_interval: 300,
+    });
+    expect(
+      listener.mock.calls.filter(([event]) => event === "profile-switched"),
+    ).toHaveLength(1);
+
+    const back = await manager.switchProfile("default");
+    expect(back.changes).toEqual({ refresh_interval: 300 });
+  });
+
+  test("switchProfile should fall back to defaults for invalid overlay values", async () => {
+    manager.profiles.create("Broken", { refresh_interval: -5 });
+    manager.settings.get("refresh_interval").value = 120;
+
+    const result = await manager.switchProfile("broken");
+
+    expect(result.changes).toEqual({ refresh_interval: 60 });
+  });
+
+  test("switchProfile should restore state when the write fails", async () => {
+    await manager.createProfile("Demo");
+    manager.settings.get("feature_enabled").value = false;
+    global.browserAPI.storage.local.set.mockRejectedValueOnce(
+      new Error("quota exceeded"),
+    );
+
+    await expect(manager.switchProfile("demo")).rejects.toThrow(
+      "quota exceeded",
+    );
+    expect(manager.profiles.getActiveProfileId()).toBe("default");
+    expect(manager.settings.get("feature_enabled").value).toBe(false);
+  });
+
+  test("listProfiles should report overrides of the active profile", async () => {
+    manager.settings.get("feature_enabled").value = false;
+
+    const { activeProfileId, profiles } = await manager.listProfiles();
+
+    expect(activeProfileId).toBe("default");
+    expect(profiles[0]).toMatchObject({ id: "default", overrideCount: 1 });
+  });
+
+  test("cloneProfile should copy the live values of the active profile", async () => {
+    manager.settings.get("refresh_interval").value = 15;
+
+    const profile = await manager.cloneProfile("default", "Debug");
+
+    expect(profile.values).toEqual({ refresh_interval: 15 });
+  });
+});
+
+describe("SettingsManager schema migration", () => {
+  const {
+    SettingsMigrator,
+    SETTINGS_MIGRATIONS,
+  } = require("../src/lib/settings-migrations");
+  const { SettingsProfiles } = require("../src/lib/settings-profiles");
+  const { SiteOverrides } = require("../src/lib/site-overrides");
+
+  const defaults = {
+    refresh_seconds: {
+      type: "number",
+      value: 60,
+      description: "Refresh interval",
+      min: 1,
+    },
+    feature_enabled: {
+      type: "boolean",
+      value: true,
+      description: "Enable main feature",
+    },
+  };
+
+  let manager;
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    global.SettingsMigrator = SettingsMigrator;
+    global.SettingsProfiles = SettingsProfiles;
+    global.SiteOverrides = SiteOverrides;
+    global.browserAPI = {
+      storage: {
+        local: {
+          get: jest.fn(async () => ({ ...stored })),
+          set: jest.fn(async (data) => Object.assign(stored, data)),
+          remove: jest.fn(async (keys) =>
+            keys.forEach((key) => delete stored[key]),
+          ),
+        },
+      },
+    };
+    // refresh_interval (enum string) became refresh_seconds (number)
+    SETTINGS_MIGRATIONS[2] = (values) => {
+      if (values.refresh_interval !== undefined) {
+        values.refresh_seconds = parseInt(values.refresh_interval, 10);
+        delete values.refresh_interval;
+      }
+      return values;
+    };
+
+    manager = new SettingsManager();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete SETTINGS_MIGRATIONS[2];
+    delete global.SettingsMigrator;
+    delete global.SettingsProfiles;
+    delete global.SiteOverrides;
+    delete global.browserAPI;
+  });
+
+  test("should migrate profile overlays along with the stored values", async () => {
+    stored = {
+      __schema_version__: 1,
+      refresh_interval: { type: "enum", value: "300" },
+      __profiles__: {
+        activeProfileId: "default",
+        profiles: {
+          default: { id: "default", name: "Default", values: {}, createdAt: 1 },
+          work: {
+            id: "work",
+            name: "Work",
+            values: { refresh_interval: "900", feature_enabled: false },
+            createdAt: 2,
+            updatedAt: 2,
+          },
+        },
+      },
+    };
+
+    const migrated = await manager.migrateStoredSettings(
+      { ...stored },
+      defaults,
+      2,
+    );
+
+    expect(migrated.refresh_seconds.value).toBe(300);
+    expect(stored.__profiles__.profiles.work.values).toEqual({
+      refresh_seconds: 900,
+      feature_enabled: false,
+    });
+    expect(stored.__profiles__.profiles.default.values).toEqual({});
+    expect(stored.__schema_version__).toBe(2);
+
+    manager.defaultsCache = defaults;
+    manager.settings = new Map(
+      Object.entries(defaults).map(([key, setting]) => [
+        key,
+        { ...setting, value: migrated[key]?.value ?? setting.value },
+      ]),
+    );
+    manager.profiles = new SettingsProfiles(migrated.__profiles__);
+    manager.initialized = true;
+
+    const result = await manager.switchProfile("work");
+    expect(result.changes).toEqual({
+      refresh_seconds: 900,
+      feature_enabled: false,
+    });
+  });
+
+  test("should migrate the keys of site overrides", async () => {
+    stored = {
+      __schema_version__: 1,
+      feature_enabled: { type: "boolean", value: true },
+      __site_overrides__: {
+        "https://example.com": { refresh_interval: "30" },
+        "*://*.example.org/*": {
+          refresh_interval: "120",
+          feature_enabled: false,
+        },
+      },
+    };
+
+    const migrated = await manager.migrateStoredSettings(
+      { ...stored },
+      defaults,
+      2,
+    );
+
+    const expected = {
+      "https://example.com": { refresh_seconds: 30 },
+      "*://*.example.org/*": { refresh_seconds: 120, feature_enabled: false },
+    };
+    expect(stored.__site_overrides__).toEqual(expected);
+    expect(migrated.__site_overrides__).toEqual(expected);
+  });
+
+  test("should leave profiles untouched when a step fails on an overlay", async () => {
+    SETTINGS_MIGRATIONS[2] = (values) => {
+      values.refresh_seconds = values.refresh_interval.length;
+      return values;
+    };
+    const profiles = {
+      activeProfileId: "default",
+      profiles: {
+        default: { id: "default", name: "Default", values: {}, createdAt: 1 },
+      },
+    };
+    stored = {
+      __schema_version__: 1,
+      refresh_interval: { type: "enum", value: "300" },
+      __profiles__: profiles,
+    };
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await manager.migrateStoredSettings({ ...stored }, defaults, 2);
+
+    expect(global.browserAPI.storage.local.set).not.toHaveBeenCalled();
+    expect(manager.lastMigration.error).toMatch(
+      "Migration to schema version 2 failed",
+    );
+  });
+});
+
+describe("SettingsManager site overrides", () => {
+  const { SiteOverrides } = require("../src/lib/site-overrides");
+
+  let manager;
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    global.browserAPI = {
+      storage: {
+        local: {
+          get: jest.fn(async () => ({ ...stored })),
+          set: jest.fn(async (data) => Object.assign(stored, data)),
+          remove: jest.fn(),
+        },
+      },
+    };
+
+    manager = new SettingsManager();
+    manager.settings = new Map([
+      [
+        "feature_enabled",
+        {
+          type: "boolean",
+          value: true,
+          description: "Enable main feature",
+          siteOverride: true,
+        },
+      ],
+      [
+        "refresh_interval",
+        {
+          type: "number",
+          value: 60,
+          description: "Refresh interval",
+          min: 1,
+        },
+      ],
+    ]);
+    manager.siteOverrides = new SiteOverrides();
+    manager.initialized = true;
+  });
+
+  afterEach(() => {
+    delete global.browserAPI;
+  });
+
+  test("setSiteOverride should persist the registry and notify listeners", async () => {
+    const listener = jest.fn();
+    manager.addListener(listener);
+
+    const pattern = await manager.setSiteOverride(
+      "HTTPS://GitHub.com",
+      "feature_enabled",
+      false,
+    );
+
+    expect(pattern).toBe("https://github.com");
+    expect(stored.__site_overrides__).toEqual({
+      "https://github.com": { feature_enabled: false },
+    });
+    expect(listener).toHaveBeenCalledWith("site-override-changed", {
+      pattern: "https://github.com",
+      keys: ["feature_enabled"],
+    });
+  });
+
+  test("setSiteOverride should reject settings that do not opt in", async () => {
+    await expect(
+      manager.setSiteOverride("https://github.com", "refresh_interval", 5),
+    ).rejects.toThrow(
+      "Setting 'refresh_interval' cannot be overridden per site",
+    );
+    await expect(
+      manager.setSiteOverride("https://github.com", "feature_enabled", "no"),
+    ).rejects.toThrow();
+    expect(stored.__site_overrides__).toBeUndefined();
+  });
+
+  test("getEffectiveSettings should apply matching overrides only", async () => {
+    await manager.setSiteOverride(
+      "*://*.github.com/*",
+      "feature_enabled",
+      false,
+    );
+
+    const onSite = await manager.getEffectiveSettings("https://github.com/x");
+    const offSite = await manager.getEffectiveSettings("https://example.com");
+
+    expect(onSite.feature_enabled).toMatchObject({
+      value: false,
+      overriddenBy: "*://*.github.com/*",
+    });
+    expect(offSite.feature_enabled.value).toBe(true);
+    expect(offSite.feature_enabled.overriddenBy).toBeUndefined();
+    expect(manager.settings.get("feature_enabled").value).toBe(true);
+  });
+
+  test("getEffectiveSettings should ignore overrides that no longer validate", async () => {
+    manager.siteOverrides.set("https://github.com", "feature_enabled", "off");
+
+    const settings = await manager.getEffectiveSettings("https://github.com");
+
+    expect(settings.feature_enabled.value).toBe(true);
+  });
+
+  test("clearSiteOverride should restore the global value", async () => {
+    await manager.setSiteOverride(
+      "https://github.com",
+      "feature_enabled",
+      false,
+    );
+
+    await expect(
+      manager.clearSiteOverride("https://github.com", "feature_enabled"),
+    ).resolves.toEqual(["feature_enabled"]);
+
+    const settings = await manager.getEffectiveSettings("https://github.com");
+    expect(settings.feature_enabled.value).toBe(true);
+    expect(stored.__site_overrides__).toEqual({});
+  });
+});
+
+describe("SettingsManager undo history", () => {
+  const SettingsHistory = require("../src/lib/settings-history");
+
+  let manager;
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    global.browserAPI = {
+      storage: {
+        local: {
+          get: jest.fn(async () => ({ ...stored })),
+          set: jest.fn(async (data) => Object.assign(stored, data)),
+          remove: jest.fn(),
+        },
+      },
+    };
+
+    manager = new SettingsManager();
+    manager.settings = new Map([
+      [
+        "feature_enabled",
+        { type: "boolean", value: true, description: "Enable main feature" },
+      ],
+      [
+        "refresh_interval",
+        { type: "number", value: 60, description: "Refresh", min: 1 },
+      ],
+    ]);
+    manager.history = new SettingsHistory();
+    manager.initialized = true;
+  });
+
+  afterEach(() => {
+    if (manager.autoSaveTimer) {
+      clearTimeout(manager.autoSaveTimer);
+    }
+    delete global.browserAPI;
+  });
+
+  test("should journal updates and save the journal with them", async () => {
+    await manager.updateSettings(
+      { feature_enabled: false, refresh_interval: 30 },
+      "options",
+    );
+    await manager.flushPendingChanges();
+
+    expect(stored.__history__.entries).toEqual([
+      expect.objectContaining({
+        source: "options",
+        changes: {
+          feature_enabled: { oldValue: true, newValue: false },
+          refresh_interval: { oldValue: 60, newValue: 30 },
+        },
+      }),
+    ]);
+    expect(stored.refresh_interval.value).toBe(30);
+  });
+
+  test("undo and redo should write values and journal in one operation", async () => {
+    await manager.updateSetting("refresh_interval", 30, "popup");
+
+    const listener = jest.fn();
+    manager.addListener(listener);
+
+    const undone = await manager.undo();
+    expect(undone).toMatchObject({
+      changes: { refresh_interval: 60 },
+      skipped: [],
+    });
+    expect(global.browserAPI.storage.local.set).toHaveBeenCalledTimes(1);
+    expect(stored.refresh_interval.value).toBe(60);
+    expect(stored.__history__.position).toBe(0);
+    expect(manager.hasPendingChanges()).toBe(false);
+    expect(listener).toHaveBeenCalledWith("undone", undone);
+
+    const redone = await manager.redo();
+    expect(redone.changes).toEqual({ refresh_interval: 30 });
+    expect(manager.settings.get("refresh_interval").value).toBe(30);
+    await expect(manager.redo()).resolves.toBeNull();
+  });
+
+  test("undo should skip keys changed outside the journal", async () => {
+    await manager.updateSettings(
+      { feature_enabled: false, refresh_interval: 30 },
+      "options",
+    );
+    manager.settings.get("refresh_interval").value = 90;
+
+    const result = await manager.undo();
+
+    expect(result.changes).toEqual({ feature_enabled: true });
+    expect(result.skipped).toEqual(["refresh_interval"]);
+    expect(manager.settings.get("refresh_interval").value).toBe(90);
+  });
+
+  test("undo should restore the journal when the write fails", async () => {
+    await manager.updateSetting("refresh_interval", 30, "popup");
+    global.browserAPI.storage.local.set.mockRejectedValueOnce(
+      new Error("quota exceeded"),
+    );
+
+    await expect(manager.undo()).rejects.toThrow("quota exceeded");
+    expect(manager.history.canUndo()).toBe(true);
+    expect(manager.settings.get("refresh_interval").value).toBe(30);
+  });
+});
+
+describe("SettingsManager per-setting reset", () => {
+  const SettingsHistory = require("../src/lib/settings-history");
+
+  let manager;
+
+  beforeEach(() => {
+    const defaults = {
+      feature_enabled: {
+        type: "boolean",
+        value: true,
+        description: "Enable main feature",
+        category: "general",
+      },
+      refresh_interval: {
+        type: "number",
+        value: 60,
+        description: "Refresh",
+        category: "general",
+      },
+      advanced_config: {
+        type: "json",
+        value: { retries: 3 },
+        description: "Advanced configuration",
+        category: "advanced",
+      },
+    };
+
+    manager = new SettingsManager();
+    manager.defaultsCache = defaults;
+    manager.settings = new Map(
+      Object.entries(defaults).map(([key, setting]) => [key, { ...setting }]),
+    );
+    manager.settings.get("feature_enabled").value = false;
+    manager.settings.get("refresh_interval").value = 30;
+    manager.settings.get("advanced_config").value = { retries: 5 };
+    manager.history = new SettingsHistory();
+    manager.scheduleAutoSave = jest.fn();
+    manager.initialized = true;
+  });
+
+  test("should reset only the given setting and journal the change", async () => {
+    const changes = await manager.resetSetting("refresh_interval", "options");
+
+    expect(changes).toEqual({ refresh_interval: 60 });
+    expect(manager.settings.get("refresh_interval").value).toBe(60);
+    expect(manager.settings.get("feature_enabled").value).toBe(false);
+    expect(manager.getPendingChanges()).toEqual(["refresh_interval"]);
+    expect(manager.history.toJSON().entries[0]).toMatchObject({
+      source: "options",
+      changes: { refresh_interval: { oldValue: 30, newValue: 60 } },
+    });
+  });
+
+  test("should leave settings already at their default untouched", async () => {
+    await manager.resetSetting("refresh_interval");
+    manager.scheduleAutoSave.mockClear();
+
+    await expect(manager.resetSetting("refresh_interval")).resolves.toEqual({});
+    expect(manager.scheduleAutoSave).not.toHaveBeenCalled();
+    await expect(manager.resetSetting("missing")).rejects.toThrow(
+      "Setting 'missing' not found",
+    );
+  });
+
+  test("should reset the settings of one category", async () => {
+    expect(manager.getCategoryKeys("general")).toEqual([
+      "feature_enabled",
+      "refresh_interval",
+    ]);
+
+    const changes = await manager.resetCategory("general");
+
+    expect(changes).toEqual({ feature_enabled: true, refresh_interval: 60 });
+    expect(manager.settings.get("advanced_config").value).toEqual({
+      retries: 5,
+    });
+    await expect(manager.resetCategory("missing")).rejects.toThrow(
+      "Category 'missing' not found",
+    );
+  });
+
+  test("should not share default objects with the restored value", async () => {
+    await manager.resetSetting("advanced_config");
+
+    manager.settings.get("advanced_config").value.retries = 9;
+    expect(manager.defaultsCache.advanced_config.value).toEqual({
+      retries: 3,
+    });
+  });
+});
+
+describe("SettingsManager cross-field rules", () => {
+  const ConfigurationLoader = require("../src/lib/config-loader");
+  const SettingsRules = require("../src/lib/settings-rules");
+
+  let manager;
+
+  beforeEach(() => {
+    const definitions = {
+      feature_enabled: {
+        type: "boolean",
+        value: false,
+        description: "Main feature",
+      },
+      api_key: {
+        type: "text",
+        value: "",
+        description: "API key",
+        dependsOn: "feature_enabled",
+        validation: "required",
+      },
+      max_retries: {
+        type: "number",
+        value: 2,
+        description: "Max retries",
+        max: 10,
+      },
+      advanced_config: {
+        type: "json",
+        value: { retries: 3 },
+        description: "Advanced configuration",
+      },
+    };
+
+    manager = new SettingsManager();
+    manager.settings = new Map(
+      Object.entries(definitions).map(([key, setting]) => [
+        key,
+        { ...setting },
+      ]),
+    );
+    manager.rules = new SettingsRules(
+      [
+        {
+          type: "less-than",
+          setting: "max_retries",
+          than: "advanced_config.retries",
+          orEqual: true,
+        },
+      ],
+      definitions,
+      new ConfigurationLoader(),
+    );
+    manager.scheduleAutoSave = jest.fn();
+    manager.initialized = true;
+  });
+
+  test("should reject a batch as a whole and report every violation", async () => {
+    const error = await manager
+      .updateSettings({ feature_enabled: true, api_key: " ", max_retries: 5 })
+      .catch((rejection) => rejection);
+
+    expect(error.code).toBe("invalid-settings");
+    expect(error.violations).toEqual([
+      {
+        type: "less-than",
+        keys: ["max_retries", "advanced_config"],
+        message: "Max retries must be at most 3 (advanced_config.retries)",
+      },
+      { type: "required", keys: ["api_key"], message: "API key is required" },
+    ]);
+    expect(error.message).toBe(
+      "Max retries must be at most 3 (advanced_config.retries); API key is required",
+    );
+    expect(manager.settings.get("feature_enabled").value).toBe(false);
+    expect(manager.settings.get("max_retries").value).toBe(2);
+    expect(manager.hasPendingChanges()).toBe(false);
+  });
+
+  test("should report value errors alongside rule violations", async () => {
+    await expect(
+      manager.updateSettings({
+        max_retries: 11,
+        feature_enabled: true,
+        api_key: "",
+      }),
+    ).rejects.toMatchObject({
+      violations: [
+        {
+          type: "value",
+          keys: ["max_retries"],
+          message: "Max retries must be at most 10",
+        },
+        expect.objectContaining({ type: "less-than" }),
+        expect.objectContaining({ type: "required" }),
+      ],
+    });
+  });
+
+  test("should accept a batch that satisfies the rules together", async () => {
+    await manager.updateSettings({
+      feature_enabled: true,
+      api_key: "key",
+      max_retries: 5,
+      advanced_config: { retries: 5 },
+    });
+
+    expect(manager.settings.get("max_retries").value).toBe(5);
+    await expect(manager.updateSetting("api_key", "")).rejects.toThrow(
+      "API key is required",
+    );
+  });
+
+  test("should check the rules on import, restore, profile switch and undo", async () => {
+    const { SettingsSnapshots } = require("../src/lib/settings-snapshots");
+    const { SettingsProfiles } = require("../src/lib/settings-profiles");
+    const SettingsHistory = require("../src/lib/settings-history");
+    const stored = {};
+    global.browserAPI = {
+      storage: {
+        local: {
+          get: jest.fn(async () => ({ ...stored })),
+          set: jest.fn(async (data) => Object.assign(stored, data)),
+          remove: jest.fn(),
+        },
+      },
+    };
+    manager.defaultsCache = Object.fromEntries(manager.settings);
+    manager.snapshots = new SettingsSnapshots();
+    manager.profiles = new SettingsProfiles();
+    manager.history = new SettingsHistory();
+    const violation = {
+      code: "invalid-settings",
+      message: "Max retries must be at most 3 (advanced_config.retries)",
+    };
+
+    try {
+      await expect(
+        manager.importSettings(
+          JSON.stringify({
+            version: "1.0",
+            settings: { max_retries: { type: "number", value: 5 } },
+          }),
+        ),
+      ).rejects.toMatchObject(violation);
+
+      manager.snapshots.create({ max_retries: 5 }, "manual");
+      const [{ id }] = manager.snapshots.list();
+      await expect(manager.restoreSnapshot(id)).rejects.toMatchObject(
+        violation,
+      );
+
+      manager.profiles.create("Risky", { max_retries: 5 });
+      await expect(manager.switchProfile("risky")).rejects.toMatchObject(
+        violation,
+      );
+      expect(manager.profiles.getActiveProfileId()).toBe("default");
+
+      // Another context lowers the limit after the change was journaled
+      await manager.updateSetting("max_retries", 1);
+      manager.settings.get("advanced_config").value = { retries: 1 };
+      await expect(manager.undo()).rejects.toMatchObject({
+        code: "invalid-settings",
+      });
+      expect(manager.history.canUndo()).toBe(true);
+
+      expect(manager.settings.get("max_retries").value).toBe(1);
+      expect(manager.snapshots.list()).toHaveLength(1);
+    } finally {
+      if (manager.autoSaveTimer) {
+        clearTimeout(manager.autoSaveTimer);
+      }
+      delete global.browserAPI;
+    }
+  });
+});
+
+describe("SettingsManager asynchronous validators", () => {
+  let manager;
+  let resolvers;
+
+  beforeEach(() => {
+    resolvers = [];
+    SettingsValidator.register(
+      "unique-name",
+      (value) =>
+        new Promise((resolve) => {
+          resolvers.push(() =>
+            resolve(value === "taken" ? "is already in use" : null),
+          );
+        }),
+      { async: true },
+    );
+
+    manager = new SettingsManager();
+    manager.settings = new Map([
+      [
+        "profile_name",
+        {
+          type: "text",
+          value: "default",
+          description: "Profile name",
+          validators: ["unique-name"],
+        },
+      ],
+      ["max_retries", { type: "number", value: 2, description: "Retries" }],
+    ]);
+    manager.scheduleAutoSave = jest.fn();
+    manager.initialized = true;
+  });
+
+  afterEach(() => {
+    SettingsValidator.unregister("unique-name");
+  });
+
+  const settle = async () => {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    resolvers.forEach((resolve) => resolve());
+  };
+
+  test("should apply an update only once its asynchronous check passes", async () => {
+    const update = manager.updateSetting("profile_name", "work");
+    await settle();
+    expect(manager.settings.get("profile_name").value).toBe("default");
+
+    await update;
+    expect(manager.settings.get("profile_name").value).toBe("work");
+    expect(manager.pendingValidations.size).toBe(0);
+  });
+
+  test("should reject the batch when an asynchronous check fails", async () => {
+    const update = manager.updateSettings({
+      profile_name: "taken",
+      max_retries: 4,
+    });
+    await settle();
+
+    await expect(update).rejects.toMatchObject({
+      code: "invalid-settings",
+      violations: [
+        {
+          type: "value",
+          keys: ["profile_name"],
+          message: "Profile name is already in use",
+        },
+      ],
+    });
+    expect(manager.settings.get("max_retries").value).toBe(2);
+  });
+
+  test("should cancel the check of an update superseded by a newer one", async () => {
+    const stale = manager
+      .updateSetting("profile_name", "first")
+      .catch((error) => error);
+    const latest = manager.updateSetting("profile_name", "second");
+    await settle();
+
+    expect((await stale).code).toBe("validation-cancelled");
+    await latest;
+    expect(manager.settings.get("profile_name").value).toBe("second");
+  });
+
+  test("should skip asynchronous checks when other checks fail", async () => {
+    await expect(
+      manager.updateSetting("profile_name", 42),
+    ).rejects.toMatchObject({ code: "invalid-settings" });
+    expect(resolvers).toHaveLength(0);
+  });
+});
+
+describe("SettingsManager restore points", () => {
+  const { SettingsSnapshots } = require("../src/lib/settings-snapshots");
+  const SettingsHistory = require("../src/lib/settings-history");
+
+  let manager;
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    global.browserAPI = {
+      storage: {
+        local: {
+          get: jest.fn(async () => ({ ...stored })),
+          set: jest.fn(async (data) => Object.assign(stored, data)),
+          remove: jest.fn(),
+        },
+      },
+    };
+
+    manager = new SettingsManager();
+    manager.settings = new Map([
+      [
+        "feature_enabled",
+        { type: "boolean", value: true, description: "Enable main feature" },
+      ],
+      [
+        "refresh_interval",
+        { type: "number", value: 60, description: "Refresh", min: 1 },
+      ],
+    ]);
+    manager.snapshots = new SettingsSnapshots();
+    manager.history = new SettingsHistory();
+    manager.initialized = true;
+  });
+
+  afterEach(() => {
+    delete global.browserAPI;
+  });
+
+  test("createSnapshot should persist the current values", async () => {
+    const snapshot = await manager.createSnapshot("import");
+
+    expect(snapshot).toMatchObject({ reason: "import", keyCount: 2 });
+    expect(stored.__snapshots__.snapshots[0].values).toEqual({
+      feature_enabled: true,
+      refresh_interval: 60,
+    });
+  });
+
+  test("createDailySnapshot should skip unchanged values", async () => {
+    await manager.createSnapshot("manual");
+
+    await expect(manager.createDailySnapshot()).resolves.toBeNull();
+    manager.settings.get("refresh_interval").value = 30;
+    await expect(manager.createDailySnapshot()).resolves.toMatchObject({
+      reason: "daily",
+    });
+  });
+
+  test("restoreSnapshot should apply values in one write and keep the current ones", async () => {
+    const { id } = await manager.createSnapshot("manual");
+    manager.settings.get("refresh_interval").value = 30;
+    global.browserAPI.storage.local.set.mockClear();
+
+    const preview = await manager.previewSnapshot(id);
+    expect(preview.diff).toEqual({
+      refresh_interval: { oldValue: 30, newValue: 60 },
+    });
+
+    const result = await manager.restoreSnapshot(id);
+
+    expect(result).toMatchObject({
+      snapshotId: id,
+      changes: { refresh_interval: 60 },
+      skipped: [],
+    });
+    expect(global.browserAPI.storage.local.set).toHaveBeenCalledTimes(1);
+    expect(stored.refresh_interval.value).toBe(60);
+    expect(manager.snapshots.list()[0]).toMatchObject({ reason: "restore" });
+    expect(manager.history.peekUndo().source).toBe("restore");
+  });
+
+  test("restoreSnapshot should skip values the schema no longer accepts", async () => {
+    manager.snapshots.create({ refresh_interval: -1 }, "manual");
+    const [{ id }] = manager.snapshots.list();
+
+    const result = await manager.restoreSnapshot(id);
+
+    expect(result.skipped).toEqual(["refresh_interval"]);
+    expect(manager.settings.get("refresh_interval").value).toBe(60);
+  });
+});
+
+describe("SettingsManager import preview", () => {
+  let manager;
+  let stored;
+
+  const importData = (settings) => JSON.stringify({ version: "1.0", settings });
+
+  beforeEach(() => {
+    stored = {};
+    global.browserAPI = {
+      storage: {
+        local: {
+          get: jest.fn(async () => ({ ...stored })),
+          set: jest.fn(async (data) => Object.assign(stored, data)),
+          remove: jest.fn(),
+        },
+      },
+    };
+
+    manager = new SettingsManager();
+    manager.settings = new Map([
+      [
+        "feature_enabled",
+        { type: "boolean", value: true, description: "Enable main feature" },
+      ],
+      [
+        "refresh_interval",
+        { type: "number", value: 30, description: "Refresh", min: 1 },
+      ],
+      [
+        "api_key",
+        { type: "text", value: "", description: "API key", maxLength: 8 },
+      ],
+    ]);
+    manager.defaultsCache = {
+      feature_enabled: { type: "boolean", value: true },
+      refresh_interval: { type: "number", value: 60 },
+      api_key: { type: "text", value: "" },
+    };
+    manager.initialized = true;
+  });
+
+  afterEach(() => {
+    delete global.browserAPI;
+  });
+
+  test("dry run should classify every key without writing", async () => {
+    const report = await manager.importSettings(
+      importData({
+        feature_enabled: { type: "boolean", value: true },
+        refresh_interval: { type: "number", value: 90 },
+        api_key: { type: "text", value: "abc" },
+        unknown_key: { type: "text", value: "x" },
+      }),
+      { dryRun: true },
+    );
+
+    expect(report.entries).toEqual([
+      {
+        key: "feature_enabled",
+        status: "unchanged",
+        oldValue: true,
+        newValue: true,
+      },
+      {
+        key: "refresh_interval",
+        status: "changed",
+        oldValue: 30,
+        newValue: 90,
+      },
+      { key: "api_key", status: "added", oldValue: "", newValue: "abc" },
+      {
+        key: "unknown_key",
+        status: "skipped",
+        oldValue: undefined,
+        newValue: "x",
+        reason: "Unknown setting",
+      },
+    ]);
+    expect(report.summary).toEqual({
+      added: 1,
+      changed: 1,
+      unchanged: 1,
+      skipped: 1,
+    });
+    expect(report.applied).toEqual([]);
+    expect(browserAPI.storage.local.set).not.toHaveBeenCalled();
+    expect(manager.settings.get("refresh_interval").value).toBe(30);
+  });
+
+  test("should report validation failures as skipped with the reason", async () => {
+    const report = await manager.importSettings(
+      importData({
+        api_key: { type: "text", value: "far too long" },
+        refresh_interval: { type: "number" },
+        feature_enabled: { type: "boolean", value: false },
+      }),
+      { dryRun: true },
+    );
+
+    expect(report.entries[0]).toMatchObject({
+      key: "api_key",
+      status: "skipped",
+      reason: expect.stringContaining("8"),
+    });
+    expect(report.entries[1]).toMatchObject({
+      key: "refresh_interval",
+      status: "skipped",
+      reason: "Missing type or value",
+    });
+  });
+
+  test("only-missing should keep customized settings", async () => {
+    const report = await manager.importSettings(
+      importData({
+        refresh_interval: { type: "number", value: 90 },
+        api_key: { type: "text", value: "abc" },
+      }),
+      { strategy: "only-missing" },
+    );
+
+    expect(report.applied).toEqual(["api_key"]);
+    expect(report.entries[0]).toMatchObject({
+      key: "refresh_interval",
+      status: "skipped",
+      reason: "Already customized",
+    });
+    expect(manager.settings.get("refresh_interval").value).toBe(30);
+    expect(stored.api_key.value).toBe("abc");
+  });
+
+  test("only-changed-from-default should ignore imported defaults", async () => {
+    const report = await manager.importSettings(
+      importData({
+        refresh_interval: { type: "number", value: 60 },
+        api_key: { type: "text", value: "abc" },
+      }),
+      { strategy: "only-changed-from-default" },
+    );
+
+    expect(report.applied).toEqual(["api_key"]);
+    expect(report.entries[0]).toMatchObject({
+      status: "skipped",
+      reason: "Imported value is the default",
+    });
+    expect(manager.settings.get("refresh_interval").value).toBe(30);
+  });
+
+  test("should apply only the selected keys", async () => {
+    const listener = jest.fn();
+    manager.addListener(listener);
+
+    const report = await manager.importSettings(
+      importData({
+        refresh_interval: { type: "number", value: 90 },
+        api_key: { type: "text", value: "abc" },
+      }),
+      { keys: ["refresh_interval"] },
+    );
+
+    expect(report.applied).toEqual(["refresh_interval"]);
+    expect(report.entries[1]).toMatchObject({
+      key: "api_key",
+      status: "skipped",
+      reason: "Not selected",
+    });
+    expect(Object.keys(stored)).toEqual(["refresh_interval"]);
+    expect(listener).toHaveBeenCalledWith(
+      "imported",
+      expect.objectContaining({ importedKeys: ["refresh_interval"] }),
+    );
+  });
+
+  test("should reject unknown strategies and imports without valid settings", async () => {
+    await expect(
+      manager.importSettings(importData({}), { strategy: "merge" }),
+    ).rejects.toThrow("Unknown import strategy 'merge'");
+    await expect(
+      manager.importSettings(
+        importData({ unknown_key: { type: "text", value: "x" } }),
+      ),
+    ).rejects.toThrow("No valid settings found in import data");
+  });
+});
+
+describe("SettingsManager export filters", () => {
+  let manager;
+
+  const exportJSON = async (options) =>
+    JSON.parse(await manager.exportSettings(options));
+
+  beforeEach(() => {
+    manager = new SettingsManager();
+    manager.settings = new Map([
+      [
+        "feature_enabled",
+        {
+          type: "boolean",
+          value: false,
+          description: "Enable main feature",
+          category: "general",
+        },
+      ],
+      [
+        "api_key",
+        {
+          type: "text",
+          value: "secret",
+          description: "API key",
+          category: "general",
+          sensitive: true,
+        },
+      ],
+      [
+        "custom_css",
+        {
+          type: "longtext",
+          value: "",
+          description: "Custom CSS",
+          category: "appearance",
+        },
+      ],
+    ]);
+    manager.defaultsCache = {
+      feature_enabled: { type: "boolean", value: true },
+      api_key: { type: "text", value: "" },
+      custom_css: { type: "longtext", value: "" },
+    };
+    manager.initialized = true;
+  });
+
+  test("should leave out sensitive settings by default", async () => {
+    const data = await exportJSON();
+
+    expect(data.format).toBe("full");
+    expect(Object.keys(data.settings)).toEqual([
+      "feature_enabled",
+      "custom_css",
+    ]);
+    expect(data.settings.custom_css.description).toBe("Custom CSS");
+    expect(data.masked).toBeUndefined();
+  });
+
+  test("should mask or include sensitive values on request", async () => {
+    const masked = await exportJSON({ sensitive: "mask" });
+    expect(masked.settings.api_key.value).toBe(manager.MASKED_VALUE);
+    expect(masked.masked).toEqual(["api_key"]);
+
+    const included = await exportJSON({ sensitive: "include" });
+    expect(included.settings.api_key.value).toBe("secret");
+  });
+
+  test("should filter by categories, keys and modified values", async () => {
+    expect(
+      Object.keys((await exportJSON({ categories: ["appearance"] })).settings),
+    ).toEqual(["custom_css"]);
+    expect(
+      Object.keys(
+        (
+          await exportJSON({
+            categories: ["appearance"],
+            keys: ["feature_enabled"],
+          })
+        ).settings,
+      ),
+    ).toEqual(["feature_enabled", "custom_css"]);
+    expect(
+      Object.keys((await exportJSON({ onlyModified: true })).settings),
+    ).toEqual(["feature_enabled"]);
+  });
+
+  test("values-only exports should import back", async () => {
+    const exported = await manager.exportSettings({
+      format: "values",
+      sensitive: "mask",
+    });
+    expect(JSON.parse(exported).settings).toEqual({
+      feature_enabled: false,
+      api_key: manager.MASKED_VALUE,
+      custom_css: "",
+    });
+
+    manager.settings.get("feature_enabled").value = true;
+    const report = await manager.importSettings(exported, { dryRun: true });
+
+    expect(report.entries).toEqual([
+      {
+        key: "feature_enabled",
+        status: "added",
+        oldValue: true,
+        newValue: false,
+      },
+      {
+        key: "api_key",
+        status: "skipped",
+        oldValue: "secret",
+        newValue: undefined,
+        reason: "Value was masked on export",
+      },
+      { key: "custom_css", status: "unchanged", oldValue: "", newValue: "" },
+    ]);
+  });
+
+  test("should reject unknown formats", async () => {
+    await expect(manager.exportSettings({ format: "csv" })).rejects.toThrow(
+      "Unknown export format 'csv'",
+    );
+  });
+});
+
+describe("SettingsManager encrypted export", () => {
+  const { webcrypto } = require("crypto");
+  const { TextEncoder, TextDecoder } = require("util");
+  const { SettingsCrypto } = require("../src/lib/settings-crypto");
+
+  let manager;
+
+  beforeEach(() => {
+    global.TextEncoder = TextEncoder;
+    global.TextDecoder = TextDecoder;
+    global.SettingsCrypto = SettingsCrypto;
+
+    manager = new SettingsManager();
+    manager.settings = new Map([
+      [
+        "api_key",
+        {
+          type: "text",
+          value: "secret",
+          description: "API key",
+          sensitive: true,
+        },
+      ],
+    ]);
+    manager.defaultsCache = { api_key: { type: "text", value: "" } };
+    manager.crypto = new SettingsCrypto(webcrypto);
+    manager.crypto.PBKDF2_ITERATIONS = 1000;
+    manager.initialized = true;
+  });
+
+  afterEach(() => {
+    delete global.SettingsCrypto;
+  });
+
+  test("should encrypt exports and include sensitive values", async () => {
+    const exported = await manager.exportSettings({ passphrase: "pass" });
+
+    expect(exported).not.toContain("secret");
+    manager.settings.get("api_key").value = "";
+
+    const report = await manager.importSettings(exported, {
+      passphrase: "pass",
+      dryRun: true,
+    });
+    expect(report.entries).toEqual([
+      { key: "api_key", status: "added", oldValue: "", newValue: "secret" },
+    ]);
+  });
+
+  test("should tell missing, wrong and damaged passphrases apart", async () => {
+    const exported = await manager.exportSettings({ passphrase: "pass" });
+
+    await expect(manager.importSettings(exported)).rejects.toMatchObject({
+      code: "passphrase-required",
+    });
+    await expect(
+      manager.importSettings(exported, { passphrase: "nope" }),
+    ).rejects.toMatchObject({ code: "wrong-passphrase" });
+
+    const bundle = JSON.parse(exported);
+    bundle.cipher.iv = "not base64!";
+    await expect(
+      manager.importSettings(JSON.stringify(bundle), { passphrase: "pass" }),
+    ).rejects.toMatchObject({ code: "corrupted" });
+  });
+});
+
+describe("SettingsManager secret settings", () => {
+  const { webcrypto } = require("crypto");
+  const { TextEncoder, TextDecoder } = require("util");
+  const { SettingsCrypto } = require("../src/lib/settings-crypto");
+  const SettingsHistory = require("../src/lib/settings-history");
+
+  const defaults = {
+    api_key: {
+      type: "secret",
+      value: "",
+      description: "API key",
+      category: "general",
+    },
+    theme: {
+      type: "text",
+      value: "light",
+      description: "Theme",
+      category: "appearance",
+    },
+  };
+
+  let manager;
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    global.TextEncoder = TextEncoder;
+    global.TextDecoder = TextDecoder;
+    global.SettingsCrypto = SettingsCrypto;
+    global.browserAPI = {
+      storage: {
+        local: {
+          get: jest.fn(async (keys) =>
+            keys
+              ? Object.fromEntries(
+                  keys
+                    .filter((key) => key in stored)
+                    .map((k) => [k, stored[k]]),
+                )
+              : { ...stored },
+          ),
+          set: jest.fn(async (data) => Object.assign(stored, data)),
+          remove: jest.fn(),
+        },
+      },
+    };
+
+    manager = new SettingsManager();
+    manager.defaultsCache = defaults;
+    manager.settings = new Map(
+      Object.entries(defaults).map(([key, setting]) => [key, { ...setting }]),
+    );
+    manager.crypto = new SettingsCrypto(webcrypto);
+    manager.crypto.PBKDF2_ITERATIONS = 1000;
+    manager.initialized = true;
+  });
+
+  afterEach(() => {
+    delete global.SettingsCrypto;
+    delete global.browserAPI;
+  });
+
+  test("should store secret values encrypted and read them back", async () => {
+    await manager.updateSetting("api_key", "sk-123");
+    await manager.forceSave();
+
+    expect(JSON.stringify(stored)).not.toContain("sk-123");
+    expect(manager.crypto.isSealedValue(stored.api_key.value)).toBe(true);
+    expect(stored[manager.SECRET_KEY_STORAGE_KEY]).toEqual(expect.any(String));
+
+    manager.secretKey = null;
+    const { stored: opened, unsealed } = await manager.openStoredSecrets(
+      stored,
+      defaults,
+    );
+    expect(opened.api_key.value).toBe("sk-123");
+    expect(unsealed).toEqual([]);
+  });
+
+  test("should report plaintext secrets and drop undecryptable ones", async () => {
+    const { unsealed } = await manager.openStoredSecrets(
+      { api_key: { ...defaults.api_key, value: "legacy" } },
+      defaults,
+    );
+    expect(unsealed).toEqual(["api_key"]);
+
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const { stored: opened } = await manager.openStoredSecrets(
+      {
+        api_key: {
+          ...defaults.api_key,
+          value: { $sealed: 1, iv: "", data: "" },
+        },
+      },
+      defaults,
+    );
+    expect(opened.api_key).toBeUndefined();
+    warn.mockRestore();
+  });
+
+  test("should keep secrets out of the content script view and history", async () => {
+    manager.history = new SettingsHistory();
+    await manager.updateSetting("api_key", "sk-123");
+    await manager.updateSetting("theme", "dark");
+
+    expect(await manager.getEffectiveSettings()).not.toHaveProperty("api_key");
+    await expect(
+      manager.getEffectiveSetting("api_key", "https://example.com"),
+    ).rejects.toThrow("not available to content scripts");
+    expect(JSON.stringify(manager.history.toJSON())).not.toContain("sk-123");
+  });
+
+  test("should leave secrets out of plain exports", async () => {
+    manager.settings.get("api_key").value = "sk-123";
+
+    const plain = JSON.parse(
+      await manager.exportSettings({ sensitive: "include" }),
+    );
+    expect(plain.settings).not.toHaveProperty("api_key");
+
+    const encrypted = await manager.exportSettings({ passphrase: "pass" });
+    const report = await manager.importSettings(encrypted, {
+      passphrase: "pass",
+      dryRun: true,
+    });
+    expect(report.entries).toContainEqual({
+      key: "api_key",
+      status: "unchanged",
+      oldValue: manager.MASKED_VALUE,
+      newValue: manager.MASKED_VALUE,
+    });
+
+    const withoutSecrets = await manager.exportSettings({
+      passphrase: "pass",
+      includeSecrets: false,
+    });
+    const decrypted = await manager.crypto.decrypt(
+      JSON.parse(withoutSecrets),
+      "pass",
+    );
+    expect(JSON.parse(decrypted).settings).not.toHaveProperty("api_key");
+  });
 });
@@ -0,0 +1,135 @@
+// test/settings-migrations.test.js
+// Unit tests for versioned settings migrations
+
+const {
+  SettingsMigrator,
+  SettingsMigrationError,
+} = require("../src/lib/settings-migrations");
+
+describe("SettingsMigrator", () => {
+  const migrations = {
+    2: (values) => {
+      if (typeof values.refresh_interval === "string") {
+        values.refresh_interval = parseInt(values.refresh_interval, 10);
+      }
+      return values;
+    },
+    3: (values) => {
+      values.endpoint = values.advanced_config.endpoint;
+      delete values.advanced_config;
+      return values;
+    },
+  };
+
+  const stored = {
+    __schema_version__: 1,
+    refresh_interval: { type: "enum", value: "300" },
+    advanced_config: {
+      type: "json",
+      value: { endpoint: "https://api.example.com" },
+    },
+    contentScriptRegistry: { 12: { timestamp: 1 } },
+  };
+
+  let migrator;
+
+  beforeEach(() => {
+    migrator = new SettingsMigrator(migrations);
+  });
+
+  describe("getStoredVersion", () => {
+    test("should return the recorded version", () => {
+      expect(migrator.getStoredVersion(stored)).toBe(1);
+    });
+
+    test("should return null when no version is recorded", () => {
+      expect(migrator.getStoredVersion({})).toBeNull();
+      expect(migrator.getStoredVersion(undefined)).toBeNull();
+    });
+  });
+
+  describe("extractValues", () => {
+    test("should only extract setting-shaped entries", () => {
+      expect(migrator.extractValues(stored)).toEqual({
+        refresh_interval: "300",
+        advanced_config: { endpoint: "https://api.example.com" },
+      });
+    });
+  });
+
+  describe("migrate", () => {
+    test("should apply steps in order up to the target version", () => {
+      const result = migrator.migrate(migrator.extractValues(stored), 1, 3);
+
+      expect(result.applied).toEqual([2, 3]);
+      expect(result.values).toEqual({
+        refresh_interval: 300,
+        endpoint: "https://api.example.com",
+      });
+    });
+
+    test("should skip steps at or below the stored version", () => {
+      const result = migrator.migrate({ refresh_interval: "60" }, 2, 2);
+
+      expect(result.applied).toEqual([]);
+      expect(result.values).toEqual({ refresh_interval: "60" });
+    });
+
+    test("should not mutate the input values", () => {
+      const values = migrator.extractValues(stored);
+      const snapshot = JSON.parse(JSON.stringify(values));
+
+      migrator.migrate(values, 1, 3);
+
+      expect(values).toEqual(snapshot);
+    });
+
+    test("should wrap step failures with the failing version", () => {
+      const failing = new SettingsMigrator({
+        2: () => {
+          throw new Error("boom");
+        },
+      });
+
+      expect(() => failing.migrate({}, 1, 2)).toThrow(SettingsMigrationError);
+      try {
+        failing.migrate({}, 1, 2);
+      } catch (error) {
+        expect(error.version).toBe(2);
+        expect(error.message).toBe(
+          "Migration to schema version 2 failed: boom",
+        );
+      }
+    });
+
+    test("should reject steps that do not return an object", () => {
+      const broken = new SettingsMigrator({ 2: () => undefined });
+
+      expect(() => broken.migrate({}, 1, 2)).toThrow(
+        "Migration to schema version 2 must return a values object",
+      );
+    });
+  });
+
+  describe("buildStorageUpdate", () => {
+    test("should set migrated values with version and remove dropped keys", () => {
+      const { values } = migrator.migrate(migrator.extractValues(stored), 1, 3);
+      const defaults = {
+        endpoint: { type: "text", value: "", description: "Endpoint" },
+      };
+
+      const update = migrator.buildStorageUpdate(stored, values, defaults, 3);
+
+      expect(update.set).toEqual({
+        __schema_version__: 3,
+        refresh_interval: { type: "enum", value: 300 },
+        endpoint: {
+          type: "text",
+          value: "https://api.example.com",
+          description: "Endpoint",
+        },
+      });
+      expect(update.remove).toEqual(["advanced_config"]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// test/settings-profiles.test.js
+// Unit tests for the named profile registry
+
+const {
+  SettingsProfiles,
+  SettingsProfileError,
+} = require("../src/lib/settings-profiles");
+
+describe("SettingsProfiles", () => {
+  let profiles;
+
+  beforeEach(() => {
+    profiles = new SettingsProfiles();
+  });
+
+  describe("normalizeState", () => {
+    test("should start with an active default profile", () => {
+      expect(profiles.getActiveProfileId()).toBe("default");
+      expect(profiles.list()).toEqual([
+        expect.objectContaining({
+          id: "default",
+          name: "Default",
+          active: true,
+          overrideCount: 0,
+        }),
+      ]);
+    });
+
+    test("should restore stored profiles and drop malformed entries", () => {
+      profiles.load({
+        activeProfileId: "demo",
+        profiles: {
+          demo: { name: "Demo", values: { feature_enabled: false } },
+          broken: { values: {} },
+        },
+      });
+
+      expect(profiles.getActiveProfileId()).toBe("demo");
+      expect(profiles.list().map(({ id }) => id)).toEqual(["demo"]);
+    });
+
+    test("should fall back to an existing profile when the active id is unknown", () => {
+      profiles.load({
+        activeProfileId: "missing",
+        profiles: { work: { name: "Work", values: {} } },
+      });
+
+      expect(profiles.getActiveProfileId()).toBe("work");
+    });
+  });
+
+  describe("create, rename and delete", () => {
+    test("should derive unique ids from names", () => {
+      expect(profiles.create("Work Mode").id).toBe("work-mode");
+      expect(profiles.create("Work  mode!").id).toBe("work-mode-2");
+      expect(profiles.create("***").id).toBe("profile");
+    });
+
+    test("should reject empty, long and duplicate names", () => {
+      expect(() => profiles.create("   ")).toThrow("Profile name is required");
+      expect(() => profiles.create("x".repeat(41))).toThrow(
+        "Profile name must be at most 40 characters",
+      );
+      expect(() => profiles.create("default")).toThrow(
+        "A profile named 'default' already exists",
+      );
+    });
+
+    test("should allow renaming a profile to a different case of its own name", () => {
+      profiles.create("Demo");
+
+      expect(profiles.rename("demo", "DEMO").name).toBe("DEMO");
+      expect(() => profiles.rename("demo", "Default")).toThrow(
+        SettingsProfileError,
+      );
+    });
+
+    test("should not delete the active profile", () => {
+      profiles.create("Debug");
+
+      expect(() => profiles.delete("default")).toThrow(
+        "Cannot delete the active profile",
+      );
+      profiles.delete("debug");
+      expect(() => profiles.getProfile("debug")).toThrow(
+        "Profile 'debug' not found",
+      );
+    });
+  });
+
+  describe("value overlays", () => {
+    const defaults = {
+      feature_enabled: true,
+      refresh_interval: 60,
+      advanced_config: { timeout: 5000 },
+    };
+
+    test("should keep only values that differ from defaults", () => {
+      const overlay = profiles.computeOverlay(
+        {
+          feature_enabled: true,
+          refresh_interval: 300,
+          advanced_config: { timeout: 1000 },
+          unknown_key: "ignored",
+        },
+        defaults,
+      );
+
+      expect(overlay).toEqual({
+        refresh_interval: 300,
+        advanced_config: { timeout: 1000 },
+      });
+    });
+
+    test("should diff changed keys only", () => {
+      expect(
+        profiles.diffValues(defaults, {
+          ...defaults,
+          feature_enabled: false,
+        }),
+      ).toEqual({
+        feature_enabled: { oldValue: true, newValue: false },
+      });
+    });
+
+    test("should store copies of overlay values", () => {
+      const values = { advanced_config: { timeout: 1 } };
+      const profile = profiles.create("Copy", values);
+      values.advanced_config.timeout = 2;
+
+      expect(profile.values.advanced_config.timeout).toBe(1);
+      expect(profiles.getProfile("copy").values.advanced_config.timeout).toBe(
+        1,
+      );
+    });
+  });
+});
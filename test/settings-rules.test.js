@@ -0,0 +1,206 @@
+// test/settings-rules.test.js
+// Unit tests for cross-field validation rules
+
+const ConfigurationLoader = require("../src/lib/config-loader");
+const SettingsRules = require("../src/lib/settings-rules");
+
+describe("SettingsRules", () => {
+  const definitions = {
+    feature_enabled: {
+      type: "boolean",
+      value: true,
+      description: "Main feature",
+    },
+    api_key: {
+      type: "secret",
+      value: "",
+      description: "API key",
+      dependsOn: "feature_enabled",
+      validation: "required",
+    },
+    proxy_url: { type: "url", value: "", description: "Proxy URL" },
+    max_retries: { type: "number", value: 2, description: "Max retries" },
+    advanced_config: {
+      type: "json",
+      value: { retries: 3 },
+      description: "Advanced configuration",
+    },
+    use_system_proxy: {
+      type: "boolean",
+      value: false,
+      description: "Use system proxy",
+    },
+  };
+
+  const values = (overrides = {}) => ({
+    ...Object.fromEntries(
+      Object.entries(definitions).map(([key, setting]) => [key, setting.value]),
+    ),
+    ...overrides,
+  });
+
+  let conditions;
+
+  beforeEach(() => {
+    conditions = new ConfigurationLoader();
+  });
+
+  test("should require settings marked required only while enabled", () => {
+    const rules = new SettingsRules([], definitions, conditions);
+
+    expect(rules.check(values(), ["api_key"])).toEqual([
+      { type: "required", keys: ["api_key"], message: "API key is required" },
+    ]);
+    expect(
+      rules.check(values({ feature_enabled: false }), ["feature_enabled"]),
+    ).toEqual([]);
+    expect(rules.check(values({ api_key: "  " }), ["api_key"])).toHaveLength(1);
+    expect(rules.check(values({ api_key: "k" }), ["api_key"])).toEqual([]);
+  });
+
+  test("should only check rules touching the changed keys", () => {
+    const rules = new SettingsRules([], definitions, conditions);
+
+    expect(rules.check(values(), ["max_retries"])).toEqual([]);
+    expect(rules.check(values())).toHaveLength(1);
+  });
+
+  test("should not let a required setting block the toggle enabling it", () => {
+    const rules = new SettingsRules([], definitions, conditions);
+
+    // Off, then on again while the API key is still empty
+    expect(
+      rules.check(values({ feature_enabled: false }), ["feature_enabled"]),
+    ).toEqual([]);
+    expect(rules.check(values(), ["feature_enabled"])).toEqual([]);
+    // Editing the key itself is still checked once the feature is on
+    expect(rules.check(values(), ["feature_enabled", "api_key"])).toHaveLength(
+      1,
+    );
+  });
+
+  test("should evaluate required-if with a custom message", () => {
+    const rules = new SettingsRules(
+      [
+        {
+          type: "required-if",
+          setting: "proxy_url",
+          when: { setting: "use_system_proxy", equals: false },
+          message: "Enter a proxy or use the system proxy",
+        },
+      ],
+      definitions,
+      conditions,
+    );
+
+    expect(rules.check(values(), ["use_system_proxy"])).toEqual([
+      {
+        type: "required-if",
+        keys: ["proxy_url"],
+        message: "Enter a proxy or use the system proxy",
+      },
+    ]);
+    expect(
+      rules.check(values({ use_system_proxy: true }), ["use_system_proxy"]),
+    ).toEqual([]);
+  });
+
+  test("should compare against values inside json settings", () => {
+    const rules = new SettingsRules(
+      [
+        {
+          type: "less-than",
+          setting: "max_retries",
+          than: "advanced_config.retries",
+          orEqual: true,
+        },
+      ],
+      definitions,
+      conditions,
+    );
+
+    expect(rules.check(values({ max_retries: 3 }), ["max_retries"])).toEqual(
+      [],
+    );
+    expect(rules.check(values({ max_retries: 4 }), ["max_retries"])).toEqual([
+      {
+        type: "less-than",
+        keys: ["max_retries", "advanced_config"],
+        message: "Max retries must be at most 3 (advanced_config.retries)",
+      },
+    ]);
+    expect(
+      rules.check(values({ advanced_config: { retries: 1 } }), [
+        "advanced_config",
+      ]),
+    ).toHaveLength(1);
+    expect(
+      rules.check(values({ advanced_config: {} }), ["advanced_config"]),
+    ).toEqual([]);
+  });
+
+  test("should report only the settings that clash as mutually exclusive", () => {
+    const rules = new SettingsRules(
+      [
+        {
+          type: "mutually-exclusive",
+          settings: ["proxy_url", "use_system_proxy"],
+        },
+      ],
+      definitions,
+      conditions,
+    );
+
+    expect(
+      rules.check(values({ proxy_url: "https://proxy.example.com" }), [
+        "proxy_url",
+      ]),
+    ).toEqual([]);
+    expect(
+      rules.check(
+        values({
+          proxy_url: "https://proxy.example.com",
+          use_system_proxy: true,
+        }),
+        ["use_system_proxy"],
+      ),
+    ).toEqual([
+      {
+        type: "mutually-exclusive",
+        keys: ["proxy_url", "use_system_proxy"],
+        message: "Only one of Proxy URL, Use system proxy can be set",
+      },
+    ]);
+  });
+
+  test("should assert expressions written in the condition language", () => {
+    const rules = new SettingsRules(
+      [
+        {
+          type: "expression",
+          assert: {
+            any: [{ setting: "feature_enabled" }, { not: "use_system_proxy" }],
+          },
+          message: "The system proxy needs the main feature",
+        },
+      ],
+      definitions,
+      conditions,
+    );
+
+    expect(
+      rules.check(values({ feature_enabled: false, use_system_proxy: true }), [
+        "use_system_proxy",
+      ]),
+    ).toEqual([
+      {
+        type: "expression",
+        keys: ["feature_enabled", "use_system_proxy"],
+        message: "The system proxy needs the main feature",
+      },
+    ]);
+    expect(rules.check(values({ use_system_proxy: true }))).toEqual([
+      expect.objectContaining({ type: "required" }),
+    ]);
+  });
+});
@@ -0,0 +1,138 @@
+// test/settings-search.test.js
+// Unit tests for searching settings
+
+const SettingsSearch = require("../src/lib/settings-search");
+
+describe("SettingsSearch", () => {
+  const settings = [
+    [
+      "feature_enabled",
+      {
+        type: "boolean",
+        displayName: "Enable Feature",
+        description: "Turn the main feature on",
+        helpText: "Toggle the main functionality",
+        value: true,
+      },
+    ],
+    [
+      "theme",
+      {
+        type: "enum",
+        displayName: "Theme",
+        description: "Colors of the interface",
+        options: { light: "Light", dark: "Dark (high contrast)" },
+        value: "light",
+      },
+    ],
+    [
+      "api_key",
+      {
+        type: "secret",
+        displayName: "API Key",
+        description: "Key for the external service",
+        value: "dark-secret",
+      },
+    ],
+    [
+      "advanced_config",
+      {
+        type: "json",
+        displayName: "Advanced Configuration",
+        description: "Options in JSON format",
+        value: { endpoint: "https://example.com", timeout: 5000 },
+      },
+    ],
+  ];
+
+  const keys = (results) => results.map(({ key }) => key);
+
+  test("should match every word against any searchable field", () => {
+    expect(keys(SettingsSearch.search(settings, "theme"))).toEqual(["theme"]);
+    expect(keys(SettingsSearch.search(settings, "main toggle"))).toEqual([
+      "feature_enabled",
+    ]);
+    expect(keys(SettingsSearch.search(settings, "_config json"))).toEqual([
+      "advanced_config",
+    ]);
+    expect(SettingsSearch.search(settings, "theme json")).toEqual([]);
+    expect(SettingsSearch.search(settings, "   ")).toEqual([]);
+  });
+
+  test("should search option labels and current values, except secrets", () => {
+    expect(keys(SettingsSearch.search(settings, "contrast"))).toEqual([
+      "theme",
+    ]);
+    expect(keys(SettingsSearch.search(settings, "example.com"))).toEqual([
+      "advanced_config",
+    ]);
+    expect(keys(SettingsSearch.search(settings, "5000"))).toEqual([
+      "advanced_config",
+    ]);
+    expect(keys(SettingsSearch.search(settings, "dark"))).toEqual(["theme"]);
+    expect(SettingsSearch.search(settings, "true")).toEqual([]);
+  });
+
+  test("should rank matches by the field they were found in", () => {
+    const results = SettingsSearch.search(settings, "the");
+
+    expect(keys(results)).toEqual(["theme", "feature_enabled", "api_key"]);
+    expect(results[0].fields.map(({ field }) => field)).toEqual([
+      "displayName",
+      "key",
+      "description",
+    ]);
+    expect(results[2].fields).toEqual([
+      { field: "description", text: "Key for the external service" },
+    ]);
+  });
+
+  test("should ignore case and accents", () => {
+    const accented = [
+      ["language", { displayName: "Langue préférée", value: "Français" }],
+    ];
+
+    expect(keys(SettingsSearch.search(accented, "PREFEREE"))).toEqual([
+      "language",
+    ]);
+    expect(keys(SettingsSearch.search(accented, "francais"))).toEqual([
+      "language",
+    ]);
+    expect(SettingsSearch.normalize("Éàü")).toBe("eau");
+  });
+
+  test("should split text into highlighted parts", () => {
+    expect(SettingsSearch.highlight("Enable Feature", "feat")).toEqual([
+      { text: "Enable ", match: false },
+      { text: "Feat", match: true },
+      { text: "ure", match: false },
+    ]);
+    expect(SettingsSearch.highlight("Café au lait", "cafe LAIT")).toEqual([
+      { text: "Café", match: true },
+      { text: " au ", match: false },
+      { text: "lait", match: true },
+    ]);
+    expect(SettingsSearch.highlight("aaa", "aa")).toEqual([
+      { text: "aaa", match: true },
+    ]);
+    expect(SettingsSearch.highlight("Theme", "")).toEqual([
+      { text: "Theme", match: false },
+    ]);
+    expect(SettingsSearch.highlight("", "x")).toEqual([]);
+  });
+
+  test("should shorten long text around the first match", () => {
+    const text = `${"a".repeat(100)} needle ${"b".repeat(100)}`;
+
+    const excerpt = SettingsSearch.excerpt(text, "needle", 40);
+    expect(excerpt).toContain("needle");
+    expect(excerpt.startsWith("…")).toBe(true);
+    expect(excerpt.endsWith("…")).toBe(true);
+    expect(excerpt).toHaveLength(42);
+
+    expect(SettingsSearch.excerpt(text, "missing", 40)).toBe(
+      `${"a".repeat(40)}…`,
+    );
+    expect(SettingsSearch.excerpt("short\n text", "text")).toBe("short text");
+  });
+});
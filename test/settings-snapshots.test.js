@@ -0,0 +1,119 @@
+// test/settings-snapshots.test.js
+// Unit tests for the restore point registry
+
+const {
+  SettingsSnapshots,
+  SettingsSnapshotError,
+} = require("../src/lib/settings-snapshots");
+
+describe("SettingsSnapshots", () => {
+  let snapshots;
+  let now;
+
+  beforeEach(() => {
+    now = 1000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+    snapshots = new SettingsSnapshots();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should create snapshots with unique ids and list newest first", () => {
+    const first = snapshots.create({ feature_enabled: true }, "import", {
+      profileId: "default",
+    });
+    const second = snapshots.create({ feature_enabled: false }, "reset");
+
+    expect(first).toEqual({
+      id: "snapshot-1000",
+      reason: "import",
+      createdAt: 1000,
+      profileId: "default",
+      size: 24,
+      keyCount: 1,
+    });
+    expect(second.id).toBe("snapshot-1000-2");
+    expect(snapshots.list().map(({ reason }) => reason)).toEqual([
+      "reset",
+      "import",
+    ]);
+  });
+
+  test("should store copies of the values", () => {
+    const values = { advanced_config: { retries: 1 } };
+    const { id } = snapshots.create(values, "manual");
+    values.advanced_config.retries = 5;
+
+    expect(snapshots.get(id).values.advanced_config.retries).toBe(1);
+  });
+
+  test("should keep only the newest MAX_SNAPSHOTS", () => {
+    for (let i = 0; i < snapshots.MAX_SNAPSHOTS + 3; i++) {
+      now = i;
+      snapshots.create({ refresh_interval: i }, "manual");
+    }
+
+    const list = snapshots.list();
+    expect(list).toHaveLength(snapshots.MAX_SNAPSHOTS);
+    expect(list[list.length - 1].id).toBe("snapshot-3");
+  });
+
+  test("should drop the oldest snapshots beyond the size budget", () => {
+    snapshots.MAX_TOTAL_BYTES = 130;
+    snapshots.create({ custom_css: "a".repeat(40) }, "manual");
+    now = 2000;
+    snapshots.create({ custom_css: "b".repeat(40) }, "manual");
+    now = 3000;
+    snapshots.create({ custom_css: "c".repeat(40) }, "manual");
+
+    expect(snapshots.list().map(({ id }) => id)).toEqual([
+      "snapshot-3000",
+      "snapshot-2000",
+    ]);
+    expect(() =>
+      snapshots.create({ custom_css: "d".repeat(200) }, "manual"),
+    ).toThrow(SettingsSnapshotError);
+  });
+
+  test("should diff current values against a snapshot", () => {
+    const { id } = snapshots.create(
+      { feature_enabled: true, refresh_interval: 60, removed_key: 1 },
+      "manual",
+    );
+
+    expect(
+      snapshots.diff(id, { feature_enabled: false, refresh_interval: 60 }),
+    ).toEqual({
+      feature_enabled: { oldValue: false, newValue: true },
+    });
+    expect(() => snapshots.diff("missing", {})).toThrow(
+      "Restore point 'missing' not found",
+    );
+  });
+
+  test("should take a daily snapshot once a day and only when values changed", () => {
+    expect(snapshots.isDailySnapshotDue({ a: 1 })).toBe(true);
+    snapshots.create({ a: 1 }, "daily");
+
+    now += snapshots.DAILY_INTERVAL - 1;
+    expect(snapshots.isDailySnapshotDue({ a: 2 })).toBe(false);
+
+    now += 1;
+    expect(snapshots.isDailySnapshotDue({ a: 1 })).toBe(false);
+    expect(snapshots.isDailySnapshotDue({ a: 2 })).toBe(true);
+  });
+
+  test("load should drop malformed snapshots", () => {
+    snapshots.load({
+      snapshots: [
+        { id: "snapshot-1", createdAt: 1, reason: "manual", values: {} },
+        { id: 2, createdAt: 1, values: {} },
+        { id: "snapshot-3", values: {} },
+      ],
+    });
+
+    expect(snapshots.list().map(({ id }) => id)).toEqual(["snapshot-1"]);
+  });
+});
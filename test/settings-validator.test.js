@@ -0,0 +1,441 @@
+// test/settings-validator.test.js
+// Unit tests for the shared settings validator
+
+const SettingsValidator = require("../src/lib/settings-validator");
+
+describe("SettingsValidator", () => {
+  afterEach(() => {
+    SettingsValidator.unregister("no-spaces");
+    SettingsValidator.unregister("broken");
+  });
+
+  test("should return structured errors labelled for the context", () => {
+    const setting = { type: "number", description: "Refresh", min: 1 };
+
+    expect(SettingsValidator.validate(setting, 5)).toEqual([]);
+    expect(
+      SettingsValidator.validate(setting, 0, {
+        key: "refresh_interval",
+        label: "Refresh",
+      }),
+    ).toEqual([
+      {
+        code: "min",
+        path: "refresh_interval",
+        message: "Refresh must be at least 1",
+        params: { min: 1 },
+      },
+    ]);
+    expect(SettingsValidator.validate(setting, "5")[0]).toMatchObject({
+      code: "type",
+      message: "Must be a valid number",
+      params: { expected: "number", actual: "string" },
+    });
+    expect(SettingsValidator.validate(setting, Infinity)[0].code).toBe("type");
+  });
+
+  test("should accept enum options with empty labels", () => {
+    const setting = { type: "enum", options: { none: "", some: "Some" } };
+
+    expect(SettingsValidator.validate(setting, "none")).toEqual([]);
+    expect(SettingsValidator.validate(setting, "other")).toEqual([
+      {
+        code: "enum",
+        path: "value",
+        message: "Must be one of: none, some",
+        params: { options: ["none", "some"] },
+      },
+    ]);
+  });
+
+  test("should report every JSON Schema violation with its path", () => {
+    const setting = {
+      type: "json",
+      schema: {
+        type: "object",
+        properties: { retries: { type: "integer", maximum: 10 } },
+        required: ["endpoint"],
+      },
+    };
+
+    const errors = SettingsValidator.validate(
+      setting,
+      { retries: 11 },
+      { key: "advanced_config", label: "Advanced" },
+    );
+    expect(errors.map(({ code, path }) => ({ code, path }))).toEqual([
+      { code: "schema", path: "advanced_config.endpoint" },
+      { code: "schema", path: "advanced_config.retries" },
+    ]);
+    expect(errors[1].message).toBe(
+      "advanced_config.retries must be at most 10",
+    );
+  });
+
+  test("should check formatted types and unknown types", () => {
+    expect(
+      SettingsValidator.validate({ type: "email" }, "x", { label: "Contact" }),
+    ).toEqual([
+      {
+        code: "format",
+        path: "value",
+        message: "Contact must be a valid email address",
+        params: { type: "email" },
+      },
+    ]);
+    expect(SettingsValidator.validate({ type: "color" }, "#336699")).toEqual(
+      [],
+    );
+    expect(SettingsValidator.validate({ type: "blob" }, 1)[0]).toMatchObject({
+      code: "unknown-type",
+      message: "Unknown setting type: blob",
+    });
+  });
+
+  test("should run registered validators by name after built-in checks", () => {
+    SettingsValidator.register("no-spaces", (value) =>
+      value.includes(" ") ? "must not contain spaces" : null,
+    );
+    const setting = {
+      type: "text",
+      maxLength: 5,
+      validators: ["no-spaces", { name: "pattern", params: { pattern: "^a" } }],
+    };
+
+    expect(SettingsValidator.validate(setting, "abc")).toEqual([]);
+    expect(
+      SettingsValidator.validate(setting, "b c", { label: "Token" }),
+    ).toEqual([
+      {
+        code: "custom",
+        path: "value",
+        message: "Token must not contain spaces",
+        params: { validator: "no-spaces" },
+      },
+      {
+        code: "custom",
+        path: "value",
+        message: "Token must match pattern ^a",
+        params: { validator: "pattern", pattern: "^a" },
+      },
+    ]);
+    expect(SettingsValidator.validate(setting, "a b c d")[0].code).toBe(
+      "maxLength",
+    );
+  });
+
+  test("should use schema messages and report unusable validators", () => {
+    SettingsValidator.register("broken", () => {
+      throw new Error("boom");
+    });
+    const setting = {
+      type: "text",
+      validators: [
+        { name: "regex", message: "Enter a valid regular expression" },
+        "broken",
+        "missing",
+      ],
+    };
+
+    expect(
+      SettingsValidator.validate(setting, "(", { label: "Filter" }).map(
+        (error) => error.message,
+      ),
+    ).toEqual([
+      "Enter a valid regular expression",
+      "Filter cannot be checked: boom",
+      "Filter cannot be checked: unknown validator 'missing'",
+    ]);
+    expect(() => SettingsValidator.register("", () => null)).toThrow(
+      "Validator name must be a non-empty string",
+    );
+  });
+
+  describe("asynchronous validators", () => {
+    afterEach(() => {
+      SettingsValidator.unregister("remote");
+    });
+
+    test("should only run in validateAsync()", async () => {
+      SettingsValidator.register(
+        "remote",
+        async (value, params) =>
+          value === params.taken ? "is already in use" : null,
+        { async: true },
+      );
+      const setting = {
+        type: "text",
+        validators: [{ name: "remote", params: { taken: "work" } }],
+      };
+
+      expect(SettingsValidator.hasAsyncValidators(setting)).toBe(true);
+      expect(SettingsValidator.hasAsyncValidators({ type: "text" })).toBe(
+        false,
+      );
+      expect(SettingsValidator.validate(setting, "work")).toEqual([]);
+      expect(await SettingsValidator.validateAsync(setting, "home")).toEqual(
+        [],
+      );
+      expect(
+        await SettingsValidator.validateAsync(setting, "work", {
+          label: "Profile",
+        }),
+      ).toEqual([
+        {
+          code: "custom",
+          path: "value",
+          message: "Profile is already in use",
+          params: { validator: "remote", taken: "work" },
+        },
+      ]);
+      await expect(
+        SettingsValidator.assertAsync(setting, "work"),
+      ).rejects.toThrow("Is already in use");
+    });
+
+    test("should give up on validators that take too long", async () => {
+      let signal;
+      SettingsValidator.register(
+        "remote",
+        (value, params, setting, context) => {
+          signal = context.signal;
+          return new Promise(() => {});
+        },
+        { async: true, timeout: 10 },
+      );
+
+      const errors = await SettingsValidator.validateAsync(
+        { type: "text", validators: ["remote"] },
+        "x",
+      );
+
+      expect(errors[0]).toMatchObject({
+        code: "custom",
+        message: "Cannot be checked: timed out after 10 ms",
+        params: { validator: "remote", timeout: 10 },
+      });
+      expect(signal.aborted).toBe(true);
+    });
+
+    test("should reject with validation-cancelled when aborted", async () => {
+      let signal;
+      SettingsValidator.register(
+        "remote",
+        (value, params, setting, context) => {
+          signal = context.signal;
+          return new Promise(() => {});
+        },
+        { async: true },
+      );
+      const controller = new AbortController();
+
+      const check = SettingsValidator.validateAsync(
+        { type: "text", validators: ["remote"] },
+        "x",
+        { signal: controller.signal },
+      );
+      controller.abort();
+
+      await expect(check).rejects.toMatchObject({
+        code: "validation-cancelled",
+      });
+      expect(signal.aborted).toBe(true);
+    });
+
+    test("should report failing validators and skip invalid values", async () => {
+      const validator = jest.fn(async () => {
+        throw new Error("network error");
+      });
+      SettingsValidator.register("remote", validator, { async: true });
+      const setting = { type: "text", maxLength: 3, validators: ["remote"] };
+
+      expect(
+        (await SettingsValidator.validateAsync(setting, "abcd"))[0].code,
+      ).toBe("maxLength");
+      expect(validator).not.toHaveBeenCalled();
+      expect(
+        (await SettingsValidator.validateAsync(setting, "abc"))[0].message,
+      ).toBe("Cannot be checked: network error");
+    });
+  });
+
+  describe("css validator", () => {
+    const setting = { type: "longtext", validators: ["css"] };
+    const check = async (css) =>
+      (await SettingsValidator.validateAsync(setting, css, { label: "CSS" }))
+        .map((error) => error.message)
+        .join("; ");
+
+    test("should accept well-formed rules, at-rules and nesting", async () => {
+      expect(
+        await check(
+          [
+            '@import url("theme.css");',
+            "/* { unbalanced in a comment */",
+            ".a { color: red; background: url(data:image/png;base64,AA==) }",
+            '.b::after { content: "}"; --gap: 4px }',
+            "@media (max-width: 600px) { .a { &:hover { color: blue } } }",
+          ].join("\n"),
+        ),
+      ).toBe("");
+    });
+
+    test("should report the first structural problem with its line", async () => {
+      expect(await check(".a {\n  color: red;\n")).toBe(
+        "CSS is not valid CSS: unclosed { from line 1",
+      );
+      expect(await check(".a { color: red; }\n}")).toBe(
+        "CSS is not valid CSS: unexpected } on line 2",
+      );
+      expect(await check(".a {\n  color red;\n}")).toBe(
+        'CSS is not valid CSS: expected "property: value" on line 2',
+      );
+      expect(await check("color: red;")).toBe(
+        "CSS is not valid CSS: expected a rule block on line 1",
+      );
+      expect(await check('.a { content: "x }')).toBe(
+        'CSS is not valid CSS: unclosed " from line 1',
+      );
+      expect(await check(".a { color: rgb(1, 2 }")).toBe(
+        "CSS is not valid CSS: unclosed ( from line 1",
+      );
+      expect(await check(".a {}\n/* note")).toBe(
+        "CSS is not valid CSS: unclosed /* from line 2",
+      );
+    });
+
+    test("should read long snippets in slices and stop when aborted", async () => {
+      const original = SettingsValidator.CSS_SLICE_LENGTH;
+      SettingsValidator.CSS_SLICE_LENGTH = 10;
+      const rule = ".a { color: red }\n";
+
+      try {
+        expect(await check(`${rule.repeat(20)}.b {`)).toBe(
+          "CSS is not valid CSS: unclosed { from line 21",
+        );
+
+        const controller = new AbortController();
+        const pending = SettingsValidator.validateAsync(
+          setting,
+          `${rule.repeat(20)}.b {`,
+          { signal: controller.signal },
+        );
+        controller.abort();
+        await expect(pending).rejects.toMatchObject({
+          code: "validation-cancelled",
+        });
+      } finally {
+        SettingsValidator.CSS_SLICE_LENGTH = original;
+      }
+    });
+  });
+
+  describe("findCssProblem", () => {
+    const find = (css, signal) => SettingsValidator.findCssProblem(css, signal);
+
+    test("should not end declarations at semicolons inside url()", async () => {
+      expect(
+        await find(
+          ".logo { background: url(data:image/png;base64,iVBORw0KGgo=) no-repeat; }",
+        ),
+      ).toBeNull();
+      expect(await find('.a { background: url("a;b.png") }')).toBeNull();
+      expect(await find(".a { background: url(data:x;y }")).toEqual({
+        message: "is not valid CSS: unclosed ( from line 1",
+        params: { line: 1 },
+      });
+    });
+
+    test("should check declarations inside nested at-rules", async () => {
+      expect(
+        await find(
+          [
+            "@media screen {",
+            "  @supports (display: grid) {",
+            "    .grid { display: grid; }",
+            "  }",
+            "}",
+          ].join("\n"),
+        ),
+      ).toBeNull();
+      expect(
+        await find("@media screen {\n  .grid {\n    display grid;\n  }\n}"),
+      ).toEqual({
+        message: 'is not valid CSS: expected "property: value" on line 3',
+        params: { line: 3 },
+      });
+      expect(
+        await find("@media screen {\n  .grid { display: grid; }\n"),
+      ).toEqual({
+        message: "is not valid CSS: unclosed { from line 1",
+        params: { line: 1 },
+      });
+    });
+
+    test("should read braces in custom property values as part of the value", async () => {
+      expect(
+        await find(".a { --mixin: { color: red; any tokens }; color: blue }"),
+      ).toBeNull();
+      expect(await find(".a { --mixin: { color: red; }")).toEqual({
+        message: "is not valid CSS: unclosed { from line 1",
+        params: { line: 1 },
+      });
+    });
+
+    test("should follow escaped quotes and line continuations in strings", async () => {
+      expect(
+        await find(
+          '.a { content: "say \\"hi\\" }"; }\n.b { content: \'it\\\'s\' }',
+        ),
+      ).toBeNull();
+      // A backslash before the line break continues the string
+      expect(await find('.a {\n  content: "one \\\n two";\n}\n.b {')).toEqual({
+        message: "is not valid CSS: unclosed { from line 5",
+        params: { line: 5 },
+      });
+      expect(await find('.a {\n  content: "one\n two";\n}')).toEqual({
+        message: 'is not valid CSS: unclosed " from line 2',
+        params: { line: 2 },
+      });
+    });
+
+    test("should stop between slices once aborted", async () => {
+      const original = SettingsValidator.CSS_SLICE_LENGTH;
+      SettingsValidator.CSS_SLICE_LENGTH = 10;
+      const broken = `${".a { color: red }\n".repeat(20)}.b {`;
+
+      try {
+        const controller = new AbortController();
+        const pending = find(broken, controller.signal);
+        controller.abort();
+        await expect(pending).resolves.toBeNull();
+
+        await expect(
+          find(broken, new AbortController().signal),
+        ).resolves.toEqual({
+          message: "is not valid CSS: unclosed { from line 21",
+          params: { line: 21 },
+        });
+      } finally {
+        SettingsValidator.CSS_SLICE_LENGTH = original;
+      }
+    });
+  });
+
+  test("assert should throw every message with the structured errors", () => {
+    const setting = { type: "json", schema: { required: ["a", "b"] } };
+
+    let thrown;
+    try {
+      SettingsValidator.assert(setting, {}, { key: "config" });
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown.message).toBe("config.a is required; config.b is required");
+    expect(thrown.validationErrors).toHaveLength(2);
+    expect(() =>
+      SettingsValidator.assert(setting, { a: 1, b: 2 }),
+    ).not.toThrow();
+  });
+});
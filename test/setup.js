@@ -31,3 +31,6 @@ global.fetch = jest.fn(() =>
     json: () => Promise.resolve({}),
   }),
 );
+
+// Localized messages fall back to their English text outside the extension
+global.I18n = require("../src/lib/i18n.js");
@@ -0,0 +1,156 @@
+// test/site-overrides.test.js
+// Unit tests for the per-site override registry
+
+const {
+  SiteOverrides,
+  SiteOverrideError,
+} = require("../src/lib/site-overrides");
+
+describe("SiteOverrides", () => {
+  let overrides;
+
+  beforeEach(() => {
+    overrides = new SiteOverrides();
+  });
+
+  describe("patterns", () => {
+    test("should accept origins and match patterns", () => {
+      expect(overrides.parsePattern("https://github.com")).toEqual({
+        scheme: "https",
+        host: "github.com",
+        path: null,
+        isOrigin: true,
+      });
+      expect(overrides.parsePattern("*://*.github.com/*")).toMatchObject({
+        scheme: "*",
+        host: "*.github.com",
+        path: "/*",
+        isOrigin: false,
+      });
+      expect(overrides.isValidPattern("http://localhost:8080")).toBe(true);
+    });
+
+    test("should reject malformed patterns", () => {
+      expect(overrides.isValidPattern("github.com")).toBe(false);
+      expect(overrides.isValidPattern("https://git*hub.com")).toBe(false);
+      expect(() => overrides.normalizePattern("not a url")).toThrow(
+        SiteOverrideError,
+      );
+    });
+
+    test("should normalize scheme and host case", () => {
+      expect(overrides.normalizePattern("HTTPS://GitHub.com")).toBe(
+        "https://github.com",
+      );
+    });
+
+    test("should match origins exactly", () => {
+      expect(
+        overrides.matches("https://github.com", "https://github.com/a/b"),
+      ).toBe(true);
+      expect(
+        overrides.matches("https://github.com", "http://github.com/"),
+      ).toBe(false);
+      expect(
+        overrides.matches("https://github.com", "https://gist.github.com/"),
+      ).toBe(false);
+    });
+
+    test("should match wildcard schemes, subdomains and paths", () => {
+      const pattern = "*://*.example.com/docs/*";
+
+      expect(overrides.matches(pattern, "https://example.com/docs/a")).toBe(
+        true,
+      );
+      expect(overrides.matches(pattern, "http://www.example.com/docs/")).toBe(
+        true,
+      );
+      expect(overrides.matches(pattern, "https://example.com/blog")).toBe(
+        false,
+      );
+      expect(overrides.matches(pattern, "ftp://example.com/docs/a")).toBe(
+        false,
+      );
+      expect(overrides.matches(pattern, "https://badexample.com/docs/")).toBe(
+        false,
+      );
+    });
+
+    test("should report origins only for web pages", () => {
+      expect(overrides.getOrigin("https://github.com/a?b=c")).toBe(
+        "https://github.com",
+      );
+      expect(overrides.getOrigin("about:blank")).toBeNull();
+      expect(overrides.getOrigin("not a url")).toBeNull();
+    });
+  });
+
+  describe("resolve", () => {
+    test("should let more specific patterns win", () => {
+      overrides.set("*://*/*", "feature_enabled", false);
+      overrides.set("*://*.github.com/*", "feature_enabled", true);
+      overrides.set("https://github.com", "custom_css", "body {}");
+
+      expect(overrides.getMatchingPatterns("https://github.com/x")).toEqual([
+        "*://*/*",
+        "*://*.github.com/*",
+        "https://github.com",
+      ]);
+      expect(overrides.resolve("https://github.com/x")).toEqual({
+        values: { feature_enabled: true, custom_css: "body {}" },
+        sources: {
+          feature_enabled: "*://*.github.com/*",
+          custom_css: "https://github.com",
+        },
+      });
+      expect(overrides.resolve("https://example.com").values).toEqual({
+        feature_enabled: false,
+      });
+    });
+
+    test("should return copies of stored values", () => {
+      overrides.set("https://a.test", "advanced_config", { retries: 1 });
+      overrides.resolve("https://a.test").values.advanced_config.retries = 9;
+
+      expect(overrides.toJSON()["https://a.test"].advanced_config).toEqual({
+        retries: 1,
+      });
+    });
+  });
+
+  describe("clear", () => {
+    beforeEach(() => {
+      overrides.set("https://github.com", "feature_enabled", false);
+      overrides.set("https://github.com", "custom_css", "");
+    });
+
+    test("should clear a single key and drop empty patterns", () => {
+      expect(overrides.clear("https://github.com", "custom_css")).toEqual([
+        "custom_css",
+      ]);
+      expect(overrides.clear("https://github.com", "custom_css")).toEqual([]);
+      expect(overrides.clear("https://github.com", "feature_enabled")).toEqual([
+        "feature_enabled",
+      ]);
+      expect(overrides.toJSON()).toEqual({});
+    });
+
+    test("should clear every key of a pattern", () => {
+      expect(overrides.clear("HTTPS://github.com")).toEqual([
+        "feature_enabled",
+        "custom_css",
+      ]);
+      expect(overrides.toJSON()).toEqual({});
+    });
+  });
+
+  test("load should drop invalid patterns and empty entries", () => {
+    overrides.load({
+      "https://github.com": { feature_enabled: false },
+      "not a pattern": { feature_enabled: false },
+      "https://empty.test": {},
+    });
+
+    expect(Object.keys(overrides.toJSON())).toEqual(["https://github.com"]);
+  });
+});
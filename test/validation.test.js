@@ -15,6 +15,16 @@ const {
   validateNumberWithRange,
   validateInteger,
   validateJSON,
+  validateJSONSchema,
+  validateColor,
+  validateUrl,
+  validateEmail,
+  validateDate,
+  validateDateTime,
+  validateDuration,
+  validateArray,
+  validateMultiselect,
+  validateRecords,
   validateTextSecure,
   validateSetting,
   validateAllSettings,
@@ -147,6 +157,17 @@ describe("Settings Validation", () => {
       expect(validateInteger(3.14)).toBe(false);
       expect(validateInteger(1.0)).toBe(true); // 1.0 is effectively an integer
     });
+
+    test("should enforce step constraints", () => {
+      const setting = { type: "number", min: 0, max: 1, step: 0.25 };
+
+      expect(validateSetting({ ...setting, value: 0.75 })).toBe(true);
+      expect(validateSetting({ ...setting, value: 0.3 })).toBe(false);
+      expect(
+        validateAllSettings({ opacity: { ...setting, value: 0.3 } })
+          .invalidSettings,
+      ).toEqual({ opacity: "Value must be in steps of 0.25" });
+    });
   });
 
   describe("JSON Validation", () => {
@@ -200,6 +221,48 @@ describe("Settings Validation", () => {
       expect(validateJSON(["a", "b", "c"])).toBe(true);
       expect(validateJSON([{ key: "value" }])).toBe(true);
     });
+
+    test("should validate JSON against an embedded schema", () => {
+      const schema = {
+        type: "object",
+        properties: { retries: { type: "integer", maximum: 10 } },
+        required: ["endpoint"],
+      };
+
+      expect(validateJSONSchema({ endpoint: "x", retries: 3 }, schema)).toEqual(
+        [],
+      );
+      expect(
+        validateJSONSchema({ retries: 11 }, schema, "config").map(
+          (error) => error.message,
+        ),
+      ).toEqual([
+        "config.endpoint is required",
+        "config.retries must be at most 10",
+      ]);
+      expect(validateJSONSchema({ any: "value" }, undefined)).toEqual([]);
+    });
+
+    test("should reject JSON settings that violate their schema", () => {
+      const setting = {
+        type: "json",
+        value: { endpoint: 42 },
+        description: "Schema-backed setting",
+        schema: {
+          type: "object",
+          properties: { endpoint: { type: "string" } },
+        },
+      };
+
+      expect(validateSetting(setting)).toBe(false);
+      expect(validateAllSettings({ advanced_config: setting })).toEqual({
+        valid: false,
+        errors: ["advanced_config"],
+        invalidSettings: {
+          advanced_config: "advanced_config.endpoint must be a string",
+        },
+      });
+    });
   });
 
   describe("Enum Validation", () => {
@@ -214,6 +277,64 @@ describe("Settings Validation", () => {
     });
   });
 
+  describe("Formatted Type Validation", () => {
+    test("should validate colors, URLs and emails", () => {
+      expect(validateColor("#336699")).toBe(true);
+      expect(validateColor("blue")).toBe(false);
+      expect(validateUrl("https://example.com")).toBe(true);
+      expect(validateUrl("javascript:alert(1)")).toBe(false);
+      expect(validateUrl("ws://example.com", ["ws", "wss"])).toBe(true);
+      expect(validateEmail("name@example.com")).toBe(true);
+      expect(validateEmail("not an email")).toBe(false);
+    });
+
+    test("should validate dates, date-times and durations", () => {
+      expect(validateDate("2024-01-31")).toBe(true);
+      expect(validateDate("2024-01-32")).toBe(false);
+      expect(validateDateTime("2024-01-31T23:59")).toBe(true);
+      expect(validateDateTime("2024-01-31")).toBe(false);
+      expect(validateDuration(60000)).toBe(true);
+      expect(validateDuration(1.5)).toBe(false);
+      expect(validateDuration(1000, 5000)).toBe(false);
+      expect(validateDuration(10000, 5000, 8000)).toBe(false);
+    });
+
+    test("should validate arrays and multi-selects", () => {
+      expect(validateArray(["a", "b"], { type: "text" })).toBe(true);
+      expect(validateArray([1, "b"], { type: "number" })).toBe(false);
+      expect(
+        validateArray(["a", "a"], { type: "text" }, { uniqueItems: true }),
+      ).toBe(false);
+      expect(validateMultiselect(["x"], { x: "X", y: "Y" })).toBe(true);
+      expect(
+        validateMultiselect(["x", "y"], { x: "X", y: "Y" }, { maxItems: 1 }),
+      ).toBe(false);
+    });
+
+    test("should validate records", () => {
+      const fields = { name: { type: "text" }, port: { type: "number" } };
+      expect(validateRecords([{ name: "a", port: 80 }], fields)).toBe(true);
+      expect(validateRecords([{ name: "a", port: "80" }], fields)).toBe(false);
+      expect(validateRecords([], fields, { minItems: 1 })).toBe(false);
+    });
+
+    test("should report format problems in detailed results", () => {
+      expect(validateSetting("duration", 30000, { min: 1000 })).toBe(true);
+      expect(
+        validateAllSettings({
+          homepage: { type: "url", value: "ftp://example.com" },
+          accent: { type: "color", value: "#abcdef" },
+        }),
+      ).toEqual({
+        valid: false,
+        errors: ["homepage"],
+        invalidSettings: {
+          homepage: "Value must use one of these schemes: http, https",
+        },
+      });
+    });
+  });
+
   describe("Setting Schema Validation", () => {
     test("should validate complete setting object", () => {
       const validSetting = {
@@ -302,7 +423,15 @@ describe("Settings Validation", () => {
 
       const result = validateSetting(invalidSetting);
       expect(result.valid).toBe(false);
-      expect(result.error).toContain("Expected number, got string");
+      expect(result.error).toBe("Value must be a valid number");
+      expect(result.errors).toEqual([
+        {
+          code: "type",
+          path: "value",
+          message: "Value must be a valid number",
+          params: { expected: "number", actual: "string" },
+        },
+      ]);
     });
   });
 
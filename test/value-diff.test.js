@@ -0,0 +1,121 @@
+// test/value-diff.test.js
+// Unit tests for structured value differences
+
+const ValueDiff = require("../src/lib/value-diff");
+
+describe("ValueDiff", () => {
+  test("should list changed, added and removed JSON paths", () => {
+    const oldValue = {
+      endpoint: "https://example.com",
+      retries: 3,
+      headers: { accept: "json" },
+      servers: ["a", "b"],
+    };
+    const newValue = {
+      endpoint: "https://example.org",
+      headers: { accept: "json", auth: "token" },
+      servers: ["a"],
+      timeout: 5000,
+    };
+
+    expect(ValueDiff.diffJson(oldValue, newValue)).toEqual([
+      {
+        path: "endpoint",
+        type: "changed",
+        oldValue: "https://example.com",
+        newValue: "https://example.org",
+      },
+      { path: "retries", type: "removed", oldValue: 3, newValue: undefined },
+      {
+        path: "headers.auth",
+        type: "added",
+        oldValue: undefined,
+        newValue: "token",
+      },
+      {
+        path: "servers[1]",
+        type: "removed",
+        oldValue: "b",
+        newValue: undefined,
+      },
+      {
+        path: "timeout",
+        type: "added",
+        oldValue: undefined,
+        newValue: 5000,
+      },
+    ]);
+  });
+
+  test("should descend into arrays of objects", () => {
+    expect(
+      ValueDiff.diffJson(
+        [{ name: "Primary", timeout: 5 }],
+        [{ name: "Primary", timeout: 10 }],
+      ),
+    ).toEqual([
+      { path: "[0].timeout", type: "changed", oldValue: 5, newValue: 10 },
+    ]);
+  });
+
+  test("should report a change of the whole value when types differ", () => {
+    expect(ValueDiff.diffJson({ a: 1 }, { a: 1 })).toEqual([]);
+    expect(ValueDiff.diffJson({ a: 1 }, [1])).toEqual([
+      { path: "", type: "changed", oldValue: { a: 1 }, newValue: [1] },
+    ]);
+    expect(ValueDiff.diffJson({ a: null }, { a: {} })).toEqual([
+      { path: "a", type: "changed", oldValue: null, newValue: {} },
+    ]);
+  });
+
+  test("should compare text line by line", () => {
+    expect(
+      ValueDiff.diffLines(
+        "body {\n  color: red;\n  margin: 0;\n}",
+        "body {\n  color: blue;\n  margin: 0;\n  padding: 0;\n}",
+      ),
+    ).toEqual([
+      { type: "same", text: "body {" },
+      { type: "removed", text: "  color: red;" },
+      { type: "added", text: "  color: blue;" },
+      { type: "same", text: "  margin: 0;" },
+      { type: "added", text: "  padding: 0;" },
+      { type: "same", text: "}" },
+    ]);
+    expect(ValueDiff.diffLines("", "a")).toEqual([
+      { type: "removed", text: "" },
+      { type: "added", text: "a" },
+    ]);
+    expect(ValueDiff.diffLines("same", "same")).toEqual([
+      { type: "same", text: "same" },
+    ]);
+  });
+
+  test("should keep shared lines between reordered blocks", () => {
+    expect(ValueDiff.diffLines("a\nb\nc\nd", "a\nc\nb\nd")).toEqual([
+      { type: "same", text: "a" },
+      { type: "removed", text: "b" },
+      { type: "same", text: "c" },
+      { type: "added", text: "b" },
+      { type: "same", text: "d" },
+    ]);
+  });
+
+  test("should replace every line of texts too long to compare", () => {
+    const original = ValueDiff.MAX_LINE_PAIRS;
+    ValueDiff.MAX_LINE_PAIRS = 3;
+
+    try {
+      expect(ValueDiff.diffLines("x\na\nb\ny", "x\nc\nd\ny")).toEqual([
+        { type: "same", text: "x" },
+        { type: "removed", text: "a" },
+        { type: "removed", text: "b" },
+        { type: "added", text: "c" },
+        { type: "added", text: "d" },
+        { type: "same", text: "y" },
+      ]);
+    } finally {
+      ValueDiff.MAX_LINE_PAIRS = original;
+    }
+  });
+});
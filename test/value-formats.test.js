@@ -0,0 +1,190 @@
+// test/value-formats.test.js
+// Unit tests for the color, url, email, date, datetime and duration types
+
+const ValueFormats = require("../src/lib/value-formats");
+
+describe("ValueFormats", () => {
+  const check = (type, value, constraints = {}) =>
+    ValueFormats.check({ type, ...constraints }, value);
+
+  test("should accept hex colors only", () => {
+    expect(check("color", "#33aaFF")).toBeNull();
+    expect(check("color", "#3af")).toBe("must be a hex color such as #336699");
+    expect(check("color", "")).toBe("must be a hex color such as #336699");
+  });
+
+  test("should check URLs and their schemes", () => {
+    expect(check("url", "https://example.com/path")).toBeNull();
+    expect(check("url", "")).toBeNull();
+    expect(check("url", "example.com")).toBe("must be an absolute URL");
+    expect(check("url", "ftp://example.com")).toBe(
+      "must use one of these schemes: http, https",
+    );
+    expect(
+      check("url", "ftp://example.com", { schemes: ["ftp", "sftp"] }),
+    ).toBeNull();
+  });
+
+  test("should check email addresses", () => {
+    expect(check("email", "name@example.com")).toBeNull();
+    expect(check("email", "name@example")).toBe(
+      "must be a valid email address",
+    );
+    expect(check("email", 42)).toBe("must be a string");
+  });
+
+  test("should check calendar dates and local date-times", () => {
+    expect(check("date", "2024-02-29")).toBeNull();
+    expect(check("date", "2023-02-29")).toBe(
+      "must be a date in YYYY-MM-DD format",
+    );
+    expect(check("datetime", "2024-05-01T09:30")).toBeNull();
+    expect(check("datetime", "2024-05-01T09:30:15")).toBeNull();
+    expect(check("datetime", "2024-05-01T24:00")).toBe(
+      "must be a date and time in YYYY-MM-DDTHH:MM format",
+    );
+    expect(check("date", "2023-12-31", { min: "2024-01-01" })).toBe(
+      "must be 2024-01-01 or later",
+    );
+    expect(
+      check("datetime", "2024-01-02T00:00", { max: "2024-01-01T23:59" }),
+    ).toBe("must be 2024-01-01T23:59 or earlier");
+  });
+
+  test("should check durations in milliseconds against min and max", () => {
+    expect(check("duration", 300000)).toBeNull();
+    expect(check("duration", -1)).toBe(
+      "must be a whole, non-negative number of milliseconds",
+    );
+    expect(check("duration", "5m")).toBe(
+      "must be a whole, non-negative number of milliseconds",
+    );
+    expect(check("duration", 1000, { min: 30000 })).toBe(
+      "must be 30s or longer",
+    );
+    expect(check("duration", 7200000, { max: 3600000 })).toBe(
+      "must be 1h or shorter",
+    );
+  });
+
+  test("should check array items, length and uniqueness", () => {
+    const domains = {
+      type: "array",
+      items: { type: "text", maxLength: 20 },
+      maxItems: 2,
+      uniqueItems: true,
+    };
+
+    expect(check("array", ["a.com", "b.com"], domains)).toBeNull();
+    expect(check("array", "a.com", domains)).toBe("must be a list");
+    expect(check("array", ["a", "b", "c"], domains)).toBe(
+      "must have at most 2 items",
+    );
+    expect(check("array", ["a.com", "a.com"], domains)).toBe(
+      "must not contain 'a.com' more than once",
+    );
+    expect(check("array", ["a.com", 3], domains)).toBe(
+      "item 2 must be a string",
+    );
+    expect(
+      check("array", [5, 50], { items: { type: "number", max: 10 } }),
+    ).toBe("item 2 must be at most 10");
+    expect(
+      check("array", ["x@example.com", "nope"], { items: { type: "email" } }),
+    ).toBe("item 2 must be a valid email address");
+    expect(check("array", [], { items: { type: "text" }, minItems: 1 })).toBe(
+      "must have at least 1 item",
+    );
+  });
+
+  test("should check multiselect values against their options", () => {
+    const modules = {
+      options: { search: "Search", sync: "Sync" },
+      maxItems: 2,
+    };
+
+    expect(check("multiselect", ["sync", "search"], modules)).toBeNull();
+    expect(check("multiselect", ["chat"], modules)).toBe(
+      "contains unknown option 'chat'",
+    );
+    expect(check("multiselect", ["sync", "sync"], modules)).toBe(
+      "must not contain 'sync' more than once",
+    );
+  });
+
+  test("should check records field by field", () => {
+    const endpoints = {
+      fields: {
+        name: { type: "text", maxLength: 20 },
+        url: { type: "url" },
+        timeout: { type: "number", min: 0 },
+        enabled: { type: "boolean" },
+      },
+      maxItems: 5,
+    };
+    const record = {
+      name: "Primary",
+      url: "https://api.example.com",
+      timeout: 5000,
+      enabled: true,
+    };
+
+    expect(check("records", [record], endpoints)).toBeNull();
+    expect(check("records", [record, "x"], endpoints)).toBe(
+      "record 2 must be an object",
+    );
+    expect(check("records", [{ ...record, url: "nope" }], endpoints)).toBe(
+      "record 1 field 'url' must be an absolute URL",
+    );
+    expect(check("records", [{ ...record, timeout: -1 }], endpoints)).toBe(
+      "record 1 field 'timeout' must be at least 0",
+    );
+    expect(check("records", [{ ...record, enabled: "yes" }], endpoints)).toBe(
+      "record 1 field 'enabled' must be true or false",
+    );
+    expect(check("records", [{ ...record, extra: 1 }], endpoints)).toBe(
+      "record 1 has unknown field 'extra'",
+    );
+
+    const withoutName = { ...record };
+    delete withoutName.name;
+    expect(check("records", [withoutName], endpoints)).toBe(
+      "record 1 is missing field 'name'",
+    );
+  });
+
+  test("should parse and format durations", () => {
+    expect(ValueFormats.parseDuration("30s")).toBe(30000);
+    expect(ValueFormats.parseDuration(" 1h 30m ")).toBe(5400000);
+    expect(ValueFormats.parseDuration("1.5h")).toBe(5400000);
+    expect(ValueFormats.parseDuration("250ms")).toBe(250);
+    expect(() => ValueFormats.parseDuration("30")).toThrow(
+      "Enter a duration such as 30s, 5m or 1h 30m",
+    );
+    expect(() => ValueFormats.parseDuration("")).toThrow();
+    expect(() => ValueFormats.parseDuration("5 minutes")).toThrow();
+
+    expect(ValueFormats.formatDuration(5400000)).toBe("1h 30m");
+    expect(ValueFormats.formatDuration(90061001)).toBe("1d 1h 1m 1s 1ms");
+    expect(ValueFormats.formatDuration(0)).toBe("0s");
+    expect(
+      ValueFormats.parseDuration(ValueFormats.formatDuration(90061001)),
+    ).toBe(90061001);
+  });
+
+  test("should check step alignment from the minimum", () => {
+    expect(ValueFormats.isAlignedToStep(0.3, 0.1)).toBe(true);
+    expect(ValueFormats.isAlignedToStep(0.35, 0.1)).toBe(false);
+    expect(ValueFormats.isAlignedToStep(7, 5, 2)).toBe(true);
+    expect(ValueFormats.isAlignedToStep(10, 5, 2)).toBe(false);
+  });
+
+  test("should format numbers for display", () => {
+    expect(ValueFormats.formatNumber({ format: "percent" }, 0.25)).toBe("25%");
+    expect(ValueFormats.formatNumber({ format: "bytes" }, 1536)).toBe("1.5 KB");
+    expect(ValueFormats.formatNumber({ format: "bytes" }, 512)).toBe("512 B");
+    expect(ValueFormats.formatNumber({ format: "ms" }, 90000)).toBe("1m 30s");
+    expect(ValueFormats.formatNumber({ unit: "px" }, 14)).toBe("14 px");
+    expect(ValueFormats.formatNumber({}, 3)).toBe("3");
+  });
+});